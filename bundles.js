@@ -0,0 +1,244 @@
+/**
+ * ========================================
+ * FORMULES (MENUS) - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Reconnaît dans le panier les combinaisons d'articles qui forment une formule
+ * (ex : kebab + accompagnement + boisson) et applique le prix de la formule.
+ * Quand le panier peut former plusieurs formules, la combinaison la plus
+ * avantageuse pour le client est retenue.
+ *
+ * Le prix d'une formule remplace les prix de base des articles ;
+ * les suppléments d'options (fromage, 50cl...) restent facturés.
+ * Partagé entre le site (panier) et le serveur de développement.
+ * Les prix des lignes et les économies sont en centimes (voir money.js).
+ */
+
+'use strict';
+
+// Conversions de money.js : importées sous Node (serveur de développement), globales dans le navigateur
+// (chargé avant ; nom propre à ce fichier, les scripts du site partagent la même portée globale)
+const bundleMoney = typeof require === 'function' ? require('./money.js') : globalThis;
+
+/**
+ * Formules reconnues
+ * Chaque emplacement (slot) accepte des articles précis (productIds) ou des catégories.
+ */
+const BUNDLES = [
+    {
+        id: 'menu-complet',
+        label: 'Menu complet',
+        price: 17.00,
+        slots: [
+            { label: 'Kebab ou tacos', productIds: ['kebab', 'tacos-3-viandes'] },
+            { label: 'Accompagnement', categories: ['accompagnement'] },
+            { label: 'Boisson', categories: ['boisson'] }
+        ]
+    },
+    {
+        id: 'formule-sandwich',
+        label: 'Formule sandwich',
+        price: 13.00,
+        slots: [
+            { label: 'Wrap ou panini', productIds: ['wrap-poulet', 'panini-chorizo'] },
+            { label: 'Accompagnement', categories: ['accompagnement'] },
+            { label: 'Boisson', categories: ['boisson'] }
+        ]
+    },
+    {
+        id: 'kebab-boisson',
+        label: 'Kebab + boisson',
+        price: 14.00,
+        slots: [
+            { label: 'Kebab', productIds: ['kebab'] },
+            { label: 'Boisson', productIds: ['canette-33cl', 'soda-50cl'] }
+        ]
+    }
+];
+
+// Au-delà, on garde la meilleure solution trouvée (paniers inhabituellement gros)
+const BUNDLE_SEARCH_LIMIT = 5000;
+
+/**
+ * CLASSE BundleEngine
+ * Recherche la meilleure combinaison de formules dans un panier
+ */
+class BundleEngine {
+    /**
+     * @param {Object[]} bundles - Formules (voir BUNDLES)
+     */
+    constructor(bundles = BUNDLES) {
+        this.bundles = bundles;
+        this.lastResult = null;
+    }
+
+    /**
+     * Un article peut-il occuper un emplacement ?
+     * @param {Object} slot - Emplacement de formule
+     * @param {Object} product - Article ({productId, category})
+     * @returns {boolean} true si l'article convient
+     */
+    matchesSlot(slot, product) {
+        if (slot.productIds && slot.productIds.includes(product.productId)) return true;
+        if (slot.categories && slot.categories.includes(product.category)) return true;
+        return false;
+    }
+
+    /**
+     * Trouver les formules qui font le plus économiser
+     * @param {Object[]} lines - Lignes du panier ({productId, name, category, baseCents, quantity}), prix de base en centimes
+     * @returns {{applications: Object[], savingCents: number}} Formules appliquées et économie totale (centimes)
+     */
+    findBestBundles(lines) {
+        // Regrouper par article : seuls le prix de base et la quantité comptent
+        const products = [];
+        lines.forEach(line => {
+            if (!line || !line.productId || !(line.quantity > 0)) return;
+            const existing = products.find(product => product.productId === line.productId);
+            if (existing) {
+                existing.quantity += line.quantity;
+            } else {
+                products.push({
+                    productId: line.productId,
+                    name: line.name,
+                    category: line.category,
+                    priceCents: line.baseCents,
+                    quantity: line.quantity
+                });
+            }
+        });
+
+        // Le panier est souvent réévalué sans changement : on réutilise le dernier résultat
+        const cacheKey = JSON.stringify(products);
+        if (this.lastResult && this.lastResult.key === cacheKey) {
+            return this.lastResult.value;
+        }
+
+        const counts = products.map(product => product.quantity);
+        const memo = new Map();
+        let explored = 0;
+
+        // Recherche exhaustive mémoïsée sur les quantités restantes
+        const search = () => {
+            const key = counts.join(',');
+            if (memo.has(key)) {
+                return memo.get(key);
+            }
+
+            let best = { savingCents: 0, applications: [] };
+            explored += 1;
+
+            if (explored <= BUNDLE_SEARCH_LIMIT) {
+                this.bundles.forEach(bundle => {
+                    this.getSlotChoices(bundle, products, counts).forEach(choice => {
+                        const savingCents = choice.reduce((sum, index) => sum + products[index].priceCents, 0)
+                            - bundleMoney.toCents(bundle.price);
+                        if (savingCents <= 0) return;
+
+                        choice.forEach(index => { counts[index] -= 1; });
+                        const rest = search();
+                        choice.forEach(index => { counts[index] += 1; });
+
+                        if (savingCents + rest.savingCents > best.savingCents) {
+                            best = {
+                                savingCents: savingCents + rest.savingCents,
+                                applications: [{ bundle, choice, savingCents }, ...rest.applications]
+                            };
+                        }
+                    });
+                });
+            }
+
+            memo.set(key, best);
+            return best;
+        };
+
+        const best = search();
+
+        const result = {
+            savingCents: best.savingCents,
+            applications: best.applications.map(({ bundle, choice, savingCents }) => ({
+                bundleId: bundle.id,
+                label: bundle.label,
+                priceCents: bundleMoney.toCents(bundle.price),
+                savingCents,
+                productIds: choice.map(index => products[index].productId),
+                names: choice.map(index => products[index].name)
+            }))
+        };
+
+        this.lastResult = { key: cacheKey, value: result };
+        return result;
+    }
+
+    /**
+     * Lignes au prix après formules, base du calcul d'un code promo
+     * Chaque article pris dans une formule porte sa part de l'économie (au prorata de son prix de base) :
+     * un code promo cumulé avec une formule ne réduit donc pas une seconde fois la même économie.
+     * @param {Object[]} lines - Lignes du panier ({productId, name, category, baseCents, unitCents, quantity})
+     * @returns {Object[]} Lignes dont unitCents tient compte des formules (une ligne par article en formule)
+     */
+    getNetLines(lines) {
+        // Économie de chaque article en formule, une entrée par unité
+        const savings = new Map();
+        this.findBestBundles(lines).applications.forEach(application => {
+            const bases = application.productIds.map(productId => lines.find(line => line.productId === productId).baseCents);
+            const totalBase = bases.reduce((sum, base) => sum + base, 0);
+            let remaining = application.savingCents;
+
+            application.productIds.forEach((productId, index) => {
+                const isLast = index === application.productIds.length - 1;
+                const share = isLast ? remaining : Math.round(application.savingCents * bases[index] / totalBase);
+                remaining -= share;
+                savings.set(productId, [...(savings.get(productId) || []), share]);
+            });
+        });
+
+        return lines.flatMap(line => {
+            const bundled = (savings.get(line.productId) || []).splice(0, line.quantity);
+            const netLines = bundled.map(share => ({ ...line, unitCents: line.unitCents - share, quantity: 1 }));
+            if (line.quantity > bundled.length) {
+                netLines.push({ ...line, quantity: line.quantity - bundled.length });
+            }
+            return netLines;
+        });
+    }
+
+    /**
+     * Toutes les façons de remplir une formule avec les articles restants
+     * @param {Object} bundle - Formule
+     * @param {Object[]} products - Articles du panier
+     * @param {number[]} counts - Quantités restantes par article
+     * @returns {number[][]} Choix possibles (un index d'article par emplacement)
+     */
+    getSlotChoices(bundle, products, counts) {
+        const choices = [];
+        const used = counts.map(() => 0);
+
+        const fill = (slotIndex, choice) => {
+            if (slotIndex === bundle.slots.length) {
+                choices.push([...choice]);
+                return;
+            }
+
+            products.forEach((product, index) => {
+                if (counts[index] - used[index] <= 0) return;
+                if (!this.matchesSlot(bundle.slots[slotIndex], product)) return;
+
+                used[index] += 1;
+                choice.push(index);
+                fill(slotIndex + 1, choice);
+                choice.pop();
+                used[index] -= 1;
+            });
+        };
+
+        fill(0, []);
+        return choices;
+    }
+}
+
+// Export pour Node (serveur de développement), ignoré dans le navigateur
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BUNDLES, BundleEngine };
+}
@@ -0,0 +1,1005 @@
+/**
+ * ========================================
+ * CATALOGUE DU MENU - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Source unique de vérité pour le menu : catégories, articles,
+ * groupes d'options et prix.
+ *
+ * Le catalogue sert à :
+ * - générer la section "Menu" de la page (plus de prix en dur dans le HTML)
+ * - fournir au panier le prix réellement facturé
+ *
+ * Le catalogue est validé au chargement : un article sans prix valide
+ * ou avec des options mal définies n'est pas affiché (et donc pas vendable).
+ *
+ * Les textes du catalogue sont en français et les valeurs d'options servent
+ * d'identifiants dans le panier. Sur le site, ils sont affichés dans la langue
+ * du visiteur (clés "menu.item.<id>.name", "menu.value.<valeur>"... voir i18n.js).
+ */
+
+'use strict';
+
+/**
+ * Allergènes déclarés (identifiant → libellé affiché)
+ */
+const MENU_ALLERGENS = {
+    gluten: 'Gluten',
+    lactose: 'Lactose',
+    oeufs: 'Œufs',
+    fruitsACoque: 'Fruits à coque',
+    sesame: 'Sésame',
+    moutarde: 'Moutarde'
+};
+
+/**
+ * Régimes alimentaires (identifiant → libellé affiché)
+ */
+const MENU_DIETS = {
+    vegetarien: 'Végétarien',
+    halal: 'Halal',
+    sansPorc: 'Sans porc'
+};
+
+/**
+ * Groupes d'options réutilisables
+ * La clé de l'objet sert de référence dans les articles,
+ * `key` est la clé stockée dans les lignes du panier.
+ * Une valeur peut porter un `priceDelta` (en CHF, positif ou négatif)
+ * ajouté au prix de l'article quand elle est choisie (suppléments).
+ * Une valeur peut aussi déclarer :
+ * - `allergens` : allergènes ajoutés quand elle est choisie
+ * - `diets` : régimes qu'elle respecte (absent = compatible avec tous)
+ */
+const MENU_OPTION_GROUPS = {
+    kebabMeat: {
+        key: 'meat',
+        label: 'Viande',
+        prompt: 'Choisissez votre viande :',
+        selectionType: 'single',
+        max: 1,
+        required: true,
+        errorMessage: 'Merci de sélectionner une viande.',
+        values: [
+            { value: 'Poulet', diets: ['halal', 'sansPorc'] },
+            { value: 'Agneau', diets: ['halal', 'sansPorc'] },
+            { value: 'Mixte (poulet + agneau)', diets: ['halal', 'sansPorc'] },
+            { value: 'Végétarien (falafels)', allergens: ['sesame'] }
+        ]
+    },
+    kebabSauce: {
+        key: 'sauce',
+        label: 'Sauce',
+        prompt: 'Choisissez jusqu\'à deux sauces :',
+        selectionType: 'multiple',
+        max: 2,
+        required: true,
+        errorMessage: 'Merci de sélectionner au moins une sauce.',
+        limitMessage: 'Vous pouvez choisir jusqu\'à deux sauces.',
+        values: [
+            { value: 'Blanche', allergens: ['lactose'] },
+            { value: 'Andalouse', allergens: ['oeufs', 'moutarde'] },
+            { value: 'Samouraï', allergens: ['oeufs', 'moutarde'] },
+            { value: 'Barbecue', allergens: ['moutarde'] },
+            { value: 'Harissa' }
+        ]
+    },
+    kebabVegetables: {
+        key: 'vegetables',
+        label: 'Légumes',
+        prompt: 'Ajoutez vos légumes :',
+        selectionType: 'multiple',
+        required: false,
+        values: [
+            { value: 'Tout', label: 'Tout les légumes' },
+            { value: 'Salade' },
+            { value: 'Tomates' },
+            { value: 'Oignons' },
+            { value: 'Chou rouge' },
+            { value: 'Concombre' }
+        ]
+    },
+    extras: {
+        key: 'supplements',
+        label: 'Suppléments',
+        prompt: 'Ajoutez des suppléments :',
+        selectionType: 'multiple',
+        required: false,
+        values: [
+            { value: 'Fromage', label: 'Supplément fromage', priceDelta: 1.00, allergens: ['lactose'] },
+            { value: 'Double viande', priceDelta: 3.00, diets: ['halal', 'sansPorc'] }
+        ]
+    },
+    menuDrink: {
+        key: 'boisson',
+        label: 'Boisson 33cl',
+        prompt: 'Choisissez votre canette 33cl :',
+        selectionType: 'single',
+        max: 1,
+        required: true,
+        errorMessage: 'Merci de sélectionner votre boisson.',
+        values: [
+            { value: 'Coca' },
+            { value: 'Sprite' },
+            { value: 'Fanta' },
+            { value: 'Ice-Tea Citron' },
+            { value: 'Ice-Tea Pêche' },
+            { value: 'Oasis Tropical' },
+            { value: 'Oasis Fraise-Framboise' }
+        ]
+    },
+    menuDrinkSize: {
+        key: 'drinkSize',
+        label: 'Format boisson',
+        prompt: 'Envie d\'une plus grande boisson ?',
+        selectionType: 'single',
+        max: 1,
+        required: false,
+        values: [
+            { value: '50cl', label: 'Passer en 50cl', priceDelta: 1.00 }
+        ]
+    },
+    tacosMeat: {
+        key: 'meat',
+        label: 'Viandes',
+        prompt: 'Choisissez jusqu\'à trois viandes',
+        selectionType: 'multiple',
+        max: 3,
+        required: true,
+        errorMessage: 'Merci de sélectionner vos viandes.',
+        limitMessage: 'Vous pouvez choisir jusqu\'à trois viandes.',
+        values: [
+            { value: 'Poulet', diets: ['halal', 'sansPorc'] },
+            { value: 'Agneau', diets: ['halal', 'sansPorc'] },
+            { value: 'Cordon bleu', diets: [], allergens: ['gluten', 'lactose', 'oeufs'] },
+            { value: 'Poulet pané', diets: ['halal', 'sansPorc'], allergens: ['gluten', 'oeufs'] },
+            { value: 'Kefta', diets: ['halal', 'sansPorc'] },
+            { value: 'Falafels', allergens: ['sesame'] }
+        ]
+    },
+    tacosSauce: {
+        key: 'sauce',
+        label: 'Sauces',
+        prompt: 'Choisissez jusqu\'à deux sauces',
+        selectionType: 'multiple',
+        max: 2,
+        required: true,
+        errorMessage: 'Merci de sélectionner au moins une sauce.',
+        limitMessage: 'Vous pouvez choisir jusqu\'à deux sauces.',
+        values: [
+            { value: 'Blanche', allergens: ['lactose'] },
+            { value: 'Andalouse', allergens: ['oeufs', 'moutarde'] },
+            { value: 'Samouraï', allergens: ['oeufs', 'moutarde'] },
+            { value: 'Barbecue', allergens: ['moutarde'] },
+            { value: 'Harissa' },
+            { value: 'Mayo', allergens: ['oeufs', 'moutarde'] },
+            { value: 'Fromagère', allergens: ['lactose'] }
+        ]
+    },
+    tacosVegetables: {
+        key: 'vegetables',
+        label: 'Légumes',
+        prompt: 'Ajoutez vos légumes',
+        selectionType: 'multiple',
+        required: false,
+        values: [
+            { value: 'Frites' },
+            { value: 'Salade' },
+            { value: 'Tomates' },
+            { value: 'Oignons' },
+            { value: 'Chou rouge' },
+            { value: 'Concombre' }
+        ]
+    },
+    drink: {
+        key: 'boisson',
+        label: 'Boisson',
+        prompt: 'Choisissez votre boisson',
+        selectionType: 'single',
+        max: 1,
+        required: true,
+        errorMessage: 'Merci de sélectionner une boisson.',
+        values: [
+            { value: 'Coca' },
+            { value: 'Sprite' },
+            { value: 'Fanta' },
+            { value: 'Ice-Tea Citron' },
+            { value: 'Ice-Tea Pêche' },
+            { value: 'Oasis Tropical' },
+            { value: 'Oasis Fraise-Framboise' }
+        ]
+    }
+};
+
+/**
+ * Catalogue complet
+ * Les prix sont en CHF. `compact: true` affiche la catégorie en petites cartes.
+ * `allergens` et `diets` décrivent l'article de base (avant options) ;
+ * un article sans `diets` n'est garanti pour aucun régime.
+ */
+const MENU_CATALOG = {
+    currency: 'CHF',
+    allergens: MENU_ALLERGENS,
+    diets: MENU_DIETS,
+    categories: [
+        { id: 'kebab', title: '🥙 Nos Kebabs' },
+        { id: 'sandwich', title: '🥪 Wraps & Sandwichs' },
+        { id: 'accompagnement', title: '🍟 Accompagnements', compact: true },
+        { id: 'boisson', title: '🥤 Boissons', compact: true },
+        { id: 'dessert', title: '🍰 Desserts', compact: true }
+    ],
+    optionGroups: MENU_OPTION_GROUPS,
+    items: [
+        {
+            id: 'menu-kebab',
+            name: 'Menu kebab',
+            category: 'kebab',
+            price: 14.00,
+            description: 'Kebab à choix + canette 33cl',
+            badge: 'Populaire',
+            highlight: true,
+            allergens: ['gluten', 'sesame'],
+            diets: ['vegetarien', 'halal', 'sansPorc'],
+            options: ['kebabMeat', 'kebabSauce', 'kebabVegetables', 'extras', 'menuDrink', 'menuDrinkSize'],
+            hint: {
+                default: 'Sélectionnez une viande, au moins une sauce, votre boisson et ajoutez vos légumes préférés.',
+                error: 'Merci de choisir une viande, une sauce et une boisson avant d\'ajouter au panier.'
+            }
+        },
+        {
+            id: 'kebab',
+            name: 'Kebab',
+            category: 'kebab',
+            price: 12.00,
+            description: 'Personnalisez votre kebab avec vos ingrédients.',
+            allergens: ['gluten', 'sesame'],
+            diets: ['vegetarien', 'halal', 'sansPorc'],
+            options: ['kebabMeat', 'kebabSauce', 'kebabVegetables', 'extras'],
+            hint: {
+                default: 'Sélectionnez une viande, au moins une sauce et ajoutez vos légumes préférés.',
+                error: 'Merci de choisir une viande et au moins une sauce avant d\'ajouter au panier.'
+            }
+        },
+        {
+            id: 'tacos-3-viandes',
+            name: 'Tacos 3 viandes',
+            category: 'sandwich',
+            price: 11.00,
+            description: 'Choix de 3 viandes, frites, fromage, sauce au choix',
+            allergens: ['gluten', 'lactose'],
+            diets: ['vegetarien', 'halal', 'sansPorc'],
+            options: ['tacosMeat', 'tacosSauce', 'tacosVegetables', 'extras'],
+            hint: {
+                default: 'Sélectionnez vos viandes, au moins une sauce et ajoutez vos ingrédients préférés.',
+                error: 'Merci de choisir vos viandes et au moins une sauce avant d\'ajouter au panier.'
+            }
+        },
+        {
+            id: 'wrap-poulet',
+            name: 'Wrap poulet',
+            category: 'sandwich',
+            price: 10.00,
+            description: 'Poulet grillé, crudités, sauce curry',
+            allergens: ['gluten', 'moutarde'],
+            diets: ['halal', 'sansPorc']
+        },
+        {
+            id: 'panini-chorizo',
+            name: 'Panini chorizo',
+            category: 'sandwich',
+            price: 5.00,
+            description: 'Chorizo grillé, fromage, harissa',
+            allergens: ['gluten', 'lactose']
+        },
+        { id: 'frites', name: 'Frites', category: 'accompagnement', price: 5.00, diets: ['vegetarien', 'halal', 'sansPorc'] },
+        { id: 'nuggets-6', name: 'Nuggets (6 pcs)', category: 'accompagnement', price: 6.00, allergens: ['gluten'], diets: ['halal', 'sansPorc'] },
+        { id: 'salade', name: 'Salade', category: 'accompagnement', price: 7.50, allergens: ['moutarde'], diets: ['vegetarien', 'halal', 'sansPorc'] },
+        {
+            id: 'canette-33cl',
+            name: 'Canette 33cl',
+            category: 'boisson',
+            price: 3.50,
+            description: 'Choisissez votre boisson préférée (33cl).',
+            diets: ['vegetarien', 'halal', 'sansPorc'],
+            options: ['drink'],
+            hint: {
+                default: 'Sélectionnez votre boisson préférée.',
+                error: 'Merci de choisir une boisson avant d\'ajouter au panier.'
+            }
+        },
+        {
+            id: 'soda-50cl',
+            name: 'Soda 50cl',
+            category: 'boisson',
+            price: 4.50,
+            description: 'Choisissez votre boisson préférée (50cl).',
+            diets: ['vegetarien', 'halal', 'sansPorc'],
+            options: ['drink'],
+            hint: {
+                default: 'Sélectionnez votre boisson préférée.',
+                error: 'Merci de choisir une boisson avant d\'ajouter au panier.'
+            }
+        },
+        { id: 'ayran', name: 'Yogourt Ayran', category: 'boisson', price: 2.50, allergens: ['lactose'], diets: ['vegetarien', 'halal', 'sansPorc'] },
+        { id: 'eau-minerale', name: 'Eau minérale', category: 'boisson', price: 2.00, diets: ['vegetarien', 'halal', 'sansPorc'] },
+        { id: 'baklava', name: 'Baklava', category: 'dessert', price: 2.50, allergens: ['gluten', 'fruitsACoque'], diets: ['vegetarien', 'halal', 'sansPorc'] },
+        { id: 'tiramisu', name: 'Tiramisu', category: 'dessert', price: 5.00, allergens: ['gluten', 'lactose', 'oeufs'], diets: ['vegetarien', 'sansPorc'] },
+        { id: 'brownie', name: 'Brownie', category: 'dessert', price: 2.50, allergens: ['gluten', 'lactose', 'oeufs', 'fruitsACoque'], diets: ['vegetarien', 'halal', 'sansPorc'] }
+    ]
+};
+
+/**
+ * Valider les allergènes et régimes déclarés par un article ou une valeur d'option
+ * @param {Object} entry - Article ou valeur ({allergens, diets})
+ * @param {Object} tags - Dictionnaires connus ({allergens, diets})
+ * @returns {string[]} Liste des problèmes détectés (vide si valide)
+ */
+function validateTags(entry, tags) {
+    const problems = [];
+
+    ['allergens', 'diets'].forEach(type => {
+        const declared = entry[type];
+        if (declared === undefined) return;
+        if (!Array.isArray(declared)) {
+            problems.push(`${type} doit être une liste`);
+            return;
+        }
+        declared
+            .filter(id => !tags[type] || !tags[type][id])
+            .forEach(id => problems.push(`${type === 'allergens' ? 'allergène' : 'régime'} inconnu (${id})`));
+    });
+
+    return problems;
+}
+
+/**
+ * Valider un groupe d'options
+ * @param {Object} group - Définition du groupe
+ * @param {Object} tags - Allergènes et régimes connus (non vérifiés si absent)
+ * @returns {string[]} Liste des problèmes détectés (vide si valide)
+ */
+function validateOptionGroup(group, tags = null) {
+    const problems = [];
+
+    if (!group || typeof group !== 'object') {
+        return ['définition absente'];
+    }
+    if (!group.key || typeof group.key !== 'string') {
+        problems.push('clé manquante');
+    }
+    if (!group.label || typeof group.label !== 'string') {
+        problems.push('libellé manquant');
+    }
+    if (group.selectionType !== 'single' && group.selectionType !== 'multiple') {
+        problems.push(`type de sélection inconnu (${group.selectionType})`);
+    }
+    if (!Array.isArray(group.values) || group.values.length === 0) {
+        problems.push('aucune valeur proposée');
+        return problems;
+    }
+
+    const seen = new Set();
+    group.values.forEach(entry => {
+        if (!entry || typeof entry.value !== 'string' || !entry.value.trim()) {
+            problems.push('valeur vide');
+            return;
+        }
+        if (seen.has(entry.value)) {
+            problems.push(`valeur en double (${entry.value})`);
+        }
+        seen.add(entry.value);
+        if (entry.priceDelta !== undefined && (typeof entry.priceDelta !== 'number' || !Number.isFinite(entry.priceDelta))) {
+            problems.push(`supplément invalide (${entry.value})`);
+        }
+        if (tags) {
+            validateTags(entry, tags).forEach(problem => problems.push(`${problem} (${entry.value})`));
+        }
+    });
+
+    if (group.max !== undefined) {
+        if (!Number.isInteger(group.max) || group.max < 1) {
+            problems.push(`maximum invalide (${group.max})`);
+        } else if (group.max > group.values.length) {
+            problems.push('maximum supérieur au nombre de valeurs');
+        } else if (group.selectionType === 'single' && group.max !== 1) {
+            problems.push('un choix unique ne peut avoir qu\'un maximum de 1');
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * CLASSE MenuCatalog
+ * Valide le catalogue brut puis expose les articles vendables
+ * et le rendu HTML de la section menu.
+ */
+class MenuCatalog {
+    /**
+     * @param {Object} data - Catalogue brut (voir MENU_CATALOG)
+     * @param {Object} options - translate : (clé, {defaultValue, ...}) => texte traduit ;
+     *                           absent (serveur, écran cuisine), les textes français sont utilisés
+     *                           locale : langue d'affichage des prix (format par défaut de money.js si absente)
+     */
+    constructor(data, { translate = null, locale } = {}) {
+        this.translate = translate;
+        this.locale = locale;
+        this.categories = [];
+        this.allergens = data?.allergens || {};
+        this.diets = data?.diets || {};
+        this.items = new Map();
+        this.errors = [];
+        this.load(data);
+    }
+
+    /**
+     * Valider et indexer le catalogue
+     * Les articles invalides sont écartés et l'erreur est conservée dans this.errors
+     * @param {Object} data - Catalogue brut
+     */
+    load(data) {
+        const categories = Array.isArray(data?.categories) ? data.categories : [];
+        const items = Array.isArray(data?.items) ? data.items : [];
+        const optionGroups = data?.optionGroups || {};
+
+        const categoryIds = new Set();
+        categories.forEach(category => {
+            if (!category?.id || !category.title) {
+                this.errors.push(`Catégorie invalide : ${JSON.stringify(category)}`);
+                return;
+            }
+            categoryIds.add(category.id);
+            this.categories.push(category);
+        });
+
+        // Les groupes d'options défectueux sont détectés une seule fois
+        const groupProblems = {};
+        Object.entries(optionGroups).forEach(([groupId, group]) => {
+            const problems = validateOptionGroup(group, { allergens: this.allergens, diets: this.diets });
+            if (problems.length) {
+                groupProblems[groupId] = problems;
+            }
+        });
+
+        items.forEach(item => {
+            const problems = [];
+            const label = item?.id || item?.name || '(sans identifiant)';
+
+            if (!item?.id || typeof item.id !== 'string') {
+                problems.push('identifiant manquant');
+            } else if (this.items.has(item.id)) {
+                problems.push('identifiant en double');
+            }
+            if (!item?.name) {
+                problems.push('nom manquant');
+            }
+            if (!categoryIds.has(item?.category)) {
+                problems.push(`catégorie inconnue (${item?.category})`);
+            }
+            if (typeof item?.price !== 'number' || !Number.isFinite(item.price) || item.price < 0) {
+                problems.push('prix manquant ou invalide');
+            }
+            if (item) {
+                problems.push(...validateTags(item, { allergens: this.allergens, diets: this.diets }));
+            }
+
+            const groupIds = Array.isArray(item?.options) ? item.options : [];
+            const groups = [];
+            const groupKeys = new Set();
+            groupIds.forEach(groupId => {
+                const group = optionGroups[groupId];
+                if (!group) {
+                    problems.push(`groupe d'options introuvable (${groupId})`);
+                    return;
+                }
+                if (groupProblems[groupId]) {
+                    problems.push(`groupe "${groupId}" : ${groupProblems[groupId].join(', ')}`);
+                    return;
+                }
+                if (groupKeys.has(group.key)) {
+                    problems.push(`clé d'option en double (${group.key})`);
+                }
+                groupKeys.add(group.key);
+                groups.push({ ...group, id: groupId });
+            });
+
+            // Les suppléments négatifs ne doivent jamais rendre l'article gratuit ou négatif
+            if (!problems.length && item.price + this.getLowestOptionsDelta(groups) < 0) {
+                problems.push('les suppléments négatifs rendent le prix négatif');
+            }
+
+            if (problems.length) {
+                this.errors.push(`Article "${label}" ignoré : ${problems.join(' ; ')}`);
+                return;
+            }
+
+            this.items.set(item.id, { ...item, optionGroups: groups });
+        });
+
+        if (this.errors.length) {
+            console.warn('⚠️ Catalogue : des entrées invalides ont été ignorées', this.errors);
+        }
+    }
+
+    /**
+     * Plus forte réduction possible via les options (somme des suppléments négatifs)
+     * @param {Object[]} groups - Groupes d'options de l'article
+     * @returns {number} Delta minimal (0 ou négatif)
+     */
+    getLowestOptionsDelta(groups) {
+        return groups.reduce((sum, group) => {
+            const negatives = group.values
+                .map(entry => entry.priceDelta || 0)
+                .filter(delta => delta < 0)
+                .sort((a, b) => a - b);
+            const maxSelections = group.selectionType === 'multiple' ? (group.max || group.values.length) : 1;
+            return sum + negatives.slice(0, maxSelections).reduce((total, delta) => total + delta, 0);
+        }, 0);
+    }
+
+    /**
+     * Calculer le supplément d'une option choisie à partir du catalogue
+     * @param {Object} item - Article validé
+     * @param {string} key - Clé du groupe d'options
+     * @param {string[]} values - Valeurs choisies
+     * @returns {number} Somme des suppléments (0 si aucun)
+     */
+    getOptionDelta(item, key, values = []) {
+        const group = item?.optionGroups.find(candidate => candidate.key === key);
+        if (!group) {
+            return 0;
+        }
+        return values.reduce((sum, value) => {
+            const entry = group.values.find(candidate => candidate.value === value);
+            return sum + (entry?.priceDelta || 0);
+        }, 0);
+    }
+
+    /**
+     * Compléter les options choisies avec leurs suppléments
+     * Le supplément est toujours recalculé depuis le catalogue
+     * @param {Object} item - Article validé
+     * @param {Array} options - Options collectées ({key, label, value, values})
+     * @returns {Array} Options avec priceDelta
+     */
+    priceOptions(item, options = []) {
+        return options.map(option => {
+            const values = Array.isArray(option.values) ? option.values : [option.value];
+            const priceDelta = this.getOptionDelta(item, option.key, values);
+            return priceDelta ? { ...option, priceDelta } : { ...option };
+        });
+    }
+
+    /**
+     * Conflits d'un article ou d'une valeur d'option avec les filtres du client
+     * @param {Object} entry - Article ou valeur d'option ({allergens, diets})
+     * @param {Object} filters - { diets: régimes exigés, allergens: allergènes à éviter }
+     * @param {boolean} neutralDiets - true si l'absence de `diets` vaut "compatible" (valeurs d'option)
+     * @returns {string[]} Conflits lisibles ("contient Lactose", "pas Halal"), vide si compatible
+     */
+    getConflicts(entry, filters, neutralDiets = false) {
+        const conflicts = [];
+        const allergens = entry?.allergens || [];
+
+        (filters?.allergens || [])
+            .filter(id => allergens.includes(id))
+            .forEach(id => conflicts.push(this.localize('menu.conflict.allergen', `contient ${this.allergens[id] || id}`, { name: this.getAllergenLabel(id) })));
+
+        if (!neutralDiets || Array.isArray(entry?.diets)) {
+            const diets = entry?.diets || [];
+            (filters?.diets || [])
+                .filter(id => !diets.includes(id))
+                .forEach(id => conflicts.push(this.localize('menu.conflict.diet', `pas ${this.diets[id] || id}`, { name: this.getDietLabel(id) })));
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Un article peut-il être commandé en respectant les filtres ?
+     * L'article de base doit convenir, et chaque choix obligatoire doit proposer au moins une valeur compatible.
+     * @param {Object} item - Article validé
+     * @param {Object} filters - Filtres du client
+     * @returns {boolean} true si compatible
+     */
+    isItemAvailable(item, filters) {
+        if (!item || this.getConflicts(item, filters).length) {
+            return false;
+        }
+        return item.optionGroups
+            .filter(group => group.required !== false)
+            .every(group => group.values.some(entry => !this.getConflicts(entry, filters, true).length));
+    }
+
+    /**
+     * Conflits d'une ligne du panier (article et options choisies) avec les filtres
+     * @param {Object} item - Article validé
+     * @param {Array} options - Options de la ligne ({key, label, value, values})
+     * @param {Object} filters - Filtres du client
+     * @returns {string[]} Avertissements ("Sauce Andalouse : contient Œufs")
+     */
+    getLineConflicts(item, options, filters) {
+        if (!item) {
+            return [];
+        }
+
+        const warnings = this.getConflicts(item, filters).map(conflict => `${this.getItemText(item, 'name')} : ${conflict}`);
+
+        (options || []).forEach(option => {
+            const group = item.optionGroups.find(candidate => candidate.key === option.key);
+            if (!group) return;
+
+            const values = Array.isArray(option.values) ? option.values : [option.value];
+            values.forEach(value => {
+                const entry = group.values.find(candidate => candidate.value === value);
+                const conflicts = this.getConflicts(entry, filters, true);
+                if (conflicts.length) {
+                    warnings.push(`${this.getGroupText(group, 'label')} ${this.getValueText(value)} : ${conflicts.join(', ')}`);
+                }
+            });
+        });
+
+        return warnings;
+    }
+
+    /**
+     * Des options enregistrées (favori, ancienne commande) sont-elles encore valables ?
+     * Chaque valeur doit exister et chaque choix obligatoire doit être renseigné.
+     * @param {Object} item - Article validé
+     * @param {Array} options - Options ({key, value, values})
+     * @returns {boolean} true si la sélection peut être commandée telle quelle
+     */
+    isValidSelection(item, options = []) {
+        if (!item) {
+            return false;
+        }
+
+        const selected = new Map();
+        const valuesExist = options.every(option => {
+            if (!option) return false;
+            const group = item.optionGroups.find(candidate => candidate.key === option.key);
+            const values = Array.isArray(option.values) ? option.values : [option.value];
+            selected.set(option.key, values.length);
+            return group
+                && values.length <= (group.selectionType === 'single' ? 1 : (group.max || group.values.length))
+                && values.every(value => group.values.some(entry => entry.value === value));
+        });
+
+        return valuesExist && item.optionGroups
+            .filter(group => group.required !== false)
+            .every(group => selected.get(group.key) > 0);
+    }
+
+    /**
+     * Chercher un texte dans un article (nom, description, catégorie, valeurs d'options)
+     * Sans tenir compte des accents ni de la casse ; tous les mots doivent être trouvés,
+     * en français ou dans la langue du visiteur.
+     * @param {Object} item - Article validé
+     * @param {string} query - Recherche saisie
+     * @returns {{matches: boolean, options: string[]}} Résultat et valeurs d'options qui correspondent (traduites)
+     */
+    searchItem(item, query) {
+        const words = normalizeText(query).split(' ').filter(Boolean);
+        if (!item || !words.length) {
+            return { matches: Boolean(item), options: [] };
+        }
+
+        const category = this.categories.find(candidate => candidate.id === item.category);
+        const baseText = normalizeText([
+            item.name, item.description, category?.title,
+            this.getItemText(item, 'name'), this.getItemText(item, 'description'), category && this.getCategoryTitle(category)
+        ].join(' '));
+        const values = [...new Set(item.optionGroups.flatMap(group => group.values.map(entry => entry.value)))];
+        const optionValues = values.map(value => this.getValueText(value));
+        const optionTexts = values.map((value, index) => normalizeText(`${value} ${optionValues[index]}`));
+
+        const matches = words.every(word => baseText.includes(word) || optionTexts.some(text => text.includes(word)));
+        if (!matches) {
+            return { matches: false, options: [] };
+        }
+
+        // Valeurs d'options à montrer : celles qui expliquent un mot absent du nom et de la description
+        const options = optionValues.filter((value, index) => words.some(word => !baseText.includes(word) && optionTexts[index].includes(word)));
+        return { matches: true, options };
+    }
+
+    /**
+     * Retrouver un article vendable
+     * @param {string} itemId - Identifiant de l'article
+     * @returns {Object|null} Article validé ou null
+     */
+    getItem(itemId) {
+        return this.items.get(itemId) || null;
+    }
+
+    /**
+     * Articles validés d'une catégorie, dans l'ordre du catalogue
+     * @param {string} categoryId - Identifiant de la catégorie
+     * @returns {Object[]} Articles
+     */
+    getItemsByCategory(categoryId) {
+        return Array.from(this.items.values()).filter(item => item.category === categoryId);
+    }
+
+    /**
+     * Formater un prix du catalogue pour l'affichage (nécessite money.js)
+     * @param {number} price - Prix en CHF
+     * @returns {string} Prix formaté
+     */
+    formatPrice(price) {
+        return formatMoney(toCents(price), { locale: this.locale });
+    }
+
+    /**
+     * Formater un supplément ("+1.00 CHF", "−0.50 CHF")
+     * @param {number} delta - Supplément en CHF
+     * @returns {string} Supplément formaté
+     */
+    formatPriceDelta(delta) {
+        return formatMoney(toCents(delta), { locale: this.locale, sign: true });
+    }
+
+    /**
+     * Texte affiché dans la langue du visiteur (texte français du catalogue sans traducteur)
+     * @param {string} key - Clé de traduction
+     * @param {string} fallback - Texte français
+     * @param {Object} params - Valeurs à insérer dans la traduction
+     * @returns {string} Texte à afficher
+     */
+    localize(key, fallback, params = {}) {
+        return this.translate ? this.translate(key, { ...params, defaultValue: fallback }) : fallback;
+    }
+
+    /**
+     * Identifiant de traduction d'une valeur d'option ("Mixte (poulet + agneau)" → "mixte-poulet-agneau")
+     * @param {string} value - Valeur du catalogue
+     * @returns {string} Identifiant
+     */
+    getValueKey(value) {
+        return normalizeText(value).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    /**
+     * Titre traduit d'une catégorie
+     * @param {Object} category - Catégorie
+     * @returns {string} Titre
+     */
+    getCategoryTitle(category) {
+        return this.localize(`menu.category.${category.id}`, category.title);
+    }
+
+    /**
+     * Texte traduit d'un article
+     * @param {Object} item - Article du catalogue
+     * @param {string} field - 'name', 'description', 'badge', 'hint' ou 'hintError'
+     * @returns {string} Texte (vide si l'article n'en a pas)
+     */
+    getItemText(item, field) {
+        const source = {
+            hint: item.hint?.default,
+            hintError: item.hint?.error
+        }[field] ?? item[field];
+        return source ? this.localize(`menu.item.${item.id}.${field}`, source) : '';
+    }
+
+    /**
+     * Texte traduit d'un groupe d'options
+     * @param {Object} group - Groupe validé (avec son id)
+     * @param {string} field - 'label', 'prompt', 'errorMessage' ou 'limitMessage'
+     * @returns {string} Texte (vide si le groupe n'en a pas)
+     */
+    getGroupText(group, field) {
+        return group[field] ? this.localize(`menu.group.${group.id}.${field}`, group[field]) : '';
+    }
+
+    /**
+     * Valeur d'option traduite (lignes du panier, recherche)
+     * @param {string} value - Valeur du catalogue
+     * @returns {string} Valeur
+     */
+    getValueText(value) {
+        if (!this.translate) return value;
+        return this.localize(`menu.value.${this.getValueKey(value)}`, value);
+    }
+
+    /**
+     * Libellé traduit du bouton d'une valeur ("Passer en 50cl" pour "50cl")
+     * @param {Object} entry - Valeur d'option
+     * @returns {string} Libellé
+     */
+    getValueLabel(entry) {
+        if (!entry.label) return this.getValueText(entry.value);
+        if (!this.translate) return entry.label;
+        return this.localize(`menu.value.${this.getValueKey(entry.value)}.label`, entry.label);
+    }
+
+    /**
+     * Libellé traduit d'un allergène
+     * @param {string} id - Identifiant
+     * @returns {string} Libellé
+     */
+    getAllergenLabel(id) {
+        return this.localize(`menu.allergen.${id}`, this.allergens[id] || id);
+    }
+
+    /**
+     * Libellé traduit d'un régime
+     * @param {string} id - Identifiant
+     * @returns {string} Libellé
+     */
+    getDietLabel(id) {
+        return this.localize(`menu.diet.${id}`, this.diets[id] || id);
+    }
+
+    /**
+     * Mention des allergènes ("Allergènes : Gluten, Sésame")
+     * @param {string[]} ids - Allergènes
+     * @returns {string} Mention traduite
+     */
+    getAllergensText(ids) {
+        const names = ids.map(id => this.getAllergenLabel(id)).join(', ');
+        return this.localize('menu.allergens', `Allergènes : ${names}`, { names });
+    }
+
+    /**
+     * Ligne du panier à afficher dans la langue du visiteur
+     * La ligne enregistrée garde les textes français du catalogue : elle reste la même quelle que soit la langue.
+     * @param {Object} line - Ligne ({productId, name, options})
+     * @returns {{name: string, options: Array}} Nom et options traduits
+     */
+    localizeLine(line) {
+        const item = this.getItem(line.productId);
+        if (!item) {
+            return { name: line.name, options: line.options || [] };
+        }
+
+        const options = (line.options || []).map(option => {
+            const group = item.optionGroups.find(candidate => candidate.key === option.key);
+            if (!group) return option;
+
+            const values = Array.isArray(option.values) ? option.values : [option.value];
+            return {
+                ...option,
+                label: this.getGroupText(group, 'label'),
+                value: values.map(value => this.getValueText(value)).join(', ')
+            };
+        });
+
+        return { name: this.getItemText(item, 'name'), options };
+    }
+
+    /**
+     * Générer toute la section menu dans un conteneur
+     * Les catégories sans article valide ne sont pas affichées
+     * @param {HTMLElement} container - Conteneur des catégories
+     */
+    render(container) {
+        if (!container) return;
+
+        container.innerHTML = this.categories
+            .map(category => {
+                const items = this.getItemsByCategory(category.id);
+                if (!items.length) {
+                    return '';
+                }
+                const gridClass = category.compact ? 'menu-grid menu-grid-4' : 'menu-grid';
+                return `
+                    <article class="menu-category" data-category="${escapeHtml(category.id)}">
+                        <h3 class="category-title">${escapeHtml(this.getCategoryTitle(category))}</h3>
+                        <div class="${gridClass}">
+                            ${items.map(item => this.renderItem(item, category)).join('')}
+                        </div>
+                    </article>
+                `;
+            })
+            .join('');
+    }
+
+    /**
+     * Générer la carte HTML d'un article
+     * @param {Object} item - Article validé
+     * @param {Object} category - Catégorie de l'article
+     * @returns {string} HTML de la carte
+     */
+    renderItem(item, category) {
+        const classes = ['menu-item'];
+        if (item.highlight) classes.push('menu-item-highlight');
+        if (category.compact) classes.push('menu-item-small');
+
+        const hasOptions = item.optionGroups.length > 0;
+        const badgeHtml = item.badge ? `<span class="badge">${escapeHtml(this.getItemText(item, 'badge'))}</span>` : '';
+        const descriptionHtml = item.description
+            ? `<p class="item-description">${escapeHtml(this.getItemText(item, 'description'))}</p>`
+            : '';
+        const dietsHtml = (item.diets || [])
+            .map(id => `<li class="menu-item-tag menu-item-tag--diet">${escapeHtml(this.getDietLabel(id))}</li>`)
+            .join('');
+        const allergensHtml = item.allergens && item.allergens.length
+            ? `<p class="menu-item-allergens">${escapeHtml(this.getAllergensText(item.allergens))}</p>`
+            : '';
+        const tagsHtml = dietsHtml ? `<ul class="menu-item-tags">${dietsHtml}</ul>` : '';
+        const buttonHtml = category.compact
+            ? `<button class="btn-add-to-cart btn-small">${escapeHtml(this.localize('menu.add', 'Ajouter'))}</button>`
+            : `<button class="btn-add-to-cart">${escapeHtml(this.localize('menu.addToCart', 'Ajouter au panier'))}</button>`;
+
+        return `
+            <div class="${classes.join(' ')}" data-item-id="${escapeHtml(item.id)}" data-category="${escapeHtml(item.category)}" data-has-options="${hasOptions}">
+                ${badgeHtml}
+                <div class="item-header">
+                    <h4 class="item-name">${escapeHtml(this.getItemText(item, 'name'))}</h4>
+                    <span class="item-price">${this.formatPrice(item.price)}</span>
+                </div>
+                ${descriptionHtml}
+                ${tagsHtml}
+                ${allergensHtml}
+                ${hasOptions ? this.renderOptions(item) : ''}
+                ${buttonHtml}
+            </div>
+        `;
+    }
+
+    /**
+     * Générer le bloc d'options d'un article
+     * Le balisage correspond à ce qu'attend initializeMenuItemOptions()
+     * @param {Object} item - Article validé
+     * @returns {string} HTML des options
+     */
+    renderOptions(item) {
+        const groupsHtml = item.optionGroups.map(group => {
+            // data-option-label reste en français : il est enregistré dans la ligne du panier
+            const attributes = [
+                `data-option-key="${escapeHtml(group.key)}"`,
+                `data-option-label="${escapeHtml(group.label)}"`,
+                `data-selection-type="${group.selectionType}"`,
+                group.max ? `data-max="${group.max}"` : '',
+                `data-required="${group.required !== false}"`,
+                group.errorMessage ? `data-error-message="${escapeHtml(this.getGroupText(group, 'errorMessage'))}"` : '',
+                group.limitMessage ? `data-limit-message="${escapeHtml(this.getGroupText(group, 'limitMessage'))}"` : ''
+            ].filter(Boolean).join(' ');
+            const prompt = this.getGroupText(group, 'prompt') || this.getGroupText(group, 'label');
+
+            return `
+                <div class="menu-option" ${attributes}>
+                    <p class="menu-option-label">${escapeHtml(prompt)}</p>
+                    <div class="menu-option-buttons" role="group" aria-label="${escapeHtml(prompt.replace(/\s*:\s*$/, ''))}">
+                        ${group.values.map(entry => this.renderOptionButton(entry)).join('')}
+                    </div>
+                    <p class="menu-option-feedback" aria-live="polite"></p>
+                </div>
+            `;
+        }).join('');
+
+        const defaultHint = this.getItemText(item, 'hint') || this.localize('menu.optionsHint', 'Sélectionnez vos options.');
+        const errorHint = item.hint?.error ? `data-error-hint="${escapeHtml(this.getItemText(item, 'hintError'))}"` : '';
+
+        return `
+            <div class="menu-item-options" aria-hidden="true">
+                ${groupsHtml}
+                <p class="menu-item-options-hint" role="status" data-default-hint="${escapeHtml(defaultHint)}" ${errorHint}>
+                    ${escapeHtml(defaultHint)}
+                </p>
+            </div>
+        `;
+    }
+
+    /**
+     * Générer le bouton d'une valeur d'option (avec son supplément éventuel)
+     * @param {Object} entry - Valeur d'option
+     * @returns {string} HTML du bouton
+     */
+    renderOptionButton(entry) {
+        const label = escapeHtml(this.getValueLabel(entry));
+        const priceHtml = entry.priceDelta
+            ? ` <span class="menu-option-price">${this.formatPriceDelta(entry.priceDelta)}</span>`
+            : '';
+        const title = entry.allergens && entry.allergens.length
+            ? ` title="${escapeHtml(this.getAllergensText(entry.allergens))}"`
+            : '';
+        return `<button type="button" class="menu-option-button" data-value="${escapeHtml(entry.value)}"${title}>${label}${priceHtml}</button>`;
+    }
+}
+
+// Export pour Node (serveur de développement), ignoré dans le navigateur
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MENU_CATALOG, MENU_OPTION_GROUPS, MENU_ALLERGENS, MENU_DIETS, MenuCatalog, validateOptionGroup };
+}
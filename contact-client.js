@@ -0,0 +1,423 @@
+/**
+ * ========================================
+ * ENVOI DES MESSAGES DE CONTACT - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Transmet les messages et les réservations de table du formulaire de contact au restaurant.
+ *
+ * - Transport interchangeable : HttpContactTransport envoie en POST (JSON)
+ *   vers un endpoint configurable ; tout objet avec une méthode send(message)
+ *   peut le remplacer (autre service, tests)
+ * - Hors ligne, le message est gardé dans le navigateur (localStorage)
+ *   puis renvoyé dès que la connexion revient ; une réservation, qui dépend
+ *   des tables libres, doit au contraire être confirmée tout de suite
+ * - Clé d'idempotence par message : un message renvoyé n'arrive qu'une fois
+ * - Jeton demandé à l'affichage du formulaire : le serveur mesure lui-même
+ *   le temps de saisie (anti-robots) et n'accepte le jeton qu'une fois
+ *
+ * En local, lancer `node server/mock-server.js` puis ouvrir http://localhost:3000
+ */
+
+'use strict';
+
+/**
+ * Configuration de l'envoi des messages
+ * Ouvert depuis le disque (file://), le site vise le serveur local par défaut
+ */
+const CONTACT_API_CONFIG = {
+    endpoint: window.location.protocol === 'file:'
+        ? 'http://localhost:3000/api/messages'
+        : '/api/messages',
+    timeout: 8000,                      // Délai maximum d'un envoi (ms)
+    queueKey: 'kebab_contact_queue',    // Messages en attente de connexion
+    queueVersion: 1,
+    maxQueued: 10,                      // Au-delà, les plus anciens sont abandonnés
+    minFillTime: 3000                   // Durée minimale de saisie (ms) en dessous de laquelle le serveur soupçonne un robot
+};
+
+/**
+ * Erreur levée quand un message ne peut pas être transmis
+ */
+class ContactSubmissionError extends Error {
+    /**
+     * @param {string} message - Message lisible par le visiteur
+     * @param {Object} details - Informations techniques
+     * @param {number} [details.status] - Code HTTP (absent si erreur réseau)
+     * @param {boolean} [details.offline] - true si le restaurant n'a pas pu être joint
+     * @param {string} [details.reason] - Cause ('timeout', 'unreachable', 'offline', 'unexpected', 'rejected') pour
+     *                                    afficher le message dans la langue du visiteur ; absente si le serveur a expliqué le refus
+     * @param {string} [details.code] - Code du refus renvoyé par le serveur ('formTokenExpired'...)
+     */
+    constructor(message, { status = null, offline = false, reason = null, code = null } = {}) {
+        super(message);
+        this.name = 'ContactSubmissionError';
+        this.status = status;
+        this.offline = offline;
+        this.reason = reason;
+        this.code = code;
+    }
+}
+
+/**
+ * CLASSE HttpContactTransport
+ * Envoie un message en POST JSON vers l'API
+ */
+class HttpContactTransport {
+    /**
+     * @param {Object} config - Voir CONTACT_API_CONFIG (endpoint, timeout)
+     */
+    constructor(config = CONTACT_API_CONFIG) {
+        this.endpoint = config.endpoint;
+        this.timeout = config.timeout;
+    }
+
+    /**
+     * Envoyer un message
+     * @param {Object} message - Message (doit contenir messageKey)
+     * @returns {Promise<Object>} Accusé de réception du serveur ({id, receivedAt})
+     * @throws {ContactSubmissionError} En cas d'erreur réseau ou de réponse non 2xx
+     */
+    async send(message) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': message.messageKey
+                },
+                body: JSON.stringify(message),
+                signal: controller.signal
+            });
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? 'timeout' : 'unreachable';
+            const text = reason === 'timeout'
+                ? 'Le restaurant met trop de temps à répondre.'
+                : 'Impossible de joindre le restaurant. Vérifiez votre connexion.';
+            throw new ContactSubmissionError(text, { offline: true, reason });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        const data = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            const text = data?.error || `Le message a été refusé (erreur ${response.status}).`;
+            throw new ContactSubmissionError(text, {
+                status: response.status,
+                reason: data?.error ? null : 'rejected',
+                code: data?.code || null
+            });
+        }
+        if (!data || !data.id) {
+            throw new ContactSubmissionError('Réponse inattendue du restaurant.', { status: response.status, reason: 'unexpected' });
+        }
+
+        return data;
+    }
+
+    /**
+     * Demander un jeton de formulaire (heure d'affichage signée par le serveur)
+     * @returns {Promise<string>} Jeton à joindre au message (formToken)
+     * @throws {ContactSubmissionError} Si le restaurant ne répond pas
+     */
+    async fetchFormToken() {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.endpoint}/token`, { signal: controller.signal });
+            const data = response.ok ? await response.json() : null;
+            if (!data || typeof data.token !== 'string') {
+                throw new ContactSubmissionError(`Jeton de formulaire indisponible (erreur ${response.status}).`, { status: response.status });
+            }
+            return data.token;
+        } catch (error) {
+            if (error instanceof ContactSubmissionError) throw error;
+            throw new ContactSubmissionError('Impossible de joindre le restaurant. Vérifiez votre connexion.', { offline: true, reason: 'unreachable' });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Tables déjà réservées pour une date
+     * @param {string} dateKey - Date "AAAA-MM-JJ"
+     * @returns {Promise<Object[]>} Occupations ({tableId, start, end})
+     * @throws {ContactSubmissionError} Si le restaurant ne répond pas
+     */
+    async fetchReservations(dateKey) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(`${this.endpoint}/reservations/${encodeURIComponent(dateKey)}`, {
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new ContactSubmissionError(`Disponibilités indisponibles (erreur ${response.status}).`, { status: response.status });
+            }
+            const bookings = await response.json();
+            return Array.isArray(bookings) ? bookings : [];
+        } catch (error) {
+            if (error instanceof ContactSubmissionError) throw error;
+            throw new ContactSubmissionError('Impossible de joindre le restaurant. Vérifiez votre connexion.', { offline: true, reason: 'unreachable' });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+/**
+ * CLASSE ContactClient
+ * Envoie les messages via un transport et garde ceux qui n'ont pas pu partir
+ */
+class ContactClient {
+    /**
+     * @param {Object} transport - Objet avec une méthode send(message) (HttpContactTransport par défaut)
+     * @param {Object} config - Voir CONTACT_API_CONFIG
+     */
+    constructor(transport = null, config = CONTACT_API_CONFIG) {
+        this.config = { ...CONTACT_API_CONFIG, ...config };
+        this.transport = transport || new HttpContactTransport(this.config);
+        this.isFlushing = false;
+    }
+
+    /**
+     * Générer une clé d'idempotence unique pour un message
+     * @returns {string} Clé du message
+     */
+    createMessageKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `message-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Le navigateur se déclare-t-il hors ligne ?
+     * @returns {boolean} true si hors ligne
+     */
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    /**
+     * Envoyer un message, ou le mettre en attente si le restaurant est injoignable
+     * @param {Object} message - Message (messageKey ajoutée si absente)
+     * @param {Object} options - { queueOffline: false pour échouer plutôt que d'attendre la connexion }
+     * @returns {Promise<{status: string, receipt: Object|null}>} 'sent' ou 'queued'
+     * @throws {ContactSubmissionError} Si le serveur refuse le message (ou est injoignable sans file d'attente)
+     */
+    async submit(message, { queueOffline = true } = {}) {
+        const pending = { ...message, messageKey: message.messageKey || this.createMessageKey() };
+
+        if (!queueOffline) {
+            if (this.isOffline()) {
+                throw new ContactSubmissionError('Vous êtes hors ligne. Réessayez une fois la connexion revenue.', { offline: true, reason: 'offline' });
+            }
+            return { status: 'sent', receipt: await this.send(pending) };
+        }
+
+        if (!this.isOffline()) {
+            try {
+                const receipt = await this.send(pending);
+                return { status: 'sent', receipt };
+            } catch (error) {
+                // Erreur réseau : on garde le message ; un refus du serveur remonte au formulaire
+                if (error instanceof ContactSubmissionError && !error.offline) {
+                    throw error;
+                }
+            }
+        }
+
+        if (!this.enqueue(pending)) {
+            throw new ContactSubmissionError('Impossible de joindre le restaurant. Vérifiez votre connexion.', { offline: true, reason: 'unreachable' });
+        }
+        return { status: 'queued', receipt: null };
+    }
+
+    /**
+     * Renvoyer les messages en attente (au chargement et au retour de la connexion)
+     * Un message refusé par le serveur est abandonné ; une erreur réseau arrête la tentative.
+     * @returns {Promise<number>} Nombre de messages transmis
+     */
+    async flushQueue() {
+        if (this.isFlushing || this.isOffline()) {
+            return 0;
+        }
+
+        this.isFlushing = true;
+        let sent = 0;
+
+        try {
+            for (const message of this.loadQueue()) {
+                try {
+                    await this.sendQueued(message);
+                    sent += 1;
+                } catch (error) {
+                    // Restaurant injoignable ou indisponible (408, 429, 5xx) : on réessaiera plus tard
+                    if (!(error instanceof ContactSubmissionError) || error.offline || this.isTemporary(error.status)) {
+                        break;
+                    }
+                    console.warn('⚠️ Message en attente refusé par le serveur, abandonné:', error.message);
+                }
+                this.removeFromQueue(message.messageKey);
+            }
+        } finally {
+            this.isFlushing = false;
+        }
+
+        if (sent) {
+            console.log(`✉️ ${sent} message(s) en attente transmis`);
+        }
+        return sent;
+    }
+
+    /**
+     * Transmettre un message avec son jeton de formulaire
+     * Sans jeton (formulaire affiché hors ligne), un jeton est demandé puis le message
+     * attend la durée minimale de saisie avant de partir.
+     * @param {Object} message - Message avec messageKey
+     * @returns {Promise<Object>} Accusé de réception du serveur
+     */
+    async send(message) {
+        if (message.formToken || typeof this.transport.fetchFormToken !== 'function') {
+            return this.transport.send(message);
+        }
+        const formToken = await this.transport.fetchFormToken();
+        await new Promise(resolve => setTimeout(resolve, this.config.minFillTime));
+        return this.transport.send({ ...message, formToken });
+    }
+
+    /**
+     * Transmettre un message de la file d'attente
+     * Le visiteur le croit déjà parti : si son jeton a expiré (message resté longtemps
+     * hors ligne, serveur redémarré), il est renvoyé avec un nouveau jeton plutôt qu'abandonné.
+     * @param {Object} message - Message en attente
+     * @returns {Promise<Object>} Accusé de réception du serveur
+     */
+    async sendQueued(message) {
+        try {
+            return await this.send(message);
+        } catch (error) {
+            if (!(error instanceof ContactSubmissionError) || error.code !== 'formTokenExpired'
+                || typeof this.transport.fetchFormToken !== 'function') {
+                throw error;
+            }
+            const { formToken, ...withoutToken } = message;
+            return this.send(withoutToken);
+        }
+    }
+
+    /**
+     * Jeton de formulaire à demander à l'affichage (null si indisponible : il sera demandé à l'envoi)
+     * @returns {Promise<string|null>} Jeton
+     */
+    async fetchFormToken() {
+        if (typeof this.transport.fetchFormToken !== 'function') {
+            return null;
+        }
+        try {
+            return await this.transport.fetchFormToken();
+        } catch (error) {
+            console.warn('⚠️ Jeton de formulaire indisponible:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Tables déjà réservées pour une date (vide si le transport ne sait pas les fournir)
+     * @param {string} dateKey - Date "AAAA-MM-JJ"
+     * @returns {Promise<Object[]>} Occupations ({tableId, start, end})
+     */
+    async fetchReservations(dateKey) {
+        if (typeof this.transport.fetchReservations !== 'function') {
+            return [];
+        }
+        return this.transport.fetchReservations(dateKey);
+    }
+
+    /**
+     * Refus temporaire du serveur (le message pourra être renvoyé tel quel)
+     * @param {number|null} status - Code HTTP
+     * @returns {boolean} true pour 408, 429 et 5xx
+     */
+    isTemporary(status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    /**
+     * Nombre de messages en attente
+     * @returns {number} Messages gardés dans le navigateur
+     */
+    getQueueSize() {
+        return this.loadQueue().length;
+    }
+
+    /**
+     * Ajouter un message à la file d'attente
+     * @param {Object} message - Message avec messageKey
+     * @returns {boolean} false si le navigateur n'a pas pu le garder
+     */
+    enqueue(message) {
+        const queue = this.loadQueue().filter(queued => queued.messageKey !== message.messageKey);
+        queue.push(message);
+        return this.saveQueue(queue.slice(-this.config.maxQueued));
+    }
+
+    /**
+     * Retirer un message de la file d'attente
+     * @param {string} messageKey - Clé du message
+     */
+    removeFromQueue(messageKey) {
+        this.saveQueue(this.loadQueue().filter(queued => queued.messageKey !== messageKey));
+    }
+
+    /**
+     * Lire la file d'attente
+     * Une version plus récente (autre onglet mis à jour) est ignorée sans être écrasée.
+     * @returns {Object[]} Messages en attente
+     */
+    loadQueue() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.config.queueKey) || 'null');
+            if (!stored || stored.version !== this.config.queueVersion || !Array.isArray(stored.messages)) {
+                return [];
+            }
+            return stored.messages.filter(message => message && typeof message.messageKey === 'string');
+        } catch (error) {
+            console.warn('⚠️ File des messages illisible:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Sauvegarder la file d'attente
+     * @param {Object[]} queue - Messages en attente
+     * @returns {boolean} true si la file est enregistrée
+     */
+    saveQueue(queue) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.config.queueKey) || 'null');
+            if (stored && stored.version > this.config.queueVersion) {
+                return false;
+            }
+            if (!queue.length) {
+                localStorage.removeItem(this.config.queueKey);
+            } else {
+                localStorage.setItem(this.config.queueKey, JSON.stringify({
+                    version: this.config.queueVersion,
+                    messages: queue
+                }));
+            }
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Impossible de garder le message en attente:', error);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * ========================================
+ * ZONES DE LIVRAISON - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Localités livrées autour du restaurant (1004 Lausanne),
+ * avec pour chaque zone un minimum de commande et des frais de livraison.
+ * Les localités servent aussi de table NPA → localité pour remplir la ville au checkout.
+ * Partagé entre le site (checkout) et le serveur de développement (contrôle des montants).
+ */
+
+'use strict';
+
+/**
+ * Zones de livraison, de la plus proche à la plus éloignée
+ * - localities : NPA et nom de la localité acceptés
+ * - minimumOrder : montant minimum des articles (CHF, hors frais)
+ * - fee : frais de livraison (CHF)
+ */
+const DELIVERY_ZONES = [
+    {
+        id: 'centre',
+        label: 'Lausanne centre',
+        minimumOrder: 15,
+        fee: 0,
+        localities: [
+            { postcode: '1003', city: 'Lausanne' },
+            { postcode: '1004', city: 'Lausanne' },
+            { postcode: '1005', city: 'Lausanne' },
+            { postcode: '1006', city: 'Lausanne' },
+            { postcode: '1007', city: 'Lausanne' }
+        ]
+    },
+    {
+        id: 'lausanne',
+        label: 'Lausanne périphérie',
+        minimumOrder: 20,
+        fee: 3,
+        localities: [
+            { postcode: '1010', city: 'Lausanne' },
+            { postcode: '1012', city: 'Lausanne' },
+            { postcode: '1018', city: 'Lausanne' },
+            { postcode: '1008', city: 'Prilly' }
+        ]
+    },
+    {
+        id: 'agglomeration',
+        label: 'Agglomération',
+        minimumOrder: 30,
+        fee: 5,
+        localities: [
+            { postcode: '1009', city: 'Pully' },
+            { postcode: '1020', city: 'Renens' },
+            { postcode: '1024', city: 'Ecublens' },
+            { postcode: '1052', city: 'Le Mont-sur-Lausanne' }
+        ]
+    }
+];
+
+/**
+ * NPA suisse : 4 chiffres, de 1000 à 9999
+ */
+const SWISS_POSTCODE_PATTERN = /^[1-9]\d{3}$/;
+
+/**
+ * Normaliser un nom de localité pour la comparaison (casse, accents, tirets)
+ * @param {string} city - Localité saisie
+ * @returns {string} Localité normalisée
+ */
+function normalizeCity(city) {
+    return String(city || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[-'\s]+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Trouver la zone de livraison d'un NPA
+ * @param {string} postcode - NPA (4 chiffres)
+ * @returns {Object|null} Zone
+ */
+function findDeliveryZone(postcode) {
+    const code = String(postcode || '').trim();
+    return DELIVERY_ZONES.find(zone => zone.localities.some(locality => locality.postcode === code)) || null;
+}
+
+/**
+ * Localités livrées pour un NPA (table locale de la zone de livraison)
+ * @param {string} postcode - NPA
+ * @returns {string[]} Noms des localités (vide si le NPA n'est pas livré)
+ */
+function getDeliveryCities(postcode) {
+    const code = String(postcode || '').trim();
+    return DELIVERY_ZONES.flatMap(zone => zone.localities)
+        .filter(locality => locality.postcode === code)
+        .map(locality => locality.city);
+}
+
+/**
+ * Vérifier que la localité correspond au NPA
+ * @param {string} postcode - NPA
+ * @param {string} city - Localité
+ * @returns {boolean} true si le couple NPA/localité est livré
+ */
+function isDeliveryLocality(postcode, city) {
+    const zone = findDeliveryZone(postcode);
+    if (!zone) {
+        return false;
+    }
+    const code = String(postcode).trim();
+    return zone.localities.some(locality => locality.postcode === code && normalizeCity(locality.city) === normalizeCity(city));
+}
+
+// Export pour Node (serveur de développement), ignoré dans le navigateur
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DELIVERY_ZONES,
+        SWISS_POSTCODE_PATTERN,
+        findDeliveryZone,
+        getDeliveryCities,
+        isDeliveryLocality
+    };
+}
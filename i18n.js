@@ -0,0 +1,1350 @@
+/**
+ * ========================================
+ * TRADUCTIONS DU SITE - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Textes de l'interface en français, anglais et allemand.
+ *
+ * - Catalogues à clés plates ("cart.empty") ; une clé absente dans une langue
+ *   retombe sur le français, puis sur `defaultValue` ou la clé elle-même
+ * - Interpolation : "Panier, {count} articles" avec t('cart.toggle', { count: 3 })
+ * - Pluriels : un message { one, other } est choisi selon `count` (Intl.PluralRules)
+ * - Le choix du visiteur est gardé dans localStorage ; changer de langue recharge la page
+ *
+ * Les données partagées avec le serveur (catalogue, formules, statuts) restent en
+ * français : ce sont leurs identifiants qui sont traduits ici ("menu.item.kebab.name").
+ * Ce fichier doit être chargé juste après utils.js.
+ */
+
+'use strict';
+
+/**
+ * Langues proposées
+ * - locale : formats de dates et de nombres
+ */
+const I18N_CONFIG = {
+    storageKey: 'kebab_language',
+    defaultLanguage: 'fr',
+    languages: {
+        fr: { label: 'Français', locale: 'fr-CH' },
+        en: { label: 'English', locale: 'en-GB' },
+        de: { label: 'Deutsch', locale: 'de-CH' }
+    }
+};
+
+/**
+ * Catalogues de messages par langue
+ */
+const I18N_MESSAGES = {
+    fr: {
+        // Page, navigation et choix de la langue
+        'page.description': 'Le Kebab du Campus - Restaurant kebab pour étudiants. Découvrez nos délicieux kebabs, sandwiches et menus à prix étudiants.',
+        'page.title': 'Kebab du Coin - Restaurant',
+        'nav.toggle': 'Afficher la navigation',
+        'nav.home': 'Accueil',
+        'nav.menu': 'Menu',
+        'nav.cart': 'Panier',
+        'nav.contact': 'Contact',
+        'language.label': 'Langue',
+        'hero.title': 'Bienvenue au Kebab du Coin',
+        'hero.subtitle': 'Des saveurs authentiques',
+        'hero.description': 'Produits frais, préparation rapide et des prix adaptés à tous les budgets.',
+        'hero.cta': 'Découvrir le Menu',
+        'footer.text': 'Votre restaurant kebab de confiance près de chez vous. Des produits frais et de qualité depuis 2015.',
+        'footer.links': 'Liens rapides',
+        'footer.hours': 'Horaires',
+        'footer.follow': 'Suivez-nous',
+        'footer.rights': 'Tous droits réservés.',
+        'footer.note': 'Site créé à des fins de démonstration par Site-simple.ch',
+        'dialog.close': 'Fermer',
+        'scrollToTop': 'Retour en haut',
+
+        // Carte du menu, options pas à pas et filtres
+        'menu.title': 'Menu',
+        'menu.description': 'Découvrez notre sélection de plats préparés avec des ingrédients frais',
+        'menu.add': 'Ajouter',
+        'menu.addToCart': 'Ajouter au panier',
+        'menu.optionsHint': 'Sélectionnez vos options.',
+        'menu.allergens': 'Allergènes : {names}',
+        'menu.conflict.allergen': 'contient {name}',
+        'menu.conflict.diet': 'pas {name}',
+        'menu.options.missing': 'Veuillez sélectionner : {labels}.',
+        'menu.options.limit': { one: 'Vous pouvez sélectionner jusqu\'à {count} option.', other: 'Vous pouvez sélectionner jusqu\'à {count} options.' },
+        'menu.step.hint': 'Complétez chaque étape pour continuer.',
+        'menu.step.completeHint': 'Étapes terminées ! Cliquez sur "Ajouter au panier" pour confirmer.',
+        'menu.step.previous': 'Précédent',
+        'menu.step.validate': 'Valider',
+        'menu.step.next': 'Suivant',
+        'menu.step.required': 'Merci de compléter cette étape.',
+        'menu.step.done': 'Étape validée',
+        'filters.all': 'Tout',
+        'filters.search': 'Rechercher',
+        'filters.search.placeholder': 'Kebab, falafels, samouraï...',
+        'filters.categories': 'Catégories',
+        'filters.diets': 'Régime alimentaire',
+        'filters.diets.label': 'Régime :',
+        'filters.allergens': 'Allergènes à éviter',
+        'filters.allergens.label': 'Sans :',
+        'filters.hideUnavailable': 'Masquer les articles non compatibles',
+        'filters.reset': 'Réinitialiser',
+        'filters.match': '🔎 Au choix : {options}',
+        'filters.status.none': 'Aucun article ne correspond à votre recherche.',
+        'filters.status.count': { one: '{count} article affiché.', other: '{count} articles affichés.' },
+
+        // Panier, favoris et codes promo
+        'cart.title': '🛒 Mon Panier',
+        'cart.empty': 'Votre panier est vide',
+        'promo.label': 'Code promo',
+        'promo.apply': 'Appliquer',
+        'cart.deliveryFee': 'Livraison',
+        'cart.total': 'Total:',
+        'promo.error.unknown': 'Code promo inconnu.',
+        'promo.error.notYetValid': 'Ce code n\'est pas encore valable.',
+        'promo.error.expired': 'Ce code a expiré.',
+        'promo.error.used': 'Ce code a déjà été utilisé.',
+        'promo.error.minimum': 'Ce code demande {minimum} d\'achats minimum.',
+        'promo.error.noEligibleItems': 'Aucun article du panier n\'est concerné par ce code.',
+        'cart.feedback.edited': 'Modifié !',
+        'cart.edit.cancel': 'Annuler la modification',
+        'cart.edit.save': 'Enregistrer les modifications',
+        'reorder.unavailable': ' — plus disponible',
+        'reorder.removeFavorite': 'Retirer {name} des favoris',
+        'reorder.orderNumber': 'Commande n°{number} du {date}',
+        'reorder.order': 'Commande du {date}',
+        'reorder.again': 'Commander à nouveau',
+        'reorder.favorites': '⭐ Mes favoris',
+        'reorder.title': '🔁 Commander à nouveau',
+        'reorder.someUnavailable': '⚠️ Plus au menu (ou options modifiées) : {names}.',
+        'reorder.added': '✅ Ajouté au panier aux prix actuels.',
+        'cart.favorite.remove': 'Retirer des favoris',
+        'cart.favorite.add': 'Ajouter aux favoris',
+        'cart.favorite': 'Favori',
+        'cart.edit.label': 'Modifier les options de {name}',
+        'cart.edit': 'Modifier',
+        'cart.note.edit': 'Modifier la note',
+        'cart.note.add': 'Ajouter une note',
+        'cart.note.label': 'Note pour {name}',
+        'cart.note.placeholder': 'Ex : sans oignons, allergie sésame',
+        'cart.unitPrice': '{price} chacun',
+        'cart.rounding': 'Arrondi (paiement en espèces)',
+        'promo.remove': 'Retirer le code {code}',
+        'promo.applied': 'Code {code} appliqué : {label}.',
+        'cart.feedback.added': 'Ajouté !',
+        'cart.notice.expired': 'Votre panier précédent a expiré, il a été vidé.',
+        'cart.notice.unknownItem': 'article inconnu',
+        'cart.notice.removed': 'Retiré du panier (article ou option plus proposé) : {names}.',
+        'cart.notice.repriced': 'Prix mis à jour : {names}.',
+        'cart.toggle': { one: 'Panier, {count} article', other: 'Panier, {count} articles' },
+
+        // Livraison
+        'delivery.fee': 'Livraison ({zone})',
+        'delivery.zoneInfo': 'Zone {zone} : minimum {minimum}, livraison {fee}.',
+        'delivery.zoneInfo.free': 'Zone {zone} : minimum {minimum}, livraison offerte.',
+        'delivery.outOfZone': 'Désolé, nous ne livrons pas au {postcode}. Vous pouvez commander à emporter.',
+        'delivery.free': 'Offerte',
+
+        // Commande et profil client
+        'checkout.mode': 'Mode de commande',
+        'checkout.mode.delivery': '🛵 Livraison',
+        'checkout.mode.pickup': '🏪 À emporter',
+        'checkout.lastName': 'Nom',
+        'checkout.lastName.placeholder': 'Votre nom',
+        'checkout.firstName': 'Prénom',
+        'checkout.firstName.placeholder': 'Votre prénom',
+        'checkout.savedAddress': 'Adresse enregistrée',
+        'checkout.savedAddress.new': 'Nouvelle adresse',
+        'checkout.address': 'Adresse',
+        'checkout.address.placeholder': 'Rue et numéro',
+        'checkout.postcode': 'NPA',
+        'checkout.city': 'Ville',
+        'checkout.city.placeholder': 'Votre ville',
+        'checkout.phone': 'Téléphone',
+        'checkout.timeSlot': 'Créneau',
+        'checkout.timeSlot.asap': 'Dès que possible',
+        'checkout.payment': 'Méthode de paiement',
+        'checkout.payment.placeholder': 'Sélectionnez une option',
+        'checkout.payment.cash': 'Par cash',
+        'checkout.payment.card': 'Par carte',
+        'checkout.payment.twint': 'Par Twint',
+        'checkout.note': 'Note pour la commande',
+        'checkout.note.placeholder': 'Code de porte, étage, allergie...',
+        'profile.remember': 'Se souvenir de moi sur cet appareil',
+        'profile.addressLabel': 'Nom de cette adresse',
+        'profile.addressLabel.placeholder': 'Maison, Campus...',
+        'profile.info': 'Nom, téléphone, adresses et paiement préféré restent dans ce navigateur.',
+        'profile.forget': 'Oublier mes données',
+        'checkout.submit': 'Commander Maintenant',
+        'checkout.error.postcodeFormat': 'Veuillez entrer un NPA suisse à 4 chiffres (ex: 1004)',
+        'checkout.error.postcode': 'Ce NPA n\'est pas dans nos zones de livraison',
+        'checkout.error.city': 'La localité ne correspond pas au NPA',
+        'checkout.error.timeSlot': 'Ce créneau n\'est pas disponible, choisissez-en un autre',
+        'checkout.error.paymentMethod': 'Veuillez choisir une méthode de paiement',
+        'checkout.savedAddress.outOfZone': ' — hors zone de livraison',
+        'profile.forgotten': 'Vos données ont été effacées de cet appareil.',
+        'checkout.slot.asap': 'Dès que possible (~{minutes} min)',
+        'checkout.slot.placeholder': 'Choisissez un créneau',
+        'checkout.slot.none': 'Aucun créneau disponible',
+        'checkout.sending': 'Envoi de la commande...',
+        'checkout.empty.title': 'Votre panier est vide !',
+        'checkout.empty.text': 'Ajoutez vos plats depuis le menu avant de commander.',
+        'checkout.minimum.title': 'Désolé !',
+        'checkout.minimum.text': 'Nous ne livrons pas en dessous de {minimum} de commande (zone {zone}).',
+        'checkout.minimum.missing': 'Il manque {missing} : ajoutez un article ou choisissez la vente à emporter.',
+        'checkout.minimum.continue': 'Continuer mes achats',
+        'checkout.review.title': 'Vérifiez votre commande',
+        'checkout.review.confirm': 'Confirmer la commande',
+        'checkout.review.customer': 'Client',
+        'checkout.review.atRestaurant': 'Au restaurant',
+        'checkout.review.phone': 'Téléphone',
+        'checkout.review.slot': 'Créneau',
+        'checkout.review.payment': 'Paiement',
+        'checkout.review.note': 'Note',
+        'checkout.review.total': 'Total',
+        'checkout.review.details': 'Vos coordonnées',
+        'checkout.review.items': { one: 'Commande ({count} article)', other: 'Commande ({count} articles)' },
+        'checkout.errors.title': 'Quelques informations à corriger',
+        'checkout.errors.text': 'Veuillez remplir tous les champs correctement :',
+        'checkout.errors.fix': 'Corriger',
+        'checkout.sending.text': 'Merci de patienter, nous transmettons votre commande au restaurant.',
+        'checkout.failed.title': '😕 Commande non envoyée',
+        'checkout.failed.text': 'Votre panier a été conservé, vous pouvez réessayer.',
+        'checkout.failed.retry': 'Réessayer',
+        'checkout.sent.title': '✅ Commande envoyée !',
+        'checkout.sent.text': 'Merci {name}, votre commande n°{number} a bien été reçue.',
+        'checkout.sent.slot': 'Elle sera prête pour le créneau {slot}.',
+        'checkout.sent.total': 'Montant à régler : {total} ({payment}).',
+        'checkout.sent.track': 'Suivre ma commande',
+        'checkout.slot.asapShort': 'dès que possible',
+        'profile.address': 'Adresse',
+        'profile.address.numbered': 'Adresse {number}',
+
+        // Suivi de commande
+        'tracking.title': '📦 Suivi de commande',
+        'tracking.order': 'Votre commande',
+        'tracking.customer': 'Vos coordonnées',
+        'tracking.close': 'Fermer le suivi',
+        'tracking.connectionLost': 'Connexion au restaurant perdue, nouvel essai dans quelques secondes...',
+        'tracking.number': 'n°{number}',
+        'tracking.scheduled': 'Commande reçue ! Elle sera prête pour le créneau de {time}.',
+        'tracking.discount': 'réduction {amount}',
+        'tracking.deliveryFee': 'livraison {amount}',
+        'tracking.rounding': 'arrondi {amount}',
+        'tracking.total': 'Total : {total}',
+        'tracking.pickup': 'À emporter au restaurant',
+
+        // Contact et réservation de table
+        'contact.title': 'Contactez-nous',
+        'contact.description': 'Une question ? Une réservation ? N\'hésitez pas à nous contacter',
+        'contact.logo': 'Logo du Kebab du Coin',
+        'contact.address': 'Adresse',
+        'contact.country': 'Suisse',
+        'contact.phone': 'Téléphone',
+        'contact.email': 'Email',
+        'contact.hours': 'Horaires d\'ouverture',
+        'contact.form.title': 'Formulaire de Contact',
+        'contact.draft.restore': 'Restaurer',
+        'contact.draft.discard': 'Ignorer',
+        'contact.mode': 'Je souhaite',
+        'contact.mode.message': '✉️ Envoyer un message',
+        'contact.mode.reservation': '🍽️ Réserver une table',
+        'contact.name': 'Nom complet',
+        'contact.name.placeholder': 'Votre nom',
+        'contact.email.label': 'Email',
+        'contact.email.placeholder': 'votre.email@example.com',
+        'contact.phone.label': 'Téléphone',
+        'contact.subject': 'Sujet',
+        'contact.subject.placeholder': 'Sélectionnez un sujet',
+        'contact.subject.info': 'Demande d\'informations',
+        'contact.subject.suggestion': 'Suggestion',
+        'contact.subject.other': 'Autre',
+        'reservation.legend': 'Votre réservation',
+        'reservation.date': 'Date',
+        'reservation.date.placeholder': 'Choisissez une date',
+        'reservation.time': 'Heure d\'arrivée',
+        'reservation.time.noDate': 'Choisissez d\'abord une date',
+        'reservation.partySize': 'Personnes',
+        'reservation.seating': 'Placement',
+        'reservation.seating.any': 'Peu importe',
+        'reservation.seating.inside': 'En salle',
+        'reservation.seating.terrace': 'En terrasse',
+        'reservation.messageInfo': 'Le message est facultatif : allergies, chaise bébé, occasion spéciale...',
+        'contact.message': 'Message',
+        'contact.message.placeholder': 'Votre message...',
+        'contact.draft.option': 'Garder un brouillon de mon message sur cet appareil',
+        'contact.submit': 'Envoyer le message',
+        'contact.result.sent': '✓ Votre message a été envoyé avec succès ! Nous vous répondrons dans les plus brefs délais.',
+        'contact.result.queued': '📨 Vous êtes hors ligne : votre message est gardé sur cet appareil et partira dès le retour de la connexion.',
+        'contact.result.flushed': '✓ Votre message en attente a bien été envoyé.',
+        'contact.result.tooFast': 'Vous avez rempli le formulaire très vite. Relisez votre message puis envoyez-le à nouveau.',
+        'reservation.error.date': 'Veuillez choisir une date',
+        'reservation.error.closedDay': 'Cette date n\'est plus proposée, choisissez-en une autre',
+        'reservation.error.time': 'Veuillez choisir une heure d\'arrivée',
+        'reservation.error.hours': 'Cet horaire n\'est plus proposé (heures d\'ouverture)',
+        'reservation.error.full': 'Complet à cette heure pour ce groupe, choisissez un autre horaire',
+        'reservation.error.partySize': 'Veuillez indiquer un nombre de personnes (1 ou plus)',
+        'reservation.error.tooMany.any': 'Nos tables accueillent jusqu\'à {count} personnes : appelez-nous pour un groupe plus grand',
+        'reservation.error.tooMany.inside': 'Nos tables en salle accueillent jusqu\'à {count} personnes : appelez-nous pour un groupe plus grand',
+        'reservation.error.tooMany.terrace': 'Nos tables en terrasse accueillent jusqu\'à {count} personnes : appelez-nous pour un groupe plus grand',
+        'slot.full': '{time} (complet)',
+        'reservation.time.placeholder': 'Choisissez une heure',
+        'reservation.availability.dayFull': 'Complet ce jour-là pour ce groupe : essayez une autre date ou un autre placement.',
+        'reservation.availability.someFull': { one: '{count} horaire complet ce jour-là pour ce groupe.', other: '{count} horaires complets ce jour-là pour ce groupe.' },
+        'reservation.summary.title': '✓ Table réservée !',
+        'reservation.summary.when': '{day} à {time}',
+        'reservation.summary.people': { one: '{count} personne', other: '{count} personnes' },
+        'reservation.summary.name': 'Au nom de',
+        'reservation.summary.reference': 'Référence',
+        'reservation.summary.note': 'Un empêchement ? Appelez-nous au +41 79 123 45 67 pour libérer la table.',
+        'contact.draft.notice': 'Un message non envoyé du {date} a été gardé sur cet appareil.',
+        'contact.sending': 'Envoi en cours...',
+
+        // Horaires d'ouverture
+        'hours.checkoutClosed': '🌙 Nous sommes fermés : choisissez un créneau à partir de {day} {time}.',
+        'hours.checkoutSuspended': '😴 Nous sommes fermés, les commandes sont suspendues pour le moment.',
+        'hours.timeSeparator': 'h',
+        'hours.today': 'aujourd\'hui',
+        'hours.tomorrow': 'demain',
+        'hours.closed': 'Fermé',
+        'hours.openUntil': 'Ouvert · ferme à {time}',
+        'hours.opensAt': 'Fermé · ouvre {day} à {time}',
+        'hours.closedOn': '{day} : fermé',
+        'hours.openOn': '{day} : {hours}',
+
+        // Erreurs de saisie et d'envoi
+        'error.required': 'Ce champ est obligatoire',
+        'error.invalidEmail': 'Veuillez entrer une adresse email valide',
+        'error.invalidPhone': 'Veuillez entrer un numéro suisse (ex: 078 123 45 67 ou +41 78 123 45 67)',
+        'error.invalidName': 'Veuillez entrer un nom valide',
+        'error.invalidSubject': 'Veuillez sélectionner un sujet',
+        'error.shortMessage': 'Le message doit contenir au moins 10 caractères',
+        'network.timeout': 'Le restaurant met trop de temps à répondre.',
+        'network.unreachable': 'Impossible de joindre le restaurant. Vérifiez votre connexion.',
+        'network.offline': 'Vous êtes hors ligne. Réessayez une fois la connexion revenue.',
+        'network.unexpected': 'Réponse inattendue du restaurant.',
+        'network.rejected': 'Le message a été refusé (erreur {status}).',
+        'network.refused': 'Le restaurant a refusé la demande (erreur {status}).'
+    },
+    en: {
+        // Page, navigation et choix de la langue
+        'page.description': 'Le Kebab du Campus - kebab restaurant for students. Discover our delicious kebabs, sandwiches and menus at student prices.',
+        'page.title': 'Kebab du Coin - Restaurant',
+        'nav.toggle': 'Show navigation',
+        'nav.home': 'Home',
+        'nav.menu': 'Menu',
+        'nav.cart': 'Cart',
+        'nav.contact': 'Contact',
+        'language.label': 'Language',
+        'hero.title': 'Welcome to Kebab du Coin',
+        'hero.subtitle': 'Authentic flavours',
+        'hero.description': 'Fresh produce, quick preparation and prices for every budget.',
+        'hero.cta': 'Discover the Menu',
+        'footer.text': 'Your trusted local kebab restaurant. Fresh, quality produce since 2015.',
+        'footer.links': 'Quick links',
+        'footer.hours': 'Opening hours',
+        'footer.follow': 'Follow us',
+        'footer.rights': 'All rights reserved.',
+        'footer.note': 'Website created for demonstration purposes by Site-simple.ch',
+        'dialog.close': 'Close',
+        'scrollToTop': 'Back to top',
+
+        // Carte du menu, options pas à pas et filtres
+        'menu.title': 'Menu',
+        'menu.description': 'Discover our selection of dishes made with fresh ingredients',
+        'menu.add': 'Add',
+        'menu.addToCart': 'Add to cart',
+        'menu.optionsHint': 'Select your options.',
+        'menu.allergens': 'Allergens: {names}',
+        'menu.conflict.allergen': 'contains {name}',
+        'menu.conflict.diet': 'not {name}',
+        'menu.options.missing': 'Please select: {labels}.',
+        'menu.options.limit': { one: 'You can select up to {count} option.', other: 'You can select up to {count} options.' },
+        'menu.step.hint': 'Complete each step to continue.',
+        'menu.step.completeHint': 'All steps done! Click "Add to cart" to confirm.',
+        'menu.step.previous': 'Previous',
+        'menu.step.validate': 'Confirm',
+        'menu.step.next': 'Next',
+        'menu.step.required': 'Please complete this step.',
+        'menu.step.done': 'Step confirmed',
+        'filters.all': 'All',
+        'filters.search': 'Search',
+        'filters.search.placeholder': 'Kebab, falafel, samurai...',
+        'filters.categories': 'Categories',
+        'filters.diets': 'Diet',
+        'filters.diets.label': 'Diet:',
+        'filters.allergens': 'Allergens to avoid',
+        'filters.allergens.label': 'Without:',
+        'filters.hideUnavailable': 'Hide unsuitable items',
+        'filters.reset': 'Reset',
+        'filters.match': '🔎 Available with: {options}',
+        'filters.status.none': 'No item matches your search.',
+        'filters.status.count': { one: '{count} item shown.', other: '{count} items shown.' },
+
+        // Panier, favoris et codes promo
+        'cart.title': '🛒 My Cart',
+        'cart.empty': 'Your cart is empty',
+        'promo.label': 'Promo code',
+        'promo.apply': 'Apply',
+        'cart.deliveryFee': 'Delivery',
+        'cart.total': 'Total:',
+        'promo.error.unknown': 'Unknown promo code.',
+        'promo.error.notYetValid': 'This code is not valid yet.',
+        'promo.error.expired': 'This code has expired.',
+        'promo.error.used': 'This code has already been used.',
+        'promo.error.minimum': 'This code requires a minimum purchase of {minimum}.',
+        'promo.error.noEligibleItems': 'No item in the cart qualifies for this code.',
+        'cart.feedback.edited': 'Updated!',
+        'cart.edit.cancel': 'Cancel changes',
+        'cart.edit.save': 'Save changes',
+        'reorder.unavailable': ' — no longer available',
+        'reorder.removeFavorite': 'Remove {name} from favourites',
+        'reorder.orderNumber': 'Order no. {number} of {date}',
+        'reorder.order': 'Order of {date}',
+        'reorder.again': 'Order again',
+        'reorder.favorites': '⭐ My favourites',
+        'reorder.title': '🔁 Order again',
+        'reorder.someUnavailable': '⚠️ No longer on the menu (or options changed): {names}.',
+        'reorder.added': '✅ Added to the cart at current prices.',
+        'cart.favorite.remove': 'Remove from favourites',
+        'cart.favorite.add': 'Add to favourites',
+        'cart.favorite': 'Favourite',
+        'cart.edit.label': 'Edit the options of {name}',
+        'cart.edit': 'Edit',
+        'cart.note.edit': 'Edit note',
+        'cart.note.add': 'Add a note',
+        'cart.note.label': 'Note for {name}',
+        'cart.note.placeholder': 'E.g. no onions, sesame allergy',
+        'cart.unitPrice': '{price} each',
+        'cart.rounding': 'Rounding (cash payment)',
+        'promo.remove': 'Remove code {code}',
+        'promo.applied': 'Code {code} applied: {label}.',
+        'cart.feedback.added': 'Added!',
+        'cart.notice.expired': 'Your previous cart has expired and was emptied.',
+        'cart.notice.unknownItem': 'unknown item',
+        'cart.notice.removed': 'Removed from the cart (item or option no longer offered): {names}.',
+        'cart.notice.repriced': 'Prices updated: {names}.',
+        'cart.toggle': { one: 'Cart, {count} item', other: 'Cart, {count} items' },
+
+        // Livraison
+        'delivery.fee': 'Delivery ({zone})',
+        'delivery.zoneInfo': '{zone} area: minimum {minimum}, delivery {fee}.',
+        'delivery.zoneInfo.free': '{zone} area: minimum {minimum}, free delivery.',
+        'delivery.outOfZone': 'Sorry, we do not deliver to {postcode}. You can order for takeaway.',
+        'delivery.free': 'Free',
+
+        // Commande et profil client
+        'checkout.mode': 'Order type',
+        'checkout.mode.delivery': '🛵 Delivery',
+        'checkout.mode.pickup': '🏪 Takeaway',
+        'checkout.lastName': 'Last name',
+        'checkout.lastName.placeholder': 'Your last name',
+        'checkout.firstName': 'First name',
+        'checkout.firstName.placeholder': 'Your first name',
+        'checkout.savedAddress': 'Saved address',
+        'checkout.savedAddress.new': 'New address',
+        'checkout.address': 'Address',
+        'checkout.address.placeholder': 'Street and number',
+        'checkout.postcode': 'Postcode',
+        'checkout.city': 'Town',
+        'checkout.city.placeholder': 'Your town',
+        'checkout.phone': 'Phone',
+        'checkout.timeSlot': 'Time slot',
+        'checkout.timeSlot.asap': 'As soon as possible',
+        'checkout.payment': 'Payment method',
+        'checkout.payment.placeholder': 'Select an option',
+        'checkout.payment.cash': 'Cash',
+        'checkout.payment.card': 'By card',
+        'checkout.payment.twint': 'By Twint',
+        'checkout.note': 'Note for the order',
+        'checkout.note.placeholder': 'Door code, floor, allergy...',
+        'profile.remember': 'Remember me on this device',
+        'profile.addressLabel': 'Name of this address',
+        'profile.addressLabel.placeholder': 'Home, Campus...',
+        'profile.info': 'Name, phone, addresses and preferred payment stay in this browser.',
+        'profile.forget': 'Forget my details',
+        'checkout.submit': 'Order Now',
+        'checkout.error.postcodeFormat': 'Please enter a 4-digit Swiss postcode (e.g. 1004)',
+        'checkout.error.postcode': 'This postcode is outside our delivery areas',
+        'checkout.error.city': 'The town does not match the postcode',
+        'checkout.error.timeSlot': 'This time slot is not available, please choose another one',
+        'checkout.error.paymentMethod': 'Please choose a payment method',
+        'checkout.savedAddress.outOfZone': ' — outside delivery area',
+        'profile.forgotten': 'Your details have been erased from this device.',
+        'checkout.slot.asap': 'As soon as possible (~{minutes} min)',
+        'checkout.slot.placeholder': 'Choose a time slot',
+        'checkout.slot.none': 'No time slot available',
+        'checkout.sending': 'Sending order...',
+        'checkout.empty.title': 'Your cart is empty!',
+        'checkout.empty.text': 'Add dishes from the menu before ordering.',
+        'checkout.minimum.title': 'Sorry!',
+        'checkout.minimum.text': 'We do not deliver orders under {minimum} ({zone} area).',
+        'checkout.minimum.missing': '{missing} to go: add an item or choose takeaway.',
+        'checkout.minimum.continue': 'Continue shopping',
+        'checkout.review.title': 'Check your order',
+        'checkout.review.confirm': 'Confirm order',
+        'checkout.review.customer': 'Customer',
+        'checkout.review.atRestaurant': 'At the restaurant',
+        'checkout.review.phone': 'Phone',
+        'checkout.review.slot': 'Time slot',
+        'checkout.review.payment': 'Payment',
+        'checkout.review.note': 'Note',
+        'checkout.review.total': 'Total',
+        'checkout.review.details': 'Your details',
+        'checkout.review.items': { one: 'Order ({count} item)', other: 'Order ({count} items)' },
+        'checkout.errors.title': 'A few details to correct',
+        'checkout.errors.text': 'Please fill in all fields correctly:',
+        'checkout.errors.fix': 'Correct',
+        'checkout.sending.text': 'Please wait, we are sending your order to the restaurant.',
+        'checkout.failed.title': '😕 Order not sent',
+        'checkout.failed.text': 'Your cart has been kept, you can try again.',
+        'checkout.failed.retry': 'Try again',
+        'checkout.sent.title': '✅ Order sent!',
+        'checkout.sent.text': 'Thank you {name}, your order no. {number} has been received.',
+        'checkout.sent.slot': 'It will be ready for your time slot: {slot}.',
+        'checkout.sent.total': 'Amount due: {total} ({payment}).',
+        'checkout.sent.track': 'Track my order',
+        'checkout.slot.asapShort': 'as soon as possible',
+        'profile.address': 'Address',
+        'profile.address.numbered': 'Address {number}',
+
+        // Suivi de commande
+        'tracking.title': '📦 Order tracking',
+        'tracking.order': 'Your order',
+        'tracking.customer': 'Your details',
+        'tracking.close': 'Close tracking',
+        'tracking.connectionLost': 'Connection to the restaurant lost, retrying in a few seconds...',
+        'tracking.number': 'no. {number}',
+        'tracking.scheduled': 'Order received! It will be ready for your time slot: {time}.',
+        'tracking.discount': 'discount {amount}',
+        'tracking.deliveryFee': 'delivery {amount}',
+        'tracking.rounding': 'rounding {amount}',
+        'tracking.total': 'Total: {total}',
+        'tracking.pickup': 'Takeaway from the restaurant',
+
+        // Contact et réservation de table
+        'contact.title': 'Contact us',
+        'contact.description': 'A question? A booking? Don\'t hesitate to get in touch',
+        'contact.logo': 'Kebab du Coin logo',
+        'contact.address': 'Address',
+        'contact.country': 'Switzerland',
+        'contact.phone': 'Phone',
+        'contact.email': 'Email',
+        'contact.hours': 'Opening hours',
+        'contact.form.title': 'Contact Form',
+        'contact.draft.restore': 'Restore',
+        'contact.draft.discard': 'Discard',
+        'contact.mode': 'I would like to',
+        'contact.mode.message': '✉️ Send a message',
+        'contact.mode.reservation': '🍽️ Book a table',
+        'contact.name': 'Full name',
+        'contact.name.placeholder': 'Your name',
+        'contact.email.label': 'Email',
+        'contact.email.placeholder': 'your.email@example.com',
+        'contact.phone.label': 'Phone',
+        'contact.subject': 'Subject',
+        'contact.subject.placeholder': 'Select a subject',
+        'contact.subject.info': 'Request for information',
+        'contact.subject.suggestion': 'Suggestion',
+        'contact.subject.other': 'Other',
+        'reservation.legend': 'Your booking',
+        'reservation.date': 'Date',
+        'reservation.date.placeholder': 'Choose a date',
+        'reservation.time': 'Arrival time',
+        'reservation.time.noDate': 'Choose a date first',
+        'reservation.partySize': 'People',
+        'reservation.seating': 'Seating',
+        'reservation.seating.any': 'No preference',
+        'reservation.seating.inside': 'Inside',
+        'reservation.seating.terrace': 'On the terrace',
+        'reservation.messageInfo': 'The message is optional: allergies, high chair, special occasion...',
+        'contact.message': 'Message',
+        'contact.message.placeholder': 'Your message...',
+        'contact.draft.option': 'Keep a draft of my message on this device',
+        'contact.submit': 'Send message',
+        'contact.result.sent': '✓ Your message has been sent! We will get back to you as soon as possible.',
+        'contact.result.queued': '📨 You are offline: your message is kept on this device and will be sent as soon as you are back online.',
+        'contact.result.flushed': '✓ Your pending message has been sent.',
+        'contact.result.tooFast': 'You filled in the form very quickly. Check your message, then send it again.',
+        'reservation.error.date': 'Please choose a date',
+        'reservation.error.closedDay': 'This date is no longer available, please choose another one',
+        'reservation.error.time': 'Please choose an arrival time',
+        'reservation.error.hours': 'This time is no longer available (opening hours)',
+        'reservation.error.full': 'Fully booked at this time for this group, please choose another time',
+        'reservation.error.partySize': 'Please enter a number of people (1 or more)',
+        'reservation.error.tooMany.any': 'Our tables seat up to {count} people: call us for a larger group',
+        'reservation.error.tooMany.inside': 'Our indoor tables seat up to {count} people: call us for a larger group',
+        'reservation.error.tooMany.terrace': 'Our terrace tables seat up to {count} people: call us for a larger group',
+        'slot.full': '{time} (full)',
+        'reservation.time.placeholder': 'Choose a time',
+        'reservation.availability.dayFull': 'Fully booked that day for this group: try another date or seating.',
+        'reservation.availability.someFull': { one: '{count} time fully booked that day for this group.', other: '{count} times fully booked that day for this group.' },
+        'reservation.summary.title': '✓ Table booked!',
+        'reservation.summary.when': '{day} at {time}',
+        'reservation.summary.people': { one: '{count} person', other: '{count} people' },
+        'reservation.summary.name': 'Name',
+        'reservation.summary.reference': 'Reference',
+        'reservation.summary.note': 'Can\'t make it? Call us on +41 79 123 45 67 to free the table.',
+        'contact.draft.notice': 'An unsent message from {date} was kept on this device.',
+        'contact.sending': 'Sending...',
+
+        // Horaires d'ouverture
+        'hours.checkoutClosed': '🌙 We are closed: choose a time slot from {day} {time}.',
+        'hours.checkoutSuspended': '😴 We are closed, orders are suspended for the time being.',
+        'hours.timeSeparator': ':',
+        'hours.today': 'today',
+        'hours.tomorrow': 'tomorrow',
+        'hours.closed': 'Closed',
+        'hours.openUntil': 'Open · closes at {time}',
+        'hours.opensAt': 'Closed · opens {day} at {time}',
+        'hours.closedOn': '{day}: closed',
+        'hours.openOn': '{day}: {hours}',
+
+        // Erreurs de saisie et d'envoi
+        'error.required': 'This field is required',
+        'error.invalidEmail': 'Please enter a valid email address',
+        'error.invalidPhone': 'Please enter a Swiss number (e.g. 078 123 45 67 or +41 78 123 45 67)',
+        'error.invalidName': 'Please enter a valid name',
+        'error.invalidSubject': 'Please select a subject',
+        'error.shortMessage': 'The message must be at least 10 characters long',
+        'network.timeout': 'The restaurant is taking too long to respond.',
+        'network.unreachable': 'Unable to reach the restaurant. Check your connection.',
+        'network.offline': 'You are offline. Try again once you are back online.',
+        'network.unexpected': 'Unexpected response from the restaurant.',
+        'network.rejected': 'The message was refused (error {status}).',
+        'network.refused': 'The restaurant refused the request (error {status}).',
+
+        // Paiement, modes de commande et statuts (libellés français dans order-model.js)
+        'payment.cash': 'Cash',
+        'payment.card': 'Bank card',
+        'payment.twint': 'Twint',
+        'fulfillment.delivery': 'Delivery',
+        'fulfillment.pickup': 'Takeaway',
+        'order.status.received.label': 'Received',
+        'order.status.received.message': 'Order received! It will be ready in 15-20 minutes.',
+        'order.status.preparing.label': 'Preparing',
+        'order.status.preparing.message': 'Your order is being prepared 🔥',
+        'order.status.ready.label': 'Ready',
+        'order.status.ready.message': 'Your order is ready!',
+        'order.status.delivered.label': 'Delivered',
+        'order.status.delivered.message': 'Order delivered. Enjoy your meal! 🥙',
+
+        // Zones de livraison et horaires (libellés français dans delivery-zones.js et opening-hours.js)
+        'delivery.zone.centre': 'Lausanne centre',
+        'delivery.zone.lausanne': 'Lausanne outskirts',
+        'delivery.zone.agglomeration': 'Greater Lausanne',
+        'hours.group.weekdays': 'Monday - Friday',
+        'hours.group.weekdays.short': 'Monday - Friday',
+        'hours.group.weekend': 'Saturday - Sunday',
+        'hours.group.weekend.short': 'Weekend',
+        'hours.exception.01-01': 'New Year\'s Day',
+        'hours.exception.08-01': 'Swiss National Day',
+        'hours.exception.12-25': 'Christmas',
+        'hours.exception.12-31': 'New Year\'s Eve',
+
+        // Catégories et articles du menu (textes français dans catalog.js)
+        'menu.category.kebab': '🥙 Our Kebabs',
+        'menu.category.sandwich': '🥪 Wraps & Sandwiches',
+        'menu.category.accompagnement': '🍟 Sides',
+        'menu.category.boisson': '🥤 Drinks',
+        'menu.category.dessert': '🍰 Desserts',
+        'menu.item.menu-kebab.name': 'Kebab meal',
+        'menu.item.menu-kebab.description': 'Kebab of your choice + 33cl can',
+        'menu.item.menu-kebab.badge': 'Popular',
+        'menu.item.menu-kebab.hint': 'Select a meat, at least one sauce, your drink and add your favourite vegetables.',
+        'menu.item.menu-kebab.hintError': 'Please choose a meat, a sauce and a drink before adding to the cart.',
+        'menu.item.kebab.name': 'Kebab',
+        'menu.item.kebab.description': 'Customise your kebab with your ingredients.',
+        'menu.item.kebab.hint': 'Select a meat, at least one sauce and add your favourite vegetables.',
+        'menu.item.kebab.hintError': 'Please choose a meat and at least one sauce before adding to the cart.',
+        'menu.item.tacos-3-viandes.name': '3-meat tacos',
+        'menu.item.tacos-3-viandes.description': 'Choice of 3 meats, fries, cheese, sauce of your choice',
+        'menu.item.tacos-3-viandes.hint': 'Select your meats, at least one sauce and add your favourite ingredients.',
+        'menu.item.tacos-3-viandes.hintError': 'Please choose your meats and at least one sauce before adding to the cart.',
+        'menu.item.wrap-poulet.name': 'Chicken wrap',
+        'menu.item.wrap-poulet.description': 'Grilled chicken, raw vegetables, curry sauce',
+        'menu.item.panini-chorizo.name': 'Chorizo panini',
+        'menu.item.panini-chorizo.description': 'Grilled chorizo, cheese, harissa',
+        'menu.item.frites.name': 'Fries',
+        'menu.item.nuggets-6.name': 'Nuggets (6 pcs)',
+        'menu.item.salade.name': 'Salad',
+        'menu.item.canette-33cl.name': '33cl can',
+        'menu.item.canette-33cl.description': 'Choose your favourite drink (33cl).',
+        'menu.item.canette-33cl.hint': 'Select your favourite drink.',
+        'menu.item.canette-33cl.hintError': 'Please choose a drink before adding to the cart.',
+        'menu.item.soda-50cl.name': '50cl soft drink',
+        'menu.item.soda-50cl.description': 'Choose your favourite drink (50cl).',
+        'menu.item.soda-50cl.hint': 'Select your favourite drink.',
+        'menu.item.soda-50cl.hintError': 'Please choose a drink before adding to the cart.',
+        'menu.item.ayran.name': 'Ayran yoghurt drink',
+        'menu.item.eau-minerale.name': 'Mineral water',
+        'menu.item.baklava.name': 'Baklava',
+        'menu.item.tiramisu.name': 'Tiramisu',
+        'menu.item.brownie.name': 'Brownie',
+
+        // Options du menu : groupes et valeurs ("menu.value.<valeur simplifiée>")
+        'menu.group.kebabMeat.label': 'Meat',
+        'menu.group.kebabMeat.prompt': 'Choose your meat:',
+        'menu.group.kebabMeat.errorMessage': 'Please select a meat.',
+        'menu.value.poulet': 'Chicken',
+        'menu.value.agneau': 'Lamb',
+        'menu.value.mixte-poulet-agneau': 'Mixed (chicken + lamb)',
+        'menu.value.vegetarien-falafels': 'Vegetarian (falafel)',
+        'menu.group.kebabSauce.label': 'Sauce',
+        'menu.group.kebabSauce.prompt': 'Choose up to two sauces:',
+        'menu.group.kebabSauce.errorMessage': 'Please select at least one sauce.',
+        'menu.group.kebabSauce.limitMessage': 'You can choose up to two sauces.',
+        'menu.value.blanche': 'White sauce',
+        'menu.value.andalouse': 'Andalouse',
+        'menu.value.samourai': 'Samurai',
+        'menu.value.barbecue': 'Barbecue',
+        'menu.value.harissa': 'Harissa',
+        'menu.group.kebabVegetables.label': 'Vegetables',
+        'menu.group.kebabVegetables.prompt': 'Add your vegetables:',
+        'menu.value.tout': 'Everything',
+        'menu.value.tout.label': 'All the vegetables',
+        'menu.value.salade': 'Lettuce',
+        'menu.value.tomates': 'Tomatoes',
+        'menu.value.oignons': 'Onions',
+        'menu.value.chou-rouge': 'Red cabbage',
+        'menu.value.concombre': 'Cucumber',
+        'menu.group.extras.label': 'Extras',
+        'menu.group.extras.prompt': 'Add extras:',
+        'menu.value.fromage': 'Cheese',
+        'menu.value.fromage.label': 'Extra cheese',
+        'menu.value.double-viande': 'Double meat',
+        'menu.group.menuDrink.label': '33cl drink',
+        'menu.group.menuDrink.prompt': 'Choose your 33cl can:',
+        'menu.group.menuDrink.errorMessage': 'Please select your drink.',
+        'menu.value.coca': 'Coke',
+        'menu.value.sprite': 'Sprite',
+        'menu.value.fanta': 'Fanta',
+        'menu.value.ice-tea-citron': 'Lemon Ice Tea',
+        'menu.value.ice-tea-peche': 'Peach Ice Tea',
+        'menu.value.oasis-tropical': 'Oasis Tropical',
+        'menu.value.oasis-fraise-framboise': 'Oasis Strawberry-Raspberry',
+        'menu.group.menuDrinkSize.label': 'Drink size',
+        'menu.group.menuDrinkSize.prompt': 'Fancy a bigger drink?',
+        'menu.value.50cl': '50cl',
+        'menu.value.50cl.label': 'Upgrade to 50cl',
+        'menu.group.tacosMeat.label': 'Meats',
+        'menu.group.tacosMeat.prompt': 'Choose up to three meats',
+        'menu.group.tacosMeat.errorMessage': 'Please select your meats.',
+        'menu.group.tacosMeat.limitMessage': 'You can choose up to three meats.',
+        'menu.value.cordon-bleu': 'Cordon bleu',
+        'menu.value.poulet-pane': 'Breaded chicken',
+        'menu.value.kefta': 'Kofta',
+        'menu.value.falafels': 'Falafel',
+        'menu.group.tacosSauce.label': 'Sauces',
+        'menu.group.tacosSauce.prompt': 'Choose up to two sauces',
+        'menu.group.tacosSauce.errorMessage': 'Please select at least one sauce.',
+        'menu.group.tacosSauce.limitMessage': 'You can choose up to two sauces.',
+        'menu.value.mayo': 'Mayo',
+        'menu.value.fromagere': 'Cheese sauce',
+        'menu.group.tacosVegetables.label': 'Vegetables',
+        'menu.group.tacosVegetables.prompt': 'Add your vegetables',
+        'menu.value.frites': 'Fries',
+        'menu.group.drink.label': 'Drink',
+        'menu.group.drink.prompt': 'Choose your drink',
+        'menu.group.drink.errorMessage': 'Please select a drink.',
+
+        // Allergènes et régimes
+        'menu.allergen.gluten': 'Gluten',
+        'menu.allergen.lactose': 'Lactose',
+        'menu.allergen.oeufs': 'Eggs',
+        'menu.allergen.fruitsACoque': 'Tree nuts',
+        'menu.allergen.sesame': 'Sesame',
+        'menu.allergen.moutarde': 'Mustard',
+        'menu.diet.vegetarien': 'Vegetarian',
+        'menu.diet.halal': 'Halal',
+        'menu.diet.sansPorc': 'Pork-free',
+
+        // Formules et codes promo (libellés français dans bundles.js et promotions.js)
+        'bundle.menu-complet': 'Full meal deal',
+        'bundle.formule-sandwich': 'Sandwich deal',
+        'bundle.kebab-boisson': 'Kebab + drink',
+        'promo.ETUDIANT10': 'Student discount',
+        'promo.CAMPUS5': '5 CHF off from 30 CHF',
+        'promo.BOISSONS20': '-20% on drinks',
+        'promo.DESSERT': 'A free dessert',
+        'promo.BIENVENUE': 'Welcome: -15%'
+    },
+    de: {
+        // Page, navigation et choix de la langue
+        'page.description': 'Le Kebab du Campus – Kebab-Restaurant für Studierende. Entdecken Sie unsere leckeren Kebabs, Sandwiches und Menüs zu Studentenpreisen.',
+        'page.title': 'Kebab du Coin - Restaurant',
+        'nav.toggle': 'Navigation anzeigen',
+        'nav.home': 'Startseite',
+        'nav.menu': 'Speisekarte',
+        'nav.cart': 'Warenkorb',
+        'nav.contact': 'Kontakt',
+        'language.label': 'Sprache',
+        'hero.title': 'Willkommen im Kebab du Coin',
+        'hero.subtitle': 'Authentische Aromen',
+        'hero.description': 'Frische Zutaten, schnelle Zubereitung und Preise für jedes Budget.',
+        'hero.cta': 'Speisekarte entdecken',
+        'footer.text': 'Ihr Kebab-Restaurant des Vertrauens in Ihrer Nähe. Frische Qualitätsprodukte seit 2015.',
+        'footer.links': 'Schnellzugriff',
+        'footer.hours': 'Öffnungszeiten',
+        'footer.follow': 'Folgen Sie uns',
+        'footer.rights': 'Alle Rechte vorbehalten.',
+        'footer.note': 'Website zu Demonstrationszwecken erstellt von Site-simple.ch',
+        'dialog.close': 'Schliessen',
+        'scrollToTop': 'Nach oben',
+
+        // Carte du menu, options pas à pas et filtres
+        'menu.title': 'Speisekarte',
+        'menu.description': 'Entdecken Sie unsere Gerichte, zubereitet mit frischen Zutaten',
+        'menu.add': 'Hinzufügen',
+        'menu.addToCart': 'In den Warenkorb',
+        'menu.optionsHint': 'Wählen Sie Ihre Optionen.',
+        'menu.allergens': 'Allergene: {names}',
+        'menu.conflict.allergen': 'enthält {name}',
+        'menu.conflict.diet': 'nicht {name}',
+        'menu.options.missing': 'Bitte wählen Sie: {labels}.',
+        'menu.options.limit': { one: 'Sie können bis zu {count} Option auswählen.', other: 'Sie können bis zu {count} Optionen auswählen.' },
+        'menu.step.hint': 'Schliessen Sie jeden Schritt ab, um fortzufahren.',
+        'menu.step.completeHint': 'Alle Schritte erledigt! Klicken Sie auf "In den Warenkorb", um zu bestätigen.',
+        'menu.step.previous': 'Zurück',
+        'menu.step.validate': 'Bestätigen',
+        'menu.step.next': 'Weiter',
+        'menu.step.required': 'Bitte schliessen Sie diesen Schritt ab.',
+        'menu.step.done': 'Schritt bestätigt',
+        'filters.all': 'Alle',
+        'filters.search': 'Suchen',
+        'filters.search.placeholder': 'Kebab, Falafel, Samurai...',
+        'filters.categories': 'Kategorien',
+        'filters.diets': 'Ernährungsweise',
+        'filters.diets.label': 'Ernährung:',
+        'filters.allergens': 'Zu vermeidende Allergene',
+        'filters.allergens.label': 'Ohne:',
+        'filters.hideUnavailable': 'Nicht passende Artikel ausblenden',
+        'filters.reset': 'Zurücksetzen',
+        'filters.match': '🔎 Wählbar: {options}',
+        'filters.status.none': 'Kein Artikel entspricht Ihrer Suche.',
+        'filters.status.count': { one: '{count} Artikel angezeigt.', other: '{count} Artikel angezeigt.' },
+
+        // Panier, favoris et codes promo
+        'cart.title': '🛒 Mein Warenkorb',
+        'cart.empty': 'Ihr Warenkorb ist leer',
+        'promo.label': 'Gutscheincode',
+        'promo.apply': 'Einlösen',
+        'cart.deliveryFee': 'Lieferung',
+        'cart.total': 'Total:',
+        'promo.error.unknown': 'Unbekannter Gutscheincode.',
+        'promo.error.notYetValid': 'Dieser Code ist noch nicht gültig.',
+        'promo.error.expired': 'Dieser Code ist abgelaufen.',
+        'promo.error.used': 'Dieser Code wurde bereits verwendet.',
+        'promo.error.minimum': 'Dieser Code erfordert einen Mindesteinkauf von {minimum}.',
+        'promo.error.noEligibleItems': 'Kein Artikel im Warenkorb ist für diesen Code berechtigt.',
+        'cart.feedback.edited': 'Geändert!',
+        'cart.edit.cancel': 'Änderung abbrechen',
+        'cart.edit.save': 'Änderungen speichern',
+        'reorder.unavailable': ' — nicht mehr erhältlich',
+        'reorder.removeFavorite': '{name} aus den Favoriten entfernen',
+        'reorder.orderNumber': 'Bestellung Nr. {number} vom {date}',
+        'reorder.order': 'Bestellung vom {date}',
+        'reorder.again': 'Erneut bestellen',
+        'reorder.favorites': '⭐ Meine Favoriten',
+        'reorder.title': '🔁 Erneut bestellen',
+        'reorder.someUnavailable': '⚠️ Nicht mehr auf der Karte (oder Optionen geändert): {names}.',
+        'reorder.added': '✅ Zu aktuellen Preisen in den Warenkorb gelegt.',
+        'cart.favorite.remove': 'Aus den Favoriten entfernen',
+        'cart.favorite.add': 'Zu den Favoriten hinzufügen',
+        'cart.favorite': 'Favorit',
+        'cart.edit.label': 'Optionen von {name} ändern',
+        'cart.edit': 'Ändern',
+        'cart.note.edit': 'Bemerkung ändern',
+        'cart.note.add': 'Bemerkung hinzufügen',
+        'cart.note.label': 'Bemerkung zu {name}',
+        'cart.note.placeholder': 'Z. B. ohne Zwiebeln, Sesamallergie',
+        'cart.unitPrice': '{price} pro Stück',
+        'cart.rounding': 'Rundung (Barzahlung)',
+        'promo.remove': 'Code {code} entfernen',
+        'promo.applied': 'Code {code} eingelöst: {label}.',
+        'cart.feedback.added': 'Hinzugefügt!',
+        'cart.notice.expired': 'Ihr vorheriger Warenkorb ist abgelaufen und wurde geleert.',
+        'cart.notice.unknownItem': 'unbekannter Artikel',
+        'cart.notice.removed': 'Aus dem Warenkorb entfernt (Artikel oder Option nicht mehr angeboten): {names}.',
+        'cart.notice.repriced': 'Preise aktualisiert: {names}.',
+        'cart.toggle': { one: 'Warenkorb, {count} Artikel', other: 'Warenkorb, {count} Artikel' },
+
+        // Livraison
+        'delivery.fee': 'Lieferung ({zone})',
+        'delivery.zoneInfo': 'Zone {zone}: Minimum {minimum}, Lieferung {fee}.',
+        'delivery.zoneInfo.free': 'Zone {zone}: Minimum {minimum}, Lieferung gratis.',
+        'delivery.outOfZone': 'Leider liefern wir nicht nach {postcode}. Sie können zum Mitnehmen bestellen.',
+        'delivery.free': 'Gratis',
+
+        // Commande et profil client
+        'checkout.mode': 'Bestellart',
+        'checkout.mode.delivery': '🛵 Lieferung',
+        'checkout.mode.pickup': '🏪 Zum Mitnehmen',
+        'checkout.lastName': 'Name',
+        'checkout.lastName.placeholder': 'Ihr Name',
+        'checkout.firstName': 'Vorname',
+        'checkout.firstName.placeholder': 'Ihr Vorname',
+        'checkout.savedAddress': 'Gespeicherte Adresse',
+        'checkout.savedAddress.new': 'Neue Adresse',
+        'checkout.address': 'Adresse',
+        'checkout.address.placeholder': 'Strasse und Nummer',
+        'checkout.postcode': 'PLZ',
+        'checkout.city': 'Ort',
+        'checkout.city.placeholder': 'Ihr Ort',
+        'checkout.phone': 'Telefon',
+        'checkout.timeSlot': 'Zeitfenster',
+        'checkout.timeSlot.asap': 'So bald wie möglich',
+        'checkout.payment': 'Zahlungsart',
+        'checkout.payment.placeholder': 'Option auswählen',
+        'checkout.payment.cash': 'Bar',
+        'checkout.payment.card': 'Mit Karte',
+        'checkout.payment.twint': 'Mit Twint',
+        'checkout.note': 'Bemerkung zur Bestellung',
+        'checkout.note.placeholder': 'Türcode, Stockwerk, Allergie...',
+        'profile.remember': 'Auf diesem Gerät angemeldet bleiben',
+        'profile.addressLabel': 'Name dieser Adresse',
+        'profile.addressLabel.placeholder': 'Zuhause, Campus...',
+        'profile.info': 'Name, Telefon, Adressen und bevorzugte Zahlungsart bleiben in diesem Browser.',
+        'profile.forget': 'Meine Daten löschen',
+        'checkout.submit': 'Jetzt bestellen',
+        'checkout.error.postcodeFormat': 'Bitte geben Sie eine vierstellige Schweizer PLZ ein (z. B. 1004)',
+        'checkout.error.postcode': 'Diese PLZ liegt nicht in unserem Liefergebiet',
+        'checkout.error.city': 'Der Ort passt nicht zur PLZ',
+        'checkout.error.timeSlot': 'Dieses Zeitfenster ist nicht verfügbar, bitte wählen Sie ein anderes',
+        'checkout.error.paymentMethod': 'Bitte wählen Sie eine Zahlungsart',
+        'checkout.savedAddress.outOfZone': ' — ausserhalb des Liefergebiets',
+        'profile.forgotten': 'Ihre Daten wurden von diesem Gerät gelöscht.',
+        'checkout.slot.asap': 'So bald wie möglich (~{minutes} Min.)',
+        'checkout.slot.placeholder': 'Zeitfenster wählen',
+        'checkout.slot.none': 'Kein Zeitfenster verfügbar',
+        'checkout.sending': 'Bestellung wird gesendet...',
+        'checkout.empty.title': 'Ihr Warenkorb ist leer!',
+        'checkout.empty.text': 'Fügen Sie Gerichte aus der Speisekarte hinzu, bevor Sie bestellen.',
+        'checkout.minimum.title': 'Leider!',
+        'checkout.minimum.text': 'Wir liefern erst ab einem Bestellwert von {minimum} (Zone {zone}).',
+        'checkout.minimum.missing': 'Es fehlen {missing}: Fügen Sie einen Artikel hinzu oder wählen Sie Abholung.',
+        'checkout.minimum.continue': 'Weiter einkaufen',
+        'checkout.review.title': 'Bestellung prüfen',
+        'checkout.review.confirm': 'Bestellung bestätigen',
+        'checkout.review.customer': 'Kunde',
+        'checkout.review.atRestaurant': 'Im Restaurant',
+        'checkout.review.phone': 'Telefon',
+        'checkout.review.slot': 'Zeitfenster',
+        'checkout.review.payment': 'Zahlung',
+        'checkout.review.note': 'Bemerkung',
+        'checkout.review.total': 'Total',
+        'checkout.review.details': 'Ihre Angaben',
+        'checkout.review.items': { one: 'Bestellung ({count} Artikel)', other: 'Bestellung ({count} Artikel)' },
+        'checkout.errors.title': 'Einige Angaben sind zu korrigieren',
+        'checkout.errors.text': 'Bitte füllen Sie alle Felder korrekt aus:',
+        'checkout.errors.fix': 'Korrigieren',
+        'checkout.sending.text': 'Bitte warten Sie, wir übermitteln Ihre Bestellung an das Restaurant.',
+        'checkout.failed.title': '😕 Bestellung nicht gesendet',
+        'checkout.failed.text': 'Ihr Warenkorb wurde behalten, Sie können es erneut versuchen.',
+        'checkout.failed.retry': 'Erneut versuchen',
+        'checkout.sent.title': '✅ Bestellung gesendet!',
+        'checkout.sent.text': 'Danke {name}, Ihre Bestellung Nr. {number} ist eingegangen.',
+        'checkout.sent.slot': 'Sie ist bereit für Ihr Zeitfenster: {slot}.',
+        'checkout.sent.total': 'Zu bezahlen: {total} ({payment}).',
+        'checkout.sent.track': 'Bestellung verfolgen',
+        'checkout.slot.asapShort': 'so bald wie möglich',
+        'profile.address': 'Adresse',
+        'profile.address.numbered': 'Adresse {number}',
+
+        // Suivi de commande
+        'tracking.title': '📦 Bestellverfolgung',
+        'tracking.order': 'Ihre Bestellung',
+        'tracking.customer': 'Ihre Angaben',
+        'tracking.close': 'Verfolgung schliessen',
+        'tracking.connectionLost': 'Verbindung zum Restaurant verloren, neuer Versuch in einigen Sekunden...',
+        'tracking.number': 'Nr. {number}',
+        'tracking.scheduled': 'Bestellung eingegangen! Sie ist bereit für Ihr Zeitfenster: {time}.',
+        'tracking.discount': 'Rabatt {amount}',
+        'tracking.deliveryFee': 'Lieferung {amount}',
+        'tracking.rounding': 'Rundung {amount}',
+        'tracking.total': 'Total: {total}',
+        'tracking.pickup': 'Abholung im Restaurant',
+
+        // Contact et réservation de table
+        'contact.title': 'Kontakt',
+        'contact.description': 'Eine Frage? Eine Reservierung? Kontaktieren Sie uns',
+        'contact.logo': 'Logo des Kebab du Coin',
+        'contact.address': 'Adresse',
+        'contact.country': 'Schweiz',
+        'contact.phone': 'Telefon',
+        'contact.email': 'E-Mail',
+        'contact.hours': 'Öffnungszeiten',
+        'contact.form.title': 'Kontaktformular',
+        'contact.draft.restore': 'Wiederherstellen',
+        'contact.draft.discard': 'Verwerfen',
+        'contact.mode': 'Ich möchte',
+        'contact.mode.message': '✉️ Eine Nachricht senden',
+        'contact.mode.reservation': '🍽️ Einen Tisch reservieren',
+        'contact.name': 'Vollständiger Name',
+        'contact.name.placeholder': 'Ihr Name',
+        'contact.email.label': 'E-Mail',
+        'contact.email.placeholder': 'ihre.email@example.com',
+        'contact.phone.label': 'Telefon',
+        'contact.subject': 'Betreff',
+        'contact.subject.placeholder': 'Betreff auswählen',
+        'contact.subject.info': 'Informationsanfrage',
+        'contact.subject.suggestion': 'Vorschlag',
+        'contact.subject.other': 'Anderes',
+        'reservation.legend': 'Ihre Reservierung',
+        'reservation.date': 'Datum',
+        'reservation.date.placeholder': 'Datum wählen',
+        'reservation.time': 'Ankunftszeit',
+        'reservation.time.noDate': 'Zuerst ein Datum wählen',
+        'reservation.partySize': 'Personen',
+        'reservation.seating': 'Platzierung',
+        'reservation.seating.any': 'Egal',
+        'reservation.seating.inside': 'Im Saal',
+        'reservation.seating.terrace': 'Auf der Terrasse',
+        'reservation.messageInfo': 'Die Nachricht ist freiwillig: Allergien, Kinderstuhl, besonderer Anlass...',
+        'contact.message': 'Nachricht',
+        'contact.message.placeholder': 'Ihre Nachricht...',
+        'contact.draft.option': 'Einen Entwurf meiner Nachricht auf diesem Gerät behalten',
+        'contact.submit': 'Nachricht senden',
+        'contact.result.sent': '✓ Ihre Nachricht wurde gesendet! Wir antworten Ihnen so schnell wie möglich.',
+        'contact.result.queued': '📨 Sie sind offline: Ihre Nachricht bleibt auf diesem Gerät und wird gesendet, sobald die Verbindung zurück ist.',
+        'contact.result.flushed': '✓ Ihre wartende Nachricht wurde gesendet.',
+        'contact.result.tooFast': 'Sie haben das Formular sehr schnell ausgefüllt. Lesen Sie Ihre Nachricht noch einmal und senden Sie sie erneut.',
+        'reservation.error.date': 'Bitte wählen Sie ein Datum',
+        'reservation.error.closedDay': 'Dieses Datum ist nicht mehr verfügbar, bitte wählen Sie ein anderes',
+        'reservation.error.time': 'Bitte wählen Sie eine Ankunftszeit',
+        'reservation.error.hours': 'Diese Uhrzeit ist nicht mehr verfügbar (Öffnungszeiten)',
+        'reservation.error.full': 'Zu dieser Zeit für diese Gruppe ausgebucht, bitte wählen Sie eine andere Uhrzeit',
+        'reservation.error.partySize': 'Bitte geben Sie eine Personenzahl an (1 oder mehr)',
+        'reservation.error.tooMany.any': 'Unsere Tische bieten Platz für bis zu {count} Personen: Rufen Sie uns für eine grössere Gruppe an',
+        'reservation.error.tooMany.inside': 'Unsere Tische im Saal bieten Platz für bis zu {count} Personen: Rufen Sie uns für eine grössere Gruppe an',
+        'reservation.error.tooMany.terrace': 'Unsere Tische auf der Terrasse bieten Platz für bis zu {count} Personen: Rufen Sie uns für eine grössere Gruppe an',
+        'slot.full': '{time} (ausgebucht)',
+        'reservation.time.placeholder': 'Uhrzeit wählen',
+        'reservation.availability.dayFull': 'An diesem Tag für diese Gruppe ausgebucht: Versuchen Sie ein anderes Datum oder eine andere Platzierung.',
+        'reservation.availability.someFull': { one: '{count} Uhrzeit an diesem Tag für diese Gruppe ausgebucht.', other: '{count} Uhrzeiten an diesem Tag für diese Gruppe ausgebucht.' },
+        'reservation.summary.title': '✓ Tisch reserviert!',
+        'reservation.summary.when': '{day} um {time}',
+        'reservation.summary.people': { one: '{count} Person', other: '{count} Personen' },
+        'reservation.summary.name': 'Auf den Namen',
+        'reservation.summary.reference': 'Referenz',
+        'reservation.summary.note': 'Verhindert? Rufen Sie uns unter +41 79 123 45 67 an, um den Tisch freizugeben.',
+        'contact.draft.notice': 'Eine nicht gesendete Nachricht vom {date} wurde auf diesem Gerät gespeichert.',
+        'contact.sending': 'Wird gesendet...',
+
+        // Horaires d'ouverture
+        'hours.checkoutClosed': '🌙 Wir sind geschlossen: Wählen Sie ein Zeitfenster ab {day} {time}.',
+        'hours.checkoutSuspended': '😴 Wir sind geschlossen, Bestellungen sind vorübergehend ausgesetzt.',
+        'hours.timeSeparator': ':',
+        'hours.today': 'heute',
+        'hours.tomorrow': 'morgen',
+        'hours.closed': 'Geschlossen',
+        'hours.openUntil': 'Geöffnet · schliesst um {time}',
+        'hours.opensAt': 'Geschlossen · öffnet {day} um {time}',
+        'hours.closedOn': '{day}: geschlossen',
+        'hours.openOn': '{day}: {hours}',
+
+        // Erreurs de saisie et d'envoi
+        'error.required': 'Dieses Feld ist erforderlich',
+        'error.invalidEmail': 'Bitte geben Sie eine gültige E-Mail-Adresse ein',
+        'error.invalidPhone': 'Bitte geben Sie eine Schweizer Nummer ein (z. B. 078 123 45 67 oder +41 78 123 45 67)',
+        'error.invalidName': 'Bitte geben Sie einen gültigen Namen ein',
+        'error.invalidSubject': 'Bitte wählen Sie einen Betreff',
+        'error.shortMessage': 'Die Nachricht muss mindestens 10 Zeichen lang sein',
+        'network.timeout': 'Das Restaurant antwortet zu langsam.',
+        'network.unreachable': 'Das Restaurant ist nicht erreichbar. Prüfen Sie Ihre Verbindung.',
+        'network.offline': 'Sie sind offline. Versuchen Sie es erneut, sobald die Verbindung zurück ist.',
+        'network.unexpected': 'Unerwartete Antwort des Restaurants.',
+        'network.rejected': 'Die Nachricht wurde abgelehnt (Fehler {status}).',
+        'network.refused': 'Das Restaurant hat die Anfrage abgelehnt (Fehler {status}).',
+
+        // Paiement, modes de commande et statuts (libellés français dans order-model.js)
+        'payment.cash': 'Bar',
+        'payment.card': 'Bankkarte',
+        'payment.twint': 'Twint',
+        'fulfillment.delivery': 'Lieferung',
+        'fulfillment.pickup': 'Zum Mitnehmen',
+        'order.status.received.label': 'Eingegangen',
+        'order.status.received.message': 'Bestellung eingegangen! Sie ist in 15-20 Minuten bereit.',
+        'order.status.preparing.label': 'In Zubereitung',
+        'order.status.preparing.message': 'Ihre Bestellung wird zubereitet 🔥',
+        'order.status.ready.label': 'Bereit',
+        'order.status.ready.message': 'Ihre Bestellung ist bereit!',
+        'order.status.delivered.label': 'Geliefert',
+        'order.status.delivered.message': 'Bestellung geliefert. En Guete! 🥙',
+
+        // Zones de livraison et horaires (libellés français dans delivery-zones.js et opening-hours.js)
+        'delivery.zone.centre': 'Lausanne Zentrum',
+        'delivery.zone.lausanne': 'Lausanne Umgebung',
+        'delivery.zone.agglomeration': 'Agglomeration',
+        'hours.group.weekdays': 'Montag - Freitag',
+        'hours.group.weekdays.short': 'Montag - Freitag',
+        'hours.group.weekend': 'Samstag - Sonntag',
+        'hours.group.weekend.short': 'Wochenende',
+        'hours.exception.01-01': 'Neujahr',
+        'hours.exception.08-01': 'Nationalfeiertag',
+        'hours.exception.12-25': 'Weihnachten',
+        'hours.exception.12-31': 'Silvester',
+
+        // Catégories et articles du menu (textes français dans catalog.js)
+        'menu.category.kebab': '🥙 Unsere Kebabs',
+        'menu.category.sandwich': '🥪 Wraps & Sandwiches',
+        'menu.category.accompagnement': '🍟 Beilagen',
+        'menu.category.boisson': '🥤 Getränke',
+        'menu.category.dessert': '🍰 Desserts',
+        'menu.item.menu-kebab.name': 'Kebab-Menü',
+        'menu.item.menu-kebab.description': 'Kebab nach Wahl + Dose 33cl',
+        'menu.item.menu-kebab.badge': 'Beliebt',
+        'menu.item.menu-kebab.hint': 'Wählen Sie ein Fleisch, mindestens eine Sauce, Ihr Getränk und Ihr Lieblingsgemüse.',
+        'menu.item.menu-kebab.hintError': 'Bitte wählen Sie ein Fleisch, eine Sauce und ein Getränk, bevor Sie es in den Warenkorb legen.',
+        'menu.item.kebab.name': 'Kebab',
+        'menu.item.kebab.description': 'Stellen Sie Ihren Kebab mit Ihren Zutaten zusammen.',
+        'menu.item.kebab.hint': 'Wählen Sie ein Fleisch, mindestens eine Sauce und Ihr Lieblingsgemüse.',
+        'menu.item.kebab.hintError': 'Bitte wählen Sie ein Fleisch und mindestens eine Sauce, bevor Sie es in den Warenkorb legen.',
+        'menu.item.tacos-3-viandes.name': 'Tacos mit 3 Fleischsorten',
+        'menu.item.tacos-3-viandes.description': '3 Fleischsorten nach Wahl, Pommes, Käse, Sauce nach Wahl',
+        'menu.item.tacos-3-viandes.hint': 'Wählen Sie Ihre Fleischsorten, mindestens eine Sauce und Ihre Lieblingszutaten.',
+        'menu.item.tacos-3-viandes.hintError': 'Bitte wählen Sie Ihre Fleischsorten und mindestens eine Sauce, bevor Sie es in den Warenkorb legen.',
+        'menu.item.wrap-poulet.name': 'Poulet-Wrap',
+        'menu.item.wrap-poulet.description': 'Grilliertes Poulet, Rohkost, Currysauce',
+        'menu.item.panini-chorizo.name': 'Panini Chorizo',
+        'menu.item.panini-chorizo.description': 'Grillierte Chorizo, Käse, Harissa',
+        'menu.item.frites.name': 'Pommes frites',
+        'menu.item.nuggets-6.name': 'Nuggets (6 Stk.)',
+        'menu.item.salade.name': 'Salat',
+        'menu.item.canette-33cl.name': 'Dose 33cl',
+        'menu.item.canette-33cl.description': 'Wählen Sie Ihr Lieblingsgetränk (33cl).',
+        'menu.item.canette-33cl.hint': 'Wählen Sie Ihr Lieblingsgetränk.',
+        'menu.item.canette-33cl.hintError': 'Bitte wählen Sie ein Getränk, bevor Sie es in den Warenkorb legen.',
+        'menu.item.soda-50cl.name': 'Softdrink 50cl',
+        'menu.item.soda-50cl.description': 'Wählen Sie Ihr Lieblingsgetränk (50cl).',
+        'menu.item.soda-50cl.hint': 'Wählen Sie Ihr Lieblingsgetränk.',
+        'menu.item.soda-50cl.hintError': 'Bitte wählen Sie ein Getränk, bevor Sie es in den Warenkorb legen.',
+        'menu.item.ayran.name': 'Joghurtgetränk Ayran',
+        'menu.item.eau-minerale.name': 'Mineralwasser',
+        'menu.item.baklava.name': 'Baklava',
+        'menu.item.tiramisu.name': 'Tiramisu',
+        'menu.item.brownie.name': 'Brownie',
+
+        // Options du menu : groupes et valeurs ("menu.value.<valeur simplifiée>")
+        'menu.group.kebabMeat.label': 'Fleisch',
+        'menu.group.kebabMeat.prompt': 'Wählen Sie Ihr Fleisch:',
+        'menu.group.kebabMeat.errorMessage': 'Bitte wählen Sie ein Fleisch.',
+        'menu.value.poulet': 'Poulet',
+        'menu.value.agneau': 'Lamm',
+        'menu.value.mixte-poulet-agneau': 'Gemischt (Poulet + Lamm)',
+        'menu.value.vegetarien-falafels': 'Vegetarisch (Falafel)',
+        'menu.group.kebabSauce.label': 'Sauce',
+        'menu.group.kebabSauce.prompt': 'Wählen Sie bis zu zwei Saucen:',
+        'menu.group.kebabSauce.errorMessage': 'Bitte wählen Sie mindestens eine Sauce.',
+        'menu.group.kebabSauce.limitMessage': 'Sie können bis zu zwei Saucen wählen.',
+        'menu.value.blanche': 'Weisse Sauce',
+        'menu.value.andalouse': 'Andalouse',
+        'menu.value.samourai': 'Samurai',
+        'menu.value.barbecue': 'Barbecue',
+        'menu.value.harissa': 'Harissa',
+        'menu.group.kebabVegetables.label': 'Gemüse',
+        'menu.group.kebabVegetables.prompt': 'Fügen Sie Ihr Gemüse hinzu:',
+        'menu.value.tout': 'Alles',
+        'menu.value.tout.label': 'Alles Gemüse',
+        'menu.value.salade': 'Salat',
+        'menu.value.tomates': 'Tomaten',
+        'menu.value.oignons': 'Zwiebeln',
+        'menu.value.chou-rouge': 'Rotkohl',
+        'menu.value.concombre': 'Gurke',
+        'menu.group.extras.label': 'Extras',
+        'menu.group.extras.prompt': 'Fügen Sie Extras hinzu:',
+        'menu.value.fromage': 'Käse',
+        'menu.value.fromage.label': 'Extra Käse',
+        'menu.value.double-viande': 'Doppelt Fleisch',
+        'menu.group.menuDrink.label': 'Getränk 33cl',
+        'menu.group.menuDrink.prompt': 'Wählen Sie Ihre Dose 33cl:',
+        'menu.group.menuDrink.errorMessage': 'Bitte wählen Sie Ihr Getränk.',
+        'menu.value.coca': 'Cola',
+        'menu.value.sprite': 'Sprite',
+        'menu.value.fanta': 'Fanta',
+        'menu.value.ice-tea-citron': 'Ice Tea Zitrone',
+        'menu.value.ice-tea-peche': 'Ice Tea Pfirsich',
+        'menu.value.oasis-tropical': 'Oasis Tropical',
+        'menu.value.oasis-fraise-framboise': 'Oasis Erdbeere-Himbeere',
+        'menu.group.menuDrinkSize.label': 'Getränkegrösse',
+        'menu.group.menuDrinkSize.prompt': 'Lust auf ein grösseres Getränk?',
+        'menu.value.50cl': '50cl',
+        'menu.value.50cl.label': 'Auf 50cl wechseln',
+        'menu.group.tacosMeat.label': 'Fleischsorten',
+        'menu.group.tacosMeat.prompt': 'Wählen Sie bis zu drei Fleischsorten',
+        'menu.group.tacosMeat.errorMessage': 'Bitte wählen Sie Ihre Fleischsorten.',
+        'menu.group.tacosMeat.limitMessage': 'Sie können bis zu drei Fleischsorten wählen.',
+        'menu.value.cordon-bleu': 'Cordon bleu',
+        'menu.value.poulet-pane': 'Paniertes Poulet',
+        'menu.value.kefta': 'Köfte',
+        'menu.value.falafels': 'Falafel',
+        'menu.group.tacosSauce.label': 'Saucen',
+        'menu.group.tacosSauce.prompt': 'Wählen Sie bis zu zwei Saucen',
+        'menu.group.tacosSauce.errorMessage': 'Bitte wählen Sie mindestens eine Sauce.',
+        'menu.group.tacosSauce.limitMessage': 'Sie können bis zu zwei Saucen wählen.',
+        'menu.value.mayo': 'Mayo',
+        'menu.value.fromagere': 'Käsesauce',
+        'menu.group.tacosVegetables.label': 'Gemüse',
+        'menu.group.tacosVegetables.prompt': 'Fügen Sie Ihr Gemüse hinzu',
+        'menu.value.frites': 'Pommes',
+        'menu.group.drink.label': 'Getränk',
+        'menu.group.drink.prompt': 'Wählen Sie Ihr Getränk',
+        'menu.group.drink.errorMessage': 'Bitte wählen Sie ein Getränk.',
+
+        // Allergènes et régimes
+        'menu.allergen.gluten': 'Gluten',
+        'menu.allergen.lactose': 'Laktose',
+        'menu.allergen.oeufs': 'Eier',
+        'menu.allergen.fruitsACoque': 'Schalenfrüchte',
+        'menu.allergen.sesame': 'Sesam',
+        'menu.allergen.moutarde': 'Senf',
+        'menu.diet.vegetarien': 'Vegetarisch',
+        'menu.diet.halal': 'Halal',
+        'menu.diet.sansPorc': 'Ohne Schweinefleisch',
+
+        // Formules et codes promo (libellés français dans bundles.js et promotions.js)
+        'bundle.menu-complet': 'Komplettes Menü',
+        'bundle.formule-sandwich': 'Sandwich-Menü',
+        'bundle.kebab-boisson': 'Kebab + Getränk',
+        'promo.ETUDIANT10': 'Studentenrabatt',
+        'promo.CAMPUS5': '5 CHF Rabatt ab 30 CHF',
+        'promo.BOISSONS20': '-20% auf Getränke',
+        'promo.DESSERT': 'Ein Dessert gratis',
+        'promo.BIENVENUE': 'Willkommen: -15%'
+    }
+};
+
+/**
+ * CLASSE Translator
+ * Choix de la langue et traduction des messages
+ */
+class Translator {
+    /**
+     * @param {Object} messages - Catalogues par langue (voir I18N_MESSAGES)
+     * @param {Object} config - Langues proposées (voir I18N_CONFIG)
+     */
+    constructor(messages = I18N_MESSAGES, config = I18N_CONFIG) {
+        this.messages = messages;
+        this.config = config;
+        this.language = this.detectLanguage();
+        this.pluralRules = new Intl.PluralRules(this.getLocale());
+    }
+
+    /**
+     * Langue du visiteur : choix enregistré, sinon langue du navigateur, sinon français
+     * @returns {string} Code de langue ("fr", "en", "de")
+     */
+    detectLanguage() {
+        try {
+            const stored = localStorage.getItem(this.config.storageKey);
+            if (stored && this.config.languages[stored]) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('⚠️ Langue enregistrée illisible:', error);
+        }
+
+        const preferred = typeof navigator !== 'undefined'
+            ? (navigator.languages || [navigator.language])
+            : [];
+        const match = preferred
+            .map(language => String(language || '').slice(0, 2).toLowerCase())
+            .find(language => this.config.languages[language]);
+        return match || this.config.defaultLanguage;
+    }
+
+    /**
+     * Locale de la langue courante (formats de dates et de nombres)
+     * @returns {string} Locale ("fr-CH", "en-GB", "de-CH")
+     */
+    getLocale() {
+        return this.config.languages[this.language].locale;
+    }
+
+    /**
+     * Enregistrer le choix du visiteur (pris en compte au prochain chargement)
+     * @param {string} language - Code de langue
+     * @returns {boolean} true si la langue a changé
+     */
+    setLanguage(language) {
+        if (!this.config.languages[language] || language === this.language) {
+            return false;
+        }
+        try {
+            localStorage.setItem(this.config.storageKey, language);
+        } catch (error) {
+            console.warn('⚠️ Impossible d\'enregistrer la langue:', error);
+        }
+        this.language = language;
+        return true;
+    }
+
+    /**
+     * La langue courante a-t-elle sa propre traduction pour cette clé ?
+     * @param {string} key - Clé du message
+     * @returns {boolean} true si traduit
+     */
+    has(key) {
+        return Object.prototype.hasOwnProperty.call(this.messages[this.language] || {}, key);
+    }
+
+    /**
+     * Traduire un message
+     * @param {string} key - Clé du message
+     * @param {Object} params - Valeurs à insérer ({name} dans le message) ;
+     *                          count choisit la forme du pluriel, defaultValue sert si la clé est inconnue
+     * @returns {string} Message traduit
+     */
+    t(key, params = {}) {
+        const source = [this.messages[this.language], this.messages[this.config.defaultLanguage]]
+            .map(catalog => catalog?.[key])
+            .find(message => message !== undefined);
+
+        let message = source ?? params.defaultValue ?? key;
+        if (message && typeof message === 'object') {
+            message = message[this.pluralRules.select(Number(params.count) || 0)] ?? message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => (
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+        ));
+    }
+
+    /**
+     * Traduire le HTML statique de la page
+     * - data-i18n="clé" : texte de l'élément
+     * - data-i18n-attr="placeholder:clé;aria-label:clé" : attributs
+     * @param {ParentNode} root - Racine à traduire
+     */
+    translatePage(root = document) {
+        if (root === document) {
+            document.documentElement.lang = this.language;
+        }
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) {
+                    element.setAttribute(attribute, this.t(key));
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Traducteur de la page (langue fixée pour tout le chargement)
+ */
+const i18n = new Translator();
+
+/**
+ * Raccourci de traduction
+ * @param {string} key - Clé du message
+ * @param {Object} params - Valeurs à insérer (voir Translator.t)
+ * @returns {string} Message traduit
+ */
+function t(key, params) {
+    return i18n.t(key, params);
+}
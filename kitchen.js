@@ -0,0 +1,238 @@
+/**
+ * ========================================
+ * ÉCRAN CUISINE - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Affiche les commandes reçues par ordre d'arrivée, une colonne par statut,
+ * et permet à l'équipe de les faire avancer :
+ * reçue → en préparation → prête → livrée
+ *
+ * Les commandes sont lues sur le serveur de commandes
+ * (en local : `node server/mock-server.js` puis http://localhost:3000/kitchen.html).
+ */
+
+'use strict';
+
+/**
+ * Réglages de l'écran cuisine
+ */
+const KITCHEN_CONFIG = {
+    pollInterval: 5000,     // Rafraîchissement automatique (ms)
+    deliveredLimit: 10      // Nombre de commandes livrées gardées à l'écran
+};
+
+const kitchenBoard = document.getElementById('kitchenBoard');
+const kitchenStatus = document.getElementById('kitchenStatus');
+
+/**
+ * CLASSE KitchenDisplay
+ * Tableau des commandes en cuisine
+ */
+class KitchenDisplay {
+    /**
+     * @param {HTMLElement} board - Conteneur des colonnes
+     * @param {OrderClient} orderClient - Client de l'API des commandes
+     */
+    constructor(board, orderClient) {
+        this.board = board;
+        this.orderClient = orderClient;
+        this.orders = [];
+        this.knownOrderIds = null;
+        this.newOrderIds = new Set();
+        this.pendingOrderIds = new Set();
+        this.init();
+    }
+
+    /**
+     * Initialisation : colonnes, événements et rafraîchissement périodique
+     */
+    init() {
+        this.board.innerHTML = ORDER_STATUS_FLOW.map(status => `
+            <section class="kitchen-column" data-status="${status}" aria-labelledby="kitchenColumn-${status}">
+                <h2 class="kitchen-column-title" id="kitchenColumn-${status}">
+                    ${escapeHtml(ORDER_STATUSES[status].label)}
+                    <span class="kitchen-column-count" data-count>0</span>
+                </h2>
+                <div class="kitchen-column-orders" data-orders></div>
+            </section>
+        `).join('');
+
+        // Délégation : un seul écouteur pour tous les boutons des cartes
+        this.board.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-next-status]');
+            if (button) {
+                this.changeStatus(button.dataset.orderId, button.dataset.nextStatus);
+            }
+        });
+
+        this.refresh();
+        setInterval(() => this.refresh(), KITCHEN_CONFIG.pollInterval);
+
+        console.log('🍳 Écran cuisine initialisé');
+    }
+
+    /**
+     * Recharger les commandes depuis le serveur
+     */
+    async refresh() {
+        try {
+            const orders = await this.orderClient.fetchOrders();
+            this.detectNewOrders(orders);
+            this.orders = orders;
+            this.render();
+            this.setStatusMessage(`Mis à jour à ${this.formatTime(new Date())}`);
+        } catch (error) {
+            this.setStatusMessage(`⚠️ ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Repérer les commandes arrivées depuis le dernier rafraîchissement
+     * @param {Object[]} orders - Commandes reçues du serveur
+     */
+    detectNewOrders(orders) {
+        const ids = new Set(orders.map(order => order.id));
+
+        // Au premier chargement, rien n'est "nouveau"
+        if (this.knownOrderIds) {
+            orders
+                .filter(order => !this.knownOrderIds.has(order.id))
+                .forEach(order => this.newOrderIds.add(order.id));
+        }
+
+        this.knownOrderIds = ids;
+    }
+
+    /**
+     * Afficher les commandes dans leur colonne, par ordre d'arrivée
+     */
+    render() {
+        const sorted = [...this.orders].sort((a, b) => (a.number || 0) - (b.number || 0));
+
+        ORDER_STATUS_FLOW.forEach(status => {
+            const column = this.board.querySelector(`[data-status="${status}"]`);
+            let orders = sorted.filter(order => order.status === status);
+
+            if (status === 'delivered') {
+                orders = orders.slice(-KITCHEN_CONFIG.deliveredLimit);
+            }
+
+            column.querySelector('[data-count]').textContent = orders.length;
+            column.querySelector('[data-orders]').innerHTML = orders.length
+                ? orders.map(order => this.renderOrderCard(order)).join('')
+                : '<p class="kitchen-empty">Aucune commande</p>';
+        });
+    }
+
+    /**
+     * Générer la carte d'une commande
+     * @param {Object} order - Commande enregistrée
+     * @returns {string} HTML de la carte
+     */
+    renderOrderCard(order) {
+        const customer = order.customer || {};
+        const nextStatus = getNextOrderStatus(order.status);
+        const isPending = this.pendingOrderIds.has(order.id);
+        const classes = ['kitchen-order'];
+        if (this.newOrderIds.has(order.id)) classes.push('kitchen-order--new');
+
+        const itemsHtml = (order.items || []).map(item => `
+            <li class="kitchen-order-line">
+                <span class="kitchen-order-quantity">${item.quantity}×</span>
+                <div>
+                    <span class="kitchen-order-name">${escapeHtml(item.name)}</span>
+                    ${renderItemOptionsHtml(toCentOptions(item.options))}
+                    ${renderItemNoteHtml(item.note)}
+                </div>
+            </li>
+        `).join('');
+
+        const actionHtml = nextStatus
+            ? `<button type="button" class="btn btn-primary btn-block kitchen-order-action" data-order-id="${escapeHtml(order.id)}" data-next-status="${nextStatus}" ${isPending ? 'disabled' : ''}>${escapeHtml(ORDER_STATUSES[order.status].action)}</button>`
+            : '';
+
+        return `
+            <article class="${classes.join(' ')}" data-order-id="${escapeHtml(order.id)}">
+                <header class="kitchen-order-header">
+                    <strong class="kitchen-order-number">#${order.number}</strong>
+                    <time datetime="${escapeHtml(order.receivedAt)}">${this.formatTime(new Date(order.receivedAt))}</time>
+                </header>
+                <p class="kitchen-order-customer">
+                    ${escapeHtml(customer.firstName)} ${escapeHtml(customer.lastName)} · <a href="tel:${escapeHtml(normalizeSwissPhone(customer.phone) || customer.phone)}">${escapeHtml(formatSwissPhone(customer.phone))}</a><br>
+                    ${order.fulfillment?.mode === 'pickup'
+                        ? `🏪 ${escapeHtml(FULFILLMENT_LABELS.pickup)}`
+                        : `🛵 ${escapeHtml(customer.address)}, ${escapeHtml(customer.postcode)} ${escapeHtml(customer.city)}`}
+                </p>
+                ${order.scheduledFor ? `<p class="kitchen-order-schedule">⏰ Créneau de ${this.formatTime(new Date(order.scheduledFor))}</p>` : ''}
+                ${order.note ? `<p class="kitchen-order-note">📝 ${escapeHtml(order.note)}</p>` : ''}
+                <ul class="kitchen-order-lines">${itemsHtml}</ul>
+                <p class="kitchen-order-total">
+                    ${formatMoney(toCents(order.totals?.total || 0))} · ${escapeHtml(PAYMENT_LABELS[order.paymentMethod] || '—')}
+                </p>
+                ${actionHtml}
+            </article>
+        `;
+    }
+
+    /**
+     * Faire avancer une commande
+     * @param {string} orderId - Identifiant de la commande
+     * @param {string} status - Nouveau statut
+     */
+    async changeStatus(orderId, status) {
+        if (this.pendingOrderIds.has(orderId)) {
+            return;
+        }
+
+        this.pendingOrderIds.add(orderId);
+        this.newOrderIds.delete(orderId);
+        this.render();
+
+        try {
+            const updated = await this.orderClient.updateOrderStatus(orderId, status);
+            this.orders = this.orders.map(order => (order.id === updated.id ? updated : order));
+        } catch (error) {
+            this.setStatusMessage(`⚠️ ${error.message}`, true);
+        } finally {
+            this.pendingOrderIds.delete(orderId);
+            this.render();
+        }
+    }
+
+    /**
+     * Afficher l'état de la connexion au serveur
+     * @param {string} message - Message à afficher
+     * @param {boolean} isError - true pour un message d'erreur
+     */
+    setStatusMessage(message, isError = false) {
+        if (!kitchenStatus) return;
+        kitchenStatus.textContent = message;
+        kitchenStatus.classList.toggle('kitchen-status--error', isError);
+    }
+
+    /**
+     * Formater une heure (HH:MM)
+     * @param {Date} date - Date à formater
+     * @returns {string} Heure formatée
+     */
+    formatTime(date) {
+        if (Number.isNaN(date.getTime())) {
+            return '--:--';
+        }
+        return date.toLocaleTimeString('fr-CH', { hour: '2-digit', minute: '2-digit' });
+    }
+}
+
+/**
+ * Initialisation de l'écran cuisine
+ */
+function initKitchen() {
+    if (!kitchenBoard) return;
+    window.kitchenDisplay = new KitchenDisplay(kitchenBoard, new OrderClient());
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initKitchen);
+} else {
+    initKitchen();
+}
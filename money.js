@@ -0,0 +1,90 @@
+/**
+ * ========================================
+ * MONTANTS - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Calculs en centimes entiers (jamais de somme de flottants) et affichage
+ * des prix selon la langue du visiteur ("14.50 CHF", "CHF 14.50").
+ *
+ * Le catalogue, les zones, les promotions et l'API restent en CHF :
+ * les montants sont convertis à l'entrée (toCents) et à la sortie (fromCents).
+ * Partagé entre le site, l'écran cuisine et le serveur de développement.
+ */
+
+'use strict';
+
+/**
+ * Réglages des montants
+ * - locale : format d'affichage par défaut (écran cuisine, serveur)
+ * - cashStep : arrondi suisse des paiements en espèces (centimes)
+ */
+const MONEY_CONFIG = {
+    currency: 'CHF',
+    locale: 'fr-CH',
+    cashStep: 5
+};
+
+/**
+ * Formats déjà créés, un par langue (Intl.NumberFormat est coûteux à construire)
+ */
+const moneyFormats = new Map();
+
+/**
+ * Convertir un montant en centimes
+ * @param {number} amount - Montant en CHF
+ * @returns {number} Montant en centimes (0 si invalide)
+ */
+function toCents(amount) {
+    const cents = Math.round(Number(amount) * 100);
+    return Number.isFinite(cents) ? cents : 0;
+}
+
+/**
+ * Convertir des centimes en CHF (données échangées avec le serveur)
+ * @param {number} cents - Montant en centimes
+ * @returns {number} Montant en CHF
+ */
+function fromCents(cents) {
+    return cents / 100;
+}
+
+/**
+ * Arrondi suisse au multiple de 5 centimes le plus proche (paiement en espèces)
+ * @param {number} cents - Montant en centimes
+ * @param {number} step - Pas d'arrondi en centimes
+ * @returns {number} Montant arrondi en centimes
+ */
+function roundToCash(cents, step = MONEY_CONFIG.cashStep) {
+    return Math.round(cents / step) * step;
+}
+
+/**
+ * Montant à payer selon le moyen de paiement (arrondi seulement en espèces)
+ * @param {number} cents - Total en centimes
+ * @param {string} paymentMethod - 'cash', 'card' ou 'twint'
+ * @returns {number} Total à payer en centimes
+ */
+function getPayableCents(cents, paymentMethod) {
+    return paymentMethod === 'cash' ? roundToCash(cents) : cents;
+}
+
+/**
+ * Formater un montant pour l'affichage
+ * @param {number} cents - Montant en centimes
+ * @param {Object} options - locale : langue d'affichage ; sign : true pour toujours afficher "+" ou "−"
+ * @returns {string} Montant formaté ("14.50 CHF", "CHF 14.50", "−2.20 CHF")
+ */
+function formatMoney(cents, { locale = MONEY_CONFIG.locale, sign = false } = {}) {
+    if (!moneyFormats.has(locale)) {
+        moneyFormats.set(locale, new Intl.NumberFormat(locale, { style: 'currency', currency: MONEY_CONFIG.currency }));
+    }
+
+    // Signe ajouté à la main : certaines langues le placent après la devise ("CHF-1.00")
+    const prefix = cents < 0 ? '−' : (sign && cents > 0 ? '+' : '');
+    return `${prefix}${moneyFormats.get(locale).format(Math.abs(cents) / 100)}`;
+}
+
+// Export pour Node (serveur de développement), ignoré dans le navigateur
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MONEY_CONFIG, toCents, fromCents, roundToCash, getPayableCents, formatMoney };
+}
@@ -0,0 +1,442 @@
+/**
+ * ========================================
+ * HORAIRES D'OUVERTURE - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Horaires structurés (semaine type, fermeture après minuit, jours fériés)
+ * utilisés pour :
+ * - afficher les horaires (section contact et pied de page)
+ * - indiquer si le restaurant est ouvert en ce moment
+ * - transformer une commande passée restaurant fermé en précommande
+ * - proposer des créneaux de retrait/livraison au checkout
+ *
+ * Tous les calculs se font à l'heure de Lausanne (Europe/Zurich),
+ * quel que soit le fuseau horaire du navigateur.
+ */
+
+'use strict';
+
+/**
+ * Horaires du restaurant
+ * - weekly : jours de 0 (dimanche) à 6 (samedi), comme Date.getDay()
+ * - une fermeture inférieure ou égale à l'ouverture se termine le lendemain ("00:00" = minuit)
+ * - exceptions : date "AAAA-MM-JJ" (ponctuelle) ou "MM-JJ" (chaque année),
+ *   avec closed: true ou des horaires spécifiques
+ */
+const OPENING_HOURS = {
+    timeZone: 'Europe/Zurich',
+    weekly: {
+        0: [{ open: '12:00', close: '00:00' }],
+        1: [{ open: '11:00', close: '23:00' }],
+        2: [{ open: '11:00', close: '23:00' }],
+        3: [{ open: '11:00', close: '23:00' }],
+        4: [{ open: '11:00', close: '23:00' }],
+        5: [{ open: '11:00', close: '23:00' }],
+        6: [{ open: '12:00', close: '00:00' }]
+    },
+    exceptions: [
+        { date: '01-01', closed: true, label: 'Nouvel An' },
+        { date: '08-01', closed: true, label: 'Fête nationale' },
+        { date: '12-25', closed: true, label: 'Noël' },
+        { date: '12-31', hours: [{ open: '11:00', close: '02:00' }], label: 'Saint-Sylvestre' }
+    ],
+    // Regroupement des jours pour l'affichage (version longue et courte, id pour la traduction)
+    displayGroups: [
+        { id: 'weekdays', days: [1, 2, 3, 4, 5], label: 'Lundi - Vendredi', shortLabel: 'Lundi - Vendredi' },
+        { id: 'weekend', days: [6, 0], label: 'Samedi - Dimanche', shortLabel: 'Week-end' }
+    ]
+};
+
+/**
+ * Créneaux proposés au checkout
+ */
+const TIME_SLOT_CONFIG = {
+    interval: 15,           // Durée d'un créneau (minutes)
+    preparationTime: 20,    // Délai minimum avant le premier créneau (minutes)
+    capacity: 4,            // Commandes que la cuisine peut préparer par créneau
+    daysAhead: 1            // Jours proposés en plus d'aujourd'hui
+};
+
+/**
+ * Textes des horaires (français par défaut ; le site passe ceux de la langue choisie)
+ * - locale : noms des jours et des mois
+ * - timeSeparator : "11h00" en français, "11:00" en anglais et en allemand
+ * - les fonctions reçoivent les parties déjà formatées
+ */
+const OPENING_HOURS_TEXTS = {
+    locale: 'fr-CH',
+    timeSeparator: 'h',
+    today: 'aujourd\'hui',
+    tomorrow: 'demain',
+    closed: 'Fermé',
+    openUntil: time => `Ouvert · ferme à ${time}`,
+    opensAt: (day, time) => `Fermé · ouvre ${day} à ${time}`,
+    closedOn: day => `${day} : fermé`,
+    openOn: (day, hours) => `${day} : ${hours}`
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Convertir "HH:MM" en minutes depuis minuit
+ * @param {string} time - Heure au format HH:MM
+ * @returns {number} Minutes
+ */
+function parseTimeToMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+}
+
+/**
+ * CLASSE OpeningHours
+ * Moteur de calcul des horaires dans le fuseau du restaurant
+ */
+class OpeningHours {
+    /**
+     * @param {Object} schedule - Horaires (voir OPENING_HOURS)
+     * @param {Object} texts - Textes affichés (voir OPENING_HOURS_TEXTS)
+     */
+    constructor(schedule = OPENING_HOURS, texts = OPENING_HOURS_TEXTS) {
+        this.schedule = schedule;
+        this.texts = { ...OPENING_HOURS_TEXTS, ...texts };
+        this.timeZone = schedule.timeZone || 'Europe/Zurich';
+        this.formatter = new Intl.DateTimeFormat('en-GB', {
+            timeZone: this.timeZone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+
+    /**
+     * Décomposer un instant en date et heure locales du restaurant
+     * @param {Date} date - Instant
+     * @returns {{dateKey: string, weekday: number, minutes: number, year: number, month: number, day: number}}
+     */
+    getZonedParts(date) {
+        const parts = {};
+        this.formatter.formatToParts(date).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        const year = Number(parts.year);
+        const month = Number(parts.month);
+        const day = Number(parts.day);
+        return {
+            year,
+            month,
+            day,
+            dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+            weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay(),
+            minutes: Number(parts.hour) * 60 + Number(parts.minute),
+            seconds: Number(parts.second)
+        };
+    }
+
+    /**
+     * Décaler une date "AAAA-MM-JJ" d'un nombre de jours
+     * @param {string} dateKey - Date de départ
+     * @param {number} days - Nombre de jours (peut être négatif)
+     * @returns {string} Nouvelle date
+     */
+    addDays(dateKey, days) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Jour de la semaine d'une date "AAAA-MM-JJ"
+     * @param {string} dateKey - Date
+     * @returns {number} 0 (dimanche) à 6 (samedi)
+     */
+    getWeekday(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    }
+
+    /**
+     * Convertir une heure locale du restaurant en instant absolu
+     * Gère les changements d'heure (été/hiver)
+     * @param {string} dateKey - Date locale "AAAA-MM-JJ"
+     * @param {number} minutes - Minutes depuis minuit (peut dépasser 24h)
+     * @returns {Date} Instant correspondant
+     */
+    toDate(dateKey, minutes) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        const asUtc = Date.UTC(year, month - 1, day, 0, minutes);
+        let result = asUtc - this.getOffset(asUtc);
+        // Deuxième passe si le décalage change entre les deux instants (changement d'heure)
+        result = asUtc - this.getOffset(result);
+        return new Date(result);
+    }
+
+    /**
+     * Décalage du fuseau du restaurant par rapport à UTC, à un instant donné
+     * @param {number} timestamp - Instant (ms)
+     * @returns {number} Décalage en ms
+     */
+    getOffset(timestamp) {
+        const parts = this.getZonedParts(new Date(timestamp));
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, 0, parts.minutes, parts.seconds);
+        return asUtc - Math.floor(timestamp / 1000) * 1000;
+    }
+
+    /**
+     * Exception (férié, horaires spéciaux) applicable à une date
+     * @param {string} dateKey - Date "AAAA-MM-JJ"
+     * @returns {Object|null} Exception
+     */
+    getException(dateKey) {
+        const exceptions = this.schedule.exceptions || [];
+        return exceptions.find(exception => exception.date === dateKey)
+            || exceptions.find(exception => exception.date === dateKey.slice(5))
+            || null;
+    }
+
+    /**
+     * Plages d'ouverture d'une date, en minutes depuis minuit de cette date
+     * @param {string} dateKey - Date "AAAA-MM-JJ"
+     * @returns {{start: number, end: number}[]} Plages (end > 1440 si fermeture après minuit)
+     */
+    getIntervals(dateKey) {
+        const exception = this.getException(dateKey);
+        let hours = this.schedule.weekly[this.getWeekday(dateKey)] || [];
+
+        if (exception) {
+            hours = exception.closed ? [] : (exception.hours || []);
+        }
+
+        return hours.map(({ open, close }) => {
+            const start = parseTimeToMinutes(open);
+            let end = parseTimeToMinutes(close);
+            if (end <= start) {
+                end += MINUTES_PER_DAY;
+            }
+            return { start, end };
+        });
+    }
+
+    /**
+     * État du restaurant à un instant donné
+     * @param {Date} date - Instant (maintenant par défaut)
+     * @returns {{isOpen: boolean, closesAt: Date|null, nextOpening: Date|null}}
+     */
+    getStatus(date = new Date()) {
+        const { dateKey, minutes } = this.getZonedParts(date);
+        const yesterday = this.addDays(dateKey, -1);
+
+        // Plage du jour en cours, ou plage de la veille qui déborde après minuit
+        const today = this.getIntervals(dateKey).find(range => minutes >= range.start && minutes < range.end);
+        const spill = this.getIntervals(yesterday).find(range => minutes + MINUTES_PER_DAY < range.end);
+
+        if (today) {
+            return { isOpen: true, closesAt: this.toDate(dateKey, today.end), nextOpening: null };
+        }
+        if (spill) {
+            return { isOpen: true, closesAt: this.toDate(yesterday, spill.end), nextOpening: null };
+        }
+
+        return { isOpen: false, closesAt: null, nextOpening: this.getNextOpening(date) };
+    }
+
+    /**
+     * Prochaine ouverture après un instant donné
+     * @param {Date} date - Instant de départ
+     * @returns {Date|null} Prochaine ouverture (null si aucune dans les 14 jours)
+     */
+    getNextOpening(date = new Date()) {
+        const { dateKey } = this.getZonedParts(date);
+
+        for (let offset = 0; offset <= 14; offset += 1) {
+            const day = this.addDays(dateKey, offset);
+            const opening = this.getIntervals(day)
+                .map(range => this.toDate(day, range.start))
+                .find(start => start > date);
+            if (opening) {
+                return opening;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Créneaux à venir, générés depuis les plages d'ouverture
+     * Un créneau doit commencer après le délai de préparation et finir avant la fermeture.
+     * @param {Date} now - Instant de référence
+     * @param {Object} config - Réglages des créneaux (voir TIME_SLOT_CONFIG)
+     * @returns {{start: Date, end: Date}[]} Créneaux triés
+     */
+    getTimeSlots(now = new Date(), config = TIME_SLOT_CONFIG) {
+        const { dateKey } = this.getZonedParts(now);
+        const earliest = now.getTime() + config.preparationTime * 60000;
+        const slots = [];
+
+        // On part de la veille pour les plages qui débordent après minuit
+        for (let offset = -1; offset <= config.daysAhead; offset += 1) {
+            const day = this.addDays(dateKey, offset);
+
+            this.getIntervals(day).forEach(range => {
+                for (let minutes = range.start; minutes + config.interval <= range.end; minutes += config.interval) {
+                    const start = this.toDate(day, minutes);
+                    if (start.getTime() >= earliest) {
+                        slots.push({ start, end: new Date(start.getTime() + config.interval * 60000) });
+                    }
+                }
+            });
+        }
+
+        return slots.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Vérifier qu'un instant correspond au début d'un créneau proposé
+     * @param {Date} date - Début du créneau choisi
+     * @param {Date} now - Instant de référence
+     * @param {Object} config - Réglages des créneaux
+     * @returns {boolean} true si le créneau existe
+     */
+    isTimeSlot(date, now = new Date(), config = TIME_SLOT_CONFIG) {
+        if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+            return false;
+        }
+        return this.getTimeSlots(now, config).some(slot => slot.start.getTime() === date.getTime());
+    }
+
+    /**
+     * Formater un créneau ("aujourd'hui 12h15 - 12h30")
+     * @param {{start: Date, end: Date}} slot - Créneau
+     * @param {Date} now - Instant de référence
+     * @returns {string} Créneau formaté
+     */
+    formatTimeSlot(slot, now = new Date()) {
+        return `${this.describeDay(slot.start, now)} ${this.formatTime(slot.start)} - ${this.formatTime(slot.end)}`;
+    }
+
+    /**
+     * Formater une heure locale ("11h00", "11:00" selon les textes)
+     * @param {Date} date - Instant
+     * @returns {string} Heure formatée
+     */
+    formatTime(date) {
+        return this.formatMinutes(this.getZonedParts(date).minutes);
+    }
+
+    /**
+     * Formater des minutes depuis minuit ("23h00", "00h00" pour minuit)
+     * @param {number} minutes - Minutes (modulo 24h)
+     * @param {boolean} short - true pour "11h" au lieu de "11h00" (sans effet avec le séparateur ":")
+     * @returns {string} Heure formatée
+     */
+    formatMinutes(minutes, short = false) {
+        const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        const hours = String(Math.floor(normalized / 60)).padStart(2, '0');
+        const rest = String(normalized % 60).padStart(2, '0');
+        const separator = this.texts.timeSeparator;
+        return short && rest === '00' && separator === 'h' ? `${hours}h` : `${hours}${separator}${rest}`;
+    }
+
+    /**
+     * Décrire un jour par rapport à aujourd'hui ("aujourd'hui", "demain", "lundi", "lundi 5 janvier")
+     * @param {Date} date - Instant
+     * @param {Date} now - Instant de référence
+     * @returns {string} Jour décrit
+     */
+    describeDay(date, now = new Date()) {
+        const target = this.getZonedParts(date);
+        const { dateKey } = this.getZonedParts(now);
+
+        if (target.dateKey === dateKey) return this.texts.today;
+        if (target.dateKey === this.addDays(dateKey, 1)) return this.texts.tomorrow;
+        if (target.dateKey <= this.addDays(dateKey, 6)) {
+            return date.toLocaleDateString(this.texts.locale, { timeZone: this.timeZone, weekday: 'long' });
+        }
+        return this.formatDate(date);
+    }
+
+    /**
+     * Formater une date complète ("lundi 5 janvier")
+     * @param {Date} date - Instant
+     * @returns {string} Date formatée dans la langue des textes
+     */
+    formatDate(date) {
+        return date.toLocaleDateString(this.texts.locale, { timeZone: this.timeZone, weekday: 'long', day: 'numeric', month: 'long' });
+    }
+
+    /**
+     * Texte du badge "ouvert / fermé"
+     * @param {Date} now - Instant de référence
+     * @returns {{isOpen: boolean, text: string}} État et texte
+     */
+    getBadge(now = new Date()) {
+        const status = this.getStatus(now);
+
+        if (status.isOpen) {
+            return { isOpen: true, text: this.texts.openUntil(this.formatTime(status.closesAt)) };
+        }
+        if (status.nextOpening) {
+            return {
+                isOpen: false,
+                text: this.texts.opensAt(this.describeDay(status.nextOpening, now), this.formatTime(status.nextOpening))
+            };
+        }
+        return { isOpen: false, text: this.texts.closed };
+    }
+
+    /**
+     * Lignes d'horaires regroupées pour l'affichage
+     * @param {boolean} short - Format court (pied de page)
+     * @returns {{id: string, label: string, hours: string}[]} Lignes (id du regroupement, pour la traduction)
+     */
+    getDisplayLines(short = false) {
+        return (this.schedule.displayGroups || []).map(group => {
+            const ranges = (this.schedule.weekly[group.days[0]] || [])
+                .map(({ open, close }) => `${this.formatMinutes(parseTimeToMinutes(open), short)} - ${this.formatMinutes(parseTimeToMinutes(close), short)}`);
+            return {
+                id: group.id || '',
+                label: short ? (group.shortLabel || group.label) : group.label,
+                hours: ranges.length ? ranges.join(', ') : this.texts.closed
+            };
+        });
+    }
+
+    /**
+     * Exceptions à venir dans les prochains jours (fermetures, horaires spéciaux)
+     * @param {Date} now - Instant de référence
+     * @param {number} days - Nombre de jours à examiner
+     * @returns {{date: Date, id: string, label: string, text: string}[]} Exceptions (id = date de l'exception)
+     */
+    getUpcomingExceptions(now = new Date(), days = 14) {
+        const { dateKey } = this.getZonedParts(now);
+        const upcoming = [];
+
+        for (let offset = 0; offset < days; offset += 1) {
+            const day = this.addDays(dateKey, offset);
+            const exception = this.getException(day);
+            if (!exception) continue;
+
+            const date = this.toDate(day, 12 * 60);
+            const dayLabel = this.formatDate(date);
+            const hours = this.getIntervals(day)
+                .map(range => `${this.formatMinutes(range.start)} - ${this.formatMinutes(range.end)}`)
+                .join(', ');
+
+            upcoming.push({
+                date,
+                id: exception.date,
+                label: exception.label || '',
+                text: exception.closed ? this.texts.closedOn(dayLabel) : this.texts.openOn(dayLabel, hours)
+            });
+        }
+
+        return upcoming;
+    }
+}
+
+// Export pour Node (serveur de développement), ignoré dans le navigateur
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OPENING_HOURS, OPENING_HOURS_TEXTS, TIME_SLOT_CONFIG, OpeningHours };
+}
@@ -0,0 +1,213 @@
+/**
+ * ========================================
+ * ENVOI DES COMMANDES - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Client HTTP qui transmet les commandes du panier au serveur
+ * (et permet au client et à l'écran cuisine de les suivre).
+ *
+ * - Envoi en POST (JSON) vers un endpoint configurable
+ * - Gestion des erreurs réseau et des réponses non 2xx
+ * - Nouvelles tentatives automatiques avec une clé d'idempotence :
+ *   le serveur reconnaît la clé et ne crée jamais la commande deux fois
+ *
+ * En local, lancer `node server/mock-server.js` puis ouvrir http://localhost:3000
+ */
+
+'use strict';
+
+/**
+ * Configuration de l'API des commandes
+ * Ouvert depuis le disque (file://), le site vise le serveur local par défaut
+ */
+const ORDER_API_CONFIG = {
+    endpoint: window.location.protocol === 'file:'
+        ? 'http://localhost:3000/api/orders'
+        : '/api/orders',
+    timeout: 8000,      // Délai maximum d'une tentative (ms)
+    maxRetries: 2,      // Nombre de nouvelles tentatives après la première
+    retryDelay: 800     // Délai de base entre deux tentatives (ms), doublé à chaque essai
+};
+
+/**
+ * Erreur levée quand une commande ne peut pas être transmise
+ */
+class OrderSubmissionError extends Error {
+    /**
+     * @param {string} message - Message lisible par le client
+     * @param {Object} details - Informations techniques
+     * @param {number} [details.status] - Code HTTP (absent si erreur réseau)
+     * @param {boolean} [details.retryable] - true si une nouvelle tentative a un sens
+     * @param {string} [details.reason] - Cause ('timeout', 'unreachable', 'unexpected', 'refused') pour
+     *                                    afficher le message dans la langue du visiteur ; absente si le serveur a expliqué le refus
+     */
+    constructor(message, { status = null, retryable = false, reason = null } = {}) {
+        super(message);
+        this.name = 'OrderSubmissionError';
+        this.status = status;
+        this.retryable = retryable;
+        this.reason = reason;
+    }
+}
+
+/**
+ * CLASSE OrderClient
+ * Transmet une commande et gère les nouvelles tentatives,
+ * lit et met à jour les commandes enregistrées
+ */
+class OrderClient {
+    /**
+     * @param {Object} config - Voir ORDER_API_CONFIG
+     */
+    constructor(config = ORDER_API_CONFIG) {
+        this.config = { ...ORDER_API_CONFIG, ...config };
+    }
+
+    /**
+     * Générer une clé d'idempotence unique pour une commande
+     * @returns {string} Clé de commande
+     */
+    createOrderKey() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `order-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Envoyer une commande (avec nouvelles tentatives si nécessaire)
+     * @param {Object} order - Données de la commande (doit contenir orderKey)
+     * @returns {Promise<Object>} Commande enregistrée renvoyée par le serveur
+     * @throws {OrderSubmissionError} Si la commande n'a pas pu être transmise
+     */
+    async submit(order) {
+        let attempt = 0;
+
+        while (true) {
+            try {
+                return await this.send(order);
+            } catch (error) {
+                const submissionError = error instanceof OrderSubmissionError
+                    ? error
+                    : new OrderSubmissionError('Impossible de joindre le restaurant. Vérifiez votre connexion.', { retryable: true, reason: 'unreachable' });
+
+                if (!submissionError.retryable || attempt >= this.config.maxRetries) {
+                    throw submissionError;
+                }
+
+                attempt += 1;
+                console.warn(`⚠️ Envoi de la commande échoué, nouvelle tentative (${attempt}/${this.config.maxRetries})`);
+                await this.wait(this.config.retryDelay * 2 ** (attempt - 1));
+            }
+        }
+    }
+
+    /**
+     * Effectuer une seule tentative d'envoi
+     * @param {Object} order - Données de la commande
+     * @returns {Promise<Object>} Réponse JSON du serveur
+     */
+    async send(order) {
+        const body = await this.request(this.config.endpoint, {
+            method: 'POST',
+            headers: { 'Idempotency-Key': order.orderKey },
+            body: order
+        });
+
+        if (!body || !body.id) {
+            throw new OrderSubmissionError('Réponse inattendue du restaurant.', { reason: 'unexpected' });
+        }
+
+        return body;
+    }
+
+    /**
+     * Récupérer toutes les commandes (écran cuisine)
+     * @returns {Promise<Object[]>} Commandes dans l'ordre d'arrivée
+     */
+    async fetchOrders() {
+        const orders = await this.request(this.config.endpoint);
+        return Array.isArray(orders) ? orders : [];
+    }
+
+    /**
+     * Récupérer les places restantes par créneau
+     * @returns {Promise<Object[]>} Créneaux ({start, remaining})
+     */
+    async fetchTimeSlots() {
+        const slots = await this.request(`${this.config.endpoint}/slots`);
+        return Array.isArray(slots) ? slots : [];
+    }
+
+    /**
+     * Récupérer une commande (suivi côté client)
+     * @param {string} orderId - Identifiant de la commande
+     * @returns {Promise<Object>} Commande à jour
+     */
+    fetchOrder(orderId) {
+        return this.request(`${this.config.endpoint}/${encodeURIComponent(orderId)}`);
+    }
+
+    /**
+     * Changer le statut d'une commande
+     * @param {string} orderId - Identifiant de la commande
+     * @param {string} status - Nouveau statut (voir ORDER_STATUS_FLOW)
+     * @returns {Promise<Object>} Commande mise à jour
+     */
+    updateOrderStatus(orderId, status) {
+        return this.request(`${this.config.endpoint}/${encodeURIComponent(orderId)}`, {
+            method: 'PATCH',
+            body: { status }
+        });
+    }
+
+    /**
+     * Requête JSON vers l'API avec délai maximum
+     * @param {string} url - Adresse appelée
+     * @param {Object} options - Méthode, en-têtes supplémentaires et corps (objet)
+     * @returns {Promise<Object|null>} Réponse JSON
+     * @throws {OrderSubmissionError} En cas d'erreur réseau ou de réponse non 2xx
+     */
+    async request(url, { method = 'GET', headers = {}, body } = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? 'timeout' : 'unreachable';
+            const message = reason === 'timeout'
+                ? 'Le restaurant met trop de temps à répondre.'
+                : 'Impossible de joindre le restaurant. Vérifiez votre connexion.';
+            throw new OrderSubmissionError(message, { retryable: true, reason });
+        } finally {
+            clearTimeout(timeoutId);
+        }
+
+        const data = await response.json().catch(() => null);
+
+        if (!response.ok) {
+            // 408, 429 et 5xx sont temporaires : on peut réessayer avec la même clé
+            const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+            const message = data?.error || `Le restaurant a refusé la demande (erreur ${response.status}).`;
+            throw new OrderSubmissionError(message, { status: response.status, retryable, reason: data?.error ? null : 'refused' });
+        }
+
+        return data;
+    }
+
+    /**
+     * Attendre avant une nouvelle tentative
+     * @param {number} ms - Durée en millisecondes
+     * @returns {Promise<void>}
+     */
+    wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
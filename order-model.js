@@ -0,0 +1,188 @@
+/**
+ * ========================================
+ * MODÈLE DE COMMANDE PARTAGÉ
+ * ========================================
+ *
+ * Statuts de commande et mise en forme des lignes, communs au site,
+ * à l'écran cuisine et au serveur de développement.
+ */
+
+'use strict';
+
+/**
+ * Statuts d'une commande, dans l'ordre du parcours en cuisine
+ */
+const ORDER_STATUS_FLOW = ['received', 'preparing', 'ready', 'delivered'];
+
+const ORDER_STATUSES = {
+    received: {
+        label: 'Reçue',
+        action: 'Lancer la préparation',
+        customerMessage: 'Commande reçue ! Elle sera prête dans 15-20 minutes.'
+    },
+    preparing: {
+        label: 'En préparation',
+        action: 'Marquer comme prête',
+        customerMessage: 'Votre commande est en préparation 🔥'
+    },
+    ready: {
+        label: 'Prête',
+        action: 'Marquer comme livrée',
+        customerMessage: 'Votre commande est prête !'
+    },
+    delivered: {
+        label: 'Livrée',
+        action: null,
+        customerMessage: 'Commande livrée. Bon appétit ! 🥙'
+    }
+};
+
+/**
+ * Libellés des méthodes de paiement
+ */
+const PAYMENT_LABELS = {
+    cash: 'Cash',
+    card: 'Carte bancaire',
+    twint: 'Twint'
+};
+
+/**
+ * Libellés des modes de commande
+ */
+const FULFILLMENT_LABELS = {
+    delivery: 'Livraison',
+    pickup: 'À emporter'
+};
+
+/**
+ * Longueur maximale des notes libres (caractères)
+ * - item : instruction sur une ligne ("sans oignons", "allergie sésame")
+ * - order : note générale (code de porte, étage...)
+ */
+const NOTE_MAX_LENGTH = {
+    item: 120,
+    order: 300
+};
+
+/**
+ * Nettoyer une note saisie par le client
+ * Caractères de contrôle et retours à la ligne remplacés, espaces réduits, longueur limitée.
+ * @param {string} note - Note saisie
+ * @param {number} maxLength - Longueur maximale
+ * @returns {string} Note nettoyée (vide si rien d'utile)
+ */
+function sanitizeNote(note, maxLength) {
+    return (typeof note === 'string' ? note : '')
+        .replace(/[\u0000-\u001f\u007f-\u009f\u2028\u2029]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, maxLength)
+        .trim();
+}
+
+/**
+ * Statut suivant dans le parcours
+ * @param {string} status - Statut actuel
+ * @returns {string|null} Statut suivant (null si terminé ou inconnu)
+ */
+function getNextOrderStatus(status) {
+    const index = ORDER_STATUS_FLOW.indexOf(status);
+    return index >= 0 && index < ORDER_STATUS_FLOW.length - 1 ? ORDER_STATUS_FLOW[index + 1] : null;
+}
+
+/**
+ * Statut précédent dans le parcours (pour corriger une erreur de manipulation)
+ * @param {string} status - Statut actuel
+ * @returns {string|null} Statut précédent
+ */
+function getPreviousOrderStatus(status) {
+    const index = ORDER_STATUS_FLOW.indexOf(status);
+    return index > 0 ? ORDER_STATUS_FLOW[index - 1] : null;
+}
+
+/**
+ * Formater un supplément d'option ("+1.00 CHF", "−0.50 CHF")
+ * Nécessite money.js (chargé avant ce fichier)
+ * @param {number} delta - Supplément en centimes
+ * @param {string} [locale] - Langue d'affichage (format par défaut de money.js si absente)
+ * @returns {string} Supplément formaté
+ */
+function formatPriceDelta(delta, locale) {
+    return formatMoney(delta, { locale, sign: true });
+}
+
+/**
+ * Options avec suppléments en CHF (catalogue, commande reçue du serveur) converties en centimes,
+ * l'unité du panier et de l'affichage
+ * @param {Array} options - Options de la ligne ({label, value, priceDelta en CHF})
+ * @returns {Array} Options avec priceDelta en centimes
+ */
+function toCentOptions(options) {
+    return (Array.isArray(options) ? options : []).map(option => (
+        option.priceDelta ? { ...option, priceDelta: toCents(option.priceDelta) } : option
+    ));
+}
+
+/**
+ * Générer la liste HTML des options d'une ligne (viande, sauces, légumes, boisson...)
+ * Même rendu dans le panier, le récapitulatif et l'écran cuisine
+ * @param {Array} options - Options de la ligne ({label, value, priceDelta en centimes})
+ * @param {string} [locale] - Langue d'affichage des suppléments
+ * @returns {string} HTML de la liste (vide si aucune option)
+ */
+function renderItemOptionsHtml(options, locale) {
+    if (!Array.isArray(options) || !options.length) {
+        return '';
+    }
+
+    const itemsHtml = options.map(option => {
+        const deltaHtml = option.priceDelta
+            ? ` <em class="cart-item-option-price">${formatPriceDelta(option.priceDelta, locale)}</em>`
+            : '';
+        return `<li><span>${escapeHtml(option.label)} :</span> ${escapeHtml(option.value)}${deltaHtml}</li>`;
+    }).join('');
+
+    return `<ul class="cart-item-options">${itemsHtml}</ul>`;
+}
+
+/**
+ * Générer la note d'une ligne (panier, suivi, écran cuisine)
+ * @param {string} note - Note de la ligne
+ * @returns {string} HTML de la note (vide si aucune note)
+ */
+function renderItemNoteHtml(note) {
+    return note ? `<p class="cart-item-note">📝 ${escapeHtml(note)}</p>` : '';
+}
+
+/**
+ * Résumé texte des options d'une ligne ("Viande: Poulet, Sauce: Blanche")
+ * @param {Array} options - Options de la ligne (priceDelta en centimes)
+ * @param {string} [locale] - Langue d'affichage des suppléments
+ * @returns {string} Résumé (vide si aucune option)
+ */
+function formatItemOptionsText(options, locale) {
+    if (!Array.isArray(options) || !options.length) {
+        return '';
+    }
+    return options.map(option => {
+        const delta = option.priceDelta ? ` ${formatPriceDelta(option.priceDelta, locale)}` : '';
+        return `${option.label}: ${option.value}${delta}`;
+    }).join(', ');
+}
+
+// Export pour Node (serveur de développement), ignoré dans le navigateur
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ORDER_STATUS_FLOW,
+        ORDER_STATUSES,
+        PAYMENT_LABELS,
+        FULFILLMENT_LABELS,
+        NOTE_MAX_LENGTH,
+        sanitizeNote,
+        getNextOrderStatus,
+        getPreviousOrderStatus,
+        formatPriceDelta,
+        toCentOptions,
+        formatItemOptionsText
+    };
+}
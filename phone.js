@@ -0,0 +1,80 @@
+/**
+ * ========================================
+ * TÉLÉPHONES SUISSES - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Numéros suisses saisis au format national ou international :
+ * - 079 123 45 67, 079-123-45-67, 079.123.45.67, 0791234567
+ * - +41 79 123 45 67, +41 (0)79 123 45 67, 0041 79 123 45 67
+ *
+ * La commande transporte le numéro au format E.164 (+41791234567) ;
+ * l'affichage utilise le format national groupé (079 123 45 67).
+ * Partagé entre le site, l'écran cuisine et le serveur de développement.
+ */
+
+'use strict';
+
+/**
+ * Numéro suisse accepté : indicatif (+41, 0041, éventuellement suivi de "(0)" ou 0) ou 0 national,
+ * puis 9 chiffres dont le premier n'est pas 0, séparés ou non par des espaces, points, tirets ou barres obliques
+ */
+const SWISS_PHONE_PATTERN = /^(?:(?:\+|00)\s*41\s*(?:\(0\)\s*|0)?|0)[\s./-]*[1-9](?:[\s./-]*\d){8}$/;
+
+/**
+ * Normaliser un numéro suisse au format E.164
+ * @param {string} phone - Numéro saisi
+ * @returns {string|null} Numéro "+41XXXXXXXXX" (null si le numéro n'est pas valable)
+ */
+function normalizeSwissPhone(phone) {
+    const value = String(phone || '').trim();
+    if (!SWISS_PHONE_PATTERN.test(value)) {
+        return null;
+    }
+
+    let digits = value.replace(/\D/g, '');
+    if (value.startsWith('+')) {
+        digits = digits.slice(2);
+    } else if (value.startsWith('00')) {
+        digits = digits.slice(4);
+    }
+
+    // 0 national, ou "(0)" / 0 ajouté après l'indicatif
+    return `+41${digits.replace(/^0/, '')}`;
+}
+
+/**
+ * Vérifier un numéro suisse
+ * @param {string} phone - Numéro saisi
+ * @returns {boolean} true si le numéro est valable
+ */
+function isValidSwissPhone(phone) {
+    return normalizeSwissPhone(phone) !== null;
+}
+
+/**
+ * Formater un numéro pour l'affichage ("079 123 45 67" ou "+41 79 123 45 67")
+ * Un numéro non reconnu est rendu tel quel (anciennes commandes).
+ * @param {string} phone - Numéro saisi ou E.164
+ * @param {Object} options - { international: true pour le format +41 }
+ * @returns {string} Numéro formaté
+ */
+function formatSwissPhone(phone, { international = false } = {}) {
+    const normalized = normalizeSwissPhone(phone);
+    if (!normalized) {
+        return String(phone || '').trim();
+    }
+
+    const number = normalized.slice(3);
+    const groups = `${number.slice(0, 2)} ${number.slice(2, 5)} ${number.slice(5, 7)} ${number.slice(7)}`;
+    return international ? `+41 ${groups}` : `0${groups}`;
+}
+
+// Export pour Node (serveur de développement), ignoré dans le navigateur
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SWISS_PHONE_PATTERN,
+        normalizeSwissPhone,
+        isValidSwissPhone,
+        formatSwissPhone
+    };
+}
@@ -0,0 +1,191 @@
+/**
+ * ========================================
+ * CODES PROMO - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Règles de réduction appliquées au panier :
+ * - pourcentage ou montant fixe, éventuellement limité à certaines catégories
+ * - article offert (le moins cher des articles concernés)
+ * - panier minimum, dates de validité, usage unique par client
+ *
+ * Cumul avec les formules (bundles.js) : le code s'applique aux prix après formules
+ * (voir BundleEngine.getNetLines), jamais une seconde fois sur l'économie d'une formule.
+ *
+ * Partagé entre le site (panier) et le serveur de développement,
+ * qui recalcule la réduction avant d'accepter une commande.
+ * Les montants des lignes et des réductions sont en centimes (voir money.js).
+ */
+
+'use strict';
+
+// Conversions de money.js : importées sous Node (serveur de développement), globales dans le navigateur
+// (chargé avant ; nom propre à ce fichier, les scripts du site partagent la même portée globale)
+const promoMoney = typeof require === 'function' ? require('./money.js') : globalThis;
+
+/**
+ * Codes promo
+ * - type : 'percent' (value en %), 'fixed' (value en CHF) ou 'freeItem' (productIds)
+ * - categories : catégories concernées (toutes si absent)
+ * - minimumSubtotal : montant minimum des articles (CHF)
+ * - validFrom / validUntil : dates incluses "AAAA-MM-JJ", heure de Lausanne
+ * - singleUse : utilisable une seule fois par client (même téléphone)
+ */
+const PROMO_CODES = [
+    {
+        code: 'ETUDIANT10',
+        label: 'Réduction étudiante',
+        type: 'percent',
+        value: 10
+    },
+    {
+        code: 'CAMPUS5',
+        label: '5 CHF offerts dès 30 CHF',
+        type: 'fixed',
+        value: 5,
+        minimumSubtotal: 30,
+        validFrom: '2026-09-14',
+        validUntil: '2027-06-30'
+    },
+    {
+        code: 'BOISSONS20',
+        label: '-20% sur les boissons',
+        type: 'percent',
+        value: 20,
+        categories: ['boisson']
+    },
+    {
+        code: 'DESSERT',
+        label: 'Un dessert offert',
+        type: 'freeItem',
+        productIds: ['baklava', 'brownie'],
+        minimumSubtotal: 20
+    },
+    {
+        code: 'BIENVENUE',
+        label: 'Bienvenue : -15%',
+        type: 'percent',
+        value: 15,
+        singleUse: true
+    }
+];
+
+/**
+ * CLASSE PromotionEngine
+ * Vérifie un code promo et calcule la réduction d'un panier
+ */
+class PromotionEngine {
+    /**
+     * @param {Object[]} codes - Codes promo (voir PROMO_CODES)
+     * @param {string} timeZone - Fuseau des dates de validité
+     */
+    constructor(codes = PROMO_CODES, timeZone = 'Europe/Zurich') {
+        this.codes = codes;
+        this.timeZone = timeZone;
+    }
+
+    /**
+     * Normaliser un code saisi (espaces, casse)
+     * @param {string} code - Code saisi
+     * @returns {string} Code normalisé
+     */
+    normalizeCode(code) {
+        return String(code || '').replace(/\s+/g, '').toUpperCase();
+    }
+
+    /**
+     * Trouver un code promo
+     * @param {string} code - Code saisi
+     * @returns {Object|null} Règle du code
+     */
+    findCode(code) {
+        const normalized = this.normalizeCode(code);
+        return this.codes.find(promo => promo.code === normalized) || null;
+    }
+
+    /**
+     * Date du jour "AAAA-MM-JJ" dans le fuseau du restaurant
+     * @param {Date} now - Instant
+     * @returns {string} Date
+     */
+    getDateKey(now) {
+        // Le format canadien donne directement AAAA-MM-JJ
+        return now.toLocaleDateString('en-CA', { timeZone: this.timeZone });
+    }
+
+    /**
+     * Lignes du panier concernées par un code
+     * @param {Object} promo - Règle du code
+     * @param {Object[]} lines - Lignes ({productId, category, unitCents, quantity})
+     * @returns {Object[]} Lignes concernées
+     */
+    getEligibleLines(promo, lines) {
+        return lines.filter(line => {
+            if (promo.productIds && !promo.productIds.includes(line.productId)) return false;
+            if (promo.categories && !promo.categories.includes(line.category)) return false;
+            return true;
+        });
+    }
+
+    /**
+     * Vérifier un code et calculer la réduction
+     * @param {string} code - Code saisi
+     * @param {Object[]} lines - Lignes du panier ({productId, category, unitCents, quantity}), prix en centimes
+     * @param {Object} context - { now: Date, usedCodes: string[] } (codes déjà utilisés par ce client)
+     * @returns {{promo: Object|null, discount: Object|null, error: string|null, reason: string|null, minimumCents: number|null}} Résultat
+     *          (discount.amount en centimes ; reason : code de l'erreur, pour l'afficher dans la langue du visiteur ;
+     *          minimumCents : panier minimum manquant, à formater par l'appelant)
+     */
+    evaluate(code, lines, { now = new Date(), usedCodes = [] } = {}) {
+        const promo = this.findCode(code);
+        if (!promo) {
+            return { promo: null, discount: null, error: 'Code promo inconnu.', reason: 'unknown', minimumCents: null };
+        }
+
+        const fail = (reason, error, minimumCents = null) => ({ promo, discount: null, error, reason, minimumCents });
+        const today = this.getDateKey(now);
+
+        if (promo.validFrom && today < promo.validFrom) {
+            return fail('notYetValid', 'Ce code n\'est pas encore valable.');
+        }
+        if (promo.validUntil && today > promo.validUntil) {
+            return fail('expired', 'Ce code a expiré.');
+        }
+        if (promo.singleUse && usedCodes.map(used => this.normalizeCode(used)).includes(promo.code)) {
+            return fail('used', 'Ce code a déjà été utilisé.');
+        }
+
+        const subtotal = lines.reduce((sum, line) => sum + line.unitCents * line.quantity, 0);
+        if (promo.minimumSubtotal && subtotal < promoMoney.toCents(promo.minimumSubtotal)) {
+            return fail('minimum', 'Le montant minimum d\'achats de ce code n\'est pas atteint.', promoMoney.toCents(promo.minimumSubtotal));
+        }
+
+        const eligible = this.getEligibleLines(promo, lines);
+        if (!eligible.length) {
+            return fail('noEligibleItems', 'Aucun article du panier n\'est concerné par ce code.');
+        }
+
+        const eligibleTotal = eligible.reduce((sum, line) => sum + line.unitCents * line.quantity, 0);
+        let amount = 0;
+
+        if (promo.type === 'percent') {
+            amount = Math.round(eligibleTotal * promo.value / 100);
+        } else if (promo.type === 'fixed') {
+            amount = Math.min(promoMoney.toCents(promo.value), eligibleTotal);
+        } else if (promo.type === 'freeItem') {
+            amount = Math.min(...eligible.map(line => line.unitCents));
+        }
+
+        return {
+            promo,
+            discount: { type: 'promo', code: promo.code, label: promo.label, amount },
+            error: null,
+            reason: null,
+            minimumCents: null
+        };
+    }
+}
+
+// Export pour Node (serveur de développement), ignoré dans le navigateur
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROMO_CODES, PromotionEngine };
+}
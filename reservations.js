@@ -0,0 +1,189 @@
+/**
+ * ========================================
+ * RÉSERVATIONS DE TABLE - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Horaires proposés à la réservation (pendant les heures d'ouverture)
+ * et attribution d'une table selon le nombre de personnes et la préférence.
+ *
+ * Partagé entre le site (formulaire de contact) et le serveur de développement,
+ * qui vérifie la capacité avant d'accepter une réservation.
+ */
+
+'use strict';
+
+/**
+ * Tables du restaurant
+ * - seats : nombre de places
+ * - area : 'inside' (salle) ou 'terrace' (terrasse)
+ */
+const TABLE_INVENTORY = [
+    { id: 'S1', seats: 2, area: 'inside' },
+    { id: 'S2', seats: 2, area: 'inside' },
+    { id: 'S3', seats: 4, area: 'inside' },
+    { id: 'S4', seats: 4, area: 'inside' },
+    { id: 'S5', seats: 6, area: 'inside' },
+    { id: 'T1', seats: 2, area: 'terrace' },
+    { id: 'T2', seats: 4, area: 'terrace' }
+];
+
+/**
+ * Préférences de placement ('any' = peu importe)
+ */
+const SEATING_LABELS = {
+    any: 'Peu importe',
+    inside: 'En salle',
+    terrace: 'En terrasse'
+};
+
+/**
+ * Réglages des réservations
+ */
+const RESERVATION_CONFIG = {
+    interval: 30,           // Écart entre deux horaires proposés (minutes)
+    duration: 90,           // Durée d'occupation d'une table (minutes)
+    lastSeating: 60,        // Dernière arrivée possible avant la fermeture (minutes)
+    minNotice: 60,          // Délai minimum avant l'arrivée (minutes)
+    daysAhead: 30           // Jours proposés en plus d'aujourd'hui
+};
+
+/**
+ * CLASSE ReservationPlanner
+ * Horaires réservables et attribution des tables
+ */
+class ReservationPlanner {
+    /**
+     * @param {OpeningHours} openingHours - Horaires du restaurant
+     * @param {Object[]} tables - Tables (voir TABLE_INVENTORY)
+     * @param {Object} config - Réglages (voir RESERVATION_CONFIG)
+     */
+    constructor(openingHours, tables = TABLE_INVENTORY, config = RESERVATION_CONFIG) {
+        this.openingHours = openingHours;
+        this.tables = tables;
+        this.config = config;
+    }
+
+    /**
+     * Horaires d'arrivée proposés pour une date
+     * Une plage qui se termine après minuit reste rattachée à sa date d'ouverture.
+     * @param {string} dateKey - Date "AAAA-MM-JJ" (heure de Lausanne)
+     * @param {Date} now - Instant de référence
+     * @returns {{start: Date, end: Date}[]} Horaires triés
+     */
+    getTimes(dateKey, now = new Date()) {
+        const earliest = now.getTime() + this.config.minNotice * 60000;
+        const times = [];
+
+        this.openingHours.getIntervals(dateKey).forEach(range => {
+            for (let minutes = range.start; minutes <= range.end - this.config.lastSeating; minutes += this.config.interval) {
+                const start = this.openingHours.toDate(dateKey, minutes);
+                if (start.getTime() >= earliest) {
+                    times.push({ start, end: this.getEnd(start) });
+                }
+            }
+        });
+
+        return times.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Dates ouvertes à la réservation (au moins un horaire proposé)
+     * @param {Date} now - Instant de référence
+     * @returns {string[]} Dates "AAAA-MM-JJ"
+     */
+    getDates(now = new Date()) {
+        const { dateKey } = this.openingHours.getZonedParts(now);
+        const dates = [];
+
+        for (let offset = 0; offset <= this.config.daysAhead; offset += 1) {
+            const day = this.openingHours.addDays(dateKey, offset);
+            if (this.getTimes(day, now).length) {
+                dates.push(day);
+            }
+        }
+
+        return dates;
+    }
+
+    /**
+     * Vérifier qu'une arrivée correspond à un horaire proposé pour cette date
+     * @param {string} dateKey - Date choisie
+     * @param {Date} start - Heure d'arrivée
+     * @param {Date} now - Instant de référence
+     * @returns {boolean} true si l'horaire existe
+     */
+    isTime(dateKey, start, now = new Date()) {
+        if (!(start instanceof Date) || Number.isNaN(start.getTime())) {
+            return false;
+        }
+        return this.getTimes(dateKey, now).some(time => time.start.getTime() === start.getTime());
+    }
+
+    /**
+     * Fin d'occupation de la table
+     * @param {Date} start - Heure d'arrivée
+     * @returns {Date} Heure de libération
+     */
+    getEnd(start) {
+        return new Date(start.getTime() + this.config.duration * 60000);
+    }
+
+    /**
+     * Tables correspondant à une préférence de placement
+     * @param {string} seating - 'any', 'inside' ou 'terrace'
+     * @returns {Object[]} Tables
+     */
+    getTables(seating = 'any') {
+        return seating === 'any' ? this.tables : this.tables.filter(table => table.area === seating);
+    }
+
+    /**
+     * Plus grand groupe accueilli pour une préférence
+     * @param {string} seating - 'any', 'inside' ou 'terrace'
+     * @returns {number} Places de la plus grande table (0 si aucune)
+     */
+    getMaxPartySize(seating = 'any') {
+        return Math.max(0, ...this.getTables(seating).map(table => table.seats));
+    }
+
+    /**
+     * Trouver une table libre, la plus petite qui convient
+     * @param {Object} request - { start: Date, partySize: number, seating: string }
+     * @param {Object[]} bookings - Tables déjà réservées ({tableId, start, end} en ISO)
+     * @returns {Object|null} Table attribuée (null si complet)
+     */
+    findTable({ start, partySize, seating = 'any' }, bookings = []) {
+        const from = start.getTime();
+        const until = this.getEnd(start).getTime();
+
+        const isFree = table => !bookings.some(booking => (
+            booking.tableId === table.id
+            && new Date(booking.start).getTime() < until
+            && from < new Date(booking.end).getTime()
+        ));
+
+        return this.getTables(seating)
+            .filter(table => table.seats >= partySize && isFree(table))
+            .sort((a, b) => a.seats - b.seats)[0] || null;
+    }
+
+    /**
+     * Décrire une date de réservation ("aujourd'hui", "demain", "samedi 25 octobre")
+     * dans la langue des textes des horaires
+     * @param {string} dateKey - Date "AAAA-MM-JJ"
+     * @param {Date} now - Instant de référence
+     * @returns {string} Date lisible
+     */
+    describeDate(dateKey, now = new Date()) {
+        const today = this.openingHours.getZonedParts(now).dateKey;
+        if (dateKey === today) return this.openingHours.texts.today;
+        if (dateKey === this.openingHours.addDays(today, 1)) return this.openingHours.texts.tomorrow;
+
+        return this.openingHours.formatDate(this.openingHours.toDate(dateKey, 12 * 60));
+    }
+}
+
+// Export pour Node (serveur de développement), ignoré dans le navigateur
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TABLE_INVENTORY, SEATING_LABELS, RESERVATION_CONFIG, ReservationPlanner };
+}
@@ -38,6 +38,8 @@ const navLinks = document.querySelectorAll('.nav-link');
 const contactForm = document.getElementById('contactForm');
 const header = document.getElementById('header');
 const heroSection = document.getElementById('accueil');
+const menuCatalogContainer = document.getElementById('menuCatalog');
+const menuFiltersContainer = document.getElementById('menuFilters');
 
 // Shopping cart elements
 const cartToggle = document.getElementById('cartToggle');
@@ -49,12 +51,58 @@ const cartSummary = document.getElementById('cartSummary');
 const cartTotal = document.getElementById('cartTotal');
 const checkoutBtn = document.getElementById('checkoutBtn');
 
+// Order tracking elements
+const trackingSection = document.getElementById('suivi');
+const trackingNumber = document.getElementById('trackingNumber');
+const trackingSteps = document.getElementById('trackingSteps');
+const trackingMessage = document.getElementById('trackingMessage');
+const trackingItems = document.getElementById('trackingItems');
+const trackingTotal = document.getElementById('trackingTotal');
+const trackingCustomer = document.getElementById('trackingCustomer');
+const trackingClose = document.getElementById('trackingClose');
+
+// Opening hours elements
+const openingBadge = document.getElementById('openingBadge');
+const contactHours = document.getElementById('contactHours');
+const footerHours = document.getElementById('footerHours');
+const openingExceptions = document.getElementById('openingExceptions');
+const checkoutHoursNotice = document.getElementById('checkoutHoursNotice');
+
+// Fulfillment mode elements
+const fulfillmentButtons = document.querySelectorAll('[data-fulfillment-mode]');
+const checkoutDeliveryFields = document.getElementById('checkoutDeliveryFields');
+const checkoutDeliveryZone = document.getElementById('checkoutDeliveryZone');
+const cartDeliveryFee = document.getElementById('cartDeliveryFee');
+const cartDeliveryFeeLabel = document.getElementById('cartDeliveryFeeLabel');
+const cartDeliveryFeeAmount = document.getElementById('cartDeliveryFeeAmount');
+const cartRounding = document.getElementById('cartRounding');
+const cartRoundingAmount = document.getElementById('cartRoundingAmount');
+
+// Promo code elements
+const promoCodeInput = document.getElementById('promoCodeInput');
+const promoCodeApply = document.getElementById('promoCodeApply');
+const promoCodeMessage = document.getElementById('promoCodeMessage');
+const cartDiscounts = document.getElementById('cartDiscounts');
+const checkoutOrderNote = document.getElementById('checkoutOrderNote');
+const reorderPanel = document.getElementById('reorderPanel');
+const cartNotice = document.getElementById('cartNotice');
+const savedAddressesField = document.getElementById('savedAddressesField');
+const checkoutSavedAddress = document.getElementById('checkoutSavedAddress');
+const checkoutRemember = document.getElementById('checkoutRemember');
+const checkoutAddressLabelField = document.getElementById('checkoutAddressLabelField');
+const checkoutAddressLabel = document.getElementById('checkoutAddressLabel');
+const forgetProfileBtn = document.getElementById('forgetProfileBtn');
+const customerProfileMessage = document.getElementById('customerProfileMessage');
+const checkoutDialogElement = document.getElementById('checkoutDialog');
+
 const checkoutFields = {
     lastName: document.getElementById('checkoutLastName'),
     firstName: document.getElementById('checkoutFirstName'),
     address: document.getElementById('checkoutAddress'),
+    postcode: document.getElementById('checkoutPostcode'),
     city: document.getElementById('checkoutCity'),
     phone: document.getElementById('checkoutPhone'),
+    timeSlot: document.getElementById('checkoutTimeSlot'),
     paymentMethod: document.getElementById('checkoutPaymentMethod')
 };
 
@@ -64,32 +112,164 @@ const checkoutFields = {
  */
 const VALIDATION_PATTERNS = {
     email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-    phone: /^\d{3}(?:\s?\d{3})(?:\s?\d{2}){2}$/,
+    phone: SWISS_PHONE_PATTERN, // formats nationaux et internationaux (voir phone.js)
     name: /^[a-zA-ZÀ-ÿ\s'-]{2,50}$/
 };
 
 const CHECKOUT_PATTERNS = {
     name: VALIDATION_PATTERNS.name,
-    phone: VALIDATION_PATTERNS.phone
+    phone: VALIDATION_PATTERNS.phone,
+    postcode: SWISS_POSTCODE_PATTERN
+};
+
+// Champs inutiles en mode "à emporter"
+const DELIVERY_FIELDS = ['address', 'postcode', 'city'];
+
+/**
+ * Stockage du panier
+ * - version : version du format enregistré ; une migration par version précédente
+ * - maxAge : un panier abandonné plus longtemps est oublié (ms)
+ * - maxQuantity : même limite par ligne que le serveur
+ */
+const CART_STORAGE_CONFIG = {
+    storageKey: 'kebab_cart',
+    version: 3,
+    maxAge: 3 * 24 * 60 * 60 * 1000,
+    maxQuantity: 50
 };
-const PAYMENT_LABELS = {
-    cash: 'Cash',
-    card: 'Carte bancaire',
-    twint: 'Twint'
+
+/**
+ * Migrations du panier enregistré : la fonction d'indice N passe de la version N à N + 1
+ * - version 0 : liste brute d'articles
+ * - version 1 : { items, note } (note générale de la commande)
+ * - version 2 : { version, savedAt, items, note } (date pour l'expiration)
+ * - version 3 : prix et suppléments des lignes en centimes
+ */
+const CART_STORAGE_MIGRATIONS = {
+    0: data => ({ version: 1, items: data, note: '' }),
+    // Date d'enregistrement inconnue : le panier repart pour une durée complète
+    1: data => ({ ...data, version: 2, savedAt: Date.now() }),
+    2: data => ({
+        ...data,
+        version: 3,
+        items: Array.isArray(data.items)
+            ? data.items.map(item => (Number.isFinite(item?.price)
+                ? { ...item, price: toCents(item.price), options: toCentOptions(item.options) }
+                : item))
+            : data.items
+    })
 };
-const MIN_ORDER_TOTAL = 15;
 
 /**
  * Messages d'erreur personnalisés
- * Utilisation d'un objet pour faciliter la traduction/modification
+ * Textes dans la langue du visiteur (voir i18n.js), fixée pour tout le chargement de la page
  */
 const ERROR_MESSAGES = {
-    required: 'Ce champ est obligatoire',
-    invalidEmail: 'Veuillez entrer une adresse email valide',
-    invalidPhone: 'Veuillez entrer un numéro à 10 chiffres (ex: 0781234567 ou 078 123 45 67)',
-    invalidName: 'Veuillez entrer un nom valide',
-    invalidSubject: 'Veuillez sélectionner un sujet',
-    shortMessage: 'Le message doit contenir au moins 10 caractères'
+    required: t('error.required'),
+    invalidEmail: t('error.invalidEmail'),
+    invalidPhone: t('error.invalidPhone'),
+    invalidName: t('error.invalidName'),
+    invalidSubject: t('error.invalidSubject'),
+    shortMessage: t('error.shortMessage')
+};
+
+/**
+ * Messages affichés après l'envoi du formulaire de contact
+ */
+const CONTACT_RESULT_MESSAGES = {
+    sent: t('contact.result.sent'),
+    queued: t('contact.result.queued'),
+    flushed: t('contact.result.flushed'),
+    tooFast: t('contact.result.tooFast')
+};
+
+/**
+ * Messages d'erreur des champs de réservation
+ */
+const RESERVATION_ERROR_MESSAGES = {
+    date: t('reservation.error.date'),
+    closedDay: t('reservation.error.closedDay'),
+    time: t('reservation.error.time'),
+    hours: t('reservation.error.hours'),
+    full: t('reservation.error.full'),
+    partySize: t('reservation.error.partySize')
+};
+
+/**
+ * Messages affichés sous les champs du checkout (un champ vide affiche ERROR_MESSAGES.required)
+ */
+const CHECKOUT_ERROR_MESSAGES = {
+    lastName: ERROR_MESSAGES.invalidName,
+    firstName: ERROR_MESSAGES.invalidName,
+    postcodeFormat: t('checkout.error.postcodeFormat'),
+    postcode: t('checkout.error.postcode'),
+    city: t('checkout.error.city'),
+    phone: ERROR_MESSAGES.invalidPhone,
+    timeSlot: t('checkout.error.timeSlot'),
+    paymentMethod: t('checkout.error.paymentMethod')
+};
+
+/**
+ * Libellés affichés au visiteur pour les paiements, les modes de commande et les statuts
+ * (order-model.js garde les libellés français partagés avec le serveur et la cuisine)
+ */
+const PAYMENT_TEXTS = Object.fromEntries(Object.entries(PAYMENT_LABELS).map(([method, label]) => (
+    [method, t(`payment.${method}`, { defaultValue: label })]
+)));
+
+const FULFILLMENT_TEXTS = Object.fromEntries(Object.entries(FULFILLMENT_LABELS).map(([mode, label]) => (
+    [mode, t(`fulfillment.${mode}`, { defaultValue: label })]
+)));
+
+const ORDER_STATUS_TEXTS = Object.fromEntries(Object.entries(ORDER_STATUSES).map(([status, { label, customerMessage }]) => (
+    [status, {
+        label: t(`order.status.${status}.label`, { defaultValue: label }),
+        customerMessage: t(`order.status.${status}.message`, { defaultValue: customerMessage })
+    }]
+)));
+
+/**
+ * Message d'un envoi échoué (message ou commande) dans la langue du visiteur
+ * Un refus expliqué par le serveur est affiché tel quel.
+ * @param {Error} error - ContactSubmissionError ou OrderSubmissionError
+ * @returns {string} Message à afficher
+ */
+function formatSubmissionError(error) {
+    if (!error.reason) {
+        return error.message;
+    }
+    return t(`network.${error.reason}`, { status: error.status, defaultValue: error.message });
+}
+
+/**
+ * Formater un montant dans la langue du visiteur ("14.50 CHF", "CHF 14.50")
+ * @param {number} cents - Montant en centimes
+ * @param {Object} options - sign : true pour toujours afficher "+" ou "−"
+ * @returns {string} Montant formaté
+ */
+function formatPrice(cents, { sign = false } = {}) {
+    return formatMoney(cents, { locale: i18n.getLocale(), sign });
+}
+
+/**
+ * Schéma de validation du formulaire de contact (voir FormValidator)
+ */
+const CONTACT_FORM_SCHEMA = {
+    name: { id: 'name', rules: [{ pattern: VALIDATION_PATTERNS.name, message: ERROR_MESSAGES.invalidName }] },
+    email: { id: 'email', rules: [{ pattern: VALIDATION_PATTERNS.email, message: ERROR_MESSAGES.invalidEmail }] },
+    phone: { id: 'phone', rules: [{ pattern: VALIDATION_PATTERNS.phone, message: ERROR_MESSAGES.invalidPhone }] },
+    subject: { id: 'subject', requiredMessage: ERROR_MESSAGES.invalidSubject },
+    message: { id: 'message', rules: [{ test: value => value.length >= 10, message: ERROR_MESSAGES.shortMessage }] }
+};
+
+/**
+ * Brouillon du formulaire de contact (saisie gardée sur cet appareil)
+ */
+const CONTACT_DRAFT_CONFIG = {
+    storageKey: 'kebab_contact_draft',
+    version: 1,
+    delay: 800,                         // Pause dans la saisie avant sauvegarde (ms)
+    maxAge: 7 * 24 * 60 * 60 * 1000     // Au-delà, le brouillon n'est plus proposé (ms)
 };
 
 /* ========================================
@@ -241,23 +421,41 @@ window.addEventListener('resize', updateHeaderHeight);
 
 /**
  * CLASSE FormValidator
- * Encapsule toute la logique de validation dans une classe
- * Avantages : réutilisable, maintenable, testable
+ * Validateur générique piloté par un schéma, partagé par le formulaire de contact et le checkout :
+ * message par champ (élément "<id>Error"), aria-invalid, validation en direct, focus sur la première erreur.
+ *
+ * Schéma : { clé: { id, required, requiredMessage, rules, isActive, persist } }
+ * - id : id du champ dans la page
+ * - required : false pour accepter un champ vide (les règles sont alors vérifiées quand même)
+ * - rules : [{ pattern, message }] ou [{ test: (value, values) => boolean, message }], dans l'ordre ;
+ *   message peut être une fonction (value, values) => string
+ * - isActive : (values) => boolean ; un champ inactif (masqué) n'est pas validé
+ * - persist : false pour exclure le champ du brouillon (valeur vite périmée, comme une date)
+ *
+ * Brouillon (option draft) : la saisie est sauvegardée dans localStorage après une courte pause,
+ * peut être restaurée au retour et n'est plus jamais écrite si le visiteur le refuse.
  */
 class FormValidator {
     /**
      * Constructeur de la classe
-     * @param {HTMLFormElement} form - L'élément formulaire à valider
+     * @param {Object} schema - Champs à valider (voir ci-dessus)
+     * @param {Object} options - { errorClass, successClass } : classes CSS des états du champ,
+     *                           draft : { storageKey, version, delay, maxAge } pour la sauvegarde automatique
      */
-    constructor(form) {
-        this.form = form;
-        this.fields = {
-            name: this.form.querySelector('#name'),
-            email: this.form.querySelector('#email'),
-            phone: this.form.querySelector('#phone'),
-            subject: this.form.querySelector('#subject'),
-            message: this.form.querySelector('#message')
-        };
+    constructor(schema, { errorClass = 'error', successClass = null, draft = null } = {}) {
+        this.schema = schema;
+        this.errorClass = errorClass;
+        this.successClass = successClass;
+        this.draft = draft;
+        this.draftTimeoutId = null;
+        this.fields = {};
+        Object.entries(schema).forEach(([key, config]) => {
+            const field = document.getElementById(config.id);
+            if (field) {
+                this.fields[key] = field;
+            }
+        });
+        this.draftEnabled = Boolean(draft) && !this.readDraftStorage()?.optOut;
         this.init();
     }
     
@@ -266,1362 +464,4793 @@ class FormValidator {
      */
     init() {
         // Validation en temps réel (à la saisie)
-        Object.values(this.fields).forEach(field => {
+        Object.entries(this.fields).forEach(([key, field]) => {
             // Validation pendant la saisie (après le premier blur)
-            field.addEventListener('blur', () => this.validateField(field));
-            field.addEventListener('input', () => {
+            field.addEventListener('blur', () => this.validateField(key));
+            field.addEventListener(field.tagName === 'SELECT' ? 'change' : 'input', () => {
                 // Nettoyer les erreurs pendant la saisie si le champ avait une erreur
-                if (field.classList.contains('error')) {
-                    this.validateField(field);
+                if (field.classList.contains(this.errorClass)) {
+                    this.validateField(key);
                 }
+                this.scheduleDraftSave();
             });
         });
-        
-        // Validation à la soumission du formulaire
-        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+        // Ne pas perdre la dernière frappe si la page est fermée avant la fin de la pause
+        if (this.draft) {
+            window.addEventListener('pagehide', () => this.flushDraft());
+        }
+    }
+
+    /**
+     * Valeurs actuelles des champs (espaces retirés)
+     * @returns {Object} Valeurs par clé
+     */
+    getValues() {
+        const values = {};
+        Object.entries(this.fields).forEach(([key, field]) => {
+            values[key] = field.value.trim();
+        });
+        return values;
+    }
+
+    /**
+     * Le champ doit-il être validé ? (ex : adresse masquée à emporter)
+     * @param {string} key - Clé du champ
+     * @param {Object} values - Valeurs du formulaire
+     * @returns {boolean} true si actif
+     */
+    isActive(key, values) {
+        const config = this.schema[key];
+        return !config.isActive || config.isActive(values);
+    }
+
+    /**
+     * Trouver l'erreur d'un champ selon le schéma
+     * @param {string} key - Clé du champ
+     * @param {Object} values - Valeurs du formulaire (certaines règles en comparent plusieurs)
+     * @returns {string} Message d'erreur (vide si valide)
+     */
+    getFieldError(key, values) {
+        const config = this.schema[key];
+        const value = values[key];
+
+        // Vérifier si le champ est vide
+        if (!value && config.required !== false) {
+            return config.requiredMessage || ERROR_MESSAGES.required;
+        }
+
+        // Première règle non respectée
+        const failedRule = (config.rules || []).find(rule => (
+            rule.pattern ? !rule.pattern.test(value) : !rule.test(value, values)
+        ));
+        if (!failedRule) return '';
+        return typeof failedRule.message === 'function' ? failedRule.message(value, values) : failedRule.message;
     }
     
     /**
      * Valider un champ individuel
-     * @param {HTMLInputElement} field - Le champ à valider
+     * @param {string} key - Clé du champ dans le schéma
      * @returns {boolean} true si valide, false sinon
      */
-    validateField(field) {
-        const fieldName = field.id;
-        const value = field.value.trim();
-        const errorElement = document.getElementById(`${fieldName}Error`);
-        
-        // Réinitialiser l'état du champ
-        field.classList.remove('error', 'success');
-        errorElement.textContent = '';
-        
-        // Vérifier si le champ est vide
-        if (!value) {
-            this.showError(field, errorElement, ERROR_MESSAGES.required);
-            return false;
-        }
-        
-        // Validation spécifique selon le type de champ
-        let isValid = true;
-        let errorMessage = '';
-        
-        switch(fieldName) {
-            case 'name':
-                if (!VALIDATION_PATTERNS.name.test(value)) {
-                    isValid = false;
-                    errorMessage = ERROR_MESSAGES.invalidName;
-                }
-                break;
-                
-            case 'email':
-                if (!VALIDATION_PATTERNS.email.test(value)) {
-                    isValid = false;
-                    errorMessage = ERROR_MESSAGES.invalidEmail;
-                }
-                break;
-                
-            case 'phone':
-                if (!VALIDATION_PATTERNS.phone.test(value)) {
-                    isValid = false;
-                    errorMessage = ERROR_MESSAGES.invalidPhone;
-                }
-                break;
-                
-            case 'subject':
-                if (value === '') {
-                    isValid = false;
-                    errorMessage = ERROR_MESSAGES.invalidSubject;
-                }
-                break;
-                
-            case 'message':
-                if (value.length < 10) {
-                    isValid = false;
-                    errorMessage = ERROR_MESSAGES.shortMessage;
-                }
-                break;
+    validateField(key) {
+        if (!this.fields[key]) return true;
+
+        const values = this.getValues();
+        if (!this.isActive(key, values)) {
+            this.clearField(key);
+            return true;
         }
-        
-        // Afficher l'erreur ou le succès
-        if (!isValid) {
-            this.showError(field, errorElement, errorMessage);
+
+        const message = this.getFieldError(key, values);
+        if (message) {
+            this.showError(key, message);
             return false;
-        } else {
-            this.showSuccess(field);
-            return true;
         }
+        this.showSuccess(key);
+        return true;
     }
     
     /**
      * Afficher un message d'erreur
-     * @param {HTMLInputElement} field - Le champ en erreur
-     * @param {HTMLElement} errorElement - L'élément où afficher l'erreur
+     * @param {string} key - Clé du champ en erreur
      * @param {string} message - Le message d'erreur
      */
-    showError(field, errorElement, message) {
-        field.classList.add('error');
-        errorElement.textContent = message;
+    showError(key, message) {
+        const field = this.fields[key];
+        field.classList.add(this.errorClass);
+        if (this.successClass) {
+            field.classList.remove(this.successClass);
+        }
+        this.setErrorText(field, message);
         // Annoncer l'erreur aux lecteurs d'écran (accessibilité)
         field.setAttribute('aria-invalid', 'true');
     }
     
     /**
-     * Indiquer visuellement que le champ est valide
-     * @param {HTMLInputElement} field - Le champ valide
+     * Indiquer que le champ est valide
+     * @param {string} key - Clé du champ valide
      */
-    showSuccess(field) {
-        field.classList.add('success');
+    showSuccess(key) {
+        const field = this.fields[key];
+        field.classList.remove(this.errorClass);
+        if (this.successClass) {
+            field.classList.add(this.successClass);
+        }
+        this.setErrorText(field, '');
         field.setAttribute('aria-invalid', 'false');
     }
+
+    /**
+     * Remettre un champ à l'état neutre (champ masqué, vidé ou rempli par le script)
+     * @param {string} key - Clé du champ
+     */
+    clearField(key) {
+        const field = this.fields[key];
+        if (!field) return;
+
+        field.classList.remove(this.errorClass);
+        if (this.successClass) {
+            field.classList.remove(this.successClass);
+        }
+        field.removeAttribute('aria-invalid');
+        this.setErrorText(field, '');
+    }
+
+    /**
+     * Écrire le message sous le champ (élément "<id>Error", relié par aria-describedby)
+     * @param {HTMLElement} field - Champ
+     * @param {string} message - Message (vide pour effacer)
+     */
+    setErrorText(field, message) {
+        const errorElement = document.getElementById(`${field.id}Error`);
+        if (errorElement) {
+            errorElement.textContent = message;
+        }
+    }
     
     /**
      * Valider tous les champs du formulaire
-     * @returns {boolean} true si tous les champs sont valides
+     * @returns {Object[]} Erreurs dans l'ordre du schéma ({key, message}), vide si tout est valide
      */
-    validateAllFields() {
-        let isFormValid = true;
-        
-        // Valider chaque champ et garder trace du résultat global
-        Object.values(this.fields).forEach(field => {
-            const isFieldValid = this.validateField(field);
-            if (!isFieldValid) {
-                isFormValid = false;
+    validateAll() {
+        const values = this.getValues();
+        const errors = [];
+
+        Object.keys(this.fields).forEach(key => {
+            if (!this.isActive(key, values)) {
+                this.clearField(key);
+                return;
+            }
+
+            const message = this.getFieldError(key, values);
+            if (message) {
+                this.showError(key, message);
+                errors.push({ key, message });
+            } else {
+                this.showSuccess(key);
             }
         });
-        
-        return isFormValid;
+
+        return errors;
     }
-    
+
     /**
-     * Gérer la soumission du formulaire
-     * @param {Event} event - L'événement de soumission
+     * Placer le focus sur le premier champ en erreur
+     * @returns {HTMLElement|null} Champ en erreur
      */
-    handleSubmit(event) {
-        event.preventDefault(); // Empêcher la soumission par défaut
-        
-        // Valider tous les champs
-        const isValid = this.validateAllFields();
-        
-        if (isValid) {
-            this.submitForm();
-        } else {
-            // Scroller vers le premier champ en erreur
-            const firstError = this.form.querySelector('.error');
-            if (firstError) {
-                firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                firstError.focus();
-            }
+    focusFirstError() {
+        const firstError = Object.values(this.fields).find(field => field.classList.contains(this.errorClass));
+        if (firstError) {
+            firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            firstError.focus();
         }
+        return firstError || null;
     }
-    
+
     /**
-     * Soumettre le formulaire (simulation)
-     * Dans un vrai projet, on enverrait les données à un serveur
+     * Retirer tous les états de validation
      */
-    submitForm() {
-        // Récupérer les données du formulaire
-        const formData = {
-            name: this.fields.name.value.trim(),
-            email: this.fields.email.value.trim(),
-            phone: this.fields.phone.value.trim(),
-            subject: this.fields.subject.value,
-            message: this.fields.message.value.trim(),
-            timestamp: new Date().toISOString()
-        };
-        
-        // Simuler un délai d'envoi (comme une requête serveur)
-        const submitButton = this.form.querySelector('button[type="submit"]');
-        const originalButtonText = submitButton.textContent;
-        submitButton.textContent = 'Envoi en cours...';
-        submitButton.disabled = true;
-        
-        setTimeout(() => {
-            // Afficher le message de succès
-            this.showSuccessMessage();
-            
-            // Logger les données (en développement seulement)
-            console.log('Données du formulaire:', formData);
-            
-            // Réinitialiser le formulaire
-            this.resetForm();
-            
-            // Restaurer le bouton
-            submitButton.textContent = originalButtonText;
-            submitButton.disabled = false;
-        }, 1500);
+    reset() {
+        Object.keys(this.fields).forEach(key => this.clearField(key));
     }
-    
+
     /**
-     * Afficher le message de succès
+     * Lire l'entrée de brouillon stockée
+     * Une version plus récente (autre onglet mis à jour) est ignorée sans être écrasée.
+     * @returns {Object|null} { savedAt, values } ou { optOut: true }
      */
-    showSuccessMessage() {
-        const successMessage = document.getElementById('formSuccess');
-        successMessage.classList.add('show');
-        
-        // Masquer le message après 5 secondes
-        setTimeout(() => {
-            successMessage.classList.remove('show');
-        }, 5000);
-        
-        // Scroller vers le message de succès
-        successMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    readDraftStorage() {
+        if (!this.draft) return null;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.draft.storageKey) || 'null');
+            return stored && stored.version === this.draft.version ? stored : null;
+        } catch (error) {
+            console.warn('⚠️ Brouillon illisible:', error);
+            return null;
+        }
     }
-    
+
     /**
-     * Réinitialiser le formulaire
+     * Écrire l'entrée de brouillon (null pour la supprimer)
+     * @param {Object|null} entry - { savedAt, values } ou { optOut: true }
      */
-    resetForm() {
-        this.form.reset();
-        
-        // Retirer les classes de validation
-        Object.values(this.fields).forEach(field => {
-            field.classList.remove('error', 'success');
-            field.removeAttribute('aria-invalid');
-            
-            const errorElement = document.getElementById(`${field.id}Error`);
-            if (errorElement) {
-                errorElement.textContent = '';
+    writeDraftStorage(entry) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.draft.storageKey) || 'null');
+            if (stored && stored.version > this.draft.version) {
+                return;
             }
-        });
+            if (entry) {
+                localStorage.setItem(this.draft.storageKey, JSON.stringify({ version: this.draft.version, ...entry }));
+            } else {
+                localStorage.removeItem(this.draft.storageKey);
+            }
+        } catch (error) {
+            console.warn('⚠️ Impossible de sauvegarder le brouillon:', error);
+        }
     }
-}
 
-/* ========================================
-   5. SHOPPING CART SYSTEM
-   ======================================== */
+    /**
+     * Programmer la sauvegarde du brouillon après une pause dans la saisie
+     */
+    scheduleDraftSave() {
+        if (!this.draftEnabled) return;
+
+        clearTimeout(this.draftTimeoutId);
+        this.draftTimeoutId = setTimeout(() => this.saveDraft(), this.draft.delay);
+    }
 
-/**
- * CLASSE ShoppingCart
- * Gère toute la logique du panier d'achat
- * Fonctionnalités : ajout, suppression, quantités, total, persistance
- */
-class ShoppingCart {
     /**
-     * Constructeur de la classe ShoppingCart
+     * Sauvegarder tout de suite une sauvegarde en attente
      */
-    constructor() {
-        this.items = this.loadCartFromStorage();
-        this.isCartOpen = false;
-        this.init();
+    flushDraft() {
+        if (this.draftTimeoutId === null) return;
+        this.saveDraft();
     }
-    
+
     /**
-     * Initialisation du panier
+     * Sauvegarder la saisie actuelle (texte brut, retours à la ligne compris)
+     * Un formulaire vide supprime le brouillon.
      */
-    init() {
-        this.bindEvents();
-        this.updateCartDisplay();
-        this.setupAddToCartButtons();
-        
-        console.log('🛒 Système de panier initialisé');
+    saveDraft() {
+        clearTimeout(this.draftTimeoutId);
+        this.draftTimeoutId = null;
+        if (!this.draftEnabled) return;
+
+        const values = {};
+        Object.entries(this.fields).forEach(([key, field]) => {
+            if (this.schema[key].persist !== false) {
+                values[key] = field.value;
+            }
+        });
+
+        const isEmpty = Object.values(values).every(value => !value.trim());
+        this.writeDraftStorage(isEmpty ? null : { savedAt: new Date().toISOString(), values });
     }
-    
+
     /**
-     * Liaison des événements
+     * Brouillon à proposer au retour du visiteur
+     * Un brouillon trop ancien est supprimé.
+     * @returns {Object|null} { savedAt, values }
      */
-    bindEvents() {
-        // Toggle du panier
-        if (cartToggle) {
-            cartToggle.addEventListener('click', () => this.toggleCart());
+    loadDraft() {
+        const stored = this.readDraftStorage();
+        if (!stored || stored.optOut || !stored.values || typeof stored.values !== 'object') {
+            return null;
         }
-        
-        // Bouton de commande
-        if (checkoutBtn) {
-            checkoutBtn.addEventListener('click', () => this.checkout());
+
+        const age = Date.now() - new Date(stored.savedAt).getTime();
+        if (!(age >= 0 && age <= this.draft.maxAge)) {
+            this.writeDraftStorage(null);
+            return null;
         }
+
+        return { savedAt: stored.savedAt, values: stored.values };
     }
-    
+
     /**
-     * Configuration des boutons "Ajouter au panier"
+     * Remettre un brouillon dans les champs
+     * @param {Object} draft - Brouillon renvoyé par loadDraft()
      */
-    setupAddToCartButtons() {
-        const addToCartButtons = document.querySelectorAll('.btn-add-to-cart');
-        
-        addToCartButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                e.preventDefault();
-                const menuItem = button.closest('.menu-item');
-                
-                if (!menuItem) {
-                    return;
-                }
+    restoreDraft(draft) {
+        Object.entries(this.fields).forEach(([key, field]) => {
+            if (this.schema[key].persist === false || typeof draft.values[key] !== 'string') return;
 
-                const hasOptions = menuItem.dataset.hasOptions === 'true';
-                const optionsWrapper = menuItem.querySelector('.menu-item-options');
-                let optionData = { options: [], isComplete: true };
+            // Une valeur absente de la liste (sujet retiré) laisse le choix vide
+            field.value = draft.values[key];
+            this.clearField(key);
+        });
+        this.saveDraft();
+    }
 
-                if (hasOptions && optionsWrapper && optionsWrapper.dataset.stepMode === 'enabled') {
-                    const stepper = optionsWrapper._stepper;
-                    const isComplete = optionsWrapper.dataset.stepComplete === 'true';
+    /**
+     * Supprimer le brouillon (après envoi, ou si le visiteur l'ignore)
+     */
+    clearDraft() {
+        clearTimeout(this.draftTimeoutId);
+        this.draftTimeoutId = null;
+        if (this.draftEnabled) {
+            this.writeDraftStorage(null);
+        }
+    }
 
-                    if (!isComplete) {
-                        if (stepper) {
-                            if (optionsWrapper.classList.contains('menu-item-options--visible')) {
-                                stepper.open();
-                                stepper.focusStep();
-                            } else {
-                                stepper.start();
-                            }
-                        } else {
-                            optionsWrapper.classList.add('menu-item-options--visible');
-                            optionsWrapper.setAttribute('aria-hidden', 'false');
-                            menuItem.classList.add('menu-item--configuring');
-                        }
-                        return;
-                    }
-                }
+    /**
+     * Activer ou refuser la sauvegarde automatique
+     * Refuser efface le brouillon : seul le refus lui-même est retenu, sans aucune saisie.
+     * @param {boolean} enabled - false si le visiteur refuse
+     */
+    setDraftEnabled(enabled) {
+        if (!this.draft) return;
 
-                if (hasOptions) {
-                    optionData = this.collectMenuItemOptions(menuItem);
+        clearTimeout(this.draftTimeoutId);
+        this.draftTimeoutId = null;
+        this.draftEnabled = enabled;
 
-                    if (!optionData.isComplete) {
-                        return;
-                    }
-                }
-
-                const item = {
-                    id: this.generateItemId(menuItem, optionData.options),
-                    name: menuItem.dataset.name,
-                    price: parseFloat(menuItem.dataset.price),
-                    category: menuItem.dataset.category
-                };
-
-                if (optionData.options && optionData.options.length) {
-                    item.options = optionData.options;
-                }
-                
-                this.addItem(item);
-                this.showAddToCartFeedback(button);
+        if (enabled) {
+            this.writeDraftStorage(null);
+            this.saveDraft();
+        } else {
+            this.writeDraftStorage({ optOut: true });
+        }
+    }
+}
 
-                if (hasOptions) {
-                    this.resetMenuItemOptions(optionData);
-                }
-            });
+/**
+ * CLASSE ContactForm
+ * Formulaire de contact : validation et brouillon par FormValidator, envoi par ContactClient
+ * (file d'attente hors ligne, champ piège et durée minimale de saisie contre les robots).
+ * En mode réservation : date, heure (heures d'ouverture), personnes et placement,
+ * vérifiés contre les tables libres puis confirmés par un récapitulatif.
+ */
+class ContactForm {
+    /**
+     * Constructeur de la classe
+     * @param {HTMLFormElement} form - L'élément formulaire
+     * @param {ContactClient} contactClient - Envoi des messages et réservations
+     * @param {ReservationPlanner} reservationPlanner - Horaires réservables et tables
+     */
+    constructor(form, contactClient, reservationPlanner) {
+        this.form = form;
+        this.contactClient = contactClient;
+        this.planner = reservationPlanner;
+        this.mode = 'message';
+        this.bookings = null;
+        this.bookingsDate = null;
+        this.validator = new FormValidator(this.getSchema(), {
+            errorClass: 'error',
+            successClass: 'success',
+            draft: CONTACT_DRAFT_CONFIG
         });
+        this.fields = this.validator.fields;
+        this.honeypot = form.querySelector('#website');
+        this.draftOption = document.getElementById('contactDraftEnabled');
+        this.draftNotice = document.getElementById('contactDraftNotice');
+        this.draftNoticeText = document.getElementById('contactDraftText');
+        this.pendingDraft = null;
+        this.submitButton = form.querySelector('button[type="submit"]');
+        this.successMessage = document.getElementById('formSuccess');
+        this.errorMessage = document.getElementById('formError');
+        this.successTimeoutId = null;
+        this.reservationFields = document.getElementById('reservationFields');
+        this.reservationAvailability = document.getElementById('reservationAvailability');
+        this.reservationSummary = document.getElementById('reservationSummary');
+        this.startedAt = Date.now();
+        this.formToken = null;
+        this.init();
     }
-    
+
     /**
-     * Gérer la récupération et la validation des options d'un menu item
-     * @param {HTMLElement} menuItem - L'élément du menu concerné
-    * @returns {{options: Array, isComplete: boolean, wrapper: HTMLElement|null, selects: HTMLElement[], optionGroups: HTMLElement[], hint: HTMLElement|null}}
+     * Schéma de validation : champs communs, puis sujet et message (mode message)
+     * ou date, heure, personnes et placement (mode réservation)
+     * @returns {Object} Schéma pour FormValidator
      */
-    collectMenuItemOptions(menuItem) {
-        const optionsWrapper = menuItem.querySelector('.menu-item-options');
-        const result = {
-            options: [],
-            isComplete: true,
-            wrapper: optionsWrapper,
-            selects: [],
-            optionGroups: [],
-            hint: null,
-            menuItem
+    getSchema() {
+        const isReservation = () => this.mode === 'reservation';
+        const isMessage = () => this.mode === 'message';
+
+        return {
+            name: CONTACT_FORM_SCHEMA.name,
+            email: CONTACT_FORM_SCHEMA.email,
+            phone: CONTACT_FORM_SCHEMA.phone,
+            subject: { ...CONTACT_FORM_SCHEMA.subject, isActive: isMessage },
+            reservationDate: {
+                id: 'reservationDate',
+                persist: false,
+                isActive: isReservation,
+                requiredMessage: RESERVATION_ERROR_MESSAGES.date,
+                rules: [{ test: value => this.planner.getDates().includes(value), message: RESERVATION_ERROR_MESSAGES.closedDay }]
+            },
+            reservationTime: {
+                id: 'reservationTime',
+                persist: false,
+                isActive: isReservation,
+                requiredMessage: RESERVATION_ERROR_MESSAGES.time,
+                rules: [
+                    { test: (value, values) => this.planner.isTime(values.reservationDate, new Date(value)), message: RESERVATION_ERROR_MESSAGES.hours },
+                    { test: (value, values) => this.isTableAvailable(new Date(value), values), message: RESERVATION_ERROR_MESSAGES.full }
+                ]
+            },
+            reservationPartySize: {
+                id: 'reservationPartySize',
+                persist: false,
+                isActive: isReservation,
+                requiredMessage: RESERVATION_ERROR_MESSAGES.partySize,
+                rules: [
+                    { pattern: /^[1-9]\d*$/, message: RESERVATION_ERROR_MESSAGES.partySize },
+                    {
+                        test: (value, values) => Number(value) <= this.planner.getMaxPartySize(values.reservationSeating),
+                        message: (value, values) => t(`reservation.error.tooMany.${values.reservationSeating}`, {
+                            count: this.planner.getMaxPartySize(values.reservationSeating)
+                        })
+                    }
+                ]
+            },
+            reservationSeating: { id: 'reservationSeating', persist: false, isActive: isReservation },
+            message: { ...CONTACT_FORM_SCHEMA.message, isActive: isMessage }
         };
+    }
 
-        if (!optionsWrapper) {
-            return result;
-        }
-
-        optionsWrapper.classList.add('menu-item-options--visible');
-        optionsWrapper.setAttribute('aria-hidden', 'false');
-
-        const hint = optionsWrapper.querySelector('.menu-item-options-hint');
-        result.hint = hint;
-
-        let isComplete = true;
-        const missingLabels = [];
-
-        const optionGroups = Array.from(optionsWrapper.querySelectorAll('.menu-option'));
-        result.optionGroups = optionGroups;
-
-        const isStepped = optionsWrapper.dataset.stepMode === 'enabled';
-        if (isStepped && optionsWrapper.dataset.stepComplete !== 'true') {
-            optionsWrapper.classList.add('menu-item-options--error');
-            const stepper = optionsWrapper._stepper;
-            if (stepper) {
-                stepper.open();
-                stepper.focusStep();
+    /**
+     * Initialisation : validation à la soumission du formulaire, brouillon, mode réservation,
+     * renvoi des messages en attente au chargement et au retour de la connexion
+     */
+    init() {
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        this.form.querySelectorAll('input[name="contactMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.setMode(radio.value));
+        });
+        this.fields.reservationDate?.addEventListener('change', () => this.refreshReservationTimes());
+        this.fields.reservationPartySize?.addEventListener('input', () => this.renderReservationTimes());
+        this.fields.reservationSeating?.addEventListener('change', () => {
+            this.renderReservationTimes();
+            // La capacité maximale dépend du placement choisi
+            if (this.fields.reservationPartySize.value) {
+                this.validator.validateField('reservationPartySize');
             }
-            if (hint) {
-                const stepHint = hint.dataset.stepHint || hint.dataset.defaultHint || hint.textContent;
-                hint.textContent = stepHint;
-                hint.classList.add('menu-item-options-hint--error');
+        });
+        window.addEventListener('online', () => {
+            this.flushPending();
+            if (!this.formToken) {
+                this.loadFormToken();
             }
-            result.isComplete = false;
-            return result;
-        }
-
-        if (optionGroups.length > 0) {
-            optionGroups.forEach(option => {
-                option.classList.remove('menu-option--error');
-
-                const selectionType = option.dataset.selectionType || 'single';
-                const max = parseInt(option.dataset.max, 10);
-                const maxSelections = Number.isFinite(max) && max > 0
-                    ? max
-                    : (selectionType === 'multiple' ? option.querySelectorAll('.menu-option-button').length : 1);
-                const required = option.dataset.required !== 'false';
-                const buttons = Array.from(option.querySelectorAll('.menu-option-button'));
-                const selectedButtons = buttons.filter(btn => btn.classList.contains('menu-option-button--selected'));
-
-                if (selectedButtons.length > maxSelections) {
-                    option.classList.add('menu-option--error');
-                    isComplete = false;
-                    return;
-                }
-
-                if (required && selectedButtons.length === 0) {
-                    option.classList.add('menu-option--error');
-                    missingLabels.push(option.dataset.optionLabel || option.dataset.optionKey || 'option');
-                    isComplete = false;
-                    return;
-                }
-
-                if (selectedButtons.length > 0) {
-                    const values = selectedButtons.map(btn => btn.dataset.value || btn.textContent.trim());
-                    const valueString = selectionType === 'multiple' ? values.join(', ') : values[0];
-                    result.options.push({
-                        key: option.dataset.optionKey || option.dataset.optionLabel || 'option',
-                        label: option.dataset.optionLabel || option.dataset.optionKey || 'Option',
-                        value: valueString
-                    });
+        });
+        this.flushPending();
+        this.loadFormToken();
+
+        if (this.draftOption) {
+            this.draftOption.checked = this.validator.draftEnabled;
+            this.draftOption.addEventListener('change', () => {
+                this.validator.setDraftEnabled(this.draftOption.checked);
+                if (!this.draftOption.checked) {
+                    this.hideDraftNotice();
                 }
             });
-        } else {
-            const selects = Array.from(optionsWrapper.querySelectorAll('select[data-required="true"]'));
-            result.selects = selects;
+        }
 
-            selects.forEach(select => {
-                select.classList.remove('menu-option-select--error');
-                if (!select.value) {
-                    isComplete = false;
-                    select.classList.add('menu-option-select--error');
-                }
-            });
+        document.getElementById('contactDraftRestore')?.addEventListener('click', () => this.restoreDraft());
+        document.getElementById('contactDraftDiscard')?.addEventListener('click', () => {
+            this.validator.clearDraft();
+            this.hideDraftNotice();
+        });
 
-            if (!isComplete) {
-                const firstEmpty = selects.find(select => !select.value);
-                if (firstEmpty) {
-                    firstEmpty.focus();
-                }
-            } else {
-                result.options = selects.map(select => {
-                    const optionLabel = select.dataset.optionLabel || select.getAttribute('aria-label') || select.previousElementSibling?.textContent?.trim() || '';
-                    const optionKey = select.dataset.optionKey || select.name || optionLabel.toLowerCase();
-                    const selectedOption = select.options[select.selectedIndex];
-                    const displayValue = selectedOption ? selectedOption.text.trim() : select.value;
-                    return {
-                        key: optionKey,
-                        label: optionLabel || optionKey,
-                        value: displayValue
-                    };
-                });
-            }
-        }
+        this.offerDraftRestore();
+    }
 
-        if (!isComplete) {
-            optionsWrapper.classList.add('menu-item-options--error');
-            if (hint) {
-                const defaultHint = hint.dataset.defaultHint || hint.textContent;
-                const errorHint = hint.dataset.errorHint || (missingLabels.length ? `Veuillez sélectionner : ${missingLabels.join(', ')}.` : defaultHint);
-                hint.textContent = errorHint;
-                hint.classList.add('menu-item-options-hint--error');
+    /**
+     * Passer du message à la réservation (ou l'inverse)
+     * @param {string} mode - 'message' ou 'reservation'
+     */
+    setMode(mode) {
+        this.mode = mode === 'reservation' ? 'reservation' : 'message';
+        const isReservation = this.mode === 'reservation';
+
+        this.reservationFields.hidden = !isReservation;
+        document.getElementById('subjectGroup').hidden = isReservation;
+        document.getElementById('messageRequired').hidden = isReservation;
+        this.fields.message.setAttribute('aria-required', String(!isReservation));
+
+        // Les champs masqués perdent leurs erreurs
+        const values = this.validator.getValues();
+        Object.keys(this.fields).forEach(key => {
+            if (!this.validator.isActive(key, values)) {
+                this.validator.clearField(key);
             }
+        });
 
-            if (optionGroups.length > 0) {
-                const firstInvalidGroup = optionGroups.find(option => option.classList.contains('menu-option--error'));
-                const firstButton = firstInvalidGroup?.querySelector('.menu-option-button');
-                if (firstButton) {
-                    firstButton.focus();
-                }
-            }
-        } else {
-            optionsWrapper.classList.remove('menu-item-options--error');
-            if (hint) {
-                const defaultHint = hint.dataset.defaultHint || hint.textContent;
-                hint.textContent = defaultHint;
-                hint.classList.remove('menu-item-options-hint--error');
-            }
+        if (isReservation) {
+            this.renderReservationDates();
+            this.refreshReservationTimes();
         }
+    }
 
-        result.isComplete = isComplete;
-        return result;
+    /**
+     * Proposer les dates ouvertes à la réservation
+     */
+    renderReservationDates() {
+        const select = this.fields.reservationDate;
+        const previous = select.value;
+        const now = new Date();
+
+        const optionsHtml = this.planner.getDates(now).map(dateKey => {
+            const label = this.planner.describeDate(dateKey, now);
+            return `<option value="${dateKey}">${escapeHtml(label.charAt(0).toUpperCase() + label.slice(1))}</option>`;
+        }).join('');
+
+        select.innerHTML = `<option value="">${escapeHtml(t('reservation.date.placeholder'))}</option>${optionsHtml}`;
+        select.value = [...select.options].some(option => option.value === previous) ? previous : '';
     }
 
     /**
-     * Réinitialiser les options après ajout au panier
-     * @param {Object} optionData - Données des options collectées
+     * Réservations connues pour une date (null si pas encore récupérées)
+     * @param {string} dateKey - Date "AAAA-MM-JJ"
+     * @returns {Object[]|null} Tables occupées
      */
-    resetMenuItemOptions(optionData) {
-        const { selects = [], optionGroups = [], wrapper, hint, menuItem } = optionData;
+    getBookings(dateKey) {
+        return this.bookingsDate === dateKey ? this.bookings : null;
+    }
 
-        selects.forEach(select => {
-            if (select.querySelector('option[value=""]')) {
-                select.value = '';
-            } else {
-                select.selectedIndex = 0;
-            }
-            select.classList.remove('menu-option-select--error');
-        });
+    /**
+     * Reste-t-il une table pour cet horaire ?
+     * Sans disponibilités connues, l'horaire reste proposé (le serveur refusera s'il est complet).
+     * @param {Date} start - Heure d'arrivée
+     * @param {Object} values - Valeurs du formulaire
+     * @returns {boolean} true si une table convient
+     */
+    isTableAvailable(start, values) {
+        const bookings = this.getBookings(values.reservationDate);
+        if (!bookings) return true;
+
+        return this.planner.findTable({
+            start,
+            partySize: Number(values.reservationPartySize) || 1,
+            seating: values.reservationSeating
+        }, bookings) !== null;
+    }
 
-        optionGroups.forEach(option => {
-            option.classList.remove('menu-option--error');
-            option.classList.remove('menu-option--active');
-            option.querySelectorAll('.menu-option-button').forEach(button => {
-                button.classList.remove('menu-option-button--selected');
-                button.setAttribute('aria-pressed', 'false');
-            });
-        });
+    /**
+     * Récupérer les tables occupées pour la date choisie puis afficher les horaires
+     */
+    async refreshReservationTimes() {
+        const dateKey = this.fields.reservationDate.value;
+        this.renderReservationTimes();
+        if (!dateKey) return;
 
-        if (wrapper) {
-            wrapper.classList.remove('menu-item-options--error');
-            wrapper.dataset.stepComplete = 'false';
+        try {
+            const bookings = await this.contactClient.fetchReservations(dateKey);
+            // Une autre date a pu être choisie pendant la requête
+            if (this.fields.reservationDate.value !== dateKey) return;
 
-            if (wrapper._stepper && typeof wrapper._stepper.reset === 'function') {
-                wrapper._stepper.reset();
-            } else {
-                wrapper.classList.remove('menu-item-options--visible');
-                wrapper.setAttribute('aria-hidden', 'true');
-            }
+            this.bookings = bookings;
+            this.bookingsDate = dateKey;
+            this.renderReservationTimes();
+        } catch (error) {
+            console.warn('⚠️ Disponibilité des tables inconnue:', error);
         }
+    }
 
-        if (hint) {
-            const defaultHint = hint.dataset.defaultHint || hint.textContent;
-            hint.textContent = defaultHint;
-            hint.classList.remove('menu-item-options-hint--error');
+    /**
+     * Proposer les heures d'arrivée de la date choisie (complètes désactivées)
+     */
+    renderReservationTimes() {
+        const select = this.fields.reservationTime;
+        const dateKey = this.fields.reservationDate.value;
+        const previous = select.value;
+
+        if (!dateKey) {
+            select.innerHTML = `<option value="">${escapeHtml(t('reservation.time.noDate'))}</option>`;
+            this.reservationAvailability.textContent = '';
+            return;
         }
 
-        if (menuItem) {
-            menuItem.classList.remove('menu-item--configuring', 'menu-item--ready');
+        const values = this.validator.getValues();
+        const times = this.planner.getTimes(dateKey);
+        let fullCount = 0;
+
+        const optionsHtml = times.map(time => {
+            const isFull = !this.isTableAvailable(time.start, values);
+            if (isFull) fullCount += 1;
+            const hour = this.planner.openingHours.formatTime(time.start);
+            const label = isFull ? t('slot.full', { time: hour }) : hour;
+            return `<option value="${time.start.toISOString()}"${isFull ? ' disabled' : ''}>${escapeHtml(label)}</option>`;
+        }).join('');
+
+        select.innerHTML = `<option value="">${escapeHtml(t('reservation.time.placeholder'))}</option>${optionsHtml}`;
+        const kept = [...select.options].find(option => option.value === previous && !option.disabled);
+        select.value = kept ? previous : '';
+
+        if (times.length && fullCount === times.length) {
+            this.reservationAvailability.textContent = t('reservation.availability.dayFull');
+        } else if (fullCount) {
+            this.reservationAvailability.textContent = t('reservation.availability.someFull', { count: fullCount });
+        } else {
+            this.reservationAvailability.textContent = '';
         }
     }
 
     /**
-     * Générer un ID unique pour un item
-     * @param {HTMLElement} menuItem - L'élément menu
-     * @returns {string} ID unique
+     * Afficher le récapitulatif de la réservation confirmée par le restaurant
+     * @param {Object} receipt - Réponse du serveur ({id, reservation})
+     * @param {Object} request - Réservation envoyée (si le serveur ne la renvoie pas)
+     * @param {Object} contact - Nom et téléphone saisis
      */
-    generateItemId(menuItem, options = []) {
-        const name = menuItem.dataset.name;
-        const price = menuItem.dataset.price;
-        const baseId = `${name}-${price}`.toLowerCase().replace(/\s+/g, '-');
+    showReservationSummary(receipt, request, contact) {
+        const reservation = receipt.reservation || request;
+        const start = new Date(reservation.start);
+        const day = this.planner.describeDate(reservation.date);
+        const partySize = Number(reservation.partySize);
+
+        const seating = SEATING_LABELS[reservation.seating] ? reservation.seating : 'any';
+
+        this.reservationSummary.innerHTML = `
+            <h4 class="reservation-summary-title">${escapeHtml(t('reservation.summary.title'))}</h4>
+            <dl class="reservation-summary-list">
+                <div><dt>${escapeHtml(t('reservation.date'))}</dt><dd>${escapeHtml(t('reservation.summary.when', {
+                    day: day.charAt(0).toUpperCase() + day.slice(1),
+                    time: this.planner.openingHours.formatTime(start)
+                }))}</dd></div>
+                <div><dt>${escapeHtml(t('reservation.partySize'))}</dt><dd>${escapeHtml(t('reservation.summary.people', { count: partySize }))}</dd></div>
+                <div><dt>${escapeHtml(t('reservation.seating'))}</dt><dd>${escapeHtml(t(`reservation.seating.${seating}`))}</dd></div>
+                <div><dt>${escapeHtml(t('reservation.summary.name'))}</dt><dd>${escapeHtml(contact.name)} · ${escapeHtml(formatSwissPhone(contact.phone))}</dd></div>
+                <div><dt>${escapeHtml(t('reservation.summary.reference'))}</dt><dd>${escapeHtml(receipt.id)}</dd></div>
+            </dl>
+            <p class="reservation-summary-note">${escapeHtml(t('reservation.summary.note'))}</p>
+        `;
+        this.reservationSummary.hidden = false;
+        this.reservationSummary.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        this.reservationSummary.focus();
+    }
 
-        if (!options || !options.length) {
-            return baseId;
-        }
+    /**
+     * Proposer le brouillon laissé lors d'une visite précédente
+     */
+    offerDraftRestore() {
+        const draft = this.validator.loadDraft();
+        if (!draft || !this.draftNotice) return;
+
+        const savedAt = new Date(draft.savedAt).toLocaleString(i18n.getLocale(), {
+            day: 'numeric',
+            month: 'long',
+            hour: '2-digit',
+            minute: '2-digit',
+            timeZone: 'Europe/Zurich'
+        });
+        this.pendingDraft = draft;
+        this.draftNoticeText.textContent = t('contact.draft.notice', { date: savedAt });
+        this.draftNotice.hidden = false;
+    }
 
-        const optionId = options
-            .map(option => `${option.key}-${option.value}`.toLowerCase().replace(/\s+/g, '-'))
-            .join('-');
+    /**
+     * Remettre le brouillon proposé dans le formulaire
+     */
+    restoreDraft() {
+        if (!this.pendingDraft) return;
 
-        return `${baseId}-${optionId}`;
+        this.validator.restoreDraft(this.pendingDraft);
+        this.hideDraftNotice();
+        this.fields.message?.focus();
     }
-    
+
     /**
-     * Ajouter un article au panier
-     * @param {Object} item - L'article à ajouter
+     * Masquer la proposition de brouillon
      */
-    addItem(item) {
-        const existingItem = this.items.find(cartItem => cartItem.id === item.id);
-        
-        if (existingItem) {
-            existingItem.quantity += 1;
-        } else {
-            this.items.push({
-                ...item,
-                quantity: 1,
-                addedAt: Date.now()
-            });
-        }
-        
-        this.updateCartDisplay();
-        this.saveCartToStorage();
-        
-        // Ouvrir le panier automatiquement après ajout
-        if (!this.isCartOpen) {
-            this.toggleCart();
+    hideDraftNotice() {
+        this.pendingDraft = null;
+        if (this.draftNotice) {
+            this.draftNotice.hidden = true;
         }
-        
-        console.log('📦 Article ajouté:', item.name);
     }
     
     /**
-     * Retirer un article du panier
-     * @param {string} itemId - ID de l'article
+     * Gérer la soumission du formulaire
+     * @param {Event} event - L'événement de soumission
      */
-    removeItem(itemId) {
-        this.items = this.items.filter(item => item.id !== itemId);
-        this.updateCartDisplay();
-        this.saveCartToStorage();
+    handleSubmit(event) {
+        event.preventDefault(); // Empêcher la soumission par défaut
+        this.hideErrorMessage();
+        this.reservationSummary.hidden = true;
         
-        console.log('🗑️ Article retiré:', itemId);
-    }
-    
-    /**
-     * Modifier la quantité d'un article
-     * @param {string} itemId - ID de l'article
-     * @param {number} newQuantity - Nouvelle quantité
-     */
-    updateQuantity(itemId, newQuantity) {
-        const item = this.items.find(cartItem => cartItem.id === itemId);
+        // Valider tous les champs
+        const errors = this.validator.validateAll();
         
-        if (item) {
-            if (newQuantity <= 0) {
-                this.removeItem(itemId);
-            } else {
-                item.quantity = newQuantity;
-                this.updateCartDisplay();
-                this.saveCartToStorage();
-            }
+        if (errors.length > 0) {
+            // Scroller vers le premier champ en erreur
+            this.validator.focusFirstError();
+            return;
         }
+
+        if (this.getFillTime() < this.contactClient.config.minFillTime) {
+            this.showErrorMessage(CONTACT_RESULT_MESSAGES.tooFast);
+            return;
+        }
+
+        this.submitForm();
     }
-    
+
     /**
-     * Calculer le total du panier
-     * @returns {number} Total en euros
+     * Temps passé sur le formulaire depuis son affichage (ou le dernier envoi)
+     * @returns {number} Durée en millisecondes
      */
-    getTotal() {
-        return this.items.reduce((total, item) => total + (item.price * item.quantity), 0);
+    getFillTime() {
+        return Date.now() - this.startedAt;
     }
-    
+
     /**
-     * Obtenir le nombre total d'articles
-     * @returns {number} Nombre total d'articles
+     * Demander au serveur le jeton qui date l'affichage du formulaire
+     * Sans jeton (hors ligne), le client en demandera un au moment de l'envoi.
      */
-    getTotalItems() {
-        return this.items.reduce((total, item) => total + item.quantity, 0);
+    async loadFormToken() {
+        this.formToken = await this.contactClient.fetchFormToken();
     }
     
     /**
-     * Basculer l'affichage du panier
+     * Transmettre le message (ou le mettre en attente hors ligne)
      */
-    toggleCart() {
-        this.isCartOpen = !this.isCartOpen;
-        
-        if (cartContent) {
-            cartContent.style.display = this.isCartOpen ? 'block' : 'none';
+    async submitForm() {
+        const isReservation = this.mode === 'reservation';
+        const message = {
+            kind: this.mode,
+            name: this.fields.name.value.trim(),
+            email: this.fields.email.value.trim(),
+            phone: normalizeSwissPhone(this.fields.phone.value) || this.fields.phone.value.trim(),
+            subject: isReservation ? 'reservation' : this.fields.subject.value,
+            message: this.fields.message.value.trim(),
+            // Le serveur mesure le temps de saisie depuis la remise du jeton et ignore les messages au champ piège rempli
+            formToken: this.formToken,
+            website: this.honeypot ? this.honeypot.value : '',
+            sentAt: new Date().toISOString()
+        };
+
+        if (isReservation) {
+            message.reservation = {
+                date: this.fields.reservationDate.value,
+                start: this.fields.reservationTime.value,
+                partySize: Number(this.fields.reservationPartySize.value),
+                seating: this.fields.reservationSeating.value
+            };
         }
         
-        // Animation du bouton
-        if (cartToggle) {
-            cartToggle.classList.toggle('cart-bounce');
-            setTimeout(() => {
-                cartToggle.classList.remove('cart-bounce');
-            }, 300);
+        const originalButtonText = this.submitButton.textContent;
+        this.submitButton.textContent = t('contact.sending');
+        this.submitButton.disabled = true;
+
+        try {
+            // Une réservation dépend des tables libres : pas de file d'attente hors ligne
+            const result = await this.contactClient.submit(message, { queueOffline: !isReservation });
+            if (isReservation) {
+                this.showReservationSummary(result.receipt, message.reservation, message);
+            } else {
+                this.showSuccessMessage(CONTACT_RESULT_MESSAGES[result.status]);
+            }
+            this.resetForm();
+        } catch (error) {
+            console.error(`❌ ${isReservation ? 'Réservation' : 'Message'} non envoyé(e):`, error);
+            this.showErrorMessage(formatSubmissionError(error));
+            // Table prise entre-temps : afficher les horaires à jour
+            if (isReservation) {
+                this.refreshReservationTimes();
+            }
+        } finally {
+            this.submitButton.textContent = originalButtonText;
+            this.submitButton.disabled = false;
         }
     }
-    
+
     /**
-     * Mettre à jour l'affichage du panier
+     * Renvoyer les messages gardés hors ligne
      */
-    updateCartDisplay() {
-        this.updateCartCount();
-        this.updateCartItems();
-        this.updateCartSummary();
+    async flushPending() {
+        const sent = await this.contactClient.flushQueue();
+        if (sent > 0) {
+            this.showSuccessMessage(CONTACT_RESULT_MESSAGES.flushed, { scroll: false });
+        }
     }
     
     /**
-     * Mettre à jour le compteur du panier
+     * Afficher le message de succès
+     * @param {string} text - Texte affiché
+     * @param {Object} options - { scroll: false pour ne pas faire défiler la page }
      */
-    updateCartCount() {
-        const totalItems = this.getTotalItems();
+    showSuccessMessage(text, { scroll = true } = {}) {
+        this.hideErrorMessage();
+        this.successMessage.textContent = text;
+        this.successMessage.classList.add('show');
         
-        if (cartCount) {
-            cartCount.textContent = totalItems;
-            
-            // Animation si il y a des articles
-            if (totalItems > 0) {
-                cartCount.parentElement.classList.add('cart-bounce');
-                setTimeout(() => {
-                    cartCount.parentElement.classList.remove('cart-bounce');
-                }, 300);
-            }
+        // Masquer le message après 5 secondes
+        clearTimeout(this.successTimeoutId);
+        this.successTimeoutId = setTimeout(() => {
+            this.successMessage.classList.remove('show');
+        }, 5000);
+        
+        // Scroller vers le message de succès
+        if (scroll) {
+            this.successMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
         }
     }
-    
+
     /**
-     * Mettre à jour la liste des articles dans le panier
+     * Afficher le bandeau d'erreur (reste visible jusqu'au prochain envoi)
+     * @param {string} text - Raison de l'échec
      */
-    updateCartItems() {
-        if (!cartItems || !cartEmpty) return;
-        
-        // Vider le conteneur
-        cartItems.innerHTML = '';
-        
-        if (this.items.length === 0) {
-            cartEmpty.style.display = 'block';
-        } else {
-            cartEmpty.style.display = 'none';
-            
-            this.items.forEach(item => {
-                const itemElement = this.createCartItemElement(item);
-                cartItems.appendChild(itemElement);
-            });
-        }
+    showErrorMessage(text) {
+        this.successMessage.classList.remove('show');
+        this.errorMessage.textContent = text;
+        this.errorMessage.hidden = false;
+        this.errorMessage.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
-    
+
     /**
-     * Créer l'élément HTML pour un article du panier
-     * @param {Object} item - L'article
-     * @returns {HTMLElement} Élément HTML
+     * Masquer le bandeau d'erreur
      */
-    createCartItemElement(item) {
-        const itemDiv = document.createElement('div');
-        itemDiv.className = 'cart-item';
-        const itemTotal = (item.price * item.quantity).toFixed(2);
-        const optionsHtml = item.options && item.options.length
-            ? `<ul class="cart-item-options">${item.options.map(option => `<li><span>${option.label} :</span> ${option.value}</li>`).join('')}</ul>`
-            : '';
-        itemDiv.innerHTML = `
-            <div class="cart-item-info">
-                <div class="cart-item-name">${item.name}</div>
-                ${optionsHtml}
-                <div class="cart-item-price">${item.price.toFixed(2)} CHF chacun</div>
-            </div>
-            <div class="cart-item-controls">
-                <div class="quantity-controls">
-                    <button class="quantity-btn" data-action="decrease" data-item-id="${item.id}">-</button>
-                    <span class="quantity-display">${item.quantity}</span>
-                    <button class="quantity-btn" data-action="increase" data-item-id="${item.id}">+</button>
-                </div>
-                <div class="cart-item-total">${itemTotal} CHF</div>
-            </div>
-        `;
-        
-        // Événements pour les contrôles
-        const decreaseBtn = itemDiv.querySelector('[data-action="decrease"]');
-        const increaseBtn = itemDiv.querySelector('[data-action="increase"]');
-        
-        decreaseBtn.addEventListener('click', () => {
-            this.updateQuantity(item.id, item.quantity - 1);
-        });
-        
-        increaseBtn.addEventListener('click', () => {
-            this.updateQuantity(item.id, item.quantity + 1);
-        });
-        
-        return itemDiv;
+    hideErrorMessage() {
+        this.errorMessage.hidden = true;
+        this.errorMessage.textContent = '';
     }
     
     /**
-     * Mettre à jour le résumé du panier
+     * Réinitialiser le formulaire
      */
-    updateCartSummary() {
-        if (!cartSummary || !cartTotal) return;
+    resetForm() {
+        this.form.reset();
+        this.startedAt = Date.now();
+        this.formToken = null;
+        this.loadFormToken();
+        
+        // Retirer les classes de validation
+        this.validator.reset();
 
-        const total = this.getTotal();
+        // Rester dans le mode choisi (reset() recoche "message")
+        const modeRadio = this.form.querySelector(`input[name="contactMode"][value="${this.mode}"]`);
+        if (modeRadio) {
+            modeRadio.checked = true;
+        }
+        if (this.mode === 'reservation') {
+            this.renderReservationDates();
+            this.refreshReservationTimes();
+        }
 
-        if (this.items.length === 0) {
-            cartSummary.style.display = 'none';
-        } else {
-            cartSummary.style.display = 'block';
-            cartTotal.textContent = `${total.toFixed(2)} CHF`;
+        // Message parti (ou en file d'attente) : le brouillon n'a plus lieu d'être
+        this.validator.clearDraft();
+        this.hideDraftNotice();
+        if (this.draftOption) {
+            this.draftOption.checked = this.validator.draftEnabled;
         }
     }
+}
+
+/* ========================================
+   5. SHOPPING CART SYSTEM
+   ======================================== */
+
+/**
+ * CLASSE ShoppingCart
+ * Gère toute la logique du panier d'achat
+ * Fonctionnalités : ajout, suppression, quantités, total, persistance
+ */
+class ShoppingCart {
+    /**
+     * Constructeur de la classe ShoppingCart
+     * @param {Object} dependencies - Services utilisés par le panier
+     * @param {MenuCatalog} dependencies.catalog - Catalogue qui fait foi pour les prix
+     * @param {OrderClient} dependencies.orderClient - Client d'envoi des commandes
+     * @param {OrderTracker} dependencies.orderTracker - Suivi affiché après la commande
+     * @param {OpeningHours} dependencies.openingHours - Horaires (créneaux, précommandes)
+     * @param {PromotionEngine} dependencies.promotionEngine - Codes promo
+     * @param {BundleEngine} dependencies.bundleEngine - Formules
+     * @param {MenuFilter} dependencies.menuFilter - Filtres régimes/allergènes (avertissements)
+     * @param {OrderHistory} dependencies.orderHistory - Favoris et commandes précédentes
+     * @param {CustomerProfile} dependencies.customerProfile - Coordonnées retenues (se souvenir de moi)
+     * @param {CheckoutDialog} dependencies.checkoutDialog - Fenêtre de récapitulatif et de confirmation
+     */
+    constructor({ catalog, orderClient, orderTracker, openingHours, promotionEngine, bundleEngine, menuFilter, orderHistory, customerProfile, checkoutDialog }) {
+        this.catalog = catalog;
+        this.orderClient = orderClient;
+        this.orderTracker = orderTracker;
+        this.openingHours = openingHours;
+        this.promotionEngine = promotionEngine;
+        this.bundleEngine = bundleEngine;
+        this.menuFilter = menuFilter;
+        this.orderHistory = orderHistory;
+        this.customerProfile = customerProfile;
+        this.checkoutDialog = checkoutDialog;
+        this.checkoutValidator = new FormValidator(this.getCheckoutSchema(), { errorClass: 'checkout-error' });
+        this.checkoutErrors = [];
+        this.reorderMessage = '';
+        this.promoCode = null;
+        this.slotAvailability = new Map();
+        this.fulfillmentMode = 'delivery';
+        this.editing = null;
+        this.pendingOrder = null;
+        this.isSubmitting = false;
+        const savedCart = this.loadCartFromStorage();
+        this.items = savedCart.items;
+        this.orderNote = savedCart.note;
+        this.isCartOpen = false;
+        this.init();
+    }
     
     /**
-     * Feedback visuel lors de l'ajout au panier
-     * @param {HTMLButtonElement} button - Le bouton cliqué
+     * Initialisation du panier
      */
-    showAddToCartFeedback(button) {
-        const originalText = button.textContent;
-        
-        // Animation du bouton
-        button.classList.add('adding');
-        button.textContent = 'Ajouté !';
-        button.disabled = true;
+    init() {
+        this.bindEvents();
+        if (this.menuFilter) {
+            // Les avertissements allergènes/régimes suivent les filtres du menu
+            this.menuFilter.onChange(() => this.updateCartItems());
+        }
+        this.updateCartDisplay();
+        this.setupAddToCartButtons();
+        this.renderTimeSlots();
+        this.refreshSlotAvailability();
+        this.fillFromProfile();
+
+        // Les créneaux trop proches disparaissent au fil du temps
+        setInterval(() => this.renderTimeSlots(), 60000);
         
-        setTimeout(() => {
-            button.classList.remove('adding');
-            button.textContent = originalText;
-            button.disabled = false;
-        }, 1000);
+        console.log('🛒 Système de panier initialisé');
     }
     
     /**
-     * Processus de commande
+     * Liaison des événements
      */
-    checkout() {
-        if (this.items.length === 0) {
-            alert('Votre panier est vide !');
-            return;
+    bindEvents() {
+        // Toggle du panier
+        if (cartToggle) {
+            cartToggle.addEventListener('click', () => this.toggleCart());
+        }
+        
+        // Bouton de commande
+        if (checkoutBtn) {
+            checkoutBtn.addEventListener('click', () => this.checkout());
         }
 
-        if (!this.validateCheckoutDetails()) {
-            alert('Veuillez remplir tous les champs correctement.');
-            return;
+        // Code promo (bouton ou touche Entrée)
+        if (promoCodeApply) {
+            promoCodeApply.addEventListener('click', () => this.applyPromoCode());
+        }
+        if (promoCodeInput) {
+            promoCodeInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.applyPromoCode();
+                }
+            });
         }
 
-        const total = this.getTotal();
-        if (total < MIN_ORDER_TOTAL) {
-            alert(`Désolé !\n Nous ne livrons pas en dessous de ${MIN_ORDER_TOTAL.toFixed(2)} CHF de commande.`);
-            return;
+        // Retrait d'une réduction (boutons générés dans le résumé)
+        if (cartDiscounts) {
+            cartDiscounts.addEventListener('click', (e) => {
+                if (e.target.closest('[data-remove-promo]')) {
+                    this.removePromoCode();
+                }
+            });
         }
-        const totalItems = this.getTotalItems();
-        const customer = {
-            lastName: checkoutFields.lastName.value.trim(),
-            firstName: checkoutFields.firstName.value.trim(),
-            address: checkoutFields.address.value.trim(),
-            city: checkoutFields.city.value.trim(),
-            phone: checkoutFields.phone.value.trim(),
-            paymentMethod: checkoutFields.paymentMethod.value
-        };
 
-        const orderSummary = this.items.map(item => {
-            const optionDetails = item.options && item.options.length
-                ? ` (${item.options.map(opt => `${opt.label}: ${opt.value}`).join(', ')})`
-                : '';
-            return `${item.quantity}x ${item.name}${optionDetails} - ${(item.price * item.quantity).toFixed(2)} CHF`;
-        }).join('\n');
-
-        const customerSummary =
-            `👤 Client : ${customer.firstName} ${customer.lastName}\n` +
-            `🏠 Adresse : ${customer.address}, ${customer.city}\n` +
-            `📞 Téléphone : ${customer.phone}\n` +
-            `💳 Paiement : ${PAYMENT_LABELS[customer.paymentMethod] || '—'}`;
-
-        const confirmMessage =
-            `${customerSummary}\n\n🍽️ Commande :\n${orderSummary}\n\n` +
-            `💰 Total : ${total.toFixed(2)} CHF\n📦 Nombre d'articles : ${totalItems}\n\nConfirmer la commande ?`;
-
-        if (confirm(confirmMessage)) {
-            alert('🎉 Commande confirmée ! \nVotre commande sera prête dans 15-20 minutes.\nMerci de votre confiance !');
-            Object.values(checkoutFields).forEach(field => {
-                if (!field) return;
-                if (field.tagName === 'SELECT') {
-                    field.selectedIndex = 0;
-                } else {
-                    field.value = '';
+        // Panier partagé entre les onglets ouverts
+        window.addEventListener('storage', (e) => this.syncFromStorage(e));
+
+        // Favoris et commandes précédentes (boutons générés dans le panneau)
+        if (reorderPanel) {
+            reorderPanel.addEventListener('click', (e) => {
+                const favoriteButton = e.target.closest('[data-reorder-favorite]');
+                const orderButton = e.target.closest('[data-reorder-order]');
+                const removeButton = e.target.closest('[data-remove-favorite]');
+
+                if (favoriteButton) {
+                    const favorite = this.orderHistory.favorites.find(entry => entry.id === favoriteButton.dataset.reorderFavorite);
+                    if (favorite) this.reorder([favorite]);
+                } else if (orderButton) {
+                    const order = this.orderHistory.orders.find(entry => entry.id === orderButton.dataset.reorderOrder);
+                    if (order) this.reorder(order.lines);
+                } else if (removeButton) {
+                    this.orderHistory.removeFavorite(removeButton.dataset.removeFavorite);
+                    this.reorderMessage = '';
+                    this.updateCartDisplay();
                 }
-                field.classList.remove('checkout-error');
             });
-            
-            // Vider le panier
-            this.clearCart();
-            
-            // Fermer le panier
-            if (this.isCartOpen) {
-                this.toggleCart();
-            }
-            
-            console.log('✅ Commande réalisée avec succès');
         }
-    }
-    
-    /**
-     * Valider les détails de la commande (checkout)
-     * @returns {boolean} true si valide, false sinon
-     */
-    validateCheckoutDetails() {
-        const values = {
-            lastName: checkoutFields.lastName?.value.trim(),
-            firstName: checkoutFields.firstName?.value.trim(),
-            address: checkoutFields.address?.value.trim(),
-            city: checkoutFields.city?.value.trim(),
-            phone: checkoutFields.phone?.value.trim(),
-            paymentMethod: checkoutFields.paymentMethod?.value.trim()
-        };
 
-        let isValid = true;
+        // Note générale : conservée avec le panier
+        if (checkoutOrderNote) {
+            checkoutOrderNote.value = this.orderNote;
+            checkoutOrderNote.addEventListener('input', () => this.setOrderNote(checkoutOrderNote.value));
+        }
 
-        for (const [key, value] of Object.entries(values)) {
-            const field = checkoutFields[key];
-            if (!field) continue;
-
-            const baseInvalid = !value;
-            const patternInvalid =
-                key === 'phone' ? !CHECKOUT_PATTERNS.phone.test(value) :
-                (key === 'lastName' || key === 'firstName') ? !CHECKOUT_PATTERNS.name.test(value) :
-                key === 'paymentMethod' ? value === '' :
-                false;
-
-            if (baseInvalid || patternInvalid) {
-                field.classList.add('checkout-error');
-                isValid = false;
-            } else {
-                field.classList.remove('checkout-error');
+        // Livraison ou à emporter
+        fulfillmentButtons.forEach(button => {
+            button.addEventListener('click', () => this.setFulfillmentMode(button.dataset.fulfillmentMode));
+        });
+
+        // Les frais et le minimum dépendent de la zone : recalcul à chaque saisie du NPA ou de la ville
+        [checkoutFields.postcode, checkoutFields.city].forEach(field => {
+            if (field) {
+                field.addEventListener('input', () => this.updateCartSummary());
             }
+        });
+
+        // Paiement en espèces : le total est arrondi à 5 centimes
+        if (checkoutFields.paymentMethod) {
+            checkoutFields.paymentMethod.addEventListener('change', () => this.updateCartSummary());
         }
 
-        return isValid;
+        // La ville est déduite du NPA tant que le client ne l'a pas saisie lui-même
+        if (checkoutFields.postcode) {
+            checkoutFields.postcode.addEventListener('input', () => this.fillCityFromPostcode());
+        }
+        if (checkoutFields.city) {
+            checkoutFields.city.addEventListener('input', () => {
+                delete checkoutFields.city.dataset.autofilled;
+            });
+        }
+
+        // Téléphone remis au format d'affichage une fois saisi
+        if (checkoutFields.phone) {
+            checkoutFields.phone.addEventListener('change', () => {
+                if (isValidSwissPhone(checkoutFields.phone.value)) {
+                    checkoutFields.phone.value = formatSwissPhone(checkoutFields.phone.value);
+                }
+            });
+        }
+
+        // Une adresse enregistrée modifiée à la main devient une nouvelle adresse
+        DELIVERY_FIELDS.forEach(key => {
+            checkoutFields[key]?.addEventListener('input', () => this.syncSavedAddressSelection());
+        });
+
+        // Profil client : adresse enregistrée, "se souvenir de moi", oubli des données
+        if (checkoutSavedAddress) {
+            checkoutSavedAddress.addEventListener('change', () => this.applySavedAddress(checkoutSavedAddress.value));
+        }
+        if (checkoutRemember) {
+            checkoutRemember.addEventListener('change', () => this.updateProfileControls());
+        }
+        if (forgetProfileBtn) {
+            forgetProfileBtn.addEventListener('click', () => this.forgetProfile());
+        }
     }
-    
+
     /**
-     * Vider complètement le panier
+     * Pré-remplir le checkout avec le profil enregistré
+     * Seuls les champs encore vides sont remplis : une saisie en cours n'est jamais écrasée.
      */
-    clearCart() {
-        this.items = [];
-        this.updateCartDisplay();
-        this.saveCartToStorage();
+    fillFromProfile() {
+        const profile = this.customerProfile?.data;
+        if (!profile) {
+            this.renderSavedAddresses();
+            this.updateProfileControls();
+            return;
+        }
+
+        ['lastName', 'firstName', 'phone', 'paymentMethod'].forEach(key => {
+            const field = checkoutFields[key];
+            if (field && !field.value && profile[key]) {
+                field.value = profile[key];
+            }
+        });
+
+        if (checkoutRemember) {
+            checkoutRemember.checked = true;
+        }
+
+        const isAddressEmpty = DELIVERY_FIELDS.every(key => !checkoutFields[key]?.value.trim());
+        const defaultAddress = this.customerProfile.getDefaultAddress();
+        this.renderSavedAddresses();
+        if (isAddressEmpty && defaultAddress) {
+            this.applySavedAddress(defaultAddress.id);
+        } else {
+            this.updateProfileControls();
+        }
     }
-    
+
     /**
-     * Sauvegarder le panier dans le localStorage
+     * Générer la liste des adresses enregistrées
      */
-    saveCartToStorage() {
-        try {
-            localStorage.setItem('kebab_cart', JSON.stringify(this.items));
-        } catch (error) {
-            console.warn('⚠️ Impossible de sauvegarder le panier:', error);
-        }
+    renderSavedAddresses() {
+        if (!checkoutSavedAddress || !savedAddressesField) return;
+
+        const addresses = this.customerProfile?.data?.addresses || [];
+        savedAddressesField.hidden = addresses.length === 0;
+        checkoutSavedAddress.innerHTML = `<option value="">${escapeHtml(t('checkout.savedAddress.new'))}</option>` + addresses.map(entry => {
+            const outOfZone = isDeliveryLocality(entry.postcode, entry.city) ? '' : escapeHtml(t('checkout.savedAddress.outOfZone'));
+            return `<option value="${escapeHtml(entry.id)}">${escapeHtml(entry.label)} : ${escapeHtml(entry.address)}, ${escapeHtml(entry.postcode)} ${escapeHtml(entry.city)}${outOfZone}</option>`;
+        }).join('');
     }
-    
+
     /**
-     * Charger le panier depuis le localStorage
-     * @returns {Array} Articles du panier
+     * Reporter une adresse enregistrée dans les champs de livraison
+     * @param {string} addressId - ID de l'adresse ('' = nouvelle adresse, champs vidés)
      */
-    loadCartFromStorage() {
-        try {
-            const saved = localStorage.getItem('kebab_cart');
-            if (!saved) {
-                return [];
-            }
+    applySavedAddress(addressId) {
+        const entry = this.customerProfile?.findAddress(addressId) || null;
+
+        DELIVERY_FIELDS.forEach(key => {
+            const field = checkoutFields[key];
+            if (!field) return;
+            field.value = entry ? entry[key] : '';
+            this.checkoutValidator.clearField(key);
+        });
+        if (checkoutSavedAddress) {
+            checkoutSavedAddress.value = entry ? entry.id : '';
+        }
+        if (checkoutAddressLabel) {
+            checkoutAddressLabel.value = entry ? entry.label : '';
+        }
+        if (!entry && checkoutFields.address && document.activeElement === checkoutSavedAddress) {
+            checkoutFields.address.focus();
+        }
 
-            const parsed = JSON.parse(saved);
+        this.updateProfileControls();
+        this.updateCartSummary();
+    }
 
-            if (!Array.isArray(parsed)) {
-                return [];
+    /**
+     * Désélectionner l'adresse enregistrée dès que les champs ne lui correspondent plus
+     */
+    syncSavedAddressSelection() {
+        if (!checkoutSavedAddress || !checkoutSavedAddress.value) return;
+
+        const entry = this.customerProfile?.findAddress(checkoutSavedAddress.value);
+        const matches = entry && DELIVERY_FIELDS.every(key => checkoutFields[key]?.value.trim() === entry[key]);
+        if (!matches) {
+            checkoutSavedAddress.value = '';
+            if (checkoutAddressLabel) {
+                checkoutAddressLabel.value = '';
             }
+        }
+    }
 
-            return parsed.map(item => ({
-                ...item,
-                options: Array.isArray(item?.options) ? item.options : []
-            }));
-        } catch (error) {
-            console.warn('⚠️ Impossible de charger le panier:', error);
-            return [];
+    /**
+     * Afficher le nom d'adresse (livraison, profil activé) et le bouton d'oubli (profil existant)
+     */
+    updateProfileControls() {
+        const remember = Boolean(checkoutRemember?.checked);
+        if (checkoutAddressLabelField) {
+            checkoutAddressLabelField.hidden = !remember || this.fulfillmentMode !== 'delivery';
+        }
+        if (forgetProfileBtn) {
+            forgetProfileBtn.hidden = !this.customerProfile?.data;
         }
     }
-}
 
-/**
- * Prépare les éléments de personnalisation des menus
- */
-function initializeMenuItemOptions() {
-    const menuItems = document.querySelectorAll('.menu-item[data-has-options="true"]');
+    /**
+     * Retenir les coordonnées d'une commande acceptée (si le client l'a demandé)
+     * @param {Object} customer - Coordonnées envoyées avec la commande
+     */
+    rememberCustomer(customer) {
+        if (!this.customerProfile || !checkoutRemember?.checked) return;
 
-    menuItems.forEach(menuItem => {
-        const optionsWrapper = menuItem.querySelector('.menu-item-options');
-        if (!optionsWrapper) {
-            return;
-        }
+        this.customerProfile.remember(customer, checkoutAddressLabel?.value || '');
+        this.setProfileMessage('');
+    }
 
-        const hint = optionsWrapper.querySelector('.menu-item-options-hint');
+    /**
+     * Effacer le profil enregistré et les champs pré-remplis
+     */
+    forgetProfile() {
+        if (!this.customerProfile) return;
 
-        if (hint && !hint.dataset.defaultHint) {
-            hint.dataset.defaultHint = hint.textContent.trim();
+        this.customerProfile.forget();
+        ['lastName', 'firstName', 'phone', 'paymentMethod', ...DELIVERY_FIELDS].forEach(key => {
+            const field = checkoutFields[key];
+            if (!field) return;
+            if (field.tagName === 'SELECT') {
+                field.selectedIndex = 0;
+            } else {
+                field.value = '';
+            }
+            this.checkoutValidator.clearField(key);
+        });
+        if (checkoutRemember) {
+            checkoutRemember.checked = false;
+        }
+        if (checkoutAddressLabel) {
+            checkoutAddressLabel.value = '';
         }
 
-        optionsWrapper.setAttribute('aria-hidden', 'true');
-        optionsWrapper.dataset.stepComplete = 'false';
+        this.renderSavedAddresses();
+        this.updateProfileControls();
+        this.updateCartSummary();
+        this.setProfileMessage(t('profile.forgotten'));
+    }
 
-        const optionGroups = Array.from(optionsWrapper.querySelectorAll('.menu-option'));
+    /**
+     * Message sous "Se souvenir de moi"
+     * @param {string} message - Message (vide pour effacer)
+     */
+    setProfileMessage(message) {
+        if (customerProfileMessage) {
+            customerProfileMessage.textContent = message;
+        }
+    }
 
-        if (optionGroups.length > 0) {
-            const stepper = createMenuOptionStepper(menuItem, optionsWrapper, optionGroups, hint);
-            if (stepper) {
-                optionsWrapper._stepper = stepper;
-            }
+    /**
+     * Remplir la ville d'après le NPA (table des localités livrées)
+     * Une ville tapée par le client n'est jamais remplacée ; une ville déduite suit le NPA.
+     */
+    fillCityFromPostcode() {
+        const { postcode, city } = checkoutFields;
+        if (!postcode || !city) return;
+
+        const cities = getDeliveryCities(postcode.value);
+        const isAutofilled = city.dataset.autofilled === 'true';
+        if (city.value.trim() && !isAutofilled) return;
+
+        // Un seul nom possible pour ce NPA : sinon le client choisit lui-même
+        city.value = cities.length === 1 ? cities[0] : '';
+        if (city.value) {
+            city.dataset.autofilled = 'true';
+        } else {
+            delete city.dataset.autofilled;
         }
+        this.checkoutValidator.clearField('city');
+        this.syncSavedAddressSelection();
+        this.updateCartSummary();
+    }
 
-        optionGroups.forEach(option => {
-            const buttons = Array.from(option.querySelectorAll('.menu-option-button'));
-            const selectionType = option.dataset.selectionType || 'single';
-            const max = parseInt(option.dataset.max, 10);
-            const maxSelections = Number.isFinite(max) && max > 0
-                ? max
-                : (selectionType === 'multiple' ? buttons.length : 1);
+    /**
+     * Choisir le mode de commande
+     * @param {string} mode - 'delivery' ou 'pickup'
+     */
+    setFulfillmentMode(mode) {
+        if (!FULFILLMENT_LABELS[mode]) return;
 
-            buttons.forEach(button => {
-                button.type = 'button';
-                button.setAttribute('aria-pressed', 'false');
+        this.fulfillmentMode = mode;
 
-                button.addEventListener('click', () => {
-                    optionsWrapper.classList.add('menu-item-options--visible');
-                    optionsWrapper.setAttribute('aria-hidden', 'false');
-                    menuItem.classList.add('menu-item--configuring');
-                    if (optionsWrapper._stepper && typeof optionsWrapper._stepper.open === 'function') {
-                        optionsWrapper._stepper.open();
-                    }
+        fulfillmentButtons.forEach(button => {
+            const isActive = button.dataset.fulfillmentMode === mode;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
+        });
 
-                    const isSelected = button.classList.contains('menu-option-button--selected');
+        if (checkoutDeliveryFields) {
+            checkoutDeliveryFields.hidden = mode !== 'delivery';
+        }
 
-                    if (selectionType === 'single') {
-                        if (isSelected) {
-                            button.classList.remove('menu-option-button--selected');
-                            button.setAttribute('aria-pressed', 'false');
-                        } else {
-                            buttons.forEach(btn => {
-                                btn.classList.remove('menu-option-button--selected');
-                                btn.setAttribute('aria-pressed', 'false');
-                            });
-                            button.classList.add('menu-option-button--selected');
-                            button.setAttribute('aria-pressed', 'true');
-                        }
-                    } else {
-                        if (isSelected) {
-                            button.classList.remove('menu-option-button--selected');
-                            button.setAttribute('aria-pressed', 'false');
-                        } else {
-                            const currentSelection = option.querySelectorAll('.menu-option-button--selected').length;
-                            if (currentSelection >= maxSelections) {
-                                option.classList.add('menu-option--error');
-                                if (hint) {
-                                    const limitMessage = option.dataset.limitMessage || `Vous pouvez sélectionner jusqu'à ${maxSelections} options.`;
-                                    hint.textContent = limitMessage;
-                                    hint.classList.add('menu-item-options-hint--error');
-                                }
-                                optionsWrapper.classList.add('menu-item-options--error');
-                                return;
-                            }
-                            button.classList.add('menu-option-button--selected');
-                            button.setAttribute('aria-pressed', 'true');
-                        }
-                    }
+        // Les champs masqués ne doivent pas rester signalés en erreur
+        if (mode !== 'delivery') {
+            DELIVERY_FIELDS.forEach(key => this.checkoutValidator.clearField(key));
+        }
 
-                    option.classList.remove('menu-option--error');
+        this.updateProfileControls();
+        this.updateCartSummary();
+    }
 
-                    if (hint) {
-                        const defaultHint = hint.dataset.defaultHint || hint.textContent;
-                        hint.textContent = defaultHint;
-                        hint.classList.remove('menu-item-options-hint--error');
-                    }
+    /**
+     * Zone de livraison correspondant au NPA saisi
+     * @returns {Object|null} Zone (null à emporter ou NPA non livré)
+     */
+    getDeliveryZone() {
+        if (this.fulfillmentMode !== 'delivery') {
+            return null;
+        }
+        return findDeliveryZone(checkoutFields.postcode?.value);
+    }
 
-                    optionsWrapper.classList.remove('menu-item-options--error');
+    /**
+     * Frais de livraison de la commande en cours
+     * @returns {number} Frais en centimes (0 à emporter)
+     */
+    getDeliveryFee() {
+        const zone = this.getDeliveryZone();
+        return zone ? toCents(zone.fee) : 0;
+    }
 
-                    if (optionsWrapper._stepper && typeof optionsWrapper._stepper.handleSelectionChange === 'function') {
-                        optionsWrapper._stepper.handleSelectionChange(option);
-                    }
-                });
-            });
-        });
+    /**
+     * Appliquer le code promo saisi
+     * Un seul code par commande : un nouveau code remplace le précédent
+     */
+    applyPromoCode() {
+        const code = promoCodeInput?.value.trim();
+        if (!code) return;
 
-        const selects = Array.from(optionsWrapper.querySelectorAll('select[data-required="true"]'));
-        selects.forEach(select => {
-            select.addEventListener('focus', () => {
-                optionsWrapper.classList.add('menu-item-options--visible');
-                optionsWrapper.setAttribute('aria-hidden', 'false');
-                menuItem.classList.add('menu-item--configuring');
-                if (optionsWrapper._stepper && typeof optionsWrapper._stepper.open === 'function') {
-                    optionsWrapper._stepper.open();
-                }
-            });
+        const result = this.promotionEngine.evaluate(code, this.getPromoLines(), {
+            usedCodes: this.loadUsedPromoCodes()
+        });
 
-            select.addEventListener('change', () => {
-                select.classList.remove('menu-option-select--error');
-                optionsWrapper.classList.remove('menu-item-options--error');
+        if (result.error) {
+            this.setPromoMessage(this.formatPromoError(result), true);
+            return;
+        }
 
-                if (hint) {
-                    const defaultHint = hint.dataset.defaultHint || hint.textContent;
-                    hint.textContent = defaultHint;
-                    hint.classList.remove('menu-item-options-hint--error');
-                }
+        this.promoCode = result.promo.code;
+        promoCodeInput.value = '';
+        this.updateCartSummary();
+    }
 
-                if (optionsWrapper._stepper && typeof optionsWrapper._stepper.markDirty === 'function') {
-                    optionsWrapper._stepper.markDirty();
-                }
-            });
+    /**
+     * Raison du refus d'un code promo, dans la langue du visiteur
+     * @param {Object} result - Résultat de PromotionEngine.evaluate()
+     * @returns {string} Message d'erreur
+     */
+    formatPromoError(result) {
+        return t(`promo.error.${result.reason}`, {
+            minimum: result.minimumCents === null ? '' : formatPrice(result.minimumCents),
+            defaultValue: result.error
         });
-    });
-}
+    }
 
-function createMenuOptionStepper(menuItem, optionsWrapper, optionGroups, hint) {
-    if (!optionsWrapper || !optionGroups.length) {
-        return null;
+    /**
+     * Retirer le code promo appliqué
+     */
+    removePromoCode() {
+        this.promoCode = null;
+        this.setPromoMessage('');
+        this.updateCartSummary();
     }
 
-    optionsWrapper.classList.add('menu-item-options--stepped');
-    optionsWrapper.dataset.stepMode = 'enabled';
+    /**
+     * Afficher un message sous le champ code promo
+     * @param {string} message - Message (vide pour effacer)
+     * @param {boolean} isError - true pour un message d'erreur
+     */
+    setPromoMessage(message, isError = false) {
+        if (!promoCodeMessage) return;
+        promoCodeMessage.textContent = message;
+        promoCodeMessage.classList.toggle('promo-code-message--error', isError);
+    }
 
-    if (hint) {
-        if (!hint.dataset.stepHint) {
-            hint.dataset.stepHint = 'Complétez chaque étape pour continuer.';
-        }
-        if (!hint.dataset.completeHint) {
-            hint.dataset.completeHint = 'Étapes terminées ! Cliquez sur "Ajouter au panier" pour confirmer.';
-        }
+    /**
+     * Lignes du panier au format attendu par le moteur de promotions,
+     * aux prix après formules pour ne pas réduire deux fois les mêmes articles
+     * @returns {Object[]} Lignes ({productId, category, unitCents, quantity}), prix en centimes
+     */
+    getPromoLines() {
+        const lines = this.items.map(item => ({
+            productId: item.productId,
+            name: this.catalog.localizeLine(item).name,
+            category: item.category,
+            baseCents: item.price,
+            unitCents: this.getUnitPrice(item),
+            quantity: item.quantity
+        }));
+        return this.bundleEngine ? this.bundleEngine.getNetLines(lines) : lines;
     }
 
-    const controls = document.createElement('div');
-    controls.className = 'menu-options-controls';
+    /**
+     * Réévaluer le code appliqué sur le panier actuel
+     * (le panier a pu changer depuis : minimum, articles concernés...)
+     * @returns {Object|null} Résultat du moteur (null sans code)
+     */
+    getPromoResult() {
+        if (!this.promoCode) {
+            return null;
+        }
+        return this.promotionEngine.evaluate(this.promoCode, this.getPromoLines(), {
+            usedCodes: this.loadUsedPromoCodes()
+        });
+    }
 
-    const prevBtn = document.createElement('button');
-    prevBtn.type = 'button';
-    prevBtn.className = 'menu-options-prev';
-    prevBtn.textContent = 'Précédent';
+    /**
+     * Formules reconnues dans le panier (meilleure combinaison)
+     * Les formules identiques sont regroupées sur une seule ligne
+     * @returns {Object[]} Réductions de type 'bundle' (libellé dans la langue du visiteur)
+     */
+    getBundleDiscounts() {
+        if (!this.bundleEngine) {
+            return [];
+        }
 
-    const nextBtn = document.createElement('button');
-    nextBtn.type = 'button';
-    nextBtn.className = 'menu-options-next';
-    nextBtn.textContent = optionGroups.length === 1 ? 'Valider' : 'Suivant';
+        const lines = this.items.map(item => ({
+            productId: item.productId,
+            name: this.catalog.localizeLine(item).name,
+            category: item.category,
+            baseCents: item.price,
+            quantity: item.quantity
+        }));
+        const grouped = new Map();
+
+        this.bundleEngine.findBestBundles(lines).applications.forEach(application => {
+            const key = `${application.bundleId}:${application.productIds.join('+')}`;
+            const existing = grouped.get(key);
+            if (existing) {
+                existing.quantity += 1;
+                existing.amount += application.savingCents;
+            } else {
+                grouped.set(key, {
+                    type: 'bundle',
+                    code: application.bundleId,
+                    label: `${t(`bundle.${application.bundleId}`, { defaultValue: application.label })} (${application.names.join(' + ')})`,
+                    quantity: 1,
+                    amount: application.savingCents
+                });
+            }
+        });
 
-    controls.append(prevBtn, nextBtn);
+        return [...grouped.values()];
+    }
 
-    const addToCartButton = menuItem.querySelector('.btn-add-to-cart');
+    /**
+     * Réductions applicables, une ligne par réduction (formules puis code promo)
+     * @returns {{type: string, code: string, label: string, amount: number}[]} Réductions (montants en centimes)
+     */
+    getDiscounts() {
+        const result = this.getPromoResult();
+        const promoDiscounts = result && result.discount ? [result.discount] : [];
+        return [...this.getBundleDiscounts(), ...promoDiscounts];
+    }
 
-    function setAddButtonDisabled(disabled) {
-        if (!addToCartButton) {
-            return;
+    /**
+     * Libellé d'une ligne de réduction
+     * @param {Object} discount - Réduction (formule ou code promo)
+     * @returns {string} Libellé
+     */
+    formatDiscountLabel(discount) {
+        if (discount.type === 'bundle') {
+            const quantity = discount.quantity > 1 ? `${discount.quantity}× ` : '';
+            return `🍱 ${quantity}${discount.label}`;
         }
-        addToCartButton.disabled = disabled;
-        addToCartButton.setAttribute('aria-disabled', disabled ? 'true' : 'false');
+        return `🏷️ ${discount.code} · ${t(`promo.${discount.code}`, { defaultValue: discount.label })}`;
     }
 
-    function focusAddButton() {
-        if (!addToCartButton) {
+    /**
+     * Montant total des réductions
+     * @returns {number} Réductions en centimes
+     */
+    getDiscountTotal() {
+        return this.getDiscounts().reduce((sum, discount) => sum + discount.amount, 0);
+    }
+
+    /**
+     * Total des articles après réductions (base du minimum de commande)
+     * @returns {number} Montant en centimes
+     */
+    getDiscountedSubtotal() {
+        return Math.max(0, this.getTotal() - this.getDiscountTotal());
+    }
+
+    /**
+     * Arrondi du total à 5 centimes quand le client paie en espèces
+     * @returns {number} Écart en centimes (négatif si arrondi vers le bas, 0 hors espèces)
+     */
+    getCashRounding() {
+        const total = this.getDiscountedSubtotal() + this.getDeliveryFee();
+        return getPayableCents(total, checkoutFields.paymentMethod?.value) - total;
+    }
+
+    /**
+     * Total à payer : articles - réductions + frais de livraison (+ arrondi en espèces)
+     * @returns {number} Total en centimes
+     */
+    getOrderTotal() {
+        return this.getDiscountedSubtotal() + this.getDeliveryFee() + this.getCashRounding();
+    }
+
+    /**
+     * Codes à usage unique déjà utilisés sur cet appareil
+     * @returns {string[]} Codes
+     */
+    loadUsedPromoCodes() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('kebab_used_promos') || '[]');
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Retenir un code à usage unique après une commande acceptée
+     * @param {string} code - Code utilisé
+     */
+    saveUsedPromoCode(code) {
+        try {
+            const used = new Set(this.loadUsedPromoCodes());
+            used.add(code);
+            localStorage.setItem('kebab_used_promos', JSON.stringify([...used]));
+        } catch (error) {
+            console.warn('⚠️ Impossible de retenir le code promo utilisé:', error);
+        }
+    }
+    
+    /**
+     * Configuration des boutons "Ajouter au panier"
+     */
+    setupAddToCartButtons() {
+        const addToCartButtons = document.querySelectorAll('.btn-add-to-cart');
+        
+        addToCartButtons.forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.preventDefault();
+                const menuItem = button.closest('.menu-item');
+                
+                if (!menuItem) {
+                    return;
+                }
+
+                // Le prix vient toujours du catalogue, jamais du HTML
+                const product = this.catalog?.getItem(menuItem.dataset.itemId);
+                if (!product) {
+                    console.warn('⚠️ Article absent du catalogue:', menuItem.dataset.itemId);
+                    return;
+                }
+
+                const hasOptions = menuItem.dataset.hasOptions === 'true';
+                const optionsWrapper = menuItem.querySelector('.menu-item-options');
+                let optionData = { options: [], isComplete: true };
+
+                if (hasOptions && optionsWrapper && optionsWrapper.dataset.stepMode === 'enabled') {
+                    const stepper = optionsWrapper._stepper;
+                    const isComplete = optionsWrapper.dataset.stepComplete === 'true';
+
+                    if (!isComplete) {
+                        if (stepper) {
+                            if (optionsWrapper.classList.contains('menu-item-options--visible')) {
+                                stepper.open();
+                                stepper.focusStep();
+                            } else {
+                                stepper.start();
+                            }
+                        } else {
+                            optionsWrapper.classList.add('menu-item-options--visible');
+                            optionsWrapper.setAttribute('aria-hidden', 'false');
+                            menuItem.classList.add('menu-item--configuring');
+                        }
+                        return;
+                    }
+                }
+
+                if (hasOptions) {
+                    optionData = this.collectMenuItemOptions(menuItem);
+
+                    if (!optionData.isComplete) {
+                        return;
+                    }
+                }
+
+                if (this.editing && this.editing.menuItem === menuItem) {
+                    const editedItemId = this.editing.itemId;
+                    const editedItem = this.items.find(cartItem => cartItem.id === editedItemId);
+                    // La note de la ligne survit au changement d'options
+                    const item = this.buildCartItem(product, optionData.options, editedItem?.note);
+                    this.stopEditing();
+                    this.replaceItem(editedItemId, item);
+                    this.showAddToCartFeedback(button, t('cart.feedback.edited'));
+                } else {
+                    const item = this.buildCartItem(product, optionData.options);
+                    this.addItem(item);
+                    this.showAddToCartFeedback(button);
+                }
+
+                if (hasOptions) {
+                    this.resetMenuItemOptions(optionData);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Gérer la récupération et la validation des options d'un menu item
+     * @param {HTMLElement} menuItem - L'élément du menu concerné
+    * @returns {{options: Array, isComplete: boolean, wrapper: HTMLElement|null, selects: HTMLElement[], optionGroups: HTMLElement[], hint: HTMLElement|null}}
+     */
+    collectMenuItemOptions(menuItem) {
+        const optionsWrapper = menuItem.querySelector('.menu-item-options');
+        const result = {
+            options: [],
+            isComplete: true,
+            wrapper: optionsWrapper,
+            selects: [],
+            optionGroups: [],
+            hint: null,
+            menuItem
+        };
+
+        if (!optionsWrapper) {
+            return result;
+        }
+
+        optionsWrapper.classList.add('menu-item-options--visible');
+        optionsWrapper.setAttribute('aria-hidden', 'false');
+
+        const hint = optionsWrapper.querySelector('.menu-item-options-hint');
+        result.hint = hint;
+
+        let isComplete = true;
+        const missingLabels = [];
+        const product = this.catalog?.getItem(menuItem.dataset.itemId);
+
+        const optionGroups = Array.from(optionsWrapper.querySelectorAll('.menu-option'));
+        result.optionGroups = optionGroups;
+
+        const isStepped = optionsWrapper.dataset.stepMode === 'enabled';
+        if (isStepped && optionsWrapper.dataset.stepComplete !== 'true') {
+            optionsWrapper.classList.add('menu-item-options--error');
+            const stepper = optionsWrapper._stepper;
+            if (stepper) {
+                stepper.open();
+                stepper.focusStep();
+            }
+            if (hint) {
+                const stepHint = hint.dataset.stepHint || hint.dataset.defaultHint || hint.textContent;
+                hint.textContent = stepHint;
+                hint.classList.add('menu-item-options-hint--error');
+            }
+            result.isComplete = false;
+            return result;
+        }
+
+        if (optionGroups.length > 0) {
+            optionGroups.forEach(option => {
+                option.classList.remove('menu-option--error');
+
+                const selectionType = option.dataset.selectionType || 'single';
+                const max = parseInt(option.dataset.max, 10);
+                const maxSelections = Number.isFinite(max) && max > 0
+                    ? max
+                    : (selectionType === 'multiple' ? option.querySelectorAll('.menu-option-button').length : 1);
+                const required = option.dataset.required !== 'false';
+                const buttons = Array.from(option.querySelectorAll('.menu-option-button'));
+                const selectedButtons = buttons.filter(btn => btn.classList.contains('menu-option-button--selected'));
+
+                if (selectedButtons.length > maxSelections) {
+                    option.classList.add('menu-option--error');
+                    isComplete = false;
+                    return;
+                }
+
+                if (required && selectedButtons.length === 0) {
+                    option.classList.add('menu-option--error');
+                    // Libellé affiché dans la langue du visiteur (data-option-label reste celui du catalogue)
+                    const group = product?.optionGroups.find(candidate => candidate.key === option.dataset.optionKey);
+                    missingLabels.push(group ? this.catalog.getGroupText(group, 'label') : (option.dataset.optionLabel || option.dataset.optionKey || 'option'));
+                    isComplete = false;
+                    return;
+                }
+
+                if (selectedButtons.length > 0) {
+                    const values = selectedButtons.map(btn => btn.dataset.value || btn.textContent.trim());
+                    const valueString = selectionType === 'multiple' ? values.join(', ') : values[0];
+                    result.options.push({
+                        key: option.dataset.optionKey || option.dataset.optionLabel || 'option',
+                        label: option.dataset.optionLabel || option.dataset.optionKey || 'Option',
+                        value: valueString,
+                        values
+                    });
+                }
+            });
+        } else {
+            const selects = Array.from(optionsWrapper.querySelectorAll('select[data-required="true"]'));
+            result.selects = selects;
+
+            selects.forEach(select => {
+                select.classList.remove('menu-option-select--error');
+                if (!select.value) {
+                    isComplete = false;
+                    select.classList.add('menu-option-select--error');
+                }
+            });
+
+            if (!isComplete) {
+                const firstEmpty = selects.find(select => !select.value);
+                if (firstEmpty) {
+                    firstEmpty.focus();
+                }
+            } else {
+                result.options = selects.map(select => {
+                    const optionLabel = select.dataset.optionLabel || select.getAttribute('aria-label') || select.previousElementSibling?.textContent?.trim() || '';
+                    const optionKey = select.dataset.optionKey || select.name || optionLabel.toLowerCase();
+                    const selectedOption = select.options[select.selectedIndex];
+                    const displayValue = selectedOption ? selectedOption.text.trim() : select.value;
+                    return {
+                        key: optionKey,
+                        label: optionLabel || optionKey,
+                        value: displayValue,
+                        values: [select.value]
+                    };
+                });
+            }
+        }
+
+        if (!isComplete) {
+            optionsWrapper.classList.add('menu-item-options--error');
+            if (hint) {
+                const defaultHint = hint.dataset.defaultHint || hint.textContent;
+                const errorHint = hint.dataset.errorHint || (missingLabels.length ? t('menu.options.missing', { labels: missingLabels.join(', ') }) : defaultHint);
+                hint.textContent = errorHint;
+                hint.classList.add('menu-item-options-hint--error');
+            }
+
+            if (optionGroups.length > 0) {
+                const firstInvalidGroup = optionGroups.find(option => option.classList.contains('menu-option--error'));
+                const firstButton = firstInvalidGroup?.querySelector('.menu-option-button');
+                if (firstButton) {
+                    firstButton.focus();
+                }
+            }
+        } else {
+            optionsWrapper.classList.remove('menu-item-options--error');
+            if (hint) {
+                const defaultHint = hint.dataset.defaultHint || hint.textContent;
+                hint.textContent = defaultHint;
+                hint.classList.remove('menu-item-options-hint--error');
+            }
+        }
+
+        result.isComplete = isComplete;
+        return result;
+    }
+
+    /**
+     * Réinitialiser les options après ajout au panier
+     * @param {Object} optionData - Données des options collectées
+     */
+    resetMenuItemOptions(optionData) {
+        const { selects = [], optionGroups = [], wrapper, hint, menuItem } = optionData;
+
+        selects.forEach(select => {
+            if (select.querySelector('option[value=""]')) {
+                select.value = '';
+            } else {
+                select.selectedIndex = 0;
+            }
+            select.classList.remove('menu-option-select--error');
+        });
+
+        optionGroups.forEach(option => {
+            option.classList.remove('menu-option--error');
+            option.classList.remove('menu-option--active');
+            option.querySelectorAll('.menu-option-button').forEach(button => {
+                button.classList.remove('menu-option-button--selected');
+                button.setAttribute('aria-pressed', 'false');
+            });
+        });
+
+        if (wrapper) {
+            wrapper.classList.remove('menu-item-options--error');
+            wrapper.dataset.stepComplete = 'false';
+
+            if (wrapper._stepper && typeof wrapper._stepper.reset === 'function') {
+                wrapper._stepper.reset();
+            } else {
+                wrapper.classList.remove('menu-item-options--visible');
+                wrapper.setAttribute('aria-hidden', 'true');
+            }
+        }
+
+        if (hint) {
+            const defaultHint = hint.dataset.defaultHint || hint.textContent;
+            hint.textContent = defaultHint;
+            hint.classList.remove('menu-item-options-hint--error');
+        }
+
+        if (menuItem) {
+            menuItem.classList.remove('menu-item--configuring', 'menu-item--ready');
+        }
+    }
+
+    /**
+     * Éléments d'options d'un article du menu (même forme que collectMenuItemOptions)
+     * @param {HTMLElement} menuItem - L'élément du menu concerné
+     * @returns {Object} Données des options
+     */
+    getMenuItemOptionElements(menuItem) {
+        const wrapper = menuItem.querySelector('.menu-item-options');
+        return {
+            options: [],
+            wrapper,
+            selects: [],
+            optionGroups: wrapper ? Array.from(wrapper.querySelectorAll('.menu-option')) : [],
+            hint: wrapper ? wrapper.querySelector('.menu-item-options-hint') : null,
+            menuItem
+        };
+    }
+
+    /**
+     * Rouvrir la personnalisation d'une ligne du panier, pré-remplie avec ses options
+     * @param {string} itemId - ID de la ligne
+     */
+    startEditing(itemId) {
+        const item = this.items.find(cartItem => cartItem.id === itemId);
+        const menuItem = item ? document.querySelector(`.menu-item[data-item-id="${item.productId}"]`) : null;
+        if (!menuItem || !menuItem.querySelector('.menu-item-options')) {
+            return;
+        }
+
+        if (this.editing) {
+            this.stopEditing({ resetOptions: true });
+        }
+
+        const optionData = this.getMenuItemOptionElements(menuItem);
+        this.resetMenuItemOptions(optionData);
+
+        // Pré-sélectionner les choix enregistrés sur la ligne
+        (item.options || []).forEach(stored => {
+            const group = optionData.optionGroups.find(option => (option.dataset.optionKey || option.dataset.optionLabel) === stored.key);
+            if (!group) return;
+
+            const values = Array.isArray(stored.values) ? stored.values : [stored.value];
+            group.querySelectorAll('.menu-option-button').forEach(optionButton => {
+                const isSelected = values.includes(optionButton.dataset.value || optionButton.textContent.trim());
+                optionButton.classList.toggle('menu-option-button--selected', isSelected);
+                optionButton.setAttribute('aria-pressed', isSelected ? 'true' : 'false');
+            });
+        });
+
+        const button = menuItem.querySelector('.btn-add-to-cart');
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'menu-options-cancel';
+        cancelButton.textContent = t('cart.edit.cancel');
+        cancelButton.addEventListener('click', () => this.stopEditing({ resetOptions: true }));
+
+        const controls = optionData.wrapper.querySelector('.menu-options-controls');
+        if (controls) {
+            controls.appendChild(cancelButton);
+        } else {
+            optionData.wrapper.appendChild(cancelButton);
+        }
+
+        this.editing = {
+            itemId,
+            menuItem,
+            button,
+            // Libellé d'origine, même si l'animation "Ajouté !" est en cours
+            buttonText: button ? (button.dataset.defaultLabel || button.textContent) : '',
+            cancelButton
+        };
+
+        menuItem.classList.add('menu-item--editing');
+        if (button) {
+            button.textContent = t('cart.edit.save');
+        }
+
+        if (this.isCartOpen) {
+            this.toggleCart();
+        }
+
+        const stepper = optionData.wrapper._stepper;
+        if (stepper) {
+            stepper.start();
+        } else {
+            optionData.wrapper.classList.add('menu-item-options--visible');
+            optionData.wrapper.setAttribute('aria-hidden', 'false');
+            menuItem.classList.add('menu-item--configuring');
+        }
+
+        menuItem.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+
+    /**
+     * Quitter le mode modification
+     * @param {Object} options - { resetOptions: true pour vider les choix affichés (annulation) }
+     */
+    stopEditing({ resetOptions = false } = {}) {
+        if (!this.editing) return;
+
+        const { menuItem, button, buttonText, cancelButton } = this.editing;
+        this.editing = null;
+
+        menuItem.classList.remove('menu-item--editing');
+        cancelButton.remove();
+        if (button) {
+            button.textContent = buttonText;
+        }
+
+        if (resetOptions) {
+            this.resetMenuItemOptions(this.getMenuItemOptionElements(menuItem));
+        }
+    }
+
+    /**
+     * Remplacer une ligne par sa version modifiée
+     * Si les nouvelles options correspondent à une autre ligne, les quantités sont fusionnées.
+     * @param {string} itemId - ID de la ligne modifiée
+     * @param {Object} item - Nouvelle version (id recalculé par generateItemId)
+     */
+    replaceItem(itemId, item) {
+        const index = this.items.findIndex(cartItem => cartItem.id === itemId);
+
+        // La ligne a été retirée entre-temps : on l'ajoute simplement
+        if (index === -1) {
+            this.addItem(item);
+            return;
+        }
+
+        const previous = this.items[index];
+        const duplicate = item.id !== itemId ? this.items.find(cartItem => cartItem.id === item.id) : null;
+
+        if (duplicate) {
+            duplicate.quantity = Math.min(duplicate.quantity + previous.quantity, CART_STORAGE_CONFIG.maxQuantity);
+            this.items.splice(index, 1);
+        } else {
+            this.items[index] = {
+                ...item,
+                quantity: previous.quantity,
+                addedAt: previous.addedAt
+            };
+        }
+
+        this.updateCartDisplay();
+        this.saveCartToStorage();
+
+        if (!this.isCartOpen) {
+            this.toggleCart();
+        }
+    }
+
+    /**
+     * Construire une ligne du panier à partir du catalogue
+     * Prix et suppléments viennent toujours du catalogue, jamais du HTML ni d'un enregistrement.
+     * @param {Object} product - Article du catalogue
+     * @param {Array} options - Options choisies ({key, label, value, values})
+     * @param {string} note - Note de la ligne
+     * @returns {Object} Ligne (sans quantité)
+     */
+    buildCartItem(product, options = [], note = '') {
+        const item = {
+            id: this.generateItemId(product, options, note),
+            productId: product.id,
+            name: product.name,
+            price: toCents(product.price),
+            category: product.category
+        };
+
+        if (options && options.length) {
+            item.options = toCentOptions(this.catalog.priceOptions(product, options));
+        }
+        if (note) {
+            item.note = note;
+        }
+
+        return item;
+    }
+
+    /**
+     * Ajouter, modifier ou retirer la note d'une ligne
+     * La note fait partie de l'identité de la ligne : "sans oignons" ne se mélange pas aux autres.
+     * @param {string} itemId - ID de la ligne
+     * @param {string} note - Note saisie (vide pour la retirer)
+     */
+    setItemNote(itemId, note) {
+        const item = this.items.find(cartItem => cartItem.id === itemId);
+        if (!item) return;
+
+        const cleanNote = sanitizeNote(note, NOTE_MAX_LENGTH.item);
+        if (cleanNote === (item.note || '')) {
+            this.updateCartItems();
+            return;
+        }
+
+        const updated = { ...item };
+        delete updated.note;
+        if (cleanNote) {
+            updated.note = cleanNote;
+        }
+        updated.id = this.generateItemId({ id: item.productId }, item.options, cleanNote);
+        this.replaceItem(itemId, updated);
+    }
+
+    /**
+     * Enregistrer la note générale de la commande
+     * Le texte est gardé tel quel pendant la saisie et nettoyé à l'envoi.
+     * @param {string} note - Note saisie
+     */
+    setOrderNote(note) {
+        this.orderNote = String(note || '').slice(0, NOTE_MAX_LENGTH.order);
+        this.saveCartToStorage();
+    }
+
+    /**
+     * Générer un ID unique pour un item
+     * @param {Object} product - L'article du catalogue
+     * @param {Array} options - Options choisies
+     * @param {string} note - Note de la ligne
+     * @returns {string} ID unique
+     */
+    generateItemId(product, options = [], note = '') {
+        let itemId = product.id;
+
+        if (options && options.length) {
+            const optionId = options
+                .map(option => `${option.key}-${option.value}`.toLowerCase().replace(/\s+/g, '-'))
+                .join('-');
+            itemId += `-${optionId}`;
+        }
+
+        if (note) {
+            // Empreinte de la note : le texte libre ne doit pas apparaître dans les attributs HTML
+            let hash = 0;
+            for (const char of note) {
+                hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+            }
+            itemId += `-note-${hash.toString(36)}`;
+        }
+
+        return itemId;
+    }
+    
+    /**
+     * Ajouter un article au panier
+     * Une ligne déjà à la quantité maximale (limite du serveur) n'augmente plus.
+     * @param {Object} item - L'article à ajouter
+     */
+    addItem(item) {
+        const existingItem = this.items.find(cartItem => cartItem.id === item.id);
+        
+        if (existingItem) {
+            existingItem.quantity = Math.min(existingItem.quantity + 1, CART_STORAGE_CONFIG.maxQuantity);
+        } else {
+            this.items.push({
+                ...item,
+                quantity: 1,
+                addedAt: Date.now()
+            });
+        }
+        
+        this.updateCartDisplay();
+        this.saveCartToStorage();
+        
+        // Ouvrir le panier automatiquement après ajout
+        if (!this.isCartOpen) {
+            this.toggleCart();
+        }
+        
+        console.log('📦 Article ajouté:', item.name);
+    }
+    
+    /**
+     * Retirer un article du panier
+     * @param {string} itemId - ID de l'article
+     */
+    removeItem(itemId) {
+        this.items = this.items.filter(item => item.id !== itemId);
+        this.updateCartDisplay();
+        this.saveCartToStorage();
+        
+        console.log('🗑️ Article retiré:', itemId);
+    }
+    
+    /**
+     * Modifier la quantité d'un article
+     * @param {string} itemId - ID de l'article
+     * @param {number} newQuantity - Nouvelle quantité (plafonnée à la limite par ligne du serveur)
+     */
+    updateQuantity(itemId, newQuantity) {
+        const item = this.items.find(cartItem => cartItem.id === itemId);
+        
+        if (item) {
+            if (newQuantity <= 0) {
+                this.removeItem(itemId);
+            } else {
+                item.quantity = Math.min(newQuantity, CART_STORAGE_CONFIG.maxQuantity);
+                this.updateCartDisplay();
+                this.saveCartToStorage();
+            }
+        }
+    }
+    
+    /**
+     * Calculer le prix unitaire d'une ligne (prix de base + suppléments)
+     * @param {Object} item - Ligne du panier
+     * @returns {number} Prix unitaire en centimes
+     */
+    getUnitPrice(item) {
+        const optionsDelta = (item.options || []).reduce((sum, option) => sum + (option.priceDelta || 0), 0);
+        return item.price + optionsDelta;
+    }
+
+    /**
+     * Calculer le total des articles du panier (hors frais de livraison)
+     * @returns {number} Total en centimes
+     */
+    getTotal() {
+        return this.items.reduce((total, item) => total + (this.getUnitPrice(item) * item.quantity), 0);
+    }
+    
+    /**
+     * Obtenir le nombre total d'articles
+     * @returns {number} Nombre total d'articles
+     */
+    getTotalItems() {
+        return this.items.reduce((total, item) => total + item.quantity, 0);
+    }
+    
+    /**
+     * Basculer l'affichage du panier
+     */
+    toggleCart() {
+        this.isCartOpen = !this.isCartOpen;
+        
+        if (cartContent) {
+            cartContent.style.display = this.isCartOpen ? 'block' : 'none';
+        }
+
+        if (this.isCartOpen) {
+            this.refreshSlotAvailability();
+        }
+        
+        // Animation du bouton
+        if (cartToggle) {
+            cartToggle.classList.toggle('cart-bounce');
+            setTimeout(() => {
+                cartToggle.classList.remove('cart-bounce');
+            }, 300);
+        }
+    }
+    
+    /**
+     * Mettre à jour l'affichage du panier
+     */
+    updateCartDisplay() {
+        this.updateCartCount();
+        this.updateCartItems();
+        this.updateCartSummary();
+        this.renderReorderPanel();
+    }
+
+    /**
+     * Générer le panneau "Favoris / Commander à nouveau"
+     * Les articles retirés du menu ou dont les options n'existent plus sont signalés.
+     */
+    renderReorderPanel() {
+        if (!reorderPanel || !this.orderHistory) return;
+
+        const { favorites, orders } = this.orderHistory;
+        reorderPanel.hidden = !favorites.length && !orders.length;
+        if (reorderPanel.hidden) {
+            reorderPanel.innerHTML = '';
+            return;
+        }
+
+        const describeLine = line => {
+            const product = this.catalog.getItem(line.productId);
+            const isAvailable = this.catalog.isValidSelection(product, line.options);
+            const display = this.catalog.localizeLine(line);
+            const options = display.options.length ? ` (${formatItemOptionsText(display.options)})` : '';
+            const note = line.note ? ` · 📝 ${line.note}` : '';
+            return { isAvailable, name: display.name, text: `${display.name}${options}${note}` };
+        };
+
+        const favoritesHtml = favorites.map(favorite => {
+            const line = describeLine(favorite);
+            return `
+                <li class="reorder-entry${line.isAvailable ? '' : ' reorder-entry--unavailable'}">
+                    <span class="reorder-entry-text">${escapeHtml(line.text)}${line.isAvailable ? '' : escapeHtml(t('reorder.unavailable'))}</span>
+                    <button type="button" class="promo-code-button" data-reorder-favorite="${escapeHtml(favorite.id)}" ${line.isAvailable ? '' : 'disabled'}>${escapeHtml(t('menu.add'))}</button>
+                    <button type="button" class="cart-discount-remove" data-remove-favorite="${escapeHtml(favorite.id)}" aria-label="${escapeHtml(t('reorder.removeFavorite', { name: line.name }))}">✕</button>
+                </li>
+            `;
+        }).join('');
+
+        const ordersHtml = orders.map(order => {
+            const date = new Date(order.createdAt).toLocaleDateString(i18n.getLocale(), { day: 'numeric', month: 'long', timeZone: 'Europe/Zurich' });
+            const linesHtml = order.lines.map(storedLine => {
+                const line = describeLine(storedLine);
+                return `<li class="${line.isAvailable ? '' : 'reorder-entry--unavailable'}">${storedLine.quantity}x ${escapeHtml(line.text)}</li>`;
+            }).join('');
+            return `
+                <li class="reorder-entry reorder-entry--order">
+                    <div class="reorder-entry-text">
+                        <strong>${escapeHtml(order.number ? t('reorder.orderNumber', { number: order.number, date }) : t('reorder.order', { date }))}</strong>
+                        <ul class="reorder-order-lines">${linesHtml}</ul>
+                    </div>
+                    <button type="button" class="promo-code-button" data-reorder-order="${escapeHtml(order.id)}">${escapeHtml(t('reorder.again'))}</button>
+                </li>
+            `;
+        }).join('');
+
+        reorderPanel.innerHTML = `
+            ${favorites.length ? `<h4 class="reorder-title">${escapeHtml(t('reorder.favorites'))}</h4><ul class="reorder-list">${favoritesHtml}</ul>` : ''}
+            ${orders.length ? `<h4 class="reorder-title">${escapeHtml(t('reorder.title'))}</h4><ul class="reorder-list">${ordersHtml}</ul>` : ''}
+            <p class="reorder-message" role="status">${escapeHtml(this.reorderMessage || '')}</p>
+        `;
+    }
+
+    /**
+     * Remettre des lignes enregistrées dans le panier, aux prix actuels du menu
+     * @param {Object[]} lines - Lignes ({productId, name, quantity, options, note})
+     * @returns {string[]} Noms des articles qui n'ont pas pu être ajoutés
+     */
+    addStoredLines(lines) {
+        const unavailable = [];
+
+        lines.forEach(line => {
+            const product = this.catalog.getItem(line.productId);
+            if (!this.catalog.isValidSelection(product, line.options)) {
+                unavailable.push(this.catalog.localizeLine(line).name);
+                return;
+            }
+
+            const item = this.buildCartItem(product, line.options, line.note);
+            const quantity = Math.min(Math.max(parseInt(line.quantity, 10) || 1, 1), CART_STORAGE_CONFIG.maxQuantity);
+            const existingItem = this.items.find(cartItem => cartItem.id === item.id);
+            if (existingItem) {
+                existingItem.quantity = Math.min(existingItem.quantity + quantity, CART_STORAGE_CONFIG.maxQuantity);
+            } else {
+                this.items.push({ ...item, quantity, addedAt: Date.now() });
+            }
+        });
+
+        this.updateCartDisplay();
+        this.saveCartToStorage();
+        return unavailable;
+    }
+
+    /**
+     * Recommander un favori ou une commande précédente
+     * @param {Object[]} lines - Lignes enregistrées
+     */
+    reorder(lines) {
+        const unavailable = this.addStoredLines(lines);
+        this.reorderMessage = unavailable.length
+            ? t('reorder.someUnavailable', { names: unavailable.join(', ') })
+            : t('reorder.added');
+        this.renderReorderPanel();
+
+        if (!this.isCartOpen) {
+            this.toggleCart();
+        }
+    }
+    
+    /**
+     * Mettre à jour le compteur du panier
+     */
+    updateCartCount() {
+        const totalItems = this.getTotalItems();
+        
+        if (cartCount) {
+            cartCount.textContent = totalItems;
+            // Le bouton n'affiche qu'un chiffre : le lecteur d'écran annonce "Panier, 3 articles"
+            cartCount.parentElement.setAttribute('aria-label', t('cart.toggle', { count: totalItems }));
+            
+            // Animation si il y a des articles
+            if (totalItems > 0) {
+                cartCount.parentElement.classList.add('cart-bounce');
+                setTimeout(() => {
+                    cartCount.parentElement.classList.remove('cart-bounce');
+                }, 300);
+            }
+        }
+    }
+    
+    /**
+     * Mettre à jour la liste des articles dans le panier
+     */
+    updateCartItems() {
+        if (!cartItems || !cartEmpty) return;
+        
+        // Vider le conteneur
+        cartItems.innerHTML = '';
+        
+        if (this.items.length === 0) {
+            cartEmpty.style.display = 'block';
+        } else {
+            cartEmpty.style.display = 'none';
+            
+            this.items.forEach(item => {
+                const itemElement = this.createCartItemElement(item);
+                cartItems.appendChild(itemElement);
+            });
+        }
+    }
+    
+    /**
+     * Créer l'élément HTML pour un article du panier
+     * @param {Object} item - L'article
+     * @returns {HTMLElement} Élément HTML
+     */
+    createCartItemElement(item) {
+        const itemDiv = document.createElement('div');
+        itemDiv.className = 'cart-item';
+        const unitPrice = this.getUnitPrice(item);
+        const itemTotal = formatPrice(unitPrice * item.quantity);
+        // Nom et options affichés dans la langue du visiteur ; la ligne garde ceux du catalogue
+        const display = this.catalog.localizeLine(item);
+        const optionsHtml = renderItemOptionsHtml(display.options, i18n.getLocale());
+        const warnings = this.menuFilter ? this.menuFilter.getLineWarnings(item) : [];
+        const warningsHtml = warnings.length
+            ? `<ul class="cart-item-warnings" role="note">${warnings.map(warning => `<li>⚠️ ${escapeHtml(warning)}</li>`).join('')}</ul>`
+            : '';
+        const isFavorite = this.orderHistory ? this.orderHistory.isFavorite(item.id) : false;
+        const favoriteHtml = this.orderHistory
+            ? `<button type="button" class="cart-item-favorite" data-action="favorite" aria-pressed="${isFavorite}" aria-label="${escapeHtml(t(isFavorite ? 'cart.favorite.remove' : 'cart.favorite.add'))}">${isFavorite ? '★' : '☆'} ${escapeHtml(t('cart.favorite'))}</button>`
+            : '';
+        const editHtml = item.options && item.options.length
+            ? `<button type="button" class="cart-item-edit" data-action="edit" data-item-id="${item.id}" aria-label="${escapeHtml(t('cart.edit.label', { name: display.name }))}">${escapeHtml(t('cart.edit'))}</button>`
+            : '';
+        itemDiv.innerHTML = `
+            <div class="cart-item-info">
+                <div class="cart-item-name">${escapeHtml(display.name)}</div>
+                ${optionsHtml}
+                ${renderItemNoteHtml(item.note)}
+                ${warningsHtml}
+                <div class="cart-item-actions">
+                    ${editHtml}
+                    <button type="button" class="cart-item-edit" data-action="note" aria-expanded="false">${escapeHtml(t(item.note ? 'cart.note.edit' : 'cart.note.add'))}</button>
+                    ${favoriteHtml}
+                </div>
+                <form class="cart-item-note-form" hidden>
+                    <input type="text" class="checkout-input cart-item-note-input" aria-label="${escapeHtml(t('cart.note.label', { name: display.name }))}" maxlength="${NOTE_MAX_LENGTH.item}" placeholder="${escapeHtml(t('cart.note.placeholder'))}">
+                    <button type="submit" class="promo-code-button">OK</button>
+                </form>
+                <div class="cart-item-price">${escapeHtml(t('cart.unitPrice', { price: formatPrice(unitPrice) }))}</div>
+            </div>
+            <div class="cart-item-controls">
+                <div class="quantity-controls">
+                    <button class="quantity-btn" data-action="decrease" data-item-id="${item.id}">-</button>
+                    <span class="quantity-display">${item.quantity}</span>
+                    <button class="quantity-btn" data-action="increase" data-item-id="${item.id}"${item.quantity >= CART_STORAGE_CONFIG.maxQuantity ? ' disabled' : ''}>+</button>
+                </div>
+                <div class="cart-item-total">${itemTotal}</div>
+            </div>
+        `;
+        
+        // Événements pour les contrôles
+        const decreaseBtn = itemDiv.querySelector('[data-action="decrease"]');
+        const increaseBtn = itemDiv.querySelector('[data-action="increase"]');
+        
+        decreaseBtn.addEventListener('click', () => {
+            this.updateQuantity(item.id, item.quantity - 1);
+        });
+        
+        increaseBtn.addEventListener('click', () => {
+            this.updateQuantity(item.id, item.quantity + 1);
+        });
+
+        const editBtn = itemDiv.querySelector('[data-action="edit"]');
+        if (editBtn) {
+            editBtn.addEventListener('click', () => this.startEditing(item.id));
+        }
+
+        const favoriteBtn = itemDiv.querySelector('[data-action="favorite"]');
+        if (favoriteBtn) {
+            favoriteBtn.addEventListener('click', () => {
+                this.orderHistory.toggleFavorite(item);
+                this.reorderMessage = '';
+                this.updateCartItems();
+                this.renderReorderPanel();
+            });
+        }
+
+        // Note de la ligne : champ affiché à la demande
+        const noteBtn = itemDiv.querySelector('[data-action="note"]');
+        const noteForm = itemDiv.querySelector('.cart-item-note-form');
+        const noteInput = noteForm.querySelector('input');
+        noteInput.value = item.note || '';
+
+        noteBtn.addEventListener('click', () => {
+            noteForm.hidden = !noteForm.hidden;
+            noteBtn.setAttribute('aria-expanded', String(!noteForm.hidden));
+            if (!noteForm.hidden) {
+                noteInput.focus();
+            }
+        });
+
+        noteForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.setItemNote(item.id, noteInput.value);
+        });
+
+        noteInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                noteForm.hidden = true;
+                noteBtn.setAttribute('aria-expanded', 'false');
+                noteBtn.focus();
+            }
+        });
+        
+        return itemDiv;
+    }
+    
+    /**
+     * Mettre à jour le résumé du panier
+     */
+    updateCartSummary() {
+        if (!cartSummary || !cartTotal) return;
+
+        const total = this.getOrderTotal();
+        const zone = this.getDeliveryZone();
+
+        if (this.items.length === 0) {
+            cartSummary.style.display = 'none';
+        } else {
+            cartSummary.style.display = 'block';
+            cartTotal.textContent = formatPrice(total);
+        }
+
+        // Une ligne par réduction, avec un bouton pour la retirer
+        if (cartDiscounts) {
+            cartDiscounts.innerHTML = this.getDiscounts().map(discount => {
+                const removeHtml = discount.type === 'promo'
+                    ? `<button type="button" class="cart-discount-remove" data-remove-promo aria-label="${escapeHtml(t('promo.remove', { code: discount.code }))}">✕</button>`
+                    : '';
+                return `
+                    <div class="cart-discount-line cart-discount-line--${discount.type}">
+                        <span>${escapeHtml(this.formatDiscountLabel(discount))}</span>
+                        <span>${formatPrice(-discount.amount)} ${removeHtml}</span>
+                    </div>
+                `;
+            }).join('');
+        }
+
+        // Code gardé mais plus valable pour ce panier : on explique pourquoi
+        const promoResult = this.getPromoResult();
+        if (promoResult && promoResult.error) {
+            this.setPromoMessage(`${this.promoCode} : ${this.formatPromoError(promoResult)}`, true);
+        } else if (promoResult) {
+            const { code, label } = promoResult.promo;
+            this.setPromoMessage(t('promo.applied', { code, label: t(`promo.${code}`, { defaultValue: label }) }));
+        }
+
+        // Frais de livraison sur leur propre ligne, dès que la zone est connue
+        if (cartDeliveryFee) {
+            cartDeliveryFee.hidden = !zone;
+            if (zone) {
+                cartDeliveryFeeLabel.textContent = t('delivery.fee', { zone: this.getZoneLabel(zone) });
+                cartDeliveryFeeAmount.textContent = this.formatDeliveryFee(toCents(zone.fee));
+            }
+        }
+
+        // Paiement en espèces : total arrondi à 5 centimes, écart affiché à part
+        if (cartRounding) {
+            const rounding = this.getCashRounding();
+            cartRounding.hidden = !rounding;
+            cartRoundingAmount.textContent = formatPrice(rounding, { sign: true });
+        }
+
+        if (checkoutDeliveryZone) {
+            const postcode = checkoutFields.postcode?.value.trim() || '';
+            if (zone) {
+                checkoutDeliveryZone.textContent = t(zone.fee ? 'delivery.zoneInfo' : 'delivery.zoneInfo.free', {
+                    zone: this.getZoneLabel(zone),
+                    minimum: formatPrice(toCents(zone.minimumOrder)),
+                    fee: formatPrice(toCents(zone.fee))
+                });
+            } else if (CHECKOUT_PATTERNS.postcode.test(postcode)) {
+                checkoutDeliveryZone.textContent = t('delivery.outOfZone', { postcode });
+            } else {
+                checkoutDeliveryZone.textContent = '';
+            }
+        }
+    }
+
+    /**
+     * Formater des frais de livraison ("3.00 CHF" ou "Offerte")
+     * @param {number} fee - Frais en centimes
+     * @returns {string} Frais formatés
+     */
+    formatDeliveryFee(fee) {
+        return fee ? formatPrice(fee) : t('delivery.free');
+    }
+
+    /**
+     * Nom d'une zone de livraison dans la langue du visiteur
+     * @param {Object} zone - Zone (voir DELIVERY_ZONES)
+     * @returns {string} Nom de la zone
+     */
+    getZoneLabel(zone) {
+        return t(`delivery.zone.${zone.id}`, { defaultValue: zone.label });
+    }
+    
+    /**
+     * Feedback visuel lors de l'ajout au panier
+     * @param {HTMLButtonElement} button - Le bouton cliqué
+     * @param {string} message - Texte affiché pendant l'animation
+     */
+    showAddToCartFeedback(button, message = t('cart.feedback.added')) {
+        const originalText = button.textContent;
+        if (!button.dataset.defaultLabel) {
+            button.dataset.defaultLabel = originalText;
+        }
+        
+        // Animation du bouton
+        button.classList.add('adding');
+        button.textContent = message;
+        button.disabled = true;
+        
+        setTimeout(() => {
+            button.classList.remove('adding');
+            button.textContent = originalText;
+            button.disabled = false;
+        }, 1000);
+    }
+    
+    /**
+     * Générer la liste des créneaux du checkout
+     * "Dès que possible" n'est proposé que restaurant ouvert ; la sélection est conservée si possible.
+     */
+    renderTimeSlots() {
+        const select = checkoutFields.timeSlot;
+        if (!select) return;
+
+        const now = new Date();
+        const previous = select.value;
+        const isOpen = this.openingHours.getStatus(now).isOpen;
+        const slots = this.openingHours.getTimeSlots(now);
+        const groups = new Map();
+
+        slots.forEach(slot => {
+            const day = this.openingHours.describeDay(slot.start, now);
+            if (!groups.has(day)) {
+                groups.set(day, []);
+            }
+            groups.get(day).push(slot);
+        });
+
+        const firstOption = isOpen
+            ? `<option value="">${escapeHtml(t('checkout.slot.asap', { minutes: TIME_SLOT_CONFIG.preparationTime }))}</option>`
+            : `<option value="">${escapeHtml(t(slots.length ? 'checkout.slot.placeholder' : 'checkout.slot.none'))}</option>`;
+
+        const groupsHtml = [...groups].map(([day, daySlots]) => {
+            const optionsHtml = daySlots.map(slot => {
+                const value = slot.start.toISOString();
+                const isFull = this.slotAvailability.get(value) === 0;
+                const range = `${this.openingHours.formatTime(slot.start)} - ${this.openingHours.formatTime(slot.end)}`;
+                const label = isFull ? t('slot.full', { time: range }) : range;
+                return `<option value="${value}"${isFull ? ' disabled' : ''}>${label}</option>`;
+            }).join('');
+            return `<optgroup label="${escapeHtml(day.charAt(0).toUpperCase() + day.slice(1))}">${optionsHtml}</optgroup>`;
+        }).join('');
+
+        select.innerHTML = firstOption + groupsHtml;
+
+        const kept = [...select.options].find(option => option.value === previous && !option.disabled);
+        select.value = kept ? previous : '';
+    }
+
+    /**
+     * Récupérer les places restantes par créneau auprès du serveur
+     * Sans réponse, tous les créneaux restent proposés (le serveur refusera un créneau complet).
+     */
+    async refreshSlotAvailability() {
+        try {
+            const slots = await this.orderClient.fetchTimeSlots();
+            this.slotAvailability = new Map(slots.map(slot => [slot.start, slot.remaining]));
+            this.renderTimeSlots();
+        } catch (error) {
+            console.warn('⚠️ Disponibilité des créneaux inconnue:', error);
+        }
+    }
+
+    /**
+     * Vérifier le créneau choisi
+     * @param {string} value - Début du créneau (ISO) ou vide pour "dès que possible"
+     * @returns {boolean} true si le créneau est accepté
+     */
+    isTimeSlotValid(value) {
+        const now = new Date();
+
+        if (!value) {
+            return this.openingHours.getStatus(now).isOpen;
+        }
+
+        return this.openingHours.isTimeSlot(new Date(value), now) && this.slotAvailability.get(value) !== 0;
+    }
+
+    /**
+     * Décrire le créneau choisi pour le récapitulatif
+     * @param {string} value - Début du créneau (ISO) ou vide
+     * @returns {string} Créneau lisible
+     */
+    describeTimeSlot(value) {
+        if (!value) {
+            return t('checkout.slot.asapShort');
+        }
+        const start = new Date(value);
+        const end = new Date(start.getTime() + TIME_SLOT_CONFIG.interval * 60000);
+        return this.openingHours.formatTimeSlot({ start, end });
+    }
+
+    /**
+     * Construire les données de commande envoyées au serveur
+     * @param {Object} customer - Coordonnées saisies au checkout
+     * @param {string} orderKey - Clé d'idempotence de la commande
+     * @returns {Object} Commande structurée
+     */
+    buildOrderPayload(customer, orderKey) {
+        const { paymentMethod, timeSlot, fulfillmentMode, ...contact } = customer;
+        const zone = this.getDeliveryZone();
+        const discounts = this.getDiscounts();
+        const items = this.items.map(item => {
+            const unitPrice = this.getUnitPrice(item);
+            return {
+                productId: item.productId || null,
+                name: item.name,
+                category: item.category,
+                quantity: item.quantity,
+                basePrice: fromCents(item.price),
+                unitPrice: fromCents(unitPrice),
+                lineTotal: fromCents(unitPrice * item.quantity),
+                options: (item.options || []).map(option => ({
+                    key: option.key,
+                    label: option.label,
+                    value: option.value,
+                    values: option.values || [option.value],
+                    priceDelta: fromCents(option.priceDelta || 0)
+                })),
+                note: sanitizeNote(item.note, NOTE_MAX_LENGTH.item)
+            };
+        });
+
+        return {
+            orderKey,
+            createdAt: new Date().toISOString(),
+            currency: MONEY_CONFIG.currency,
+            items,
+            // Téléphone au format E.164 (+41791234567), quel que soit le format saisi
+            customer: { ...contact, phone: normalizeSwissPhone(contact.phone) || contact.phone },
+            note: sanitizeNote(this.orderNote, NOTE_MAX_LENGTH.order),
+            paymentMethod,
+            fulfillment: {
+                mode: fulfillmentMode,
+                zoneId: zone ? zone.id : null,
+                fee: fromCents(this.getDeliveryFee())
+            },
+            promoCode: discounts.some(discount => discount.type === 'promo') ? this.promoCode : null,
+            discounts: discounts.map(discount => ({ ...discount, amount: fromCents(discount.amount) })),
+            preOrder: Boolean(timeSlot),
+            scheduledFor: timeSlot || null,
+            totals: {
+                itemCount: this.getTotalItems(),
+                subtotal: fromCents(this.getTotal()),
+                discount: fromCents(this.getDiscountTotal()),
+                deliveryFee: fromCents(this.getDeliveryFee()),
+                rounding: fromCents(this.getCashRounding()),
+                total: fromCents(this.getOrderTotal())
+            }
+        };
+    }
+
+    /**
+     * Obtenir la clé d'idempotence de la commande en cours
+     * La même clé est réutilisée tant que le contenu ne change pas,
+     * pour qu'un nouvel essai après un échec ne crée pas de doublon.
+     * @param {Object} customer - Coordonnées saisies
+     * @returns {string} Clé de commande
+     */
+    getOrderKey(customer) {
+        const fingerprint = JSON.stringify({
+            items: this.items.map(({ addedAt, ...line }) => line),
+            customer,
+            note: sanitizeNote(this.orderNote, NOTE_MAX_LENGTH.order),
+            promoCode: this.promoCode
+        });
+
+        if (!this.pendingOrder || this.pendingOrder.fingerprint !== fingerprint) {
+            this.pendingOrder = { key: this.orderClient.createOrderKey(), fingerprint };
+        }
+
+        return this.pendingOrder.key;
+    }
+
+    /**
+     * Activer/désactiver l'état "envoi en cours" du bouton de commande
+     * @param {boolean} isSubmitting - true pendant l'envoi
+     */
+    setSubmitting(isSubmitting) {
+        this.isSubmitting = isSubmitting;
+        if (!checkoutBtn) return;
+
+        if (isSubmitting) {
+            checkoutBtn.dataset.originalText = checkoutBtn.textContent.trim();
+            checkoutBtn.textContent = t('checkout.sending');
+        } else if (checkoutBtn.dataset.originalText) {
+            checkoutBtn.textContent = checkoutBtn.dataset.originalText;
+        }
+        checkoutBtn.disabled = isSubmitting;
+    }
+
+    /**
+     * Processus de commande
+     * Les erreurs et le récapitulatif s'affichent dans la fenêtre de commande ;
+     * la commande n'est envoyée qu'après confirmation dans cette fenêtre.
+     */
+    checkout() {
+        if (this.isSubmitting) {
+            return;
+        }
+
+        if (this.items.length === 0) {
+            this.checkoutDialog.open({
+                title: t('checkout.empty.title'),
+                tone: 'error',
+                html: `<p>${escapeHtml(t('checkout.empty.text'))}</p>`,
+                actions: [{ label: t('dialog.close'), autofocus: true }]
+            }, checkoutBtn);
+            return;
+        }
+
+        if (!this.validateCheckoutDetails()) {
+            this.showCheckoutErrors();
+            return;
+        }
+
+        // Le minimum de commande dépend de la zone de livraison (aucun minimum à emporter)
+        const zone = this.getDeliveryZone();
+        const missing = zone ? toCents(zone.minimumOrder) - this.getDiscountedSubtotal() : 0;
+        if (missing > 0) {
+            this.checkoutDialog.open({
+                title: t('checkout.minimum.title'),
+                tone: 'error',
+                html: `<p>${escapeHtml(t('checkout.minimum.text', { minimum: formatPrice(toCents(zone.minimumOrder)), zone: this.getZoneLabel(zone) }))}</p>` +
+                    `<p>${escapeHtml(t('checkout.minimum.missing', { missing: formatPrice(missing) }))}</p>`,
+                actions: [{ label: t('checkout.minimum.continue'), autofocus: true }]
+            }, checkoutBtn);
+            return;
+        }
+
+        const customer = this.getCheckoutCustomer();
+        this.checkoutDialog.open({
+            title: t('checkout.review.title'),
+            html: this.renderCheckoutReview(customer, zone),
+            actions: [
+                { label: t('checkout.review.confirm'), autofocus: true, onClick: () => this.submitOrder(customer) },
+                { label: t('cart.edit'), variant: 'secondary' }
+            ]
+        }, checkoutBtn);
+    }
+
+    /**
+     * Coordonnées saisies au checkout (sans adresse à emporter)
+     * @returns {Object} Coordonnées envoyées avec la commande
+     */
+    getCheckoutCustomer() {
+        const isDelivery = this.fulfillmentMode === 'delivery';
+        return {
+            lastName: checkoutFields.lastName.value.trim(),
+            firstName: checkoutFields.firstName.value.trim(),
+            address: isDelivery ? checkoutFields.address.value.trim() : '',
+            postcode: isDelivery ? checkoutFields.postcode.value.trim() : '',
+            city: isDelivery ? checkoutFields.city.value.trim() : '',
+            fulfillmentMode: this.fulfillmentMode,
+            phone: checkoutFields.phone.value.trim(),
+            timeSlot: checkoutFields.timeSlot?.value || '',
+            paymentMethod: checkoutFields.paymentMethod.value
+        };
+    }
+
+    /**
+     * Récapitulatif structuré affiché avant confirmation
+     * @param {Object} customer - Coordonnées saisies
+     * @param {Object|null} zone - Zone de livraison (null à emporter)
+     * @returns {string} HTML du récapitulatif
+     */
+    renderCheckoutReview(customer, zone) {
+        const orderNote = sanitizeNote(this.orderNote, NOTE_MAX_LENGTH.order);
+        const row = (label, value) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`;
+
+        const customerHtml =
+            row(t('checkout.review.customer'), `${customer.firstName} ${customer.lastName}`) +
+            (customer.fulfillmentMode === 'delivery'
+                ? row(FULFILLMENT_TEXTS.delivery, `${customer.address}, ${customer.postcode} ${customer.city}`)
+                : row(FULFILLMENT_TEXTS.pickup, t('checkout.review.atRestaurant'))) +
+            row(t('checkout.review.phone'), formatSwissPhone(customer.phone)) +
+            row(t('checkout.review.slot'), this.describeTimeSlot(customer.timeSlot)) +
+            row(t('checkout.review.payment'), PAYMENT_TEXTS[customer.paymentMethod] || '—') +
+            (orderNote ? row(t('checkout.review.note'), orderNote) : '');
+
+        const itemsHtml = this.items.map(item => {
+            const display = this.catalog.localizeLine(item);
+            return `
+            <div class="cart-item">
+                <div class="cart-item-info">
+                    <div class="cart-item-name">${item.quantity}x ${escapeHtml(display.name)}</div>
+                    ${renderItemOptionsHtml(display.options, i18n.getLocale())}
+                    ${renderItemNoteHtml(item.note)}
+                </div>
+                <div class="cart-item-total">${formatPrice(this.getUnitPrice(item) * item.quantity)}</div>
+            </div>
+        `;
+        }).join('');
+
+        const rounding = this.getCashRounding();
+        const totalsHtml =
+            this.getDiscounts().map(discount => row(this.formatDiscountLabel(discount), formatPrice(-discount.amount))).join('') +
+            (zone ? row(t('delivery.fee', { zone: this.getZoneLabel(zone) }), this.formatDeliveryFee(toCents(zone.fee))) : '') +
+            (rounding ? row(t('cart.rounding'), formatPrice(rounding, { sign: true })) : '') +
+            `<dt class="checkout-review-total">${escapeHtml(t('checkout.review.total'))}</dt><dd class="checkout-review-total"><strong>${escapeHtml(formatPrice(this.getOrderTotal()))}</strong></dd>`;
+
+        const totalItems = this.getTotalItems();
+        return `
+            <div class="checkout-review">
+                <section class="checkout-review-block">
+                    <h3 class="checkout-review-title">${escapeHtml(t('checkout.review.details'))}</h3>
+                    <dl class="checkout-review-list">${customerHtml}</dl>
+                </section>
+                <section class="checkout-review-block">
+                    <h3 class="checkout-review-title">${escapeHtml(t('checkout.review.items', { count: totalItems }))}</h3>
+                    <div class="cart-items">${itemsHtml}</div>
+                    <dl class="checkout-review-totals">${totalsHtml}</dl>
+                </section>
+            </div>
+        `;
+    }
+
+    /**
+     * Lister les champs à corriger dans la fenêtre de commande
+     * Chaque erreur renvoie au champ concerné ; "Corriger" place le focus sur le premier.
+     */
+    showCheckoutErrors() {
+        const errorsHtml = this.checkoutErrors.map(({ key, message }) => {
+            const field = checkoutFields[key];
+            const label = document.querySelector(`label[for="${field.id}"]`)?.firstChild.textContent.trim() || key;
+            return `<li><button type="button" class="checkout-dialog-link" data-dialog-focus="${field.id}">${escapeHtml(label)}</button> : ${escapeHtml(message)}</li>`;
+        }).join('');
+        this.checkoutDialog.open({
+            title: t('checkout.errors.title'),
+            tone: 'error',
+            html: `<p>${escapeHtml(t('checkout.errors.text'))}</p><ul class="checkout-dialog-errors">${errorsHtml}</ul>`,
+            actions: [{ label: t('checkout.errors.fix'), autofocus: true, onClick: () => this.focusFirstCheckoutError() }]
+        }, checkoutBtn);
+    }
+
+    /**
+     * Envoyer la commande confirmée
+     * Le panier n'est vidé qu'une fois la commande acceptée par le serveur ;
+     * en cas d'échec, la fenêtre propose de réessayer avec la même clé de commande.
+     * @param {Object} customer - Coordonnées confirmées
+     */
+    async submitOrder(customer) {
+        if (this.isSubmitting) {
+            return;
+        }
+
+        const order = this.buildOrderPayload(customer, this.getOrderKey(customer));
+        let savedOrder;
+
+        this.checkoutDialog.render({
+            title: t('checkout.sending'),
+            html: `<p class="checkout-dialog-status" role="status">${escapeHtml(t('checkout.sending.text'))}</p>`
+        });
+        this.checkoutDialog.setBusy(true);
+        this.setSubmitting(true);
+        try {
+            savedOrder = await this.orderClient.submit(order);
+        } catch (error) {
+            console.warn('⚠️ Commande non transmise:', error);
+            this.checkoutDialog.setBusy(false);
+            this.checkoutDialog.render({
+                title: t('checkout.failed.title'),
+                tone: 'error',
+                html: `<p>${escapeHtml(formatSubmissionError(error))}</p><p>${escapeHtml(t('checkout.failed.text'))}</p>`,
+                actions: [
+                    { label: t('checkout.failed.retry'), autofocus: true, onClick: () => this.submitOrder(customer) },
+                    { label: t('dialog.close'), variant: 'secondary' }
+                ]
+            });
+            return;
+        } finally {
+            this.setSubmitting(false);
+        }
+
+        this.pendingOrder = null;
+        if (this.orderHistory) {
+            this.orderHistory.recordOrder(savedOrder);
+        }
+        this.rememberCustomer(customer);
+        this.reorderMessage = '';
+        if (order.promoCode && this.promotionEngine.findCode(order.promoCode)?.singleUse) {
+            this.saveUsedPromoCode(order.promoCode);
+        }
+        this.promoCode = null;
+        this.setPromoMessage('');
+        Object.entries(checkoutFields).forEach(([key, field]) => {
+            if (!field) return;
+            if (field.tagName === 'SELECT') {
+                field.selectedIndex = 0;
+            } else {
+                field.value = '';
+            }
+            this.checkoutValidator.clearField(key);
+        });
+
+        // Vider le panier, puis pré-remplir la prochaine commande avec le profil
+        this.clearCart();
+        this.refreshSlotAvailability();
+        this.fillFromProfile();
+
+        // Fermer le panier
+        if (this.isCartOpen) {
+            this.toggleCart();
+        }
+
+        // Afficher la confirmation et suivre la préparation
+        this.orderTracker.track(savedOrder);
+        // Le panier est refermé : à la fermeture, le focus va au suivi plutôt qu'au bouton de commande
+        this.checkoutDialog.setBusy(false);
+        this.checkoutDialog.returnFocus = trackingClose;
+        this.checkoutDialog.render({
+            title: t('checkout.sent.title'),
+            tone: 'success',
+            html: `<p>${t('checkout.sent.text', { name: escapeHtml(customer.firstName), number: `<strong>${escapeHtml(savedOrder.number)}</strong>` })}</p>` +
+                `<p>${escapeHtml(customer.timeSlot
+                    ? t('checkout.sent.slot', { slot: this.describeTimeSlot(customer.timeSlot) })
+                    : ORDER_STATUS_TEXTS.received.customerMessage)}</p>` +
+                `<p>${escapeHtml(t('checkout.sent.total', {
+                    total: formatPrice(toCents(savedOrder.totals?.total)),
+                    payment: PAYMENT_TEXTS[savedOrder.paymentMethod] || '—'
+                }))}</p>`,
+            actions: [{ label: t('checkout.sent.track'), autofocus: true }]
+        });
+
+        console.log('✅ Commande réalisée avec succès:', savedOrder.id);
+    }
+    
+    /**
+     * Schéma de validation du checkout (voir FormValidator)
+     * L'adresse n'est validée qu'en livraison ; le créneau vide signifie "dès que possible".
+     * @returns {Object} Schéma
+     */
+    getCheckoutSchema() {
+        const isDelivery = () => this.fulfillmentMode === 'delivery';
+
+        return {
+            lastName: { id: 'checkoutLastName', rules: [{ pattern: CHECKOUT_PATTERNS.name, message: CHECKOUT_ERROR_MESSAGES.lastName }] },
+            firstName: { id: 'checkoutFirstName', rules: [{ pattern: CHECKOUT_PATTERNS.name, message: CHECKOUT_ERROR_MESSAGES.firstName }] },
+            address: { id: 'checkoutAddress', isActive: isDelivery },
+            postcode: {
+                id: 'checkoutPostcode',
+                isActive: isDelivery,
+                rules: [
+                    { pattern: CHECKOUT_PATTERNS.postcode, message: CHECKOUT_ERROR_MESSAGES.postcodeFormat },
+                    { test: value => Boolean(findDeliveryZone(value)), message: CHECKOUT_ERROR_MESSAGES.postcode }
+                ]
+            },
+            city: {
+                id: 'checkoutCity',
+                isActive: isDelivery,
+                rules: [{ test: (value, values) => isDeliveryLocality(values.postcode, value), message: CHECKOUT_ERROR_MESSAGES.city }]
+            },
+            phone: { id: 'checkoutPhone', rules: [{ pattern: CHECKOUT_PATTERNS.phone, message: CHECKOUT_ERROR_MESSAGES.phone }] },
+            timeSlot: {
+                id: 'checkoutTimeSlot',
+                required: false,
+                // Vide = "dès que possible", seulement si le restaurant est ouvert
+                rules: [{ test: value => this.isTimeSlotValid(value), message: CHECKOUT_ERROR_MESSAGES.timeSlot }]
+            },
+            paymentMethod: { id: 'checkoutPaymentMethod', requiredMessage: CHECKOUT_ERROR_MESSAGES.paymentMethod }
+        };
+    }
+
+    /**
+     * Valider les détails de la commande (checkout)
+     * Chaque champ invalide reçoit son message ; la liste est gardée dans this.checkoutErrors.
+     * @returns {boolean} true si valide, false sinon
+     */
+    validateCheckoutDetails() {
+        this.checkoutErrors = this.checkoutValidator.validateAll();
+        return this.checkoutErrors.length === 0;
+    }
+
+    /**
+     * Fermer la fenêtre de commande et placer le focus sur le premier champ à corriger
+     */
+    focusFirstCheckoutError() {
+        this.checkoutDialog.close({ focus: null });
+        if (!this.checkoutValidator.focusFirstError() && checkoutBtn) {
+            checkoutBtn.focus();
+        }
+    }
+    
+    /**
+     * Vider complètement le panier
+     */
+    clearCart() {
+        this.items = [];
+        this.orderNote = '';
+        this.setCartNotice('');
+        if (checkoutOrderNote) {
+            checkoutOrderNote.value = '';
+        }
+        this.updateCartDisplay();
+        this.saveCartToStorage();
+    }
+    
+    /**
+     * Sauvegarder le panier dans le localStorage
+     * Les autres onglets ouverts sont prévenus par l'événement "storage"
+     */
+    saveCartToStorage() {
+        try {
+            localStorage.setItem(CART_STORAGE_CONFIG.storageKey, JSON.stringify({
+                version: CART_STORAGE_CONFIG.version,
+                savedAt: Date.now(),
+                items: this.items,
+                note: this.orderNote
+            }));
+        } catch (error) {
+            console.warn('⚠️ Impossible de sauvegarder le panier:', error);
+        }
+    }
+    
+    /**
+     * Charger le panier depuis le localStorage
+     * Le format est migré si besoin, un panier trop ancien est oublié
+     * et chaque ligne est revalidée et recalculée avec le menu actuel.
+     * @param {string|null} saved - Contenu brut (lu dans le localStorage si absent)
+     * @returns {{items: Array, note: string}} Articles et note de la commande
+     */
+    loadCartFromStorage(saved = localStorage.getItem(CART_STORAGE_CONFIG.storageKey)) {
+        const empty = { items: [], note: '' };
+
+        try {
+            if (!saved) {
+                return empty;
+            }
+
+            let data = JSON.parse(saved);
+            let version = Array.isArray(data) ? 0 : Number(data?.version) || 1;
+
+            if (version > CART_STORAGE_CONFIG.version) {
+                console.warn('⚠️ Panier enregistré par une version plus récente du site, ignoré.');
+                return empty;
+            }
+            while (version < CART_STORAGE_CONFIG.version) {
+                data = CART_STORAGE_MIGRATIONS[version](data);
+                version = data.version;
+            }
+
+            if (!Array.isArray(data.items)) {
+                return empty;
+            }
+
+            if (Date.now() - Number(data.savedAt) > CART_STORAGE_CONFIG.maxAge) {
+                localStorage.removeItem(CART_STORAGE_CONFIG.storageKey);
+                this.setCartNotice(data.items.length ? t('cart.notice.expired') : '');
+                return empty;
+            }
+
+            return {
+                items: this.restoreItems(data.items),
+                note: typeof data.note === 'string' ? data.note.slice(0, NOTE_MAX_LENGTH.order) : ''
+            };
+        } catch (error) {
+            console.warn('⚠️ Impossible de charger le panier:', error);
+            return empty;
+        }
+    }
+
+    /**
+     * Revalider des lignes enregistrées avec le menu actuel
+     * Prix et suppléments sont recalculés ; les articles retirés (ou dont les options
+     * n'existent plus) sont enlevés et signalés au client.
+     * @param {Object[]} storedItems - Lignes enregistrées
+     * @returns {Object[]} Lignes valides, aux prix actuels
+     */
+    restoreItems(storedItems) {
+        const items = [];
+        const removed = [];
+        const repriced = [];
+
+        storedItems.forEach(stored => {
+            const product = this.catalog?.getItem(stored?.productId);
+            const options = Array.isArray(stored?.options) ? stored.options : [];
+            const note = sanitizeNote(stored?.note, NOTE_MAX_LENGTH.item);
+
+            if (!product || !this.catalog.isValidSelection(product, options)) {
+                removed.push(stored?.name || t('cart.notice.unknownItem'));
+                return;
+            }
+
+            const item = this.buildCartItem(product, options, note);
+            const quantity = Math.min(Math.max(parseInt(stored.quantity, 10) || 1, 1), CART_STORAGE_CONFIG.maxQuantity);
+
+            if (Number.isFinite(stored.price) && this.getUnitPrice(stored) !== this.getUnitPrice(item)) {
+                repriced.push(this.catalog.localizeLine(item).name);
+            }
+
+            const existingItem = items.find(cartItem => cartItem.id === item.id);
+            if (existingItem) {
+                existingItem.quantity = Math.min(existingItem.quantity + quantity, CART_STORAGE_CONFIG.maxQuantity);
+            } else {
+                items.push({ ...item, quantity, addedAt: Number(stored.addedAt) || Date.now() });
+            }
+        });
+
+        const notices = [];
+        if (removed.length) {
+            notices.push(t('cart.notice.removed', { names: [...new Set(removed)].join(', ') }));
+        }
+        if (repriced.length) {
+            notices.push(t('cart.notice.repriced', { names: [...new Set(repriced)].join(', ') }));
+        }
+        this.setCartNotice(notices.join(' '));
+
+        return items;
+    }
+
+    /**
+     * Afficher (ou effacer) un message au-dessus des lignes du panier
+     * @param {string} message - Message ('' pour effacer)
+     */
+    setCartNotice(message) {
+        if (!cartNotice) return;
+        cartNotice.textContent = message ? `⚠️ ${message}` : '';
+        cartNotice.hidden = !message;
+    }
+
+    /**
+     * Reprendre le panier modifié dans un autre onglet
+     * @param {StorageEvent} event - Événement "storage" de la fenêtre
+     */
+    syncFromStorage(event) {
+        if (event.key !== CART_STORAGE_CONFIG.storageKey && event.key !== null) {
+            return;
+        }
+
+        const savedCart = this.loadCartFromStorage(event.key === null ? null : event.newValue);
+        this.items = savedCart.items;
+        this.orderNote = savedCart.note;
+
+        // Ne pas écraser une note en cours de saisie dans cet onglet
+        if (checkoutOrderNote && document.activeElement !== checkoutOrderNote) {
+            checkoutOrderNote.value = this.orderNote;
+        }
+
+        if (this.editing && !this.items.some(item => item.id === this.editing.itemId)) {
+            this.stopEditing({ resetOptions: true });
+        }
+
+        this.updateCartDisplay();
+    }
+}
+
+/**
+ * Prépare les éléments de personnalisation des menus
+ */
+function initializeMenuItemOptions() {
+    const menuItems = document.querySelectorAll('.menu-item[data-has-options="true"]');
+
+    menuItems.forEach(menuItem => {
+        const optionsWrapper = menuItem.querySelector('.menu-item-options');
+        if (!optionsWrapper) {
+            return;
+        }
+
+        const hint = optionsWrapper.querySelector('.menu-item-options-hint');
+
+        if (hint && !hint.dataset.defaultHint) {
+            hint.dataset.defaultHint = hint.textContent.trim();
+        }
+
+        optionsWrapper.setAttribute('aria-hidden', 'true');
+        optionsWrapper.dataset.stepComplete = 'false';
+
+        const optionGroups = Array.from(optionsWrapper.querySelectorAll('.menu-option'));
+
+        if (optionGroups.length > 0) {
+            const stepper = createMenuOptionStepper(menuItem, optionsWrapper, optionGroups, hint);
+            if (stepper) {
+                optionsWrapper._stepper = stepper;
+            }
+        }
+
+        optionGroups.forEach(option => {
+            const buttons = Array.from(option.querySelectorAll('.menu-option-button'));
+            const selectionType = option.dataset.selectionType || 'single';
+            const max = parseInt(option.dataset.max, 10);
+            const maxSelections = Number.isFinite(max) && max > 0
+                ? max
+                : (selectionType === 'multiple' ? buttons.length : 1);
+
+            buttons.forEach(button => {
+                button.type = 'button';
+                button.setAttribute('aria-pressed', 'false');
+
+                button.addEventListener('click', () => {
+                    optionsWrapper.classList.add('menu-item-options--visible');
+                    optionsWrapper.setAttribute('aria-hidden', 'false');
+                    menuItem.classList.add('menu-item--configuring');
+                    if (optionsWrapper._stepper && typeof optionsWrapper._stepper.open === 'function') {
+                        optionsWrapper._stepper.open();
+                    }
+
+                    const isSelected = button.classList.contains('menu-option-button--selected');
+
+                    if (selectionType === 'single') {
+                        if (isSelected) {
+                            button.classList.remove('menu-option-button--selected');
+                            button.setAttribute('aria-pressed', 'false');
+                        } else {
+                            buttons.forEach(btn => {
+                                btn.classList.remove('menu-option-button--selected');
+                                btn.setAttribute('aria-pressed', 'false');
+                            });
+                            button.classList.add('menu-option-button--selected');
+                            button.setAttribute('aria-pressed', 'true');
+                        }
+                    } else {
+                        if (isSelected) {
+                            button.classList.remove('menu-option-button--selected');
+                            button.setAttribute('aria-pressed', 'false');
+                        } else {
+                            const currentSelection = option.querySelectorAll('.menu-option-button--selected').length;
+                            if (currentSelection >= maxSelections) {
+                                option.classList.add('menu-option--error');
+                                if (hint) {
+                                    const limitMessage = option.dataset.limitMessage || t('menu.options.limit', { count: maxSelections });
+                                    hint.textContent = limitMessage;
+                                    hint.classList.add('menu-item-options-hint--error');
+                                }
+                                optionsWrapper.classList.add('menu-item-options--error');
+                                return;
+                            }
+                            button.classList.add('menu-option-button--selected');
+                            button.setAttribute('aria-pressed', 'true');
+                        }
+                    }
+
+                    option.classList.remove('menu-option--error');
+
+                    if (hint) {
+                        const defaultHint = hint.dataset.defaultHint || hint.textContent;
+                        hint.textContent = defaultHint;
+                        hint.classList.remove('menu-item-options-hint--error');
+                    }
+
+                    optionsWrapper.classList.remove('menu-item-options--error');
+
+                    if (optionsWrapper._stepper && typeof optionsWrapper._stepper.handleSelectionChange === 'function') {
+                        optionsWrapper._stepper.handleSelectionChange(option);
+                    }
+                });
+            });
+        });
+
+        const selects = Array.from(optionsWrapper.querySelectorAll('select[data-required="true"]'));
+        selects.forEach(select => {
+            select.addEventListener('focus', () => {
+                optionsWrapper.classList.add('menu-item-options--visible');
+                optionsWrapper.setAttribute('aria-hidden', 'false');
+                menuItem.classList.add('menu-item--configuring');
+                if (optionsWrapper._stepper && typeof optionsWrapper._stepper.open === 'function') {
+                    optionsWrapper._stepper.open();
+                }
+            });
+
+            select.addEventListener('change', () => {
+                select.classList.remove('menu-option-select--error');
+                optionsWrapper.classList.remove('menu-item-options--error');
+
+                if (hint) {
+                    const defaultHint = hint.dataset.defaultHint || hint.textContent;
+                    hint.textContent = defaultHint;
+                    hint.classList.remove('menu-item-options-hint--error');
+                }
+
+                if (optionsWrapper._stepper && typeof optionsWrapper._stepper.markDirty === 'function') {
+                    optionsWrapper._stepper.markDirty();
+                }
+            });
+        });
+    });
+}
+
+function createMenuOptionStepper(menuItem, optionsWrapper, optionGroups, hint) {
+    if (!optionsWrapper || !optionGroups.length) {
+        return null;
+    }
+
+    optionsWrapper.classList.add('menu-item-options--stepped');
+    optionsWrapper.dataset.stepMode = 'enabled';
+
+    if (hint) {
+        if (!hint.dataset.stepHint) {
+            hint.dataset.stepHint = t('menu.step.hint');
+        }
+        if (!hint.dataset.completeHint) {
+            hint.dataset.completeHint = t('menu.step.completeHint');
+        }
+    }
+
+    const controls = document.createElement('div');
+    controls.className = 'menu-options-controls';
+
+    const prevBtn = document.createElement('button');
+    prevBtn.type = 'button';
+    prevBtn.className = 'menu-options-prev';
+    prevBtn.textContent = t('menu.step.previous');
+
+    const nextBtn = document.createElement('button');
+    nextBtn.type = 'button';
+    nextBtn.className = 'menu-options-next';
+    nextBtn.textContent = t(optionGroups.length === 1 ? 'menu.step.validate' : 'menu.step.next');
+
+    controls.append(prevBtn, nextBtn);
+
+    const addToCartButton = menuItem.querySelector('.btn-add-to-cart');
+
+    function setAddButtonDisabled(disabled) {
+        if (!addToCartButton) {
+            return;
+        }
+        addToCartButton.disabled = disabled;
+        addToCartButton.setAttribute('aria-disabled', disabled ? 'true' : 'false');
+    }
+
+    function focusAddButton() {
+        if (!addToCartButton) {
+            return;
+        }
+        requestAnimationFrame(() => addToCartButton.focus());
+    }
+
+    if (hint) {
+        optionsWrapper.insertBefore(controls, hint);
+    } else {
+        optionsWrapper.appendChild(controls);
+    }
+
+    optionGroups.forEach((group, index) => {
+        group.dataset.stepIndex = String(index);
+        group.classList.toggle('menu-option--active', index === 0);
+        group.setAttribute('aria-hidden', index === 0 ? 'false' : 'true');
+    });
+
+    optionsWrapper.dataset.activeStep = '0';
+    setAddButtonDisabled(false);
+
+    const state = {
+        currentStep: 0,
+        totalSteps: optionGroups.length,
+        completed: false
+    };
+
+    function clearStepError() {
+        optionsWrapper.classList.remove('menu-item-options--error');
+        if (!hint) {
+            return;
+        }
+        const defaultHint = hint.dataset.defaultHint || hint.textContent;
+        hint.textContent = defaultHint;
+        hint.classList.remove('menu-item-options-hint--error');
+    }
+
+    function showStepError(message) {
+        if (!hint) {
+            return;
+        }
+        hint.textContent = message;
+        hint.classList.add('menu-item-options-hint--error');
+    }
+
+    function setStep(step) {
+        state.currentStep = step;
+        optionsWrapper.dataset.activeStep = String(step);
+        optionGroups.forEach((group, index) => {
+            const isActive = index === step;
+            group.classList.toggle('menu-option--active', isActive);
+            group.setAttribute('aria-hidden', isActive ? 'false' : 'true');
+        });
+        prevBtn.disabled = step === 0;
+        if (!state.completed) {
+            nextBtn.textContent = t(step === state.totalSteps - 1 ? 'menu.step.validate' : 'menu.step.next');
+        }
+        clearStepError();
+    }
+
+    function validateStep(stepIndex) {
+        const group = optionGroups[stepIndex];
+        if (!group) {
+            return true;
+        }
+
+        const selectionType = group.dataset.selectionType || 'single';
+        const required = group.dataset.required !== 'false';
+        const buttons = Array.from(group.querySelectorAll('.menu-option-button'));
+        const selectedButtons = buttons.filter(btn => btn.classList.contains('menu-option-button--selected'));
+        const max = parseInt(group.dataset.max, 10);
+        const maxSelections = Number.isFinite(max) && max > 0
+            ? max
+            : (selectionType === 'multiple' ? buttons.length : 1);
+
+        if (selectedButtons.length > maxSelections) {
+            group.classList.add('menu-option--error');
+            const limitMessage = group.dataset.limitMessage || t('menu.options.limit', { count: maxSelections });
+            showStepError(limitMessage);
+            optionsWrapper.classList.add('menu-item-options--error');
+            return false;
+        }
+
+        if (required && selectedButtons.length === 0) {
+            group.classList.add('menu-option--error');
+            const message = group.dataset.errorMessage || hint?.dataset.errorHint || t('menu.step.required');
+            showStepError(message);
+            optionsWrapper.classList.add('menu-item-options--error');
+            const firstButton = buttons[0];
+            if (firstButton) {
+                firstButton.focus();
+            }
+            return false;
+        }
+
+        group.classList.remove('menu-option--error');
+        clearStepError();
+        return true;
+    }
+
+    function focusStep(step = state.currentStep) {
+        const group = optionGroups[step];
+        if (!group) {
+            return;
+        }
+        const firstInteractive = group.querySelector('.menu-option-button, select, input');
+        if (firstInteractive && typeof firstInteractive.focus === 'function') {
+            firstInteractive.focus();
+        }
+    }
+
+    function complete() {
+        if (!validateStep(state.currentStep)) {
+            return false;
+        }
+
+        state.completed = true;
+        optionsWrapper.dataset.stepComplete = 'true';
+        menuItem.classList.add('menu-item--ready');
+        nextBtn.textContent = t('menu.step.done');
+        nextBtn.disabled = true;
+        nextBtn.classList.add('menu-options-next--completed');
+        clearStepError();
+        setAddButtonDisabled(false);
+        focusAddButton();
+        if (hint) {
+            const completeHint = hint.dataset.completeHint || hint.dataset.defaultHint || hint.textContent;
+            hint.textContent = completeHint;
+        }
+        return true;
+    }
+
+    function advance() {
+        if (!validateStep(state.currentStep)) {
+            return false;
+        }
+
+        if (state.currentStep === state.totalSteps - 1) {
+            return complete();
+        }
+
+        const nextStepIndex = state.currentStep + 1;
+        state.completed = false;
+        optionsWrapper.dataset.stepComplete = 'false';
+        menuItem.classList.remove('menu-item--ready');
+        nextBtn.disabled = false;
+        nextBtn.classList.remove('menu-options-next--completed');
+        setStep(nextStepIndex);
+        requestAnimationFrame(() => focusStep(nextStepIndex));
+        return true;
+    }
+
+    prevBtn.addEventListener('click', () => {
+        if (state.currentStep === 0) {
+            return;
+        }
+        state.completed = false;
+        optionsWrapper.dataset.stepComplete = 'false';
+        menuItem.classList.remove('menu-item--ready');
+        nextBtn.disabled = false;
+        nextBtn.classList.remove('menu-options-next--completed');
+        setStep(state.currentStep - 1);
+        requestAnimationFrame(() => focusStep());
+    });
+
+    nextBtn.addEventListener('click', () => {
+        if (state.completed) {
             return;
         }
-        requestAnimationFrame(() => addToCartButton.focus());
+        if (state.currentStep === state.totalSteps - 1) {
+            complete();
+        } else {
+            advance();
+        }
+    });
+
+    // Initial UI state
+    prevBtn.disabled = true;
+
+    return {
+        start() {
+            state.currentStep = 0;
+            state.completed = false;
+            optionsWrapper.dataset.stepComplete = 'false';
+            menuItem.classList.add('menu-item--configuring');
+            optionsWrapper.classList.add('menu-item-options--visible');
+            optionsWrapper.setAttribute('aria-hidden', 'false');
+            nextBtn.disabled = false;
+            nextBtn.classList.remove('menu-options-next--completed');
+            prevBtn.disabled = true;
+            setStep(0);
+            clearStepError();
+            setAddButtonDisabled(true);
+            requestAnimationFrame(() => focusStep(0));
+        },
+        open() {
+            optionsWrapper.classList.add('menu-item-options--visible');
+            optionsWrapper.setAttribute('aria-hidden', 'false');
+            menuItem.classList.add('menu-item--configuring');
+            if (!state.completed) {
+                setAddButtonDisabled(true);
+            }
+        },
+        reset() {
+            state.currentStep = 0;
+            state.completed = false;
+            optionsWrapper.dataset.stepComplete = 'false';
+            menuItem.classList.remove('menu-item--configuring', 'menu-item--ready');
+            optionsWrapper.classList.remove('menu-item-options--visible');
+            optionsWrapper.setAttribute('aria-hidden', 'true');
+            nextBtn.disabled = false;
+            nextBtn.classList.remove('menu-options-next--completed');
+            prevBtn.disabled = true;
+            setStep(0);
+            clearStepError();
+            setAddButtonDisabled(false);
+        },
+        markDirty() {
+            setAddButtonDisabled(true);
+            if (state.completed) {
+                state.completed = false;
+                optionsWrapper.dataset.stepComplete = 'false';
+                nextBtn.disabled = false;
+                nextBtn.classList.remove('menu-options-next--completed');
+                nextBtn.textContent = t(state.currentStep === state.totalSteps - 1 ? 'menu.step.validate' : 'menu.step.next');
+                menuItem.classList.remove('menu-item--ready');
+                clearStepError();
+            }
+        },
+        handleSelectionChange(group) {
+            this.markDirty();
+            if (!group) {
+                return;
+            }
+
+            const stepIndex = Number(group.dataset.stepIndex);
+            if (!Number.isFinite(stepIndex) || stepIndex !== state.currentStep) {
+                return;
+            }
+
+            if (state.completed) {
+                return;
+            }
+
+            group.classList.remove('menu-option--error');
+            clearStepError();
+        },
+        focusStep,
+        advance,
+        complete
+    };
+}
+
+/* ========================================
+   6. SUIVI DE COMMANDE
+   ======================================== */
+
+/**
+ * CLASSE OrderTracker
+ * Affiche la confirmation de la dernière commande et suit son statut
+ * La commande est gardée dans le localStorage pour survivre à un rechargement
+ */
+class OrderTracker {
+    /**
+     * @param {OrderClient} orderClient - Client de l'API des commandes
+     * @param {MenuCatalog} catalog - Catalogue du menu (noms des articles dans la langue du visiteur)
+     */
+    constructor(orderClient, catalog) {
+        this.orderClient = orderClient;
+        this.catalog = catalog;
+        this.order = this.loadLastOrder();
+        this.pollTimer = null;
+        this.pollInterval = 10000;
+        this.init();
+    }
+
+    /**
+     * Initialisation : événements et reprise du suivi après rechargement
+     */
+    init() {
+        if (trackingClose) {
+            trackingClose.addEventListener('click', () => this.dismiss());
+        }
+
+        // Rafraîchir dès que l'onglet redevient visible
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.order && this.isActive()) {
+                this.poll();
+            }
+        });
+
+        if (this.order) {
+            this.render();
+            if (this.isActive()) {
+                this.poll();
+            }
+        }
+    }
+
+    /**
+     * Commencer le suivi d'une commande qui vient d'être passée
+     * @param {Object} order - Commande renvoyée par le serveur
+     */
+    track(order) {
+        this.order = order;
+        this.saveLastOrder();
+        this.render();
+        this.schedulePoll();
+
+        if (trackingSection) {
+            trackingSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    /**
+     * La commande est-elle encore en cours ?
+     * @returns {boolean} true tant qu'elle n'est pas livrée
+     */
+    isActive() {
+        return this.order.status !== 'delivered';
+    }
+
+    /**
+     * Interroger le serveur puis reprogrammer le prochain appel
+     */
+    async poll() {
+        clearTimeout(this.pollTimer);
+        const orderId = this.order?.id;
+        if (!orderId) return;
+
+        try {
+            const updated = await this.orderClient.fetchOrder(orderId);
+            // Le suivi a pu être fermé pendant la requête
+            if (this.order?.id !== orderId) return;
+            this.order = updated;
+            this.saveLastOrder();
+            this.render();
+        } catch (error) {
+            if (this.order?.id !== orderId) return;
+            console.warn('⚠️ Suivi de commande indisponible:', error);
+            if (trackingMessage) {
+                trackingMessage.textContent = t('tracking.connectionLost');
+            }
+        }
+
+        if (this.isActive()) {
+            this.schedulePoll();
+        }
+    }
+
+    /**
+     * Programmer le prochain rafraîchissement
+     */
+    schedulePoll() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => this.poll(), this.pollInterval);
+    }
+
+    /**
+     * Afficher la commande suivie
+     */
+    render() {
+        if (!trackingSection || !this.order) return;
+
+        const { order } = this;
+        const customer = order.customer || {};
+        const currentIndex = ORDER_STATUS_FLOW.indexOf(order.status);
+
+        trackingSection.hidden = false;
+        trackingNumber.textContent = t('tracking.number', { number: order.number });
+
+        trackingSteps.innerHTML = ORDER_STATUS_FLOW.map((status, index) => {
+            const state = index < currentIndex ? 'done' : index === currentIndex ? 'current' : 'todo';
+            const current = state === 'current' ? ' aria-current="step"' : '';
+            return `<li class="tracking-step tracking-step--${state}"${current}>${escapeHtml(ORDER_STATUS_TEXTS[status].label)}</li>`;
+        }).join('');
+
+        trackingMessage.textContent = ORDER_STATUS_TEXTS[order.status]?.customerMessage || '';
+        if (order.scheduledFor && order.status === 'received') {
+            const scheduledTime = new Date(order.scheduledFor).toLocaleString(i18n.getLocale(), {
+                timeZone: OPENING_HOURS.timeZone,
+                weekday: 'long',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            trackingMessage.textContent = t('tracking.scheduled', { time: scheduledTime });
+        }
+
+        trackingItems.innerHTML = (order.items || []).map(item => {
+            const display = this.catalog.localizeLine(item);
+            return `
+            <div class="cart-item">
+                <div class="cart-item-info">
+                    <div class="cart-item-name">${item.quantity}x ${escapeHtml(display.name)}</div>
+                    ${renderItemOptionsHtml(toCentOptions(display.options), i18n.getLocale())}
+                    ${renderItemNoteHtml(item.note)}
+                </div>
+                <div class="cart-item-total">${formatPrice(toCents(item.lineTotal))}</div>
+            </div>
+        `;
+        }).join('');
+
+        const discount = toCents(order.totals?.discount || 0);
+        const deliveryFee = toCents(order.totals?.deliveryFee || 0);
+        const rounding = toCents(order.totals?.rounding || 0);
+        const totalDetails = [
+            discount ? t('tracking.discount', { amount: formatPrice(-discount) }) : '',
+            deliveryFee ? t('tracking.deliveryFee', { amount: formatPrice(deliveryFee) }) : '',
+            rounding ? t('tracking.rounding', { amount: formatPrice(rounding, { sign: true }) }) : ''
+        ].filter(Boolean).join(', ');
+        trackingTotal.textContent = t('tracking.total', { total: formatPrice(toCents(order.totals?.total || 0)) }) +
+            (totalDetails ? ` (${totalDetails})` : '');
+
+        trackingCustomer.innerHTML =
+            `👤 ${escapeHtml(customer.firstName)} ${escapeHtml(customer.lastName)}<br>` +
+            (order.fulfillment?.mode === 'pickup'
+                ? `🏪 ${escapeHtml(t('tracking.pickup'))}<br>`
+                : `🏠 ${escapeHtml(customer.address)}, ${escapeHtml(customer.postcode)} ${escapeHtml(customer.city)}<br>`) +
+            `📞 ${escapeHtml(formatSwissPhone(customer.phone))}<br>` +
+            `💳 ${escapeHtml(PAYMENT_TEXTS[order.paymentMethod] || '—')}` +
+            (order.note ? `<br>📝 ${escapeHtml(order.note)}` : '');
+    }
+
+    /**
+     * Fermer le suivi et oublier la commande
+     */
+    dismiss() {
+        clearTimeout(this.pollTimer);
+        this.order = null;
+        if (trackingSection) {
+            trackingSection.hidden = true;
+        }
+        try {
+            localStorage.removeItem('kebab_last_order');
+        } catch (error) {
+            console.warn('⚠️ Impossible d\'effacer la dernière commande:', error);
+        }
+    }
+
+    /**
+     * Sauvegarder la dernière commande dans le localStorage
+     */
+    saveLastOrder() {
+        try {
+            localStorage.setItem('kebab_last_order', JSON.stringify(this.order));
+        } catch (error) {
+            console.warn('⚠️ Impossible de sauvegarder la dernière commande:', error);
+        }
+    }
+
+    /**
+     * Charger la dernière commande depuis le localStorage
+     * @returns {Object|null} Commande ou null
+     */
+    loadLastOrder() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('kebab_last_order'));
+            return saved && saved.id ? saved : null;
+        } catch (error) {
+            console.warn('⚠️ Impossible de charger la dernière commande:', error);
+            return null;
+        }
+    }
+}
+
+/* ========================================
+   7. HORAIRES D'OUVERTURE
+   ======================================== */
+
+/**
+ * CLASSE OpeningHoursDisplay
+ * Affiche les horaires (contact, pied de page), le badge ouvert/fermé
+ * et l'avertissement de précommande dans le panier
+ */
+class OpeningHoursDisplay {
+    /**
+     * @param {OpeningHours} openingHours - Moteur des horaires
+     */
+    constructor(openingHours) {
+        this.openingHours = openingHours;
+        this.init();
+    }
+
+    /**
+     * Initialisation : rendu des horaires puis mise à jour de l'état chaque minute
+     */
+    init() {
+        this.renderHours();
+        this.updateStatus();
+        setInterval(() => this.updateStatus(), 60000);
+    }
+
+    /**
+     * Générer les deux blocs d'horaires depuis les horaires structurés
+     */
+    renderHours() {
+        if (contactHours) {
+            contactHours.innerHTML = this.openingHours.getDisplayLines()
+                .map(line => `<strong>${escapeHtml(this.getGroupLabel(line))} :</strong> ${escapeHtml(line.hours)}`)
+                .join('<br>');
+        }
+
+        if (footerHours) {
+            footerHours.innerHTML = this.openingHours.getDisplayLines(true)
+                .map(line => `${escapeHtml(this.getGroupLabel(line, true))} : ${escapeHtml(line.hours)}`)
+                .join('<br>');
+        }
+    }
+
+    /**
+     * Libellé d'un groupe de jours dans la langue du visiteur
+     * @param {Object} line - Ligne de getDisplayLines()
+     * @param {boolean} short - Version courte (pied de page)
+     * @returns {string} Libellé ("Lundi - Vendredi")
+     */
+    getGroupLabel(line, short = false) {
+        return t(`hours.group.${line.id}${short ? '.short' : ''}`, { defaultValue: line.label });
+    }
+
+    /**
+     * Mettre à jour le badge, les horaires exceptionnels et l'avertissement du panier
+     */
+    updateStatus() {
+        const now = new Date();
+        const badge = this.openingHours.getBadge(now);
+        const status = this.openingHours.getStatus(now);
+
+        if (openingBadge) {
+            openingBadge.textContent = badge.text;
+            openingBadge.classList.toggle('opening-badge--open', badge.isOpen);
+            openingBadge.classList.toggle('opening-badge--closed', !badge.isOpen);
+            openingBadge.hidden = false;
+        }
+
+        if (openingExceptions) {
+            const exceptions = this.openingHours.getUpcomingExceptions(now);
+            openingExceptions.innerHTML = exceptions.map(exception => {
+                const name = exception.label && t(`hours.exception.${exception.id}`, { defaultValue: exception.label });
+                const label = name ? ` (${escapeHtml(name)})` : '';
+                return `<li>${escapeHtml(exception.text)}${label}</li>`;
+            }).join('');
+            openingExceptions.hidden = exceptions.length === 0;
+        }
+
+        if (checkoutHoursNotice) {
+            if (status.isOpen) {
+                checkoutHoursNotice.hidden = true;
+            } else {
+                checkoutHoursNotice.textContent = status.nextOpening
+                    ? t('hours.checkoutClosed', {
+                        day: this.openingHours.describeDay(status.nextOpening, now),
+                        time: this.openingHours.formatTime(status.nextOpening)
+                    })
+                    : t('hours.checkoutSuspended');
+                checkoutHoursNotice.hidden = false;
+            }
+        }
     }
+}
 
-    if (hint) {
-        optionsWrapper.insertBefore(controls, hint);
-    } else {
-        optionsWrapper.appendChild(controls);
+/* ========================================
+   8. FILTRES DU MENU
+   ======================================== */
+
+/**
+ * CLASSE MenuFilter
+ * Barre de filtres au-dessus du menu : recherche, catégories, régimes et allergènes.
+ * - recherche et catégorie : reprises dans l'URL (?q=...&categorie=...) pour partager la vue
+ * - régimes / allergènes : gardés dans le localStorage, ils servent aussi aux avertissements du panier ;
+ *   les articles incompatibles sont atténués (ou masqués), les options concernées signalées
+ * Seuls les articles et catégories sont masqués, jamais la section #menu :
+ * initScrollObserver continue de suivre les sections pour la navigation active.
+ */
+class MenuFilter {
+    /**
+     * @param {MenuCatalog} catalog - Catalogue (allergènes et régimes déclarés)
+     * @param {HTMLElement} container - Conteneur de la barre de filtres
+     * @param {HTMLElement} menuContainer - Conteneur des catégories du menu
+     */
+    constructor(catalog, container, menuContainer) {
+        this.catalog = catalog;
+        this.container = container;
+        this.menuContainer = menuContainer;
+        this.filters = this.loadFilters();
+        this.search = this.loadSearchFromUrl();
+        this.listeners = [];
+        this.init();
     }
 
-    optionGroups.forEach((group, index) => {
-        group.dataset.stepIndex = String(index);
-        group.classList.toggle('menu-option--active', index === 0);
-        group.setAttribute('aria-hidden', index === 0 ? 'false' : 'true');
-    });
+    /**
+     * Initialisation : rendu de la barre puis application des filtres enregistrés
+     */
+    init() {
+        if (!this.container) return;
+
+        this.render();
+        this.container.hidden = false;
+
+        this.container.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-filter-type]');
+            const categoryChip = e.target.closest('[data-filter-category]');
+            if (chip) {
+                this.toggle(chip.dataset.filterType, chip.dataset.filterId);
+            } else if (categoryChip) {
+                this.setCategory(categoryChip.dataset.filterCategory);
+            } else if (e.target.closest('[data-filter-reset]')) {
+                this.reset();
+            }
+        });
 
-    optionsWrapper.dataset.activeStep = '0';
-    setAddButtonDisabled(false);
+        this.container.addEventListener('change', (e) => {
+            if (e.target.matches('[data-filter-hide]')) {
+                this.filters.hideUnavailable = e.target.checked;
+                this.update();
+            }
+        });
 
-    const state = {
-        currentStep: 0,
-        totalSteps: optionGroups.length,
-        completed: false
-    };
+        const searchInput = this.container.querySelector('[data-filter-search]');
+        searchInput.addEventListener('input', () => this.setQuery(searchInput.value));
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && searchInput.value) {
+                searchInput.value = '';
+                this.setQuery('');
+            }
+        });
 
-    function clearStepError() {
-        optionsWrapper.classList.remove('menu-item-options--error');
-        if (!hint) {
-            return;
+        this.apply();
+    }
+
+    /**
+     * Générer les boutons de filtre depuis les dictionnaires du catalogue
+     */
+    render() {
+        const chips = (type, dictionary, getLabel) => Object.keys(dictionary)
+            .map(id => {
+                const isActive = this.filters[type].includes(id);
+                return `<button type="button" class="menu-filter-chip" data-filter-type="${type}" data-filter-id="${escapeHtml(id)}" aria-pressed="${isActive}">${escapeHtml(getLabel(id))}</button>`;
+            })
+            .join('');
+
+        const categoryChips = [{ id: '', title: t('filters.all') }, ...this.catalog.categories]
+            .filter(category => !category.id || this.catalog.getItemsByCategory(category.id).length)
+            .map(category => {
+                const isActive = this.search.category === category.id;
+                const title = category.id ? this.catalog.getCategoryTitle(category) : category.title;
+                return `<button type="button" class="menu-filter-chip menu-filter-chip--category" data-filter-category="${escapeHtml(category.id)}" aria-pressed="${isActive}">${escapeHtml(title)}</button>`;
+            })
+            .join('');
+
+        this.container.innerHTML = `
+            <div class="menu-filters-search">
+                <label for="menuSearch" class="menu-filters-label">${escapeHtml(t('filters.search'))}</label>
+                <input type="search" id="menuSearch" class="checkout-input menu-filters-input" data-filter-search
+                    value="${escapeHtml(this.search.query)}" placeholder="${escapeHtml(t('filters.search.placeholder'))}" autocomplete="off">
+            </div>
+            <div class="menu-filters-group" role="group" aria-label="${escapeHtml(t('filters.categories'))}">
+                ${categoryChips}
+            </div>
+            <div class="menu-filters-group" role="group" aria-label="${escapeHtml(t('filters.diets'))}">
+                <span class="menu-filters-label">${escapeHtml(t('filters.diets.label'))}</span>
+                ${chips('diets', this.catalog.diets, id => this.catalog.getDietLabel(id))}
+            </div>
+            <div class="menu-filters-group" role="group" aria-label="${escapeHtml(t('filters.allergens'))}">
+                <span class="menu-filters-label">${escapeHtml(t('filters.allergens.label'))}</span>
+                ${chips('allergens', this.catalog.allergens, id => this.catalog.getAllergenLabel(id))}
+            </div>
+            <div class="menu-filters-footer">
+                <label class="menu-filters-hide">
+                    <input type="checkbox" data-filter-hide ${this.filters.hideUnavailable ? 'checked' : ''}>
+                    ${escapeHtml(t('filters.hideUnavailable'))}
+                </label>
+                <button type="button" class="menu-filters-reset" data-filter-reset>${escapeHtml(t('filters.reset'))}</button>
+                <p class="menu-filters-status" role="status" aria-live="polite"></p>
+            </div>
+        `;
+    }
+
+    /**
+     * Activer/désactiver un filtre
+     * @param {string} type - 'diets' ou 'allergens'
+     * @param {string} id - Identifiant du régime ou de l'allergène
+     */
+    toggle(type, id) {
+        const selected = this.filters[type];
+        if (!selected) return;
+
+        this.filters[type] = selected.includes(id)
+            ? selected.filter(current => current !== id)
+            : [...selected, id];
+
+        const chip = this.container.querySelector(`[data-filter-type="${type}"][data-filter-id="${id}"]`);
+        if (chip) {
+            chip.setAttribute('aria-pressed', String(this.filters[type].includes(id)));
+        }
+        this.update();
+    }
+
+    /**
+     * Changer la recherche
+     * @param {string} query - Texte saisi
+     */
+    setQuery(query) {
+        this.search.query = String(query || '').slice(0, 60);
+        this.updateUrl();
+        this.apply();
+    }
+
+    /**
+     * Afficher une seule catégorie ('' pour toutes)
+     * @param {string} categoryId - Identifiant de la catégorie
+     */
+    setCategory(categoryId) {
+        this.search.category = this.catalog.categories.some(category => category.id === categoryId) ? categoryId : '';
+        this.container.querySelectorAll('[data-filter-category]').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(chip.dataset.filterCategory === this.search.category));
+        });
+        this.updateUrl();
+        this.apply();
+    }
+
+    /**
+     * Retirer tous les filtres (recherche et catégorie comprises)
+     */
+    reset() {
+        this.filters = { diets: [], allergens: [], hideUnavailable: this.filters.hideUnavailable };
+        this.container.querySelectorAll('[data-filter-type]').forEach(chip => chip.setAttribute('aria-pressed', 'false'));
+        this.container.querySelector('[data-filter-search]').value = '';
+        this.search.query = '';
+        this.setCategory('');
+        this.update();
+    }
+
+    /**
+     * Au moins un régime ou un allergène sélectionné ?
+     * @returns {boolean} true si un filtre est actif
+     */
+    hasActiveFilters() {
+        return this.filters.diets.length > 0 || this.filters.allergens.length > 0;
+    }
+
+    /**
+     * Être prévenu d'un changement de filtres (avertissements du panier)
+     * @param {Function} listener - Appelée après chaque changement
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Enregistrer, appliquer et prévenir les abonnés
+     */
+    update() {
+        this.saveFilters();
+        this.apply();
+        this.listeners.forEach(listener => listener(this.filters));
+    }
+
+    /**
+     * Atténuer ou masquer les articles du menu selon les filtres
+     */
+    apply() {
+        if (!this.menuContainer) return;
+
+        const isActive = this.hasActiveFilters();
+        const isSearching = Boolean(normalizeText(this.search.query) || this.search.category);
+        let visibleCount = 0;
+
+        this.menuContainer.querySelectorAll('.menu-item').forEach(menuItem => {
+            const product = this.catalog.getItem(menuItem.dataset.itemId);
+            const isAvailable = !isActive || this.catalog.isItemAvailable(product, this.filters);
+            const result = this.catalog.searchItem(product, this.search.query);
+            const inCategory = !this.search.category || product?.category === this.search.category;
+
+            menuItem.classList.toggle('menu-item--unavailable', !isAvailable);
+            menuItem.hidden = !result.matches || !inCategory || (!isAvailable && this.filters.hideUnavailable);
+            if (!menuItem.hidden) visibleCount += 1;
+
+            // "samourai" trouve le kebab : on montre quelle option correspond
+            let match = menuItem.querySelector('.menu-item-match');
+            if (result.options.length) {
+                if (!match) {
+                    match = document.createElement('p');
+                    match.className = 'menu-item-match';
+                    menuItem.querySelector('.item-header').after(match);
+                }
+                match.textContent = t('filters.match', { options: result.options.join(', ') });
+            } else if (match) {
+                match.remove();
+            }
+
+            // Options en conflit : signalées mais toujours sélectionnables
+            menuItem.querySelectorAll('.menu-option').forEach(option => {
+                const group = product?.optionGroups.find(candidate => candidate.key === option.dataset.optionKey);
+                option.querySelectorAll('.menu-option-button').forEach(button => {
+                    const entry = group?.values.find(candidate => candidate.value === button.dataset.value);
+                    const conflicts = isActive ? this.catalog.getConflicts(entry, this.filters, true) : [];
+                    button.classList.toggle('menu-option-button--conflict', conflicts.length > 0);
+                    if (conflicts.length) {
+                        button.dataset.conflict = conflicts.join(', ');
+                    } else {
+                        delete button.dataset.conflict;
+                    }
+                });
+            });
+        });
+
+        // Une catégorie entièrement masquée disparaît avec son titre
+        this.menuContainer.querySelectorAll('.menu-category').forEach(category => {
+            category.hidden = !category.querySelector('.menu-item:not([hidden])');
+        });
+
+        const status = this.container?.querySelector('.menu-filters-status');
+        if (status) {
+            if (!isActive && !isSearching) {
+                status.textContent = '';
+            } else if (!visibleCount) {
+                status.textContent = t('filters.status.none');
+            } else {
+                status.textContent = t('filters.status.count', { count: visibleCount });
+            }
+        }
+    }
+
+    /**
+     * Lire la recherche et la catégorie depuis l'URL (lien partagé)
+     * @returns {{query: string, category: string}} Recherche
+     */
+    loadSearchFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const category = params.get('categorie') || '';
+        return {
+            query: (params.get('q') || '').slice(0, 60),
+            category: this.catalog.categories.some(candidate => candidate.id === category) ? category : ''
+        };
+    }
+
+    /**
+     * Reporter la recherche et la catégorie dans l'URL, sans nouvelle entrée d'historique
+     * Un lien partagé avec une recherche ouvre directement le menu.
+     */
+    updateUrl() {
+        const url = new URL(window.location.href);
+        const query = this.search.query.trim();
+
+        if (query) {
+            url.searchParams.set('q', query);
+        } else {
+            url.searchParams.delete('q');
+        }
+        if (this.search.category) {
+            url.searchParams.set('categorie', this.search.category);
+        } else {
+            url.searchParams.delete('categorie');
+        }
+        if (query || this.search.category) {
+            url.hash = 'menu';
+        }
+
+        history.replaceState(history.state, '', url);
+    }
+
+    /**
+     * Avertissements d'une ligne du panier par rapport aux filtres actifs
+     * @param {Object} item - Ligne du panier
+     * @returns {string[]} Avertissements (vide si aucun filtre ou aucun conflit)
+     */
+    getLineWarnings(item) {
+        if (!this.hasActiveFilters()) {
+            return [];
+        }
+        return this.catalog.getLineConflicts(this.catalog.getItem(item.productId), item.options, this.filters);
+    }
+
+    /**
+     * Enregistrer les filtres dans le localStorage
+     */
+    saveFilters() {
+        try {
+            localStorage.setItem('kebab_menu_filters', JSON.stringify(this.filters));
+        } catch (error) {
+            console.warn('⚠️ Impossible de sauvegarder les filtres:', error);
+        }
+    }
+
+    /**
+     * Charger les filtres enregistrés (identifiants inconnus ignorés)
+     * @returns {{diets: string[], allergens: string[], hideUnavailable: boolean}} Filtres
+     */
+    loadFilters() {
+        const filters = { diets: [], allergens: [], hideUnavailable: false };
+
+        try {
+            const saved = JSON.parse(localStorage.getItem('kebab_menu_filters') || 'null');
+            if (saved && typeof saved === 'object') {
+                filters.diets = (Array.isArray(saved.diets) ? saved.diets : []).filter(id => this.catalog.diets[id]);
+                filters.allergens = (Array.isArray(saved.allergens) ? saved.allergens : []).filter(id => this.catalog.allergens[id]);
+                filters.hideUnavailable = saved.hideUnavailable === true;
+            }
+        } catch (error) {
+            console.warn('⚠️ Impossible de charger les filtres:', error);
+        }
+
+        return filters;
+    }
+}
+
+/* ========================================
+   9. FAVORIS ET COMMANDES PRÉCÉDENTES
+   ======================================== */
+
+/**
+ * Stockage des favoris et de l'historique
+ * - version : version du format enregistré ; une migration par version précédente
+ * - maxOrders : nombre de commandes proposées dans "Commander à nouveau"
+ */
+const ORDER_HISTORY_CONFIG = {
+    storageKey: 'kebab_order_history',
+    version: 1,
+    maxOrders: 5,
+    maxFavorites: 20
+};
+
+/**
+ * Migrations du format enregistré : la fonction d'indice N passe de la version N à N + 1
+ * Version 0 : liste brute de commandes, sans favoris
+ */
+const ORDER_HISTORY_MIGRATIONS = {
+    0: data => ({
+        version: 1,
+        favorites: [],
+        orders: Array.isArray(data) ? data : []
+    })
+};
+
+/**
+ * CLASSE OrderHistory
+ * Favoris (article avec ses options exactes) et dernières commandes passées,
+ * gardés dans le localStorage. Aucun prix n'est conservé : ils sont recalculés à la recommande.
+ */
+class OrderHistory {
+    constructor() {
+        const data = this.load();
+        this.favorites = data.favorites;
+        this.orders = data.orders;
+    }
+
+    /**
+     * Réduire une ligne à ce qu'il faut pour la recommander
+     * @param {Object} line - Ligne du panier ou d'une commande
+     * @returns {Object} Ligne enregistrable
+     */
+    toStoredLine(line) {
+        const stored = {
+            productId: line.productId,
+            name: line.name,
+            quantity: line.quantity || 1,
+            options: (line.options || []).map(option => ({
+                key: option.key,
+                label: option.label,
+                value: option.value,
+                values: option.values || [option.value]
+            }))
+        };
+        if (line.note) {
+            stored.note = line.note;
+        }
+        return stored;
+    }
+
+    /**
+     * Une ligne du panier est-elle en favori ?
+     * @param {string} itemId - ID de la ligne (article + options + note)
+     * @returns {boolean} true si favori
+     */
+    isFavorite(itemId) {
+        return this.favorites.some(favorite => favorite.id === itemId);
+    }
+
+    /**
+     * Ajouter ou retirer une ligne des favoris
+     * @param {Object} item - Ligne du panier
+     * @returns {boolean} true si la ligne est maintenant en favori
+     */
+    toggleFavorite(item) {
+        if (this.isFavorite(item.id)) {
+            this.removeFavorite(item.id);
+            return false;
+        }
+
+        this.favorites = [
+            { id: item.id, ...this.toStoredLine({ ...item, quantity: 1 }), savedAt: new Date().toISOString() },
+            ...this.favorites
+        ].slice(0, ORDER_HISTORY_CONFIG.maxFavorites);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Retirer un favori
+     * @param {string} favoriteId - ID du favori
+     */
+    removeFavorite(favoriteId) {
+        this.favorites = this.favorites.filter(favorite => favorite.id !== favoriteId);
+        this.save();
+    }
+
+    /**
+     * Retenir une commande acceptée par le serveur
+     * @param {Object} order - Commande enregistrée
+     */
+    recordOrder(order) {
+        if (!order || !Array.isArray(order.items) || !order.items.length) return;
+
+        const entry = {
+            id: order.id,
+            number: order.number || null,
+            createdAt: order.receivedAt || order.createdAt || new Date().toISOString(),
+            lines: order.items.map(line => this.toStoredLine(line))
+        };
+
+        this.orders = [entry, ...this.orders.filter(saved => saved.id !== entry.id)]
+            .slice(0, ORDER_HISTORY_CONFIG.maxOrders);
+        this.save();
+    }
+
+    /**
+     * Enregistrer favoris et historique
+     */
+    save() {
+        try {
+            localStorage.setItem(ORDER_HISTORY_CONFIG.storageKey, JSON.stringify({
+                version: ORDER_HISTORY_CONFIG.version,
+                favorites: this.favorites,
+                orders: this.orders
+            }));
+        } catch (error) {
+            console.warn('⚠️ Impossible de sauvegarder l\'historique:', error);
+        }
+    }
+
+    /**
+     * Charger favoris et historique en appliquant les migrations nécessaires
+     * Un format plus récent que ce script (autre onglet mis à jour) est ignoré sans être écrasé.
+     * @returns {{favorites: Object[], orders: Object[]}} Données
+     */
+    load() {
+        const empty = { favorites: [], orders: [] };
+
+        try {
+            let data = JSON.parse(localStorage.getItem(ORDER_HISTORY_CONFIG.storageKey) || 'null');
+            if (data === null) {
+                return empty;
+            }
+
+            let version = Array.isArray(data) ? 0 : Number(data.version) || 0;
+            if (version > ORDER_HISTORY_CONFIG.version) {
+                console.warn('⚠️ Historique enregistré par une version plus récente du site, ignoré.');
+                return empty;
+            }
+            while (version < ORDER_HISTORY_CONFIG.version) {
+                data = ORDER_HISTORY_MIGRATIONS[version](data);
+                version = data.version;
+            }
+
+            const isLine = line => line && typeof line.productId === 'string' && Array.isArray(line.options);
+            return {
+                favorites: (Array.isArray(data.favorites) ? data.favorites : []).filter(isLine),
+                orders: (Array.isArray(data.orders) ? data.orders : [])
+                    .filter(order => order && Array.isArray(order.lines))
+                    .map(order => ({ ...order, lines: order.lines.filter(isLine) }))
+            };
+        } catch (error) {
+            console.warn('⚠️ Impossible de charger l\'historique:', error);
+            return empty;
+        }
+    }
+}
+
+/* ========================================
+   10. PROFIL CLIENT (SE SOUVENIR DE MOI)
+   ======================================== */
+
+/**
+ * Stockage du profil client
+ * - maxAddresses : adresses gardées (les plus récemment utilisées d'abord)
+ * - labelMaxLength : longueur du nom d'une adresse ("Maison", "Campus - bâtiment Géopolis")
+ */
+const CUSTOMER_PROFILE_CONFIG = {
+    storageKey: 'kebab_customer_profile',
+    version: 1,
+    maxAddresses: 5,
+    labelMaxLength: 30,
+    addressMaxLength: 100
+};
+
+/**
+ * Migrations du format enregistré : la fonction d'indice N passe de la version N à N + 1
+ * (aucune pour l'instant, la version 1 est la première)
+ */
+const CUSTOMER_PROFILE_MIGRATIONS = {};
+
+/**
+ * CLASSE CustomerProfile
+ * Coordonnées du client, retenues sur cet appareil uniquement s'il l'a demandé.
+ * Tout ce qui est relu est revalidé avec CHECKOUT_PATTERNS : une donnée invalide n'est jamais pré-remplie.
+ */
+class CustomerProfile {
+    constructor() {
+        this.data = this.load();
+    }
+
+    /**
+     * Garder d'un profil enregistré ce qui passe la validation du checkout
+     * @param {Object} data - Profil lu dans le localStorage
+     * @returns {Object} Profil nettoyé ({lastName, firstName, phone, paymentMethod, addresses})
+     */
+    sanitize(data) {
+        const text = value => (typeof value === 'string' ? value.trim() : '');
+        const checked = (value, pattern) => (pattern.test(text(value)) ? text(value) : '');
+
+        const addresses = (Array.isArray(data.addresses) ? data.addresses : [])
+            .filter(entry => entry && typeof entry.id === 'string')
+            .map(entry => ({
+                id: entry.id,
+                label: sanitizeNote(entry.label, CUSTOMER_PROFILE_CONFIG.labelMaxLength) || t('profile.address'),
+                address: sanitizeNote(entry.address, CUSTOMER_PROFILE_CONFIG.addressMaxLength),
+                postcode: checked(entry.postcode, CHECKOUT_PATTERNS.postcode),
+                city: checked(entry.city, CHECKOUT_PATTERNS.name),
+                lastUsedAt: text(entry.lastUsedAt)
+            }))
+            .filter(entry => entry.address && entry.postcode && entry.city)
+            .slice(0, CUSTOMER_PROFILE_CONFIG.maxAddresses);
+
+        return {
+            lastName: checked(data.lastName, CHECKOUT_PATTERNS.name),
+            firstName: checked(data.firstName, CHECKOUT_PATTERNS.name),
+            phone: checked(data.phone, CHECKOUT_PATTERNS.phone),
+            paymentMethod: PAYMENT_LABELS[data.paymentMethod] ? data.paymentMethod : '',
+            addresses
+        };
+    }
+
+    /**
+     * Trouver une adresse enregistrée
+     * @param {string} addressId - ID de l'adresse
+     * @returns {Object|null} Adresse
+     */
+    findAddress(addressId) {
+        if (!this.data || !addressId) return null;
+        return this.data.addresses.find(entry => entry.id === addressId) || null;
+    }
+
+    /**
+     * Adresse proposée par défaut : la plus récemment utilisée qui est encore livrée
+     * @returns {Object|null} Adresse
+     */
+    getDefaultAddress() {
+        if (!this.data) return null;
+        return this.data.addresses.find(entry => isDeliveryLocality(entry.postcode, entry.city)) || null;
+    }
+
+    /**
+     * Retenir les coordonnées d'une commande
+     * Une adresse déjà connue (même rue, NPA et localité) est mise à jour plutôt que dupliquée.
+     * @param {Object} customer - Coordonnées de la commande
+     * @param {string} label - Nom donné à l'adresse ("Maison", "Campus")
+     */
+    remember(customer, label = '') {
+        const previous = this.data || { addresses: [] };
+        const now = new Date().toISOString();
+        let addresses = previous.addresses;
+
+        if (customer.fulfillmentMode === 'delivery' && customer.address) {
+            const key = entry => `${normalizeText(entry.address)}|${entry.postcode}|${normalizeText(entry.city)}`;
+            const existing = addresses.find(entry => key(entry) === key(customer));
+            const addressLabel = sanitizeNote(label, CUSTOMER_PROFILE_CONFIG.labelMaxLength)
+                || (existing ? existing.label : t('profile.address.numbered', { number: addresses.length + 1 }));
+            const entry = {
+                id: existing ? existing.id : `adresse-${Date.now().toString(36)}`,
+                label: addressLabel,
+                address: customer.address,
+                postcode: customer.postcode,
+                city: customer.city,
+                lastUsedAt: now
+            };
+            addresses = [entry, ...addresses.filter(saved => saved.id !== entry.id)];
+        }
+
+        this.data = this.sanitize({
+            lastName: customer.lastName,
+            firstName: customer.firstName,
+            phone: formatSwissPhone(customer.phone),
+            paymentMethod: customer.paymentMethod,
+            addresses
+        });
+        this.save();
+    }
+
+    /**
+     * Effacer le profil de cet appareil
+     */
+    forget() {
+        this.data = null;
+        try {
+            localStorage.removeItem(CUSTOMER_PROFILE_CONFIG.storageKey);
+        } catch (error) {
+            console.warn('⚠️ Impossible d\'effacer le profil:', error);
         }
-        const defaultHint = hint.dataset.defaultHint || hint.textContent;
-        hint.textContent = defaultHint;
-        hint.classList.remove('menu-item-options-hint--error');
     }
 
-    function showStepError(message) {
-        if (!hint) {
-            return;
+    /**
+     * Enregistrer le profil
+     */
+    save() {
+        try {
+            localStorage.setItem(CUSTOMER_PROFILE_CONFIG.storageKey, JSON.stringify({
+                version: CUSTOMER_PROFILE_CONFIG.version,
+                ...this.data
+            }));
+        } catch (error) {
+            console.warn('⚠️ Impossible de sauvegarder le profil:', error);
         }
-        hint.textContent = message;
-        hint.classList.add('menu-item-options-hint--error');
     }
 
-    function setStep(step) {
-        state.currentStep = step;
-        optionsWrapper.dataset.activeStep = String(step);
-        optionGroups.forEach((group, index) => {
-            const isActive = index === step;
-            group.classList.toggle('menu-option--active', isActive);
-            group.setAttribute('aria-hidden', isActive ? 'false' : 'true');
-        });
-        prevBtn.disabled = step === 0;
-        if (!state.completed) {
-            nextBtn.textContent = step === state.totalSteps - 1 ? 'Valider' : 'Suivant';
+    /**
+     * Charger le profil en appliquant les migrations nécessaires
+     * Un format plus récent que ce script est ignoré sans être écrasé.
+     * @returns {Object|null} Profil validé (null si aucun)
+     */
+    load() {
+        try {
+            let data = JSON.parse(localStorage.getItem(CUSTOMER_PROFILE_CONFIG.storageKey) || 'null');
+            if (!data || typeof data !== 'object') {
+                return null;
+            }
+
+            let version = Number(data.version) || 0;
+            if (version > CUSTOMER_PROFILE_CONFIG.version) {
+                console.warn('⚠️ Profil enregistré par une version plus récente du site, ignoré.');
+                return null;
+            }
+            while (version < CUSTOMER_PROFILE_CONFIG.version) {
+                const migrate = CUSTOMER_PROFILE_MIGRATIONS[version];
+                if (!migrate) {
+                    return null;
+                }
+                data = migrate(data);
+                version = data.version;
+            }
+
+            return this.sanitize(data);
+        } catch (error) {
+            console.warn('⚠️ Impossible de charger le profil:', error);
+            return null;
         }
-        clearStepError();
     }
+}
 
-    function validateStep(stepIndex) {
-        const group = optionGroups[stepIndex];
-        if (!group) {
-            return true;
-        }
+/* ========================================
+   11. FENÊTRE DE COMMANDE
+   ======================================== */
 
-        const selectionType = group.dataset.selectionType || 'single';
-        const required = group.dataset.required !== 'false';
-        const buttons = Array.from(group.querySelectorAll('.menu-option-button'));
-        const selectedButtons = buttons.filter(btn => btn.classList.contains('menu-option-button--selected'));
-        const max = parseInt(group.dataset.max, 10);
-        const maxSelections = Number.isFinite(max) && max > 0
-            ? max
-            : (selectionType === 'multiple' ? buttons.length : 1);
+// Éléments qui peuvent recevoir le focus dans la fenêtre (piège à focus)
+const DIALOG_FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
 
-        if (selectedButtons.length > maxSelections) {
-            group.classList.add('menu-option--error');
-            const limitMessage = group.dataset.limitMessage || `Vous pouvez sélectionner jusqu'à ${maxSelections} options.`;
-            showStepError(limitMessage);
-            optionsWrapper.classList.add('menu-item-options--error');
-            return false;
-        }
+/**
+ * CLASSE CheckoutDialog
+ * Fenêtre modale du checkout, à la place de alert/confirm :
+ * focus gardé dans la fenêtre, Échap pour annuler, focus rendu à l'élément d'origine à la fermeture.
+ */
+class CheckoutDialog {
+    /**
+     * @param {HTMLElement} root - Conteneur de la fenêtre (#checkoutDialog)
+     */
+    constructor(root) {
+        this.root = root;
+        this.panel = root?.querySelector('[role="dialog"]') || null;
+        this.title = document.getElementById('checkoutDialogTitle');
+        this.body = document.getElementById('checkoutDialogBody');
+        this.actionsContainer = document.getElementById('checkoutDialogActions');
+        this.actions = [];
+        this.returnFocus = null;
+        this.isBusy = false;
+        this.init();
+    }
 
-        if (required && selectedButtons.length === 0) {
-            group.classList.add('menu-option--error');
-            const message = group.dataset.errorMessage || hint?.dataset.errorHint || 'Merci de compléter cette étape.';
-            showStepError(message);
-            optionsWrapper.classList.add('menu-item-options--error');
-            const firstButton = buttons[0];
-            if (firstButton) {
-                firstButton.focus();
+    /**
+     * Liaison des événements (boutons générés, clavier, focus)
+     */
+    init() {
+        if (!this.root || !this.panel) return;
+
+        this.root.addEventListener('click', (e) => {
+            const actionButton = e.target.closest('[data-dialog-action]');
+            const focusButton = e.target.closest('[data-dialog-focus]');
+
+            if (actionButton) {
+                this.runAction(Number(actionButton.dataset.dialogAction));
+            } else if (focusButton) {
+                // Lien vers un champ de la page : on ferme et on y place le focus
+                this.close({ focus: document.getElementById(focusButton.dataset.dialogFocus) });
+            } else if (e.target.closest('[data-dialog-close]')) {
+                this.close();
             }
-            return false;
-        }
+        });
 
-        group.classList.remove('menu-option--error');
-        clearStepError();
-        return true;
+        this.root.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Le focus ne doit pas s'échapper vers la page tant que la fenêtre est ouverte
+        document.addEventListener('focusin', (e) => {
+            if (this.isOpen() && !this.panel.contains(e.target)) {
+                this.panel.focus();
+            }
+        });
     }
 
-    function focusStep(step = state.currentStep) {
-        const group = optionGroups[step];
-        if (!group) {
-            return;
-        }
-        const firstInteractive = group.querySelector('.menu-option-button, select, input');
-        if (firstInteractive && typeof firstInteractive.focus === 'function') {
-            firstInteractive.focus();
-        }
+    /**
+     * La fenêtre est-elle ouverte ?
+     * @returns {boolean} true si affichée
+     */
+    isOpen() {
+        return Boolean(this.root && !this.root.hidden);
     }
 
-    function complete() {
-        if (!validateStep(state.currentStep)) {
-            return false;
-        }
+    /**
+     * Ouvrir la fenêtre (ou remplacer son contenu si elle est déjà ouverte)
+     * @param {Object} content - Contenu (voir render)
+     * @param {HTMLElement} returnFocus - Élément qui reprend le focus à la fermeture
+     */
+    open(content, returnFocus = document.activeElement) {
+        if (!this.root) return;
 
-        state.completed = true;
-        optionsWrapper.dataset.stepComplete = 'true';
-        menuItem.classList.add('menu-item--ready');
-        nextBtn.textContent = 'Étape validée';
-        nextBtn.disabled = true;
-        nextBtn.classList.add('menu-options-next--completed');
-        clearStepError();
-        setAddButtonDisabled(false);
-        focusAddButton();
-        if (hint) {
-            const completeHint = hint.dataset.completeHint || hint.dataset.defaultHint || hint.textContent;
-            hint.textContent = completeHint;
+        if (!this.isOpen()) {
+            this.returnFocus = returnFocus;
+            this.root.hidden = false;
+            document.body.classList.add('dialog-open');
         }
-        return true;
+        this.render(content);
     }
 
-    function advance() {
-        if (!validateStep(state.currentStep)) {
-            return false;
-        }
+    /**
+     * Afficher un contenu
+     * Sans action, seule la croix (ou Échap) ferme la fenêtre ; une action sans onClick la ferme.
+     * @param {Object} content - { title, html, tone: 'info'|'error'|'success', actions: [{label, variant, autofocus, onClick}] }
+     */
+    render({ title, html = '', tone = 'info', actions = [] }) {
+        if (!this.root) return;
+
+        this.actions = actions;
+        this.root.classList.toggle('checkout-dialog--error', tone === 'error');
+        this.root.classList.toggle('checkout-dialog--success', tone === 'success');
+        this.title.textContent = title;
+        this.body.innerHTML = html;
+        this.actionsContainer.innerHTML = actions.map((action, index) => {
+            const variant = action.variant === 'secondary' ? 'btn-secondary' : 'btn-primary';
+            return `<button type="button" class="btn ${variant}" data-dialog-action="${index}">${escapeHtml(action.label)}</button>`;
+        }).join('');
+
+        // Focus sur l'action proposée, sinon sur la fenêtre (lue avec son titre)
+        const autofocusIndex = actions.findIndex(action => action.autofocus);
+        const target = autofocusIndex >= 0
+            ? this.actionsContainer.querySelector(`[data-dialog-action="${autofocusIndex}"]`)
+            : this.panel;
+        target.focus();
+    }
 
-        if (state.currentStep === state.totalSteps - 1) {
-            return complete();
+    /**
+     * Exécuter une action de la fenêtre
+     * @param {number} index - Index de l'action
+     */
+    runAction(index) {
+        const action = this.actions[index];
+        if (!action || this.isBusy) return;
+
+        if (action.onClick) {
+            action.onClick();
+        } else {
+            this.close();
         }
+    }
 
-        const nextStepIndex = state.currentStep + 1;
-        state.completed = false;
-        optionsWrapper.dataset.stepComplete = 'false';
-        menuItem.classList.remove('menu-item--ready');
-        nextBtn.disabled = false;
-        nextBtn.classList.remove('menu-options-next--completed');
-        setStep(nextStepIndex);
-        requestAnimationFrame(() => focusStep(nextStepIndex));
-        return true;
+    /**
+     * Bloquer la fenêtre pendant un envoi (ni fermeture ni action)
+     * @param {boolean} isBusy - true pendant l'envoi
+     */
+    setBusy(isBusy) {
+        this.isBusy = isBusy;
+        if (!this.panel) return;
+
+        this.panel.setAttribute('aria-busy', String(isBusy));
+        this.root.querySelectorAll('[data-dialog-close], [data-dialog-action]').forEach(button => {
+            if (button.tagName === 'BUTTON') {
+                button.disabled = isBusy;
+            }
+        });
     }
 
-    prevBtn.addEventListener('click', () => {
-        if (state.currentStep === 0) {
+    /**
+     * Fermer la fenêtre et rendre le focus
+     * @param {Object} options - { focus: élément qui reçoit le focus (par défaut celui d'origine) }
+     */
+    close({ focus = this.returnFocus } = {}) {
+        if (!this.isOpen() || this.isBusy) return;
+
+        this.root.hidden = true;
+        this.actions = [];
+        this.body.innerHTML = '';
+        this.actionsContainer.innerHTML = '';
+        document.body.classList.remove('dialog-open');
+        this.returnFocus = null;
+
+        if (focus && typeof focus.focus === 'function') {
+            focus.focus();
+        }
+    }
+
+    /**
+     * Clavier : Échap annule, Tab reste dans la fenêtre
+     * @param {KeyboardEvent} e - Événement clavier
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
             return;
         }
-        state.completed = false;
-        optionsWrapper.dataset.stepComplete = 'false';
-        menuItem.classList.remove('menu-item--ready');
-        nextBtn.disabled = false;
-        nextBtn.classList.remove('menu-options-next--completed');
-        setStep(state.currentStep - 1);
-        requestAnimationFrame(() => focusStep());
-    });
 
-    nextBtn.addEventListener('click', () => {
-        if (state.completed) {
+        if (e.key !== 'Tab') return;
+
+        const focusable = [...this.panel.querySelectorAll(DIALOG_FOCUSABLE_SELECTOR)];
+        if (!focusable.length) {
+            e.preventDefault();
+            this.panel.focus();
             return;
         }
-        if (state.currentStep === state.totalSteps - 1) {
-            complete();
-        } else {
-            advance();
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+
+        if (e.shiftKey && (active === first || active === this.panel)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
         }
-    });
+    }
+}
 
-    // Initial UI state
-    prevBtn.disabled = true;
+/* ========================================
+   12. CHOIX DE LA LANGUE
+   ======================================== */
 
-    return {
-        start() {
-            state.currentStep = 0;
-            state.completed = false;
-            optionsWrapper.dataset.stepComplete = 'false';
-            menuItem.classList.add('menu-item--configuring');
-            optionsWrapper.classList.add('menu-item-options--visible');
-            optionsWrapper.setAttribute('aria-hidden', 'false');
-            nextBtn.disabled = false;
-            nextBtn.classList.remove('menu-options-next--completed');
-            prevBtn.disabled = true;
-            setStep(0);
-            clearStepError();
-            setAddButtonDisabled(true);
-            requestAnimationFrame(() => focusStep(0));
-        },
-        open() {
-            optionsWrapper.classList.add('menu-item-options--visible');
-            optionsWrapper.setAttribute('aria-hidden', 'false');
-            menuItem.classList.add('menu-item--configuring');
-            if (!state.completed) {
-                setAddButtonDisabled(true);
-            }
-        },
-        reset() {
-            state.currentStep = 0;
-            state.completed = false;
-            optionsWrapper.dataset.stepComplete = 'false';
-            menuItem.classList.remove('menu-item--configuring', 'menu-item--ready');
-            optionsWrapper.classList.remove('menu-item-options--visible');
-            optionsWrapper.setAttribute('aria-hidden', 'true');
-            nextBtn.disabled = false;
-            nextBtn.classList.remove('menu-options-next--completed');
-            prevBtn.disabled = true;
-            setStep(0);
-            clearStepError();
-            setAddButtonDisabled(false);
-        },
-        markDirty() {
-            setAddButtonDisabled(true);
-            if (state.completed) {
-                state.completed = false;
-                optionsWrapper.dataset.stepComplete = 'false';
-                nextBtn.disabled = false;
-                nextBtn.classList.remove('menu-options-next--completed');
-                nextBtn.textContent = state.currentStep === state.totalSteps - 1 ? 'Valider' : 'Suivant';
-                menuItem.classList.remove('menu-item--ready');
-                clearStepError();
-            }
-        },
-        handleSelectionChange(group) {
-            this.markDirty();
-            if (!group) {
-                return;
-            }
+/**
+ * CLASSE LanguageSwitcher
+ * Boutons FR / EN / DE de l'en-tête : le choix est enregistré puis la page
+ * est rechargée, tous les textes étant générés une fois dans la langue du chargement
+ */
+class LanguageSwitcher {
+    /**
+     * @param {Translator} translator - Traducteur de la page
+     * @param {HTMLElement} container - Groupe des boutons de langue
+     */
+    constructor(translator, container) {
+        this.translator = translator;
+        this.container = container;
+        this.init();
+    }
 
-            const stepIndex = Number(group.dataset.stepIndex);
-            if (!Number.isFinite(stepIndex) || stepIndex !== state.currentStep) {
-                return;
-            }
+    /**
+     * Initialisation : bouton de la langue courante marqué, écoute des clics
+     */
+    init() {
+        if (!this.container) return;
 
-            if (state.completed) {
-                return;
-            }
+        this.container.querySelectorAll('[data-language]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.language === this.translator.language));
+        });
 
-            group.classList.remove('menu-option--error');
-            clearStepError();
-        },
-        focusStep,
-        advance,
-        complete
-    };
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-language]');
+            if (button && this.translator.setLanguage(button.dataset.language)) {
+                window.location.reload();
+            }
+        });
+    }
 }
 
 /* ========================================
-   6. INITIALISATION
+   13. INITIALISATION
    ======================================== */
 
 /**
@@ -1630,21 +5259,62 @@ function createMenuOptionStepper(menuItem, optionsWrapper, optionGroups, hint) {
  */
 function init() {
     console.log('🥙 Site du Kebab du Campus initialisé avec succès!');
+
+    // Textes de la page dans la langue du visiteur, avant tout rendu
+    i18n.translatePage();
+    new LanguageSwitcher(i18n, document.querySelector('.language-switcher'));
     
     // Initialiser l'observer pour la navigation active
     initScrollObserver();
     updateHeaderHeight();
     initHeaderContrastObserver();
     
-    // Initialiser la validation du formulaire
+    // Générer le menu depuis le catalogue (source unique des prix)
+    const menuCatalog = new MenuCatalog(MENU_CATALOG, { translate: t, locale: i18n.getLocale() });
+    menuCatalog.render(menuCatalogContainer);
+
+    initializeMenuItemOptions();
+    const menuFilter = new MenuFilter(menuCatalog, menuFiltersContainer, menuCatalogContainer);
+    const orderHistory = new OrderHistory();
+    const customerProfile = new CustomerProfile();
+
+    // Horaires d'ouverture (fuseau de Lausanne, quel que soit celui du navigateur)
+    const openingHours = new OpeningHours(OPENING_HOURS, {
+        locale: i18n.getLocale(),
+        timeSeparator: t('hours.timeSeparator'),
+        today: t('hours.today'),
+        tomorrow: t('hours.tomorrow'),
+        closed: t('hours.closed'),
+        openUntil: time => t('hours.openUntil', { time }),
+        opensAt: (day, time) => t('hours.opensAt', { day, time }),
+        closedOn: day => t('hours.closedOn', { day }),
+        openOn: (day, hours) => t('hours.openOn', { day, hours })
+    });
+    new OpeningHoursDisplay(openingHours);
+
+    // Formulaire de contact et réservation de table
     if (contactForm) {
-        new FormValidator(contactForm);
+        new ContactForm(contactForm, new ContactClient(), new ReservationPlanner(openingHours));
     }
-    
-    initializeMenuItemOptions();
 
     // Initialiser le système de panier
-    window.shoppingCart = new ShoppingCart();
+    const orderClient = new OrderClient();
+    const orderTracker = new OrderTracker(orderClient, menuCatalog);
+    const promotionEngine = new PromotionEngine(PROMO_CODES);
+    const bundleEngine = new BundleEngine(BUNDLES);
+    const checkoutDialog = new CheckoutDialog(checkoutDialogElement);
+    window.shoppingCart = new ShoppingCart({
+        catalog: menuCatalog,
+        orderClient,
+        orderTracker,
+        openingHours,
+        promotionEngine,
+        bundleEngine,
+        menuFilter,
+        orderHistory,
+        customerProfile,
+        checkoutDialog
+    });
     
     // Ajouter une animation au chargement de la page
     document.body.style.opacity = '0';
@@ -1690,7 +5360,7 @@ function addScrollToTopButton() {
     const button = document.createElement('button');
     button.innerHTML = '↑';
     button.className = 'scroll-to-top';
-    button.setAttribute('aria-label', 'Retour en haut');
+    button.setAttribute('aria-label', t('scrollToTop'));
     
     // Styles inline (ou ajouter au CSS)
     Object.assign(button.style, {
@@ -0,0 +1,125 @@
+/**
+ * ========================================
+ * STOCKAGE LOCAL EN FICHIER JSON (DÉVELOPPEMENT)
+ * ========================================
+ *
+ * Conserve les enregistrements reçus par le serveur de développement
+ * (commandes, messages de contact) dans un fichier JSON, pour pouvoir
+ * travailler sans service externe.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * CLASSE JsonFileStore
+ * Petite base en mémoire, sauvegardée sur disque à chaque écriture
+ */
+class JsonFileStore {
+    /**
+     * @param {string|null} filePath - Fichier JSON de sauvegarde (null = mémoire uniquement)
+     * @param {Object} options - Forme des enregistrements
+     * @param {string} options.label - Nom des enregistrements dans les avertissements ("commandes")
+     * @param {string} options.keyField - Champ portant la clé d'idempotence envoyée par le client
+     * @param {Function} options.createRecord - (données validées, enregistrements existants) => enregistrement
+     *                                          complet (id, dates…)
+     */
+    constructor(filePath = null, { label, keyField, createRecord }) {
+        this.filePath = filePath;
+        this.label = label;
+        this.keyField = keyField;
+        this.createRecord = createRecord;
+        this.records = [];
+        this.load();
+    }
+
+    /**
+     * Charger les enregistrements depuis le disque
+     */
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) {
+            return;
+        }
+        try {
+            const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.records = Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn(`⚠️ Fichier de ${this.label} illisible, démarrage à vide:`, error.message);
+            this.records = [];
+        }
+    }
+
+    /**
+     * Sauvegarder les enregistrements sur le disque
+     * Écriture dans un fichier temporaire puis renommage : un arrêt en cours d'écriture
+     * ne laisse jamais un fichier à moitié écrit.
+     */
+    save() {
+        if (!this.filePath) {
+            return;
+        }
+        const tempPath = `${this.filePath}.tmp`;
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(tempPath, JSON.stringify(this.records, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Retrouver un enregistrement par sa clé d'idempotence
+     * (une requête renvoyée plusieurs fois n'est enregistrée qu'une fois)
+     * @param {string} key - Clé envoyée par le client
+     * @returns {Object|null} Enregistrement existant
+     */
+    findByKey(key) {
+        return this.records.find(record => record[this.keyField] === key) || null;
+    }
+
+    /**
+     * Retrouver un enregistrement par son identifiant
+     * @param {string} id - Identifiant
+     * @returns {Object|null} Enregistrement
+     */
+    findById(id) {
+        return this.records.find(record => record.id === id) || null;
+    }
+
+    /**
+     * Lister les enregistrements dans l'ordre d'arrivée
+     * @returns {Object[]} Enregistrements
+     */
+    list() {
+        return [...this.records];
+    }
+
+    /**
+     * Enregistrer de nouvelles données
+     * @param {Object} data - Données validées
+     * @returns {Object} Enregistrement créé par createRecord
+     */
+    create(data) {
+        const saved = this.createRecord(data, this.records);
+        this.records.push(saved);
+        this.save();
+        return saved;
+    }
+
+    /**
+     * Modifier un enregistrement
+     * @param {string} id - Identifiant
+     * @param {Function} getChanges - (enregistrement) => champs à remplacer
+     * @returns {Object|null} Enregistrement mis à jour (null si introuvable)
+     */
+    update(id, getChanges) {
+        const record = this.findById(id);
+        if (!record) {
+            return null;
+        }
+        Object.assign(record, getChanges(record));
+        this.save();
+        return record;
+    }
+}
+
+module.exports = { JsonFileStore };
@@ -0,0 +1,864 @@
+/**
+ * ========================================
+ * SERVEUR DE DÉVELOPPEMENT - LE KEBAB DU COIN
+ * ========================================
+ *
+ * Remplaçant local du vrai serveur de commandes, sans aucune dépendance.
+ * Il sert aussi les fichiers du site pour éviter les problèmes de CORS.
+ *
+ * UTILISATION :
+ *   node server/mock-server.js
+ *   puis ouvrir http://localhost:3000
+ *
+ * VARIABLES D'ENVIRONNEMENT (optionnelles) :
+ *   PORT               Port d'écoute (défaut : 3000)
+ *   ORDERS_FILE        Fichier de sauvegarde des commandes (défaut : server/data/orders.json)
+ *   MESSAGES_FILE      Fichier de sauvegarde des messages de contact (défaut : server/data/messages.json)
+ *   MOCK_FAILURE_RATE  Proportion de requêtes API en erreur 503, entre 0 et 1 (tests des nouvelles tentatives)
+ *   MOCK_DELAY_MS      Latence artificielle ajoutée aux réponses API
+ *
+ * API :
+ *   POST /api/orders       Créer une commande (en-tête Idempotency-Key recommandé)
+ *   GET  /api/orders       Lister les commandes
+ *   GET  /api/orders/slots Créneaux à venir et places restantes
+ *   GET  /api/orders/:id   Détail d'une commande
+ *   PATCH /api/orders/:id  Changer le statut ({ "status": "preparing" }), une étape à la fois
+ *   GET  /api/messages/token  Jeton à demander à l'affichage du formulaire de contact
+ *   POST /api/messages     Envoyer un message ou une réservation (kind: "reservation") du formulaire de contact
+ *                          avec son jeton formToken (en-tête Idempotency-Key recommandé)
+ *   GET  /api/messages/reservations/:date  Tables occupées ce jour-là (AAAA-MM-JJ), sans coordonnées
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { MenuCatalog, MENU_CATALOG } = require('../catalog.js');
+const { JsonFileStore } = require('./json-file-store.js');
+const { OpeningHours, OPENING_HOURS, TIME_SLOT_CONFIG } = require('../opening-hours.js');
+const { findDeliveryZone, isDeliveryLocality } = require('../delivery-zones.js');
+const { PromotionEngine, PROMO_CODES } = require('../promotions.js');
+const { BundleEngine, BUNDLES } = require('../bundles.js');
+const { normalizeSwissPhone, isValidSwissPhone } = require('../phone.js');
+const { MONEY_CONFIG, toCents, fromCents, getPayableCents, formatMoney } = require('../money.js');
+const { ReservationPlanner, SEATING_LABELS } = require('../reservations.js');
+const {
+    ORDER_STATUSES,
+    PAYMENT_LABELS,
+    FULFILLMENT_LABELS,
+    NOTE_MAX_LENGTH,
+    sanitizeNote,
+    getNextOrderStatus,
+    getPreviousOrderStatus
+} = require('../order-model.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 3000;
+const ORDERS_FILE = process.env.ORDERS_FILE || path.join(__dirname, 'data', 'orders.json');
+const MESSAGES_FILE = process.env.MESSAGES_FILE || path.join(__dirname, 'data', 'messages.json');
+const FAILURE_RATE = Number(process.env.MOCK_FAILURE_RATE) || 0;
+const DELAY_MS = Number(process.env.MOCK_DELAY_MS) || 0;
+const MAX_BODY_SIZE = 100 * 1024;
+
+const PAYMENT_METHODS = Object.keys(PAYMENT_LABELS);
+const CUSTOMER_FIELDS = ['lastName', 'firstName', 'phone'];
+const DELIVERY_FIELDS = ['address', 'postcode', 'city'];
+
+/**
+ * Formulaire de contact
+ * - minFillTime : un humain met plus de quelques secondes à remplir le formulaire (anti-robots),
+ *   mesuré par le serveur depuis la remise du jeton
+ * - tokenMaxAge : durée de validité d'un jeton (un message peut attendre hors ligne plusieurs jours)
+ * - honeypot : champ invisible que seuls les robots remplissent
+ */
+const CONTACT_CONFIG = {
+    subjects: ['info', 'suggestion', 'autre'],
+    minFillTime: 3000,
+    tokenMaxAge: 3 * 24 * 60 * 60 * 1000,
+    honeypot: 'website',
+    maxMessageLength: 2000
+};
+
+/**
+ * Clé de signature des jetons du formulaire, renouvelée à chaque démarrage
+ */
+const FORM_TOKEN_SECRET = crypto.randomBytes(32);
+
+/**
+ * Fichiers du site servis, par extension : tout le reste (données, historique git, notes) est refusé
+ */
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon'
+};
+
+const catalog = new MenuCatalog(MENU_CATALOG);
+const store = new JsonFileStore(ORDERS_FILE, { label: 'commandes', keyField: 'orderKey', createRecord: createOrderRecord });
+const messages = new JsonFileStore(MESSAGES_FILE, { label: 'messages', keyField: 'messageKey', createRecord: createMessageRecord });
+const openingHours = new OpeningHours(OPENING_HOURS);
+const promotions = new PromotionEngine(PROMO_CODES);
+const bundles = new BundleEngine(BUNDLES);
+const reservations = new ReservationPlanner(openingHours);
+
+/**
+ * Commande enregistrée : identifiant, numéro séquentiel et statut initial
+ * @param {Object} order - Commande validée
+ * @param {Object[]} orders - Commandes déjà enregistrées
+ * @returns {Object} Commande à sauvegarder
+ */
+function createOrderRecord(order, orders) {
+    const number = orders.reduce((max, existing) => Math.max(max, existing.number || 0), 0) + 1;
+    const now = new Date().toISOString();
+    return {
+        ...order,
+        id: `cmd-${Date.now().toString(36)}-${number}`,
+        number,
+        status: 'received',
+        statusHistory: [{ status: 'received', at: now }],
+        receivedAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Message enregistré : identifiant et date de réception
+ * @param {Object} message - Message validé
+ * @param {Object[]} saved - Messages déjà enregistrés
+ * @returns {Object} Message à sauvegarder
+ */
+function createMessageRecord(message, saved) {
+    return {
+        ...message,
+        id: `msg-${Date.now().toString(36)}-${saved.length + 1}`,
+        receivedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Texte saisi sans espaces superflus (vide si la valeur n'est pas une chaîne)
+ * @param {*} value - Valeur reçue
+ * @returns {string} Texte nettoyé
+ */
+function trimText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Valeur reçue en JSON qui est bien un objet (ni null, ni tableau)
+ * @param {*} value - Valeur reçue
+ * @returns {boolean} true pour un objet simple
+ */
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Nombre de commandes déjà prévues sur un créneau
+ * Une commande "dès que possible" occupe le créneau où elle doit être prête.
+ * @param {string} start - Début du créneau (ISO)
+ * @returns {number} Commandes enregistrées
+ */
+function countOrdersInSlot(start) {
+    const slotStart = Date.parse(start);
+    const slotEnd = slotStart + TIME_SLOT_CONFIG.interval * 60000;
+    return store.list().filter(order => {
+        if (order.scheduledFor) {
+            return order.scheduledFor === start;
+        }
+        const readyAt = Date.parse(order.estimatedReadyAt);
+        return readyAt >= slotStart && readyAt < slotEnd;
+    }).length;
+}
+
+/**
+ * Créneau dans lequel une commande "dès que possible" sera prête
+ * @param {Date} readyAt - Heure estimée (réception + délai de préparation)
+ * @returns {{start: Date, end: Date}|null} Créneau (null si la cuisine ferme avant : commande refusée)
+ */
+function findReadySlot(readyAt) {
+    return openingHours.getTimeSlots(new Date(), { ...TIME_SLOT_CONFIG, preparationTime: 0 })
+        .find(slot => slot.start <= readyAt && readyAt < slot.end) || null;
+}
+
+/**
+ * Envoyer une réponse JSON
+ * @param {http.ServerResponse} res - Réponse HTTP
+ * @param {number} status - Code HTTP
+ * @param {Object} body - Contenu
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Lire et parser le corps JSON d'une requête
+ * Un corps qui n'est pas un objet (null, tableau, nombre...) est refusé en 400.
+ * @param {http.IncomingMessage} req - Requête HTTP
+ * @returns {Promise<Object>} Corps parsé
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('Requête trop volumineuse.'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+            } catch (error) {
+                reject(Object.assign(new Error('JSON invalide.'), { status: 400 }));
+                return;
+            }
+            if (!isPlainObject(body)) {
+                reject(Object.assign(new Error('Le corps de la requête doit être un objet JSON.'), { status: 400 }));
+                return;
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Vérifier une commande et recalculer ses montants à partir du catalogue
+ * @param {Object} order - Commande reçue
+ * @returns {{errors: string[], order: Object}} Erreurs éventuelles et commande normalisée
+ */
+function validateOrder(order) {
+    const errors = [];
+
+    if (!order || typeof order !== 'object') {
+        return { errors: ['Commande absente.'], order: null };
+    }
+
+    const items = Array.isArray(order.items) ? order.items : [];
+    if (!items.length) {
+        errors.push('La commande ne contient aucun article.');
+    }
+
+    let totalCents = 0;
+    let itemCount = 0;
+    const normalizedItems = items.map((line, index) => {
+        if (!isPlainObject(line)) {
+            errors.push(`Ligne ${index + 1} : article invalide.`);
+            return line;
+        }
+
+        const product = catalog.getItem(line.productId);
+        const label = line.name || `ligne ${index + 1}`;
+
+        if (!product) {
+            errors.push(`${label} : article inconnu ou retiré du menu.`);
+            return line;
+        }
+        if (!Number.isInteger(line.quantity) || line.quantity < 1 || line.quantity > 50) {
+            errors.push(`${label} : quantité invalide.`);
+            return line;
+        }
+
+        const options = Array.isArray(line.options) ? line.options : [];
+        if (!options.every(isPlainObject)) {
+            errors.push(`${label} : option invalide.`);
+            return line;
+        }
+        const unknownOption = options.find(option => !product.optionGroups.some(group => group.key === option.key));
+        if (unknownOption) {
+            errors.push(`${label} : option inconnue (${unknownOption.key}).`);
+        } else if (!catalog.isValidSelection(product, options)) {
+            // Valeur inexistante, trop de choix ou choix obligatoire manquant (même contrôle que le panier)
+            errors.push(`${label} : options invalides ou incomplètes.`);
+        }
+
+        // Le prix fait foi côté serveur : on le recalcule depuis le catalogue
+        const unitCents = toCents(product.price) + options.reduce((sum, option) => {
+            const values = Array.isArray(option.values) ? option.values : [option.value];
+            return sum + toCents(catalog.getOptionDelta(product, option.key, values));
+        }, 0);
+
+        if (toCents(line.unitPrice) !== unitCents) {
+            errors.push(`${label} : le prix a changé (${formatMoney(unitCents)}).`);
+        }
+
+        totalCents += unitCents * line.quantity;
+        itemCount += line.quantity;
+
+        return {
+            ...line,
+            name: product.name,
+            category: product.category,
+            basePrice: product.price,
+            unitPrice: fromCents(unitCents),
+            lineTotal: fromCents(unitCents * line.quantity),
+            // Texte libre : nettoyé à nouveau, la cuisine l'affiche tel quel
+            note: sanitizeNote(line.note, NOTE_MAX_LENGTH.item)
+        };
+    });
+
+    const customer = { ...(order.customer || {}) };
+    const mode = order.fulfillment?.mode;
+    const requiredFields = mode === 'delivery' ? [...CUSTOMER_FIELDS, ...DELIVERY_FIELDS] : CUSTOMER_FIELDS;
+    requiredFields.forEach(field => {
+        if (typeof customer[field] !== 'string' || !customer[field].trim()) {
+            errors.push(`Coordonnées incomplètes (${field}).`);
+        }
+    });
+
+    // Téléphone enregistré au format E.164, quel que soit le format envoyé
+    if (typeof customer.phone === 'string' && customer.phone.trim()) {
+        const phone = normalizeSwissPhone(customer.phone);
+        if (phone) {
+            customer.phone = phone;
+        } else {
+            errors.push('Numéro de téléphone suisse invalide.');
+        }
+    }
+
+    // Formules : meilleure combinaison recalculée sur les prix du catalogue
+    // (réductions en centimes, converties en CHF dans la commande enregistrée)
+    const pricedLines = normalizedItems
+        .filter(line => Number.isFinite(line?.unitPrice))
+        .map(line => ({ ...line, unitCents: toCents(line.unitPrice), baseCents: toCents(line.basePrice) }));
+    const discounts = bundles.findBestBundles(pricedLines).applications.map(application => ({
+        type: 'bundle',
+        code: application.bundleId,
+        label: `${application.label} (${application.names.join(' + ')})`,
+        amount: application.savingCents
+    }));
+    let discountCents = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+
+    // Code promo : réduction recalculée sur les prix du catalogue, après formules
+    // (un article en formule n'est pas réduit une seconde fois par le code).
+    // Les codes à usage unique sont refusés si ce téléphone les a déjà utilisés.
+    let promoCode = null;
+    if (order.promoCode) {
+        // Anciennes commandes : téléphone éventuellement enregistré au format national
+        const samePhone = saved => (normalizeSwissPhone(saved.customer?.phone) || saved.customer?.phone) === customer.phone;
+        const usedCodes = store.list()
+            .filter(saved => saved.promoCode && samePhone(saved))
+            .map(saved => saved.promoCode);
+        const result = promotions.evaluate(order.promoCode, bundles.getNetLines(pricedLines), { usedCodes });
+
+        if (result.error) {
+            const minimum = result.minimumCents === null ? '' : ` (${formatMoney(result.minimumCents)})`;
+            errors.push(`Code promo ${order.promoCode} : ${result.error}${minimum}`);
+        } else {
+            promoCode = result.promo.code;
+            discounts.push(result.discount);
+            discountCents += result.discount.amount;
+        }
+    }
+    const subtotalCents = Math.max(0, totalCents - discountCents);
+
+    // Livraison : la zone fixe le minimum et les frais ; à emporter : ni l'un ni l'autre
+    let zone = null;
+    if (!FULFILLMENT_LABELS[mode]) {
+        errors.push('Mode de commande invalide.');
+    } else if (mode === 'delivery') {
+        zone = findDeliveryZone(customer.postcode);
+        if (!zone || !isDeliveryLocality(customer.postcode, customer.city)) {
+            errors.push(`Adresse hors zone de livraison (${customer.postcode || '?'} ${customer.city || ''}).`);
+        } else if (subtotalCents < toCents(zone.minimumOrder)) {
+            errors.push(`Minimum de commande non atteint pour la zone ${zone.label} (${formatMoney(toCents(zone.minimumOrder))}).`);
+        }
+    }
+    const feeCents = zone ? toCents(zone.fee) : 0;
+
+    if (!PAYMENT_METHODS.includes(order.paymentMethod)) {
+        errors.push('Méthode de paiement invalide.');
+    }
+
+    // Créneau choisi : il doit exister et avoir encore de la place.
+    // Sans créneau ("dès que possible"), le restaurant doit être ouvert et le créneau
+    // de l'heure estimée (maintenant + délai de préparation) avoir encore de la place.
+    // Pas de délai de préparation pour un créneau choisi : le client a pu hésiter quelques minutes sur le récapitulatif.
+    const scheduledFor = order.preOrder ? new Date(order.scheduledFor) : null;
+    const estimatedReadyAt = scheduledFor ? null : new Date(Date.now() + TIME_SLOT_CONFIG.preparationTime * 60000);
+    if (scheduledFor) {
+        if (!openingHours.isTimeSlot(scheduledFor, new Date(), { ...TIME_SLOT_CONFIG, preparationTime: 0 })) {
+            errors.push('Créneau invalide ou déjà passé.');
+        } else if (countOrdersInSlot(scheduledFor.toISOString()) >= TIME_SLOT_CONFIG.capacity) {
+            errors.push('Ce créneau est complet, choisissez-en un autre.');
+        }
+    } else if (!openingHours.getStatus().isOpen) {
+        errors.push('Le restaurant est fermé : choisissez un créneau.');
+    } else {
+        const readySlot = findReadySlot(estimatedReadyAt);
+        if (!readySlot) {
+            errors.push('La cuisine ferme avant que la commande soit prête : choisissez un créneau.');
+        } else if (countOrdersInSlot(readySlot.start.toISOString()) >= TIME_SLOT_CONFIG.capacity) {
+            errors.push('La cuisine est complète pour les prochaines minutes : choisissez un créneau.');
+        }
+    }
+
+    // Paiement en espèces : total arrondi à 5 centimes
+    const payableCents = getPayableCents(subtotalCents + feeCents, order.paymentMethod);
+    if (!errors.length && toCents(order.totals?.total) !== payableCents) {
+        errors.push(`Le total ne correspond pas (${formatMoney(payableCents)} attendus).`);
+    }
+
+    return {
+        errors,
+        order: {
+            orderKey: order.orderKey,
+            createdAt: order.createdAt,
+            currency: MONEY_CONFIG.currency,
+            items: normalizedItems,
+            customer,
+            note: sanitizeNote(order.note, NOTE_MAX_LENGTH.order),
+            paymentMethod: order.paymentMethod,
+            fulfillment: {
+                mode,
+                zoneId: zone ? zone.id : null,
+                fee: fromCents(feeCents)
+            },
+            promoCode,
+            discounts: discounts.map(discount => ({ ...discount, amount: fromCents(discount.amount) })),
+            preOrder: Boolean(scheduledFor),
+            scheduledFor: scheduledFor && !errors.length ? scheduledFor.toISOString() : null,
+            estimatedReadyAt: estimatedReadyAt ? estimatedReadyAt.toISOString() : null,
+            // Montants recalculés uniquement : rien du client n'est repris tel quel
+            totals: {
+                itemCount,
+                subtotal: fromCents(totalCents),
+                discount: fromCents(discountCents),
+                deliveryFee: fromCents(feeCents),
+                rounding: fromCents(payableCents - subtotalCents - feeCents),
+                total: fromCents(payableCents)
+            }
+        }
+    };
+}
+
+/**
+ * Tables occupées pour une date de réservation
+ * @param {string} dateKey - Date "AAAA-MM-JJ"
+ * @returns {{tableId: string, start: string, end: string}[]} Occupations
+ */
+function getBookings(dateKey) {
+    return messages.list()
+        .filter(message => message.kind === 'reservation' && message.reservation.date === dateKey)
+        .map(({ reservation }) => ({ tableId: reservation.tableId, start: reservation.start, end: reservation.end }));
+}
+
+/**
+ * Vérifier une demande de réservation et lui attribuer une table
+ * @param {Object} request - Demande reçue ({date, start, partySize, seating})
+ * @returns {{errors: string[], status: number, reservation: Object|null}} Erreurs (422 ou 409 si complet) et réservation
+ */
+function validateReservation(request) {
+    const errors = [];
+    const now = new Date();
+    const start = new Date(request.start);
+    const partySize = Number(request.partySize);
+    const seating = request.seating || 'any';
+
+    if (!reservations.isTime(request.date, start, now)) {
+        errors.push('Horaire de réservation indisponible (heures d\'ouverture).');
+    }
+    if (!Object.prototype.hasOwnProperty.call(SEATING_LABELS, seating)) {
+        errors.push('Préférence de placement inconnue.');
+    }
+    if (!Number.isInteger(partySize) || partySize < 1) {
+        errors.push('Nombre de personnes invalide.');
+    } else if (partySize > reservations.getMaxPartySize(seating)) {
+        errors.push('Aucune table ne peut accueillir ce groupe : appelez-nous pour organiser votre venue.');
+    }
+    if (errors.length) {
+        return { errors, status: 422, reservation: null };
+    }
+
+    const table = reservations.findTable({ start, partySize, seating }, getBookings(request.date));
+    if (!table) {
+        return { errors: ['Plus de table disponible à cette heure. Choisissez un autre horaire.'], status: 409, reservation: null };
+    }
+
+    return {
+        errors,
+        status: 201,
+        reservation: {
+            date: request.date,
+            start: start.toISOString(),
+            end: reservations.getEnd(start).toISOString(),
+            partySize,
+            seating,
+            tableId: table.id
+        }
+    };
+}
+
+/**
+ * Vérifier un message du formulaire de contact
+ * Une réservation n'a ni sujet à choisir ni longueur minimale de message.
+ * @param {Object} message - Message reçu
+ * @returns {{errors: string[], message: Object}} Erreurs éventuelles et message normalisé
+ */
+function validateMessage(message) {
+    const errors = [];
+    const isReservation = message.kind === 'reservation';
+    const name = trimText(message.name);
+    const email = trimText(message.email);
+    const body = trimText(message.message);
+    const minLength = isReservation ? 0 : 10;
+
+    if (!/^[a-zA-ZÀ-ÿ\s'-]{2,50}$/.test(name)) {
+        errors.push('Nom invalide.');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        errors.push('Adresse email invalide.');
+    }
+    if (!isValidSwissPhone(message.phone)) {
+        errors.push('Numéro de téléphone suisse invalide.');
+    }
+    if (!isReservation && !CONTACT_CONFIG.subjects.includes(message.subject)) {
+        errors.push('Sujet inconnu.');
+    }
+    if (body.length < minLength || body.length > CONTACT_CONFIG.maxMessageLength) {
+        errors.push(`Le message doit contenir entre ${minLength} et ${CONTACT_CONFIG.maxMessageLength} caractères.`);
+    }
+
+    return {
+        errors,
+        message: {
+            messageKey: message.messageKey,
+            kind: isReservation ? 'reservation' : 'message',
+            name,
+            email,
+            phone: normalizeSwissPhone(message.phone),
+            subject: isReservation ? 'reservation' : message.subject,
+            message: body,
+            sentAt: message.sentAt || null
+        }
+    };
+}
+
+/**
+ * Signer l'heure de remise d'un jeton de formulaire
+ * @param {string} issuedAt - Heure de remise (ms depuis l'epoch)
+ * @returns {string} Signature hexadécimale
+ */
+function signFormToken(issuedAt) {
+    return crypto.createHmac('sha256', FORM_TOKEN_SECRET).update(issuedAt).digest('hex');
+}
+
+/**
+ * Créer un jeton de formulaire : heure de remise signée, que le client ne peut pas avancer
+ * @returns {string} Jeton "heure.signature"
+ */
+function createFormToken() {
+    const issuedAt = String(Date.now());
+    return `${issuedAt}.${signFormToken(issuedAt)}`;
+}
+
+/**
+ * Jetons déjà utilisés, avec leur date d'expiration (un jeton ne sert qu'à un message)
+ */
+const usedFormTokens = new Map();
+
+/**
+ * Vérifier le jeton d'un message de contact
+ * Le code 'formTokenExpired' permet au client de redemander un jeton pour un message
+ * resté en attente (jeton trop ancien ou serveur redémarré depuis).
+ * @param {*} token - Jeton reçu
+ * @returns {{code: string, error: string}|null} Refus, ou null si le jeton est valable
+ */
+function checkFormToken(token) {
+    const now = Date.now();
+    for (const [usedToken, expiresAt] of usedFormTokens) {
+        if (expiresAt <= now) {
+            usedFormTokens.delete(usedToken);
+        }
+    }
+
+    const [issuedAt, signature] = typeof token === 'string' ? token.split('.') : [];
+    const expected = issuedAt ? Buffer.from(signFormToken(issuedAt)) : null;
+    if (!expected || !signature || signature.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(signature), expected)) {
+        return { code: 'formTokenExpired', error: 'Formulaire expiré. Rechargez la page puis réessayez.' };
+    }
+
+    const elapsed = now - Number(issuedAt);
+    if (elapsed > CONTACT_CONFIG.tokenMaxAge || usedFormTokens.has(token)) {
+        return { code: 'formTokenExpired', error: 'Formulaire expiré. Rechargez la page puis réessayez.' };
+    }
+    if (elapsed < CONTACT_CONFIG.minFillTime) {
+        return { code: 'formTooFast', error: 'Formulaire envoyé trop vite. Relisez votre message puis réessayez.' };
+    }
+    return null;
+}
+
+/**
+ * Gérer les routes /api/messages
+ * @param {http.IncomingMessage} req - Requête
+ * @param {http.ServerResponse} res - Réponse
+ * @param {string[]} segments - Segments du chemin après /api/messages
+ */
+async function handleMessagesApi(req, res, segments) {
+    if (req.method === 'GET' && segments[0] === 'token' && segments.length === 1) {
+        sendJson(res, 200, { token: createFormToken() });
+        return;
+    }
+
+    if (req.method === 'GET' && segments[0] === 'reservations' && segments.length === 2) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(segments[1])) {
+            sendJson(res, 400, { error: 'Date invalide (AAAA-MM-JJ).' });
+            return;
+        }
+        sendJson(res, 200, getBookings(segments[1]));
+        return;
+    }
+
+    if (req.method === 'POST' && segments.length === 0) {
+        const body = await readJsonBody(req);
+        const messageKey = req.headers['idempotency-key'] || body.messageKey;
+
+        if (!messageKey) {
+            sendJson(res, 400, { error: 'Clé de message manquante.' });
+            return;
+        }
+
+        // Un message renvoyé depuis la file d'attente n'est enregistré qu'une fois
+        const existing = messages.findByKey(messageKey);
+        if (existing) {
+            sendJson(res, 200, { id: existing.id, receivedAt: existing.receivedAt, reservation: existing.reservation || null });
+            return;
+        }
+
+        // Champ piège rempli : réponse normale pour ne pas renseigner le robot, rien n'est gardé
+        if (trimText(body[CONTACT_CONFIG.honeypot])) {
+            console.log('🪤 Message ignoré (champ piège rempli)');
+            sendJson(res, 201, { id: `msg-${Date.now().toString(36)}`, receivedAt: new Date().toISOString() });
+            return;
+        }
+
+        const tokenError = checkFormToken(body.formToken);
+        if (tokenError) {
+            sendJson(res, 422, tokenError);
+            return;
+        }
+
+        const { errors, message } = validateMessage({ ...body, messageKey });
+        if (errors.length) {
+            sendJson(res, 422, { error: errors[0], details: errors });
+            return;
+        }
+
+        if (message.kind === 'reservation') {
+            const result = validateReservation(body.reservation || {});
+            if (result.errors.length) {
+                sendJson(res, result.status, { error: result.errors[0], details: result.errors });
+                return;
+            }
+            message.reservation = result.reservation;
+        }
+
+        const saved = messages.create(message);
+        usedFormTokens.set(body.formToken, Number(body.formToken.split('.')[0]) + CONTACT_CONFIG.tokenMaxAge);
+        if (saved.reservation) {
+            console.log(`🍽️ Table ${saved.reservation.tableId} réservée pour ${saved.reservation.partySize} (${saved.name}, ${saved.reservation.start})`);
+        } else {
+            console.log(`✉️ Message reçu de ${saved.name} (${saved.subject})`);
+        }
+        sendJson(res, 201, { id: saved.id, receivedAt: saved.receivedAt, reservation: saved.reservation || null });
+        return;
+    }
+
+    sendJson(res, 405, { error: 'Méthode non autorisée.' });
+}
+
+/**
+ * Gérer les routes /api/orders
+ * @param {http.IncomingMessage} req - Requête
+ * @param {http.ServerResponse} res - Réponse
+ * @param {string[]} segments - Segments du chemin après /api/orders
+ */
+async function handleOrdersApi(req, res, segments) {
+    if (req.method === 'GET' && segments.length === 0) {
+        sendJson(res, 200, store.list());
+        return;
+    }
+
+    if (req.method === 'GET' && segments[0] === 'slots') {
+        sendJson(res, 200, openingHours.getTimeSlots().map(slot => {
+            const start = slot.start.toISOString();
+            return { start, remaining: Math.max(0, TIME_SLOT_CONFIG.capacity - countOrdersInSlot(start)) };
+        }));
+        return;
+    }
+
+    if (req.method === 'GET' && segments.length === 1) {
+        const order = store.findById(segments[0]);
+        if (!order) {
+            sendJson(res, 404, { error: 'Commande introuvable.' });
+            return;
+        }
+        sendJson(res, 200, order);
+        return;
+    }
+
+    if (req.method === 'PATCH' && segments.length === 1) {
+        const order = store.findById(segments[0]);
+        if (!order) {
+            sendJson(res, 404, { error: 'Commande introuvable.' });
+            return;
+        }
+
+        const { status } = await readJsonBody(req);
+        if (!ORDER_STATUSES[status]) {
+            sendJson(res, 422, { error: 'Statut inconnu.' });
+            return;
+        }
+
+        // Une étape à la fois, en avant ou en arrière (correction)
+        const allowed = [getNextOrderStatus(order.status), getPreviousOrderStatus(order.status)];
+        if (status !== order.status && !allowed.includes(status)) {
+            sendJson(res, 409, { error: `Passage de "${ORDER_STATUSES[order.status].label}" à "${ORDER_STATUSES[status].label}" impossible.` });
+            return;
+        }
+
+        const updated = status === order.status ? order : store.update(order.id, current => {
+            const now = new Date().toISOString();
+            return { status, statusHistory: [...(current.statusHistory || []), { status, at: now }], updatedAt: now };
+        });
+        sendJson(res, 200, updated);
+        return;
+    }
+
+    if (req.method === 'POST' && segments.length === 0) {
+        const body = await readJsonBody(req);
+        const orderKey = req.headers['idempotency-key'] || body.orderKey;
+
+        if (!orderKey) {
+            sendJson(res, 400, { error: 'Clé de commande manquante.' });
+            return;
+        }
+
+        // Même clé = même commande : on renvoie celle déjà créée
+        const existing = store.findByKey(orderKey);
+        if (existing) {
+            sendJson(res, 200, existing);
+            return;
+        }
+
+        const { errors, order } = validateOrder({ ...body, orderKey });
+        if (errors.length) {
+            sendJson(res, 422, { error: errors[0], details: errors });
+            return;
+        }
+
+        const saved = store.create(order);
+        console.log(`🧾 Commande n°${saved.number} reçue (${formatMoney(toCents(saved.totals.total))})`);
+        sendJson(res, 201, saved);
+        return;
+    }
+
+    sendJson(res, 405, { error: 'Méthode non autorisée.' });
+}
+
+/**
+ * Servir un fichier statique du site
+ * @param {http.IncomingMessage} req - Requête
+ * @param {http.ServerResponse} res - Réponse
+ * @param {string} pathname - Chemin demandé
+ */
+function serveStatic(req, res, pathname) {
+    let relativePath;
+    try {
+        relativePath = pathname === '/' ? 'index.html' : decodeURIComponent(pathname).replace(/^\/+/, '');
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Chemin invalide');
+        return;
+    }
+    const filePath = path.resolve(ROOT_DIR, relativePath);
+
+    // Refuser tout ce qui sort du dossier du site, vise le code serveur, un fichier caché
+    // (.git, .env...) ou n'est pas une ressource du site
+    const isHidden = relativePath.split(/[\\/]/).some(segment => segment.startsWith('.'));
+    if (!filePath.startsWith(ROOT_DIR + path.sep) || filePath.startsWith(__dirname)
+        || isHidden || !MIME_TYPES[path.extname(filePath).toLowerCase()]) {
+        res.writeHead(403);
+        res.end('Accès refusé');
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Fichier introuvable');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] });
+        res.end(content);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    // Autoriser un site servi depuis un autre port (ex: Live Server)
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Idempotency-Key');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (!pathname.startsWith('/api/')) {
+        serveStatic(req, res, pathname);
+        return;
+    }
+
+    if (DELAY_MS) {
+        await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+    }
+
+    if (FAILURE_RATE && Math.random() < FAILURE_RATE) {
+        sendJson(res, 503, { error: 'Service momentanément indisponible (simulation).' });
+        return;
+    }
+
+    try {
+        const segments = pathname.split('/').filter(Boolean);
+        if (segments[1] === 'orders') {
+            await handleOrdersApi(req, res, segments.slice(2));
+            return;
+        }
+        if (segments[1] === 'messages') {
+            await handleMessagesApi(req, res, segments.slice(2));
+            return;
+        }
+        sendJson(res, 404, { error: 'Route inconnue.' });
+    } catch (error) {
+        sendJson(res, error.status || 500, { error: error.status ? error.message : 'Erreur interne du serveur.' });
+        if (!error.status) {
+            console.error(error);
+        }
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🥙 Serveur de développement prêt sur http://localhost:${PORT}`);
+});
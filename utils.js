@@ -0,0 +1,48 @@
+/**
+ * ========================================
+ * FONCTIONS UTILITAIRES PARTAGÉES
+ * ========================================
+ *
+ * Petites fonctions sans dépendance utilisées par plusieurs scripts
+ * du site (catalogue, panier, pages annexes).
+ * Ce fichier doit être chargé avant les autres scripts.
+ */
+
+'use strict';
+
+/**
+ * Échapper une chaîne avant de l'insérer dans du HTML
+ * Évite qu'un texte (nom, note, saisie utilisateur) soit interprété comme du balisage
+ * @param {*} value - Valeur à échapper
+ * @returns {string} Texte sûr pour innerHTML
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Normaliser un texte pour une recherche (casse, accents, ligatures, espaces)
+ * "Samouraï" et "samourai" donnent le même résultat
+ * @param {*} value - Texte à normaliser
+ * @returns {string} Texte comparable
+ */
+function normalizeText(value) {
+    return String(value ?? '')
+        .toLowerCase()
+        .replace(/œ/g, 'oe')
+        .replace(/æ/g, 'ae')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Export pour Node (serveur de développement), ignoré dans le navigateur
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { escapeHtml, normalizeText };
+}